@@ -3,16 +3,33 @@ const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
 
+const requestId = require('./middleware/requestId');
 const authMiddleware = require('./middleware/authMiddleware');
 const requestValidator = require('./middleware/requestValidator');
 const rateLimiter = require('./middleware/rateLimiter');
+const { ipRateLimiter } = require('./middleware/rateLimiter');
+const idempotency = require('./middleware/idempotency');
 const errorHandler = require('./middleware/errorHandler');
+const lotResolver = require('./middleware/lotResolver');
+const authorize = require('./middleware/authorize');
 
 const parkingController = require('./controllers/parkingController');
 const feeController = require('./controllers/feeController');
 const statsController = require('./controllers/statsController');
+const adminController = require('./controllers/adminController');
+const maintenanceController = require('./controllers/maintenanceController');
+const rateCardController = require('./controllers/rateCardController');
+const paymentController = require('./controllers/paymentController');
+const adjustmentController = require('./controllers/adjustmentController');
+const reservationController = require('./controllers/reservationController');
+const permitController = require('./controllers/permitController');
+const watchlistController = require('./controllers/watchlistController');
+const chargingController = require('./controllers/chargingController');
+const apiKeyController = require('./controllers/apiKeyController');
+const auditController = require('./controllers/auditController');
 
 const AppError = require('./errors/AppError');
+const { PERMISSIONS } = require('./constants/roles');
 const { createLogger } = require('./utils/logger');
 
 const logger = createLogger('App');
@@ -23,6 +40,11 @@ const logger = createLogger('App');
  */
 const app = express();
 
+// ==================== Request ID ====================
+
+// X-Request-Id on every response, in every log line and on audit log entries
+app.use(requestId);
+
 // ==================== Security Middleware ====================
 
 // Helmet - Set security HTTP headers
@@ -37,25 +59,42 @@ if (process.env.CORS_ENABLED !== 'false') {
       origin: process.env.CORS_ORIGIN || '*',
       credentials: process.env.CORS_CREDENTIALS === 'true',
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+      allowedHeaders: [
+        'Content-Type',
+        'Authorization',
+        'X-API-Key',
+        'X-Request-Id',
+        'Idempotency-Key',
+      ],
+      exposedHeaders: ['X-Request-Id', 'Idempotent-Replayed'],
     })
   );
 }
 
+// ==================== Rate Limiting (per IP) ====================
+// Every request, health checks and webhooks included, is limited per IP address before
+// anything else is done with it; addresses that keep failing authentication are refused
+// before their credentials are looked up (see middleware/rateLimiter)
+if (process.env.RATE_LIMIT_ENABLED !== 'false') {
+  app.use(ipRateLimiter);
+}
+
 // ==================== Body Parsing Middleware ====================
 
 // JSON parser with size limit
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for payment gateway webhook signature verification
+app.use(
+  express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // URL encoded parser
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
-// ==================== Rate Limiting ====================
-
-if (process.env.RATE_LIMIT_ENABLED !== 'false') {
-  app.use(rateLimiter);
-}
-
 // ==================== Request Validation ====================
 
 app.use(requestValidator);
@@ -75,66 +114,605 @@ app.get('/health', (req, res) => {
 // API version prefix
 const apiPrefix = process.env.API_PREFIX || '/api/v1';
 
+// ==================== Payment Gateway Webhooks ====================
+// Gateways cannot send Bearer tokens; webhooks are authenticated by their signature
+// POST /payments/webhooks/:gateway - Gateway event (X-Gateway-Signature header)
+app.post(`${apiPrefix}/payments/webhooks/:gateway`, (req, res, next) =>
+  paymentController.handleWebhook(req, res, next)
+);
+
 // ==================== Authentication ====================
-// All API endpoints require Bearer token authentication
+// All API endpoints require a signed JWT or an API key (see authMiddleware).
+// Each route then requires a permission of the caller's role (see constants/roles):
+// kiosks enter, exit and check availability; attendants also look up vehicles, take
+// payments and do manual exits; supervisors adjust fees, manage permits and the
+// watchlist and read the audit log; admins manage lots, rate cards and API keys
 app.use(`${apiPrefix}`, authMiddleware);
 
+// ==================== Rate Limiting (per caller) ====================
+// After authentication, so callers are limited per principal and role
+// (see middleware/rateLimiter)
+if (process.env.RATE_LIMIT_ENABLED !== 'false') {
+  app.use(`${apiPrefix}`, rateLimiter);
+}
+
+// ==================== Lot-Scoped Parking Router ====================
+// Parking, fee and statistics routes are mounted twice:
+// - /api/v1/parking/...               -> default lot (DEFAULT_LOT_ID or first lot)
+// - /api/v1/lots/:lotId/parking/...   -> explicit lot
+// lotResolver attaches the resolved lot as req.lot
+// Entry, exit, payment and refund POSTs accept an Idempotency-Key header: retries with
+// the same key get the first response (see middleware/idempotency). It runs after
+// lotResolver, as a request is identified by its lot rather than the path it was sent to
+const parkingRouter = express.Router({ mergeParams: true });
+
 // ==================== PARKING ENDPOINTS ====================
-// POST /api/v1/parking/entry - Vehicle entry
-app.post(`${apiPrefix}/parking/entry`, (req, res, next) =>
-  parkingController.vehicleEntry(req, res, next)
+// POST /parking/entry - Vehicle entry
+parkingRouter.post(
+  '/parking/entry',
+  authorize(PERMISSIONS.PARKING_ENTRY_EXIT),
+  lotResolver,
+  idempotency,
+  (req, res, next) => parkingController.vehicleEntry(req, res, next)
+);
+
+// POST /parking/exit - Vehicle exit
+parkingRouter.post(
+  '/parking/exit',
+  authorize(PERMISSIONS.PARKING_ENTRY_EXIT),
+  lotResolver,
+  idempotency,
+  (req, res, next) => parkingController.vehicleExit(req, res, next)
 );
 
-// POST /api/v1/parking/exit - Vehicle exit
-app.post(`${apiPrefix}/parking/exit`, (req, res, next) =>
-  parkingController.vehicleExit(req, res, next)
+// GET /parking/transactions/active - Search active transactions for a manual exit
+parkingRouter.get(
+  '/parking/transactions/active',
+  authorize(PERMISSIONS.PARKING_READ),
+  lotResolver,
+  (req, res, next) => parkingController.searchActiveTransactions(req, res, next)
 );
 
-// GET /api/v1/parking/spots/availability - Check availability
-app.get(`${apiPrefix}/parking/spots/availability`, (req, res, next) =>
-  parkingController.checkAvailability(req, res, next)
+// GET /parking/vehicles/search - Fuzzy plate search among parked vehicles
+parkingRouter.get(
+  '/parking/vehicles/search',
+  authorize(PERMISSIONS.PARKING_READ),
+  lotResolver,
+  (req, res, next) => parkingController.searchPlateCandidates(req, res, next)
 );
 
-// GET /api/v1/parking/vehicle/:license_plate/status - Vehicle status
-app.get(`${apiPrefix}/parking/vehicle/:license_plate/status`, (req, res, next) =>
-  parkingController.getVehicleStatus(req, res, next)
+// POST /parking/transactions/:transactionId/manual-exit - Manual / lost-ticket exit
+parkingRouter.post(
+  '/parking/transactions/:transactionId/manual-exit',
+  authorize(PERMISSIONS.MANUAL_EXIT),
+  lotResolver,
+  idempotency,
+  (req, res, next) => parkingController.manualExit(req, res, next)
+);
+
+// GET /parking/spots/availability - Check availability
+parkingRouter.get(
+  '/parking/spots/availability',
+  authorize(PERMISSIONS.AVAILABILITY_READ),
+  lotResolver,
+  (req, res, next) => parkingController.checkAvailability(req, res, next)
+);
+
+// GET /parking/vehicle/:license_plate/status - Vehicle status
+parkingRouter.get(
+  '/parking/vehicle/:license_plate/status',
+  authorize(PERMISSIONS.PARKING_READ),
+  lotResolver,
+  (req, res, next) => parkingController.getVehicleStatus(req, res, next)
 );
 
 // ==================== FEE ENDPOINTS ====================
-// POST /api/v1/parking/fees/calculation - Calculate fee
-app.post(`${apiPrefix}/parking/fees/calculation`, (req, res, next) =>
-  feeController.calculateFee(req, res, next)
+// POST /parking/fees/calculation - Calculate fee
+parkingRouter.post(
+  '/parking/fees/calculation',
+  authorize(PERMISSIONS.PARKING_READ),
+  lotResolver,
+  (req, res, next) => feeController.calculateFee(req, res, next)
+);
+
+// GET /parking/fees/rates - Get rate cards (bonus)
+parkingRouter.get(
+  '/parking/fees/rates',
+  authorize(PERMISSIONS.PARKING_READ),
+  lotResolver,
+  (req, res, next) => feeController.getRateCards(req, res, next)
+);
+
+// GET /parking/fees/estimate - Estimate fee (bonus)
+parkingRouter.get(
+  '/parking/fees/estimate',
+  authorize(PERMISSIONS.PARKING_READ),
+  lotResolver,
+  (req, res, next) => feeController.estimateFee(req, res, next)
+);
+
+// ==================== PAYMENT ENDPOINTS ====================
+// POST /parking/transactions/:transactionId/payments - Record payment
+parkingRouter.post(
+  '/parking/transactions/:transactionId/payments',
+  authorize(PERMISSIONS.PAYMENTS_RECORD),
+  lotResolver,
+  idempotency,
+  (req, res, next) => paymentController.recordPayment(req, res, next)
+);
+
+// GET /parking/transactions/:transactionId/payments - List payments and balance
+parkingRouter.get(
+  '/parking/transactions/:transactionId/payments',
+  authorize(PERMISSIONS.PARKING_READ),
+  lotResolver,
+  (req, res, next) => paymentController.listPayments(req, res, next)
+);
+
+// ==================== ADJUSTMENT ENDPOINTS ====================
+// POST /parking/transactions/:transactionId/discounts - Apply discount
+parkingRouter.post(
+  '/parking/transactions/:transactionId/discounts',
+  authorize(PERMISSIONS.FEES_ADJUST),
+  lotResolver,
+  (req, res, next) => adjustmentController.applyDiscount(req, res, next)
+);
+
+// POST /parking/transactions/:transactionId/fee-override - Override parking fee
+parkingRouter.post(
+  '/parking/transactions/:transactionId/fee-override',
+  authorize(PERMISSIONS.FEES_ADJUST),
+  lotResolver,
+  (req, res, next) => adjustmentController.overrideFee(req, res, next)
+);
+
+// POST /parking/transactions/:transactionId/void - Void transaction
+parkingRouter.post(
+  '/parking/transactions/:transactionId/void',
+  authorize(PERMISSIONS.FEES_ADJUST),
+  lotResolver,
+  (req, res, next) => adjustmentController.voidTransaction(req, res, next)
+);
+
+// POST /parking/transactions/:transactionId/refunds - Issue refund
+parkingRouter.post(
+  '/parking/transactions/:transactionId/refunds',
+  authorize(PERMISSIONS.FEES_ADJUST),
+  lotResolver,
+  idempotency,
+  (req, res, next) => adjustmentController.issueRefund(req, res, next)
+);
+
+// GET /parking/transactions/:transactionId/adjustments - List adjustments
+parkingRouter.get(
+  '/parking/transactions/:transactionId/adjustments',
+  authorize(PERMISSIONS.PARKING_READ),
+  lotResolver,
+  (req, res, next) => adjustmentController.listAdjustments(req, res, next)
+);
+
+// ==================== RESERVATION ENDPOINTS ====================
+// A reservation holds a spot from shortly before its window until the arrival grace
+// period ends; no-shows are released by the reservation sweep (see server.js)
+
+// POST /parking/reservations - Book a spot for a future window
+parkingRouter.post(
+  '/parking/reservations',
+  authorize(PERMISSIONS.RESERVATIONS_MANAGE),
+  lotResolver,
+  (req, res, next) => reservationController.createReservation(req, res, next)
+);
+
+// GET /parking/reservations - List reservations
+parkingRouter.get(
+  '/parking/reservations',
+  authorize(PERMISSIONS.PARKING_READ),
+  lotResolver,
+  (req, res, next) => reservationController.listReservations(req, res, next)
 );
 
-// GET /api/v1/parking/fees/rates - Get rate cards (bonus)
-app.get(`${apiPrefix}/parking/fees/rates`, (req, res, next) =>
-  feeController.getRateCards(req, res, next)
+// GET /parking/reservations/:reservationId - Get reservation
+parkingRouter.get(
+  '/parking/reservations/:reservationId',
+  authorize(PERMISSIONS.PARKING_READ),
+  lotResolver,
+  (req, res, next) => reservationController.getReservation(req, res, next)
 );
 
-// GET /api/v1/parking/fees/estimate - Estimate fee (bonus)
-app.get(`${apiPrefix}/parking/fees/estimate`, (req, res, next) =>
-  feeController.estimateFee(req, res, next)
+// DELETE /parking/reservations/:reservationId - Cancel reservation
+parkingRouter.delete(
+  '/parking/reservations/:reservationId',
+  authorize(PERMISSIONS.RESERVATIONS_MANAGE),
+  lotResolver,
+  (req, res, next) => reservationController.cancelReservation(req, res, next)
+);
+
+// ==================== PERMIT ENDPOINTS ====================
+// Vehicles entering under an active permit are charged the permit rate at exit
+
+// POST /parking/permits - Issue permit
+parkingRouter.post(
+  '/parking/permits',
+  authorize(PERMISSIONS.PERMITS_MANAGE),
+  lotResolver,
+  (req, res, next) => permitController.createPermit(req, res, next)
+);
+
+// GET /parking/permits - List permits
+parkingRouter.get(
+  '/parking/permits',
+  authorize(PERMISSIONS.PARKING_READ),
+  lotResolver,
+  (req, res, next) => permitController.listPermits(req, res, next)
+);
+
+// GET /parking/permits/:permitId - Get permit
+parkingRouter.get(
+  '/parking/permits/:permitId',
+  authorize(PERMISSIONS.PARKING_READ),
+  lotResolver,
+  (req, res, next) => permitController.getPermit(req, res, next)
+);
+
+// PUT /parking/permits/:permitId - Update permit
+parkingRouter.put(
+  '/parking/permits/:permitId',
+  authorize(PERMISSIONS.PERMITS_MANAGE),
+  lotResolver,
+  (req, res, next) => permitController.updatePermit(req, res, next)
+);
+
+// DELETE /parking/permits/:permitId - Revoke permit
+parkingRouter.delete(
+  '/parking/permits/:permitId',
+  authorize(PERMISSIONS.PERMITS_MANAGE),
+  lotResolver,
+  (req, res, next) => permitController.revokePermit(req, res, next)
+);
+
+// ==================== WATCHLIST ENDPOINTS ====================
+// Blacklisted plates are refused at entry; watchlisted plates raise an alert
+
+// POST /parking/watchlist - Add watchlist entry
+parkingRouter.post(
+  '/parking/watchlist',
+  authorize(PERMISSIONS.WATCHLIST_MANAGE),
+  lotResolver,
+  (req, res, next) => watchlistController.addEntry(req, res, next)
+);
+
+// GET /parking/watchlist - List watchlist entries
+parkingRouter.get(
+  '/parking/watchlist',
+  authorize(PERMISSIONS.WATCHLIST_MANAGE),
+  lotResolver,
+  (req, res, next) => watchlistController.listEntries(req, res, next)
+);
+
+// GET /parking/watchlist/hits - List watchlist hits for review
+parkingRouter.get(
+  '/parking/watchlist/hits',
+  authorize(PERMISSIONS.WATCHLIST_MANAGE),
+  lotResolver,
+  (req, res, next) => watchlistController.listHits(req, res, next)
+);
+
+// GET /parking/watchlist/:entryId - Get watchlist entry
+parkingRouter.get(
+  '/parking/watchlist/:entryId',
+  authorize(PERMISSIONS.WATCHLIST_MANAGE),
+  lotResolver,
+  (req, res, next) => watchlistController.getEntry(req, res, next)
+);
+
+// PUT /parking/watchlist/:entryId - Update watchlist entry
+parkingRouter.put(
+  '/parking/watchlist/:entryId',
+  authorize(PERMISSIONS.WATCHLIST_MANAGE),
+  lotResolver,
+  (req, res, next) => watchlistController.updateEntry(req, res, next)
+);
+
+// DELETE /parking/watchlist/:entryId - Remove watchlist entry
+parkingRouter.delete(
+  '/parking/watchlist/:entryId',
+  authorize(PERMISSIONS.WATCHLIST_MANAGE),
+  lotResolver,
+  (req, res, next) => watchlistController.removeEntry(req, res, next)
+);
+
+// ==================== EV CHARGING ENDPOINTS ====================
+// Charging on spots with a charger, billed per kWh at exit
+
+// POST /parking/charging-sessions - Start charging a parked EV
+parkingRouter.post(
+  '/parking/charging-sessions',
+  authorize(PERMISSIONS.CHARGING_MANAGE),
+  lotResolver,
+  (req, res, next) => chargingController.startSession(req, res, next)
+);
+
+// GET /parking/charging-sessions - List charging sessions
+parkingRouter.get(
+  '/parking/charging-sessions',
+  authorize(PERMISSIONS.PARKING_READ),
+  lotResolver,
+  (req, res, next) => chargingController.listSessions(req, res, next)
+);
+
+// GET /parking/charging-sessions/:sessionId - Get charging session
+parkingRouter.get(
+  '/parking/charging-sessions/:sessionId',
+  authorize(PERMISSIONS.PARKING_READ),
+  lotResolver,
+  (req, res, next) => chargingController.getSession(req, res, next)
+);
+
+// POST /parking/charging-sessions/:sessionId/stop - Stop charging session
+parkingRouter.post(
+  '/parking/charging-sessions/:sessionId/stop',
+  authorize(PERMISSIONS.CHARGING_MANAGE),
+  lotResolver,
+  (req, res, next) => chargingController.stopSession(req, res, next)
 );
 
 // ==================== STATISTICS ENDPOINTS ====================
-// GET /api/v1/parking/statistics - Get statistics
-app.get(`${apiPrefix}/parking/statistics`, (req, res, next) =>
-  statsController.getStatistics(req, res, next)
+// GET /parking/statistics - Get statistics
+parkingRouter.get(
+  '/parking/statistics',
+  authorize(PERMISSIONS.STATISTICS_READ),
+  lotResolver,
+  (req, res, next) => statsController.getStatistics(req, res, next)
+);
+
+// GET /parking/statistics/occupancy - Get occupancy (bonus)
+parkingRouter.get(
+  '/parking/statistics/occupancy',
+  authorize(PERMISSIONS.STATISTICS_READ),
+  lotResolver,
+  (req, res, next) => statsController.getOccupancy(req, res, next)
+);
+
+// GET /parking/statistics/vehicles - Get vehicle stats (bonus)
+parkingRouter.get(
+  '/parking/statistics/vehicles',
+  authorize(PERMISSIONS.STATISTICS_READ),
+  lotResolver,
+  (req, res, next) => statsController.getVehicleStats(req, res, next)
+);
+
+// GET /parking/statistics/revenue - Get revenue report (bonus)
+parkingRouter.get(
+  '/parking/statistics/revenue',
+  authorize(PERMISSIONS.STATISTICS_READ),
+  lotResolver,
+  (req, res, next) => statsController.getRevenueReport(req, res, next)
+);
+
+// Default lot: /api/v1/parking/...
+app.use(`${apiPrefix}`, parkingRouter);
+
+// Explicit lot: /api/v1/lots/:lotId/parking/...
+app.use(`${apiPrefix}/lots/:lotId`, parkingRouter);
+
+// ==================== ADMIN ENDPOINTS ====================
+// Lot, floor and spot management. Lot counters are recomputed after layout changes.
+
+// POST /lots - Create lot
+app.post(
+  `${apiPrefix}/lots`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  (req, res, next) => adminController.createLot(req, res, next)
+);
+
+// GET /lots - List lots
+app.get(
+  `${apiPrefix}/lots`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  (req, res, next) => adminController.listLots(req, res, next)
+);
+
+// GET /lots/:lotId - Get lot
+app.get(
+  `${apiPrefix}/lots/:lotId`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  lotResolver,
+  (req, res, next) => adminController.getLot(req, res, next)
+);
+
+// PUT /lots/:lotId - Update lot
+app.put(
+  `${apiPrefix}/lots/:lotId`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  lotResolver,
+  (req, res, next) => adminController.updateLot(req, res, next)
+);
+
+// DELETE /lots/:lotId - Delete lot and its spots
+app.delete(
+  `${apiPrefix}/lots/:lotId`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  lotResolver,
+  (req, res, next) => adminController.deleteLot(req, res, next)
+);
+
+// POST /lots/:lotId/floors - Generate floor with N spots per type
+app.post(
+  `${apiPrefix}/lots/:lotId/floors`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  lotResolver,
+  (req, res, next) => adminController.generateFloor(req, res, next)
+);
+
+// DELETE /lots/:lotId/floors/:floorNumber - Delete floor
+app.delete(
+  `${apiPrefix}/lots/:lotId/floors/:floorNumber`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  lotResolver,
+  (req, res, next) => adminController.deleteFloor(req, res, next)
+);
+
+// GET /lots/:lotId/spots - List spots
+app.get(
+  `${apiPrefix}/lots/:lotId/spots`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  lotResolver,
+  (req, res, next) => adminController.listSpots(req, res, next)
+);
+
+// POST /lots/:lotId/spots - Create spot
+app.post(
+  `${apiPrefix}/lots/:lotId/spots`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  lotResolver,
+  (req, res, next) => adminController.createSpot(req, res, next)
 );
 
-// GET /api/v1/parking/statistics/occupancy - Get occupancy (bonus)
-app.get(`${apiPrefix}/parking/statistics/occupancy`, (req, res, next) =>
-  statsController.getOccupancy(req, res, next)
+// GET /lots/:lotId/spots/:spotId - Get spot
+app.get(
+  `${apiPrefix}/lots/:lotId/spots/:spotId`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  lotResolver,
+  (req, res, next) => adminController.getSpot(req, res, next)
 );
 
-// GET /api/v1/parking/statistics/vehicles - Get vehicle stats (bonus)
-app.get(`${apiPrefix}/parking/statistics/vehicles`, (req, res, next) =>
-  statsController.getVehicleStats(req, res, next)
+// PUT /lots/:lotId/spots/:spotId - Update spot
+app.put(
+  `${apiPrefix}/lots/:lotId/spots/:spotId`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  lotResolver,
+  (req, res, next) => adminController.updateSpot(req, res, next)
 );
 
-// GET /api/v1/parking/statistics/revenue - Get revenue report (bonus)
-app.get(`${apiPrefix}/parking/statistics/revenue`, (req, res, next) =>
-  statsController.getRevenueReport(req, res, next)
+// DELETE /lots/:lotId/spots/:spotId - Delete spot
+app.delete(
+  `${apiPrefix}/lots/:lotId/spots/:spotId`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  lotResolver,
+  (req, res, next) => adminController.deleteSpot(req, res, next)
+);
+
+// ==================== MAINTENANCE ENDPOINTS ====================
+// Spots in maintenance are skipped by allocation; scheduled windows are applied
+// and restored by the maintenance sweep (see server.js)
+
+// POST /lots/:lotId/spots/:spotId/maintenance - Put spot into maintenance
+app.post(
+  `${apiPrefix}/lots/:lotId/spots/:spotId/maintenance`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  lotResolver,
+  (req, res, next) => maintenanceController.scheduleSpot(req, res, next)
+);
+
+// GET /lots/:lotId/spots/:spotId/maintenance - Spot maintenance history
+app.get(
+  `${apiPrefix}/lots/:lotId/spots/:spotId/maintenance`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  lotResolver,
+  (req, res, next) => maintenanceController.getSpotHistory(req, res, next)
+);
+
+// POST /lots/:lotId/floors/:floorNumber/maintenance - Put floor into maintenance
+app.post(
+  `${apiPrefix}/lots/:lotId/floors/:floorNumber/maintenance`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  lotResolver,
+  (req, res, next) => maintenanceController.scheduleFloor(req, res, next)
+);
+
+// GET /lots/:lotId/maintenance - List maintenance windows
+app.get(
+  `${apiPrefix}/lots/:lotId/maintenance`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  lotResolver,
+  (req, res, next) => maintenanceController.listWindows(req, res, next)
+);
+
+// DELETE /lots/:lotId/maintenance/:windowId - End or cancel a window
+app.delete(
+  `${apiPrefix}/lots/:lotId/maintenance/:windowId`,
+  authorize(PERMISSIONS.LOTS_MANAGE),
+  lotResolver,
+  (req, res, next) => maintenanceController.endWindow(req, res, next)
+);
+
+// ==================== RATE CARD ENDPOINTS ====================
+// Versioned rate cards: versions in force are immutable, new versions are scheduled
+
+// POST /rate-cards - Create or schedule a rate card version
+app.post(
+  `${apiPrefix}/rate-cards`,
+  authorize(PERMISSIONS.RATE_CARDS_MANAGE),
+  (req, res, next) => rateCardController.createVersion(req, res, next)
+);
+
+// GET /rate-cards - List rate card versions
+app.get(
+  `${apiPrefix}/rate-cards`,
+  authorize(PERMISSIONS.RATE_CARDS_MANAGE),
+  (req, res, next) => rateCardController.listVersions(req, res, next)
+);
+
+// GET /rate-cards/:rateCardId - Get rate card version
+app.get(
+  `${apiPrefix}/rate-cards/:rateCardId`,
+  authorize(PERMISSIONS.RATE_CARDS_MANAGE),
+  (req, res, next) => rateCardController.getVersion(req, res, next)
+);
+
+// DELETE /rate-cards/:rateCardId - Withdraw a scheduled version
+app.delete(
+  `${apiPrefix}/rate-cards/:rateCardId`,
+  authorize(PERMISSIONS.RATE_CARDS_MANAGE),
+  (req, res, next) => rateCardController.deleteVersion(req, res, next)
+);
+
+// ==================== API KEY ENDPOINTS ====================
+// Keys are stored hashed; the key itself is only returned on create and rotate
+
+// POST /api-keys - Create API key
+app.post(
+  `${apiPrefix}/api-keys`,
+  authorize(PERMISSIONS.API_KEYS_MANAGE),
+  (req, res, next) => apiKeyController.createKey(req, res, next)
+);
+
+// GET /api-keys - List API keys
+app.get(
+  `${apiPrefix}/api-keys`,
+  authorize(PERMISSIONS.API_KEYS_MANAGE),
+  (req, res, next) => apiKeyController.listKeys(req, res, next)
+);
+
+// GET /api-keys/:keyId - Get API key
+app.get(
+  `${apiPrefix}/api-keys/:keyId`,
+  authorize(PERMISSIONS.API_KEYS_MANAGE),
+  (req, res, next) => apiKeyController.getKey(req, res, next)
+);
+
+// DELETE /api-keys/:keyId - Revoke API key
+app.delete(
+  `${apiPrefix}/api-keys/:keyId`,
+  authorize(PERMISSIONS.API_KEYS_MANAGE),
+  (req, res, next) => apiKeyController.revokeKey(req, res, next)
+);
+
+// POST /api-keys/:keyId/rotate - Issue a replacement key
+app.post(
+  `${apiPrefix}/api-keys/:keyId/rotate`,
+  authorize(PERMISSIONS.API_KEYS_MANAGE),
+  (req, res, next) => apiKeyController.rotateKey(req, res, next)
+);
+
+// ==================== AUDIT ENDPOINTS ====================
+// Who changed what and when: entries, exits, payments, fee adjustments, spots and rate cards
+
+// GET /audit - List audit log entries (filters and pagination)
+app.get(
+  `${apiPrefix}/audit`,
+  authorize(PERMISSIONS.AUDIT_READ),
+  (req, res, next) => auditController.listEntries(req, res, next)
 );
 
 // ==================== Global Error Handling ====================
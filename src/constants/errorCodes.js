@@ -79,12 +79,30 @@ const ERROR_CODES = {
     statusCode: 401,
   },
 
+  INVALID_SIGNATURE: {
+    code: 'INVALID_SIGNATURE',
+    message: 'Invalid webhook signature',
+    statusCode: 401,
+  },
+
+  PAYMENT_DECLINED: {
+    code: 'PAYMENT_DECLINED',
+    message: 'Payment was declined by the payment gateway',
+    statusCode: 402,
+  },
+
   FORBIDDEN: {
     code: 'FORBIDDEN',
     message: 'Insufficient permissions',
     statusCode: 403,
   },
 
+  VEHICLE_BLACKLISTED: {
+    code: 'VEHICLE_BLACKLISTED',
+    message: 'Vehicle is blacklisted and may not enter',
+    statusCode: 403,
+  },
+
   NOT_FOUND: {
     code: 'NOT_FOUND',
     message: 'Resource not found',
@@ -109,6 +127,48 @@ const ERROR_CODES = {
     statusCode: 404,
   },
 
+  LOT_NOT_FOUND: {
+    code: 'LOT_NOT_FOUND',
+    message: 'Parking lot not found',
+    statusCode: 404,
+  },
+
+  PAYMENT_EXCEEDS_BALANCE: {
+    code: 'PAYMENT_EXCEEDS_BALANCE',
+    message: 'Payment exceeds the balance due; only cash can be overpaid',
+    statusCode: 400,
+  },
+
+  PAYMENT_NOT_FOUND: {
+    code: 'PAYMENT_NOT_FOUND',
+    message: 'Payment not found for transaction',
+    statusCode: 404,
+  },
+
+  ADJUSTMENT_EXCEEDS_FEE: {
+    code: 'ADJUSTMENT_EXCEEDS_FEE',
+    message: 'Discount exceeds the parking fee',
+    statusCode: 400,
+  },
+
+  REFUND_EXCEEDS_PAID: {
+    code: 'REFUND_EXCEEDS_PAID',
+    message: 'Refund exceeds the amount collected',
+    statusCode: 400,
+  },
+
+  INVALID_IDEMPOTENCY_KEY: {
+    code: 'INVALID_IDEMPOTENCY_KEY',
+    message: 'Invalid Idempotency-Key header',
+    statusCode: 400,
+  },
+
+  IDEMPOTENCY_KEY_MISMATCH: {
+    code: 'IDEMPOTENCY_KEY_MISMATCH',
+    message: 'Idempotency key was used for a different request',
+    statusCode: 422,
+  },
+
   // Conflict Errors (409)
   CONFLICT: {
     code: 'CONFLICT',
@@ -146,6 +206,48 @@ const ERROR_CODES = {
     statusCode: 409,
   },
 
+  SPOT_IN_USE: {
+    code: 'SPOT_IN_USE',
+    message: 'Parking spot is occupied and cannot be modified',
+    statusCode: 409,
+  },
+
+  LOT_IN_USE: {
+    code: 'LOT_IN_USE',
+    message: 'Parking lot has parked vehicles and cannot be removed',
+    statusCode: 409,
+  },
+
+  RATE_CARD_IMMUTABLE: {
+    code: 'RATE_CARD_IMMUTABLE',
+    message: 'Rate card version is already in force and cannot be changed',
+    statusCode: 409,
+  },
+
+  TRANSACTION_NOT_EXITED: {
+    code: 'TRANSACTION_NOT_EXITED',
+    message: 'Vehicle has not exited yet; payment is taken after exit',
+    statusCode: 409,
+  },
+
+  ALREADY_PAID: {
+    code: 'ALREADY_PAID',
+    message: 'Transaction is already fully paid',
+    statusCode: 409,
+  },
+
+  IDEMPOTENCY_KEY_IN_USE: {
+    code: 'IDEMPOTENCY_KEY_IN_USE',
+    message: 'A request with this idempotency key is in progress',
+    statusCode: 409,
+  },
+
+  TRANSACTION_VOIDED: {
+    code: 'TRANSACTION_VOIDED',
+    message: 'Transaction has been voided and cannot be adjusted',
+    statusCode: 409,
+  },
+
   // Rate Limiting (429)
   RATE_LIMIT_EXCEEDED: {
     code: 'RATE_LIMIT_EXCEEDED',
@@ -166,6 +268,12 @@ const ERROR_CODES = {
     statusCode: 500,
   },
 
+  PAYMENT_GATEWAY_ERROR: {
+    code: 'PAYMENT_GATEWAY_ERROR',
+    message: 'Payment gateway request failed',
+    statusCode: 502,
+  },
+
   LOCK_TIMEOUT: {
     code: 'LOCK_TIMEOUT',
     message: 'System busy, please retry',
@@ -0,0 +1,117 @@
+/**
+ * Role and Permission Constants
+ * Roles callers act under (JWT role claim or API key role) and what each may do.
+ * Each role has the permissions of the roles before it:
+ * KIOSK < ATTENDANT < SUPERVISOR < ADMIN
+ */
+
+const ROLES = {
+  KIOSK: 'KIOSK',
+  ATTENDANT: 'ATTENDANT',
+  SUPERVISOR: 'SUPERVISOR',
+  ADMIN: 'ADMIN',
+};
+
+/**
+ * Permissions checked by route-level authorization (middleware/authorize)
+ */
+const PERMISSIONS = {
+  PARKING_ENTRY_EXIT: 'parking:entry-exit',
+  AVAILABILITY_READ: 'availability:read',
+  PARKING_READ: 'parking:read',
+  MANUAL_EXIT: 'parking:manual-exit',
+  PAYMENTS_RECORD: 'payments:record',
+  RESERVATIONS_MANAGE: 'reservations:manage',
+  CHARGING_MANAGE: 'charging:manage',
+  FEES_ADJUST: 'fees:adjust',
+  PERMITS_MANAGE: 'permits:manage',
+  WATCHLIST_MANAGE: 'watchlist:manage',
+  STATISTICS_READ: 'statistics:read',
+  AUDIT_READ: 'audit:read',
+  LOTS_MANAGE: 'lots:manage',
+  RATE_CARDS_MANAGE: 'rate-cards:manage',
+  API_KEYS_MANAGE: 'api-keys:manage',
+};
+
+const KIOSK_PERMISSIONS = [PERMISSIONS.PARKING_ENTRY_EXIT, PERMISSIONS.AVAILABILITY_READ];
+
+const ATTENDANT_PERMISSIONS = [
+  ...KIOSK_PERMISSIONS,
+  PERMISSIONS.PARKING_READ,
+  PERMISSIONS.MANUAL_EXIT,
+  PERMISSIONS.PAYMENTS_RECORD,
+  PERMISSIONS.RESERVATIONS_MANAGE,
+  PERMISSIONS.CHARGING_MANAGE,
+];
+
+const SUPERVISOR_PERMISSIONS = [
+  ...ATTENDANT_PERMISSIONS,
+  PERMISSIONS.FEES_ADJUST,
+  PERMISSIONS.PERMITS_MANAGE,
+  PERMISSIONS.WATCHLIST_MANAGE,
+  PERMISSIONS.STATISTICS_READ,
+  PERMISSIONS.AUDIT_READ,
+];
+
+const ADMIN_PERMISSIONS = [
+  ...SUPERVISOR_PERMISSIONS,
+  PERMISSIONS.LOTS_MANAGE,
+  PERMISSIONS.RATE_CARDS_MANAGE,
+  PERMISSIONS.API_KEYS_MANAGE,
+];
+
+/**
+ * Permissions granted to each role
+ */
+const ROLE_PERMISSIONS = {
+  KIOSK: KIOSK_PERMISSIONS,
+  ATTENDANT: ATTENDANT_PERMISSIONS,
+  SUPERVISOR: SUPERVISOR_PERMISSIONS,
+  ADMIN: ADMIN_PERMISSIONS,
+};
+
+/**
+ * Get all valid roles as array, least privileged first
+ * @returns {Array<string>} Array of roles
+ */
+const getValidRoles = () => {
+  return Object.values(ROLES);
+};
+
+/**
+ * Check if role is valid
+ * @param {string} role - Role to check
+ * @returns {boolean} True if valid role
+ */
+const isValidRole = (role) => {
+  return getValidRoles().includes(role);
+};
+
+/**
+ * Check if permission is valid
+ * @param {string} permission - Permission to check
+ * @returns {boolean} True if valid permission
+ */
+const isValidPermission = (permission) => {
+  return Object.values(PERMISSIONS).includes(permission);
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role (unknown or missing roles grant nothing)
+ * @param {string} permission - Permission
+ * @returns {boolean} True if the role grants the permission
+ */
+const hasPermission = (role, permission) => {
+  return isValidRole(role) && ROLE_PERMISSIONS[role].includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getValidRoles,
+  isValidRole,
+  isValidPermission,
+  hasPermission,
+};
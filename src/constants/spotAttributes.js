@@ -0,0 +1,67 @@
+/**
+ * Spot Attribute Constants
+ * Categories a spot can carry on top of its size (spot_type)
+ */
+
+const SPOT_ATTRIBUTES = {
+  ACCESSIBLE: 'ACCESSIBLE',
+  FAMILY: 'FAMILY',
+  COMPACT: 'COMPACT',
+  OVERSIZED: 'OVERSIZED',
+};
+
+/**
+ * Spot attribute descriptions
+ */
+const SPOT_ATTRIBUTE_DESCRIPTIONS = {
+  ACCESSIBLE: 'Accessible spot for disabled badge holders',
+  FAMILY: 'Wider spot near the exit for parents with children',
+  COMPACT: 'Narrow spot for small vehicles',
+  OVERSIZED: 'Extra-length spot for vans and vehicles with trailers',
+};
+
+/**
+ * Attributes only vehicles entitled to them may use (accessible_permit at entry)
+ */
+const RESTRICTED_SPOT_ATTRIBUTES = ['ACCESSIBLE'];
+
+/**
+ * Attributes offered to vehicles not needing them only when nothing else fits
+ */
+const KEPT_SPOT_ATTRIBUTES = ['FAMILY', 'OVERSIZED'];
+
+/**
+ * Get all valid spot attributes as array
+ * @returns {Array<string>} Array of spot attributes
+ */
+const getValidSpotAttributes = () => {
+  return Object.values(SPOT_ATTRIBUTES);
+};
+
+/**
+ * Check if spot attribute is valid
+ * @param {string} attribute - Spot attribute to check
+ * @returns {boolean} True if valid spot attribute
+ */
+const isValidSpotAttribute = (attribute) => {
+  return getValidSpotAttributes().includes(attribute);
+};
+
+/**
+ * Get spot attribute description
+ * @param {string} attribute - Spot attribute
+ * @returns {string} Description of spot attribute
+ */
+const getSpotAttributeDescription = (attribute) => {
+  return SPOT_ATTRIBUTE_DESCRIPTIONS[attribute] || 'Unknown';
+};
+
+module.exports = {
+  SPOT_ATTRIBUTES,
+  SPOT_ATTRIBUTE_DESCRIPTIONS,
+  RESTRICTED_SPOT_ATTRIBUTES,
+  KEPT_SPOT_ATTRIBUTES,
+  getValidSpotAttributes,
+  isValidSpotAttribute,
+  getSpotAttributeDescription,
+};
@@ -1,39 +1,93 @@
 /**
- * Vehicle Types Constants
- * Defines all vehicle types supported by the parking system
+ * Vehicle Types Registry
+ * Defines the vehicle types supported by the parking system. Spot types are the same codes:
+ * a spot of type CAR is sized for a car.
+ *
+ * Each type has a size rank (spot size hierarchy, smallest first), the number of standard
+ * units it occupies and the spot types it may park in (default: its own and every larger
+ * type). MOTORCYCLE, CAR and BUS are built in; further types (e.g. VAN, TRUCK, BICYCLE) are
+ * added through configuration: VEHICLE_TYPES_FILE names a JSON file with a list of
+ *   { "code": "VAN", "description": "...", "size_rank": 2.5, "spot_size": 1,
+ *     "eligible_spot_types": ["VAN", "BUS"] }
+ * loaded at startup, before the models are compiled (lot counters are per type).
  */
 
-const VEHICLE_TYPES = {
-  MOTORCYCLE: 'MOTORCYCLE',
-  CAR: 'CAR',
-  BUS: 'BUS',
-};
+const fs = require('fs');
+
+const vehicleTypes = new Map();
 
 /**
- * Vehicle type descriptions
+ * Register (or replace) a vehicle type
+ * @param {string} code - Vehicle type code (e.g. 'VAN')
+ * @param {Object} definition - { description, size_rank, spot_size (default 1),
+ *                              eligible_spot_types (default: this and larger types) }
  */
-const VEHICLE_TYPE_DESCRIPTIONS = {
-  MOTORCYCLE: 'Motorcycle or Scooter',
-  CAR: 'Sedan, SUV, or standard car',
-  BUS: 'Bus or large vehicle',
+const registerVehicleType = (code, definition) => {
+  const typeCode = typeof code === 'string' ? code.trim().toUpperCase() : '';
+
+  if (!/^[A-Z][A-Z_]{1,19}$/.test(typeCode)) {
+    throw new Error(`Vehicle type code ${code} must be 2-20 letters`);
+  }
+
+  if (!definition || typeof definition.size_rank !== 'number') {
+    throw new Error(`Vehicle type ${typeCode} must define a numeric size_rank`);
+  }
+
+  vehicleTypes.set(typeCode, {
+    code: typeCode,
+    description: definition.description || typeCode,
+    size_rank: definition.size_rank,
+    spot_size: definition.spot_size || 1,
+    eligible_spot_types: definition.eligible_spot_types
+      ? definition.eligible_spot_types.map((type) => type.toUpperCase())
+      : null,
+  });
 };
 
 /**
- * Vehicle spot size requirements
- * Defines how many standard units each vehicle type occupies
+ * Register the vehicle types listed in a JSON configuration file
+ * @param {string} filePath - Path to a JSON array of { code, ...definition }
  */
-const VEHICLE_SPOT_SIZE = {
-  MOTORCYCLE: 1,
-  CAR: 1,
-  BUS: 2,
+const loadVehicleTypes = (filePath) => {
+  const definitions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  if (!Array.isArray(definitions)) {
+    throw new Error(`Vehicle types file ${filePath} must contain a list of vehicle types`);
+  }
+
+  definitions.forEach(({ code, ...definition }) => registerVehicleType(code, definition));
 };
 
+registerVehicleType('MOTORCYCLE', {
+  description: 'Motorcycle or Scooter',
+  size_rank: 1,
+  spot_size: 1,
+});
+
+registerVehicleType('CAR', {
+  description: 'Sedan, SUV, or standard car',
+  size_rank: 2,
+  spot_size: 1,
+});
+
+registerVehicleType('BUS', {
+  description: 'Bus or large vehicle',
+  size_rank: 3,
+  spot_size: 2,
+});
+
+if (process.env.VEHICLE_TYPES_FILE) {
+  loadVehicleTypes(process.env.VEHICLE_TYPES_FILE);
+}
+
 /**
- * Get all valid vehicle types as array
+ * Get all valid vehicle types as array, smallest first
  * @returns {Array<string>} Array of vehicle types
  */
 const getValidVehicleTypes = () => {
-  return Object.values(VEHICLE_TYPES);
+  return [...vehicleTypes.values()]
+    .sort((a, b) => a.size_rank - b.size_rank)
+    .map((type) => type.code);
 };
 
 /**
@@ -42,7 +96,7 @@ const getValidVehicleTypes = () => {
  * @returns {boolean} True if valid vehicle type
  */
 const isValidVehicleType = (vehicleType) => {
-  return getValidVehicleTypes().includes(vehicleType);
+  return typeof vehicleType === 'string' && vehicleTypes.has(vehicleType);
 };
 
 /**
@@ -51,7 +105,8 @@ const isValidVehicleType = (vehicleType) => {
  * @returns {string} Description of vehicle type
  */
 const getVehicleTypeDescription = (vehicleType) => {
-  return VEHICLE_TYPE_DESCRIPTIONS[vehicleType] || 'Unknown';
+  const type = vehicleTypes.get(vehicleType);
+  return type ? type.description : 'Unknown';
 };
 
 /**
@@ -60,31 +115,54 @@ const getVehicleTypeDescription = (vehicleType) => {
  * @returns {number} Number of spot units required
  */
 const getVehicleSpotSize = (vehicleType) => {
-  return VEHICLE_SPOT_SIZE[vehicleType] || 1;
+  const type = vehicleTypes.get(vehicleType);
+  return type ? type.spot_size : 1;
+};
+
+/**
+ * Get the size rank of a spot type (lower = smaller spot)
+ * @param {string} spotType - Spot type
+ * @returns {number} Size rank, or Infinity for unknown types
+ */
+const getSpotSizeRank = (spotType) => {
+  const type = vehicleTypes.get(spotType);
+  return type ? type.size_rank : Infinity;
 };
 
 /**
- * Get eligible spot types for a vehicle
- * Spot size hierarchy: MOTORCYCLE < CAR < BUS
+ * Get eligible spot types for a vehicle, smallest first
+ * Default: the vehicle's own type and every larger type
  * @param {string} vehicleType - Vehicle type
- * @returns {Array<string>} Array of eligible spot types
+ * @returns {Array<string>} Array of eligible spot types (empty for unknown types)
  */
 const getEligibleSpotTypes = (vehicleType) => {
-  const spotTypeMap = {
-    MOTORCYCLE: ['MOTORCYCLE', 'CAR', 'BUS'],
-    CAR: ['CAR', 'BUS'],
-    BUS: ['BUS'],
-  };
-  return spotTypeMap[vehicleType] || [];
+  const type = vehicleTypes.get(vehicleType);
+
+  if (!type) {
+    return [];
+  }
+
+  return getValidVehicleTypes().filter((spotType) =>
+    type.eligible_spot_types
+      ? type.eligible_spot_types.includes(spotType)
+      : getSpotSizeRank(spotType) >= type.size_rank
+  );
 };
 
+/**
+ * Describe the valid vehicle types for error messages
+ * @returns {string} e.g. "MOTORCYCLE, CAR, BUS"
+ */
+const describeValidVehicleTypes = () => getValidVehicleTypes().join(', ');
+
 module.exports = {
-  VEHICLE_TYPES,
-  VEHICLE_TYPE_DESCRIPTIONS,
-  VEHICLE_SPOT_SIZE,
+  registerVehicleType,
+  loadVehicleTypes,
   getValidVehicleTypes,
   isValidVehicleType,
   getVehicleTypeDescription,
   getVehicleSpotSize,
+  getSpotSizeRank,
   getEligibleSpotTypes,
+  describeValidVehicleTypes,
 };
@@ -0,0 +1,139 @@
+const adjustmentService = require('../services/adjustmentService');
+const {
+  validateDiscountRequest,
+  validateFeeOverrideRequest,
+  validateVoidRequest,
+  validateRefundRequest,
+} = require('../validators/adjustmentValidator');
+const { validateTransactionIdParam } = require('../validators/paymentValidator');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('AdjustmentController');
+
+/**
+ * Adjustment Controller
+ * Handles supervisor discount, fee override, void and refund endpoints
+ */
+
+class AdjustmentController {
+  /**
+   * Send a success response and log it
+   * @private
+   */
+  respond(req, res, statusCode, data) {
+    const startTime = Date.now();
+    res.status(statusCode).json({
+      success: true,
+      data,
+    });
+
+    logger.logResponse(req, statusCode, Date.now() - startTime);
+  }
+
+  /**
+   * POST /parking/transactions/:transactionId/discounts
+   * Apply a discount to an exited transaction
+   */
+  async applyDiscount(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const transactionId = validateTransactionIdParam(req.params.transactionId);
+      const validatedData = validateDiscountRequest(req.body, req.user.id);
+      const result = await adjustmentService.applyDiscount(
+        req.lot._id,
+        transactionId,
+        validatedData
+      );
+
+      this.respond(req, res, 201, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /parking/transactions/:transactionId/fee-override
+   * Replace the parking fee of an exited transaction
+   */
+  async overrideFee(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const transactionId = validateTransactionIdParam(req.params.transactionId);
+      const validatedData = validateFeeOverrideRequest(req.body, req.user.id);
+      const result = await adjustmentService.overrideFee(
+        req.lot._id,
+        transactionId,
+        validatedData
+      );
+
+      this.respond(req, res, 201, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /parking/transactions/:transactionId/void
+   * Void the charge of an exited transaction
+   */
+  async voidTransaction(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const transactionId = validateTransactionIdParam(req.params.transactionId);
+      const validatedData = validateVoidRequest(req.body, req.user.id);
+      const result = await adjustmentService.voidTransaction(
+        req.lot._id,
+        transactionId,
+        validatedData
+      );
+
+      this.respond(req, res, 201, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /parking/transactions/:transactionId/refunds
+   * Refund money collected on a transaction
+   */
+  async issueRefund(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const transactionId = validateTransactionIdParam(req.params.transactionId);
+      const validatedData = validateRefundRequest(req.body, req.user.id);
+      const result = await adjustmentService.issueRefund(
+        req.lot._id,
+        transactionId,
+        validatedData
+      );
+
+      this.respond(req, res, 201, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /parking/transactions/:transactionId/adjustments
+   * List adjustments and the payment summary of a transaction
+   */
+  async listAdjustments(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const transactionId = validateTransactionIdParam(req.params.transactionId);
+      const result = await adjustmentService.listAdjustments(req.lot._id, transactionId);
+
+      this.respond(req, res, 200, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AdjustmentController();
@@ -0,0 +1,244 @@
+const lotManagementService = require('../services/lotManagementService');
+const {
+  validateCreateLotRequest,
+  validateUpdateLotRequest,
+  validateCreateSpotRequest,
+  validateUpdateSpotRequest,
+  validateGenerateFloorRequest,
+  validateSpotQueryParams,
+  validateSpotIdParam,
+  validateFloorNumberParam,
+} = require('../validators/lotValidator');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('AdminController');
+
+/**
+ * Admin Controller
+ * Handles parking lot, floor and spot management endpoints
+ * Lot routes rely on lotResolver to load req.lot
+ */
+
+class AdminController {
+  /**
+   * Send a success response and log it
+   * @private
+   */
+  respond(req, res, statusCode, data) {
+    const startTime = Date.now();
+    res.status(statusCode).json({
+      success: true,
+      data,
+    });
+
+    logger.logResponse(req, statusCode, Date.now() - startTime);
+  }
+
+  // ==================== Lots ====================
+
+  /**
+   * POST /lots
+   * Create a parking lot
+   */
+  async createLot(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const validatedData = validateCreateLotRequest(req.body);
+      const lot = await lotManagementService.createLot(validatedData);
+
+      this.respond(req, res, 201, lot);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /lots
+   * List parking lots
+   */
+  async listLots(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const lots = await lotManagementService.listLots();
+
+      this.respond(req, res, 200, { lots, count: lots.length });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /lots/:lotId
+   * Get a parking lot
+   */
+  async getLot(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      this.respond(req, res, 200, req.lot);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /lots/:lotId
+   * Update a parking lot's name or floor count
+   */
+  async updateLot(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const validatedData = validateUpdateLotRequest(req.body);
+      const lot = await lotManagementService.updateLot(req.lot._id, validatedData);
+
+      this.respond(req, res, 200, lot);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /lots/:lotId
+   * Delete a parking lot and its spots
+   */
+  async deleteLot(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const result = await lotManagementService.deleteLot(req.lot._id);
+
+      this.respond(req, res, 200, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ==================== Floors ====================
+
+  /**
+   * POST /lots/:lotId/floors
+   * Generate a floor with N spots per type
+   */
+  async generateFloor(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const validatedData = validateGenerateFloorRequest(req.body);
+      const result = await lotManagementService.generateFloor(req.lot._id, validatedData);
+
+      this.respond(req, res, 201, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /lots/:lotId/floors/:floorNumber
+   * Delete all spots on a floor
+   */
+  async deleteFloor(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const floorNumber = validateFloorNumberParam(req.params.floorNumber);
+      const result = await lotManagementService.deleteFloor(req.lot._id, floorNumber);
+
+      this.respond(req, res, 200, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ==================== Spots ====================
+
+  /**
+   * GET /lots/:lotId/spots
+   * List spots, optionally filtered by floor, type or status
+   */
+  async listSpots(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const filters = validateSpotQueryParams(req.query || {});
+      const spots = await lotManagementService.listSpots(req.lot._id, filters);
+
+      this.respond(req, res, 200, { spots, count: spots.length });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /lots/:lotId/spots
+   * Add a spot
+   */
+  async createSpot(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const validatedData = validateCreateSpotRequest(req.body);
+      const spot = await lotManagementService.createSpot(req.lot._id, validatedData);
+
+      this.respond(req, res, 201, spot);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /lots/:lotId/spots/:spotId
+   * Get a spot
+   */
+  async getSpot(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const spotId = validateSpotIdParam(req.params.spotId);
+      const spot = await lotManagementService.getSpot(req.lot._id, spotId);
+
+      this.respond(req, res, 200, spot);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /lots/:lotId/spots/:spotId
+   * Update a spot (refused while OCCUPIED)
+   */
+  async updateSpot(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const spotId = validateSpotIdParam(req.params.spotId);
+      const validatedData = validateUpdateSpotRequest(req.body);
+      const spot = await lotManagementService.updateSpot(req.lot._id, spotId, validatedData);
+
+      this.respond(req, res, 200, spot);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /lots/:lotId/spots/:spotId
+   * Delete a spot (refused while OCCUPIED)
+   */
+  async deleteSpot(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const spotId = validateSpotIdParam(req.params.spotId);
+      const spot = await lotManagementService.deleteSpot(req.lot._id, spotId);
+
+      this.respond(req, res, 200, spot);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AdminController();
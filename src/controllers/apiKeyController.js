@@ -0,0 +1,119 @@
+const apiKeyService = require('../services/apiKeyService');
+const {
+  validateCreateApiKeyRequest,
+  validateRotateApiKeyRequest,
+  validateApiKeyQueryParams,
+  validateApiKeyIdParam,
+} = require('../validators/apiKeyValidator');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('ApiKeyController');
+
+/**
+ * API Key Controller
+ * Handles API key creation, listing, revocation and rotation endpoints
+ */
+
+class ApiKeyController {
+  /**
+   * Send a success response and log it
+   * @private
+   */
+  respond(req, res, statusCode, data) {
+    const startTime = Date.now();
+    res.status(statusCode).json({
+      success: true,
+      data,
+    });
+
+    logger.logResponse(req, statusCode, Date.now() - startTime);
+  }
+
+  /**
+   * POST /api-keys
+   * Create an API key; the key is returned only in this response
+   */
+  async createKey(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const validatedData = validateCreateApiKeyRequest(req.body);
+      const apiKey = await apiKeyService.createKey(validatedData, req.user.id);
+
+      this.respond(req, res, 201, apiKey);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api-keys
+   * List API keys (filters: status)
+   */
+  async listKeys(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const filters = validateApiKeyQueryParams(req.query || {});
+      const apiKeys = await apiKeyService.listKeys(filters);
+
+      this.respond(req, res, 200, { api_keys: apiKeys, count: apiKeys.length });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api-keys/:keyId
+   * Get an API key
+   */
+  async getKey(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const keyId = validateApiKeyIdParam(req.params.keyId);
+      const apiKey = await apiKeyService.getKeyDetails(keyId);
+
+      this.respond(req, res, 200, apiKey);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api-keys/:keyId
+   * Revoke an API key
+   */
+  async revokeKey(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const keyId = validateApiKeyIdParam(req.params.keyId);
+      const apiKey = await apiKeyService.revokeKey(keyId);
+
+      this.respond(req, res, 200, apiKey);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api-keys/:keyId/rotate
+   * Issue a replacement key; the new key is returned only in this response
+   */
+  async rotateKey(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const keyId = validateApiKeyIdParam(req.params.keyId);
+      const validatedData = validateRotateApiKeyRequest(req.body);
+      const apiKey = await apiKeyService.rotateKey(keyId, validatedData, req.user.id);
+
+      this.respond(req, res, 201, apiKey);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
@@ -0,0 +1,46 @@
+const auditService = require('../services/auditService');
+const { validateAuditQueryParams } = require('../validators/auditValidator');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('AuditController');
+
+/**
+ * Audit Controller
+ * Handles the audit log endpoint
+ */
+
+class AuditController {
+  /**
+   * Send a success response and log it
+   * @private
+   */
+  respond(req, res, statusCode, data) {
+    const startTime = Date.now();
+    res.status(statusCode).json({
+      success: true,
+      data,
+    });
+
+    logger.logResponse(req, statusCode, Date.now() - startTime);
+  }
+
+  /**
+   * GET /audit
+   * List audit log entries, newest first (filters: actor_id, action, entity_type,
+   * entity_id, lot_id, request_id, from, to; pagination: page, limit)
+   */
+  async listEntries(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const { filters, pagination } = validateAuditQueryParams(req.query || {});
+      const result = await auditService.listEntries(filters, pagination);
+
+      this.respond(req, res, 200, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AuditController();
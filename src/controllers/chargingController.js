@@ -0,0 +1,106 @@
+const chargingService = require('../services/chargingService');
+const {
+  validateStartChargingRequest,
+  validateStopChargingRequest,
+  validateChargingQueryParams,
+  validateChargingSessionIdParam,
+} = require('../validators/chargingValidator');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('ChargingController');
+
+/**
+ * Charging Controller
+ * Handles EV charging session endpoints
+ */
+
+class ChargingController {
+  /**
+   * Send a success response and log it
+   * @private
+   */
+  respond(req, res, statusCode, data) {
+    const startTime = Date.now();
+    res.status(statusCode).json({
+      success: true,
+      data,
+    });
+
+    logger.logResponse(req, statusCode, Date.now() - startTime);
+  }
+
+  /**
+   * POST /parking/charging-sessions
+   * Start charging a parked EV on a charger spot
+   */
+  async startSession(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const { transaction_id } = validateStartChargingRequest(req.body);
+      const chargingSession = await chargingService.startSession(req.lot._id, transaction_id);
+
+      this.respond(req, res, 201, chargingSession);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /parking/charging-sessions
+   * List charging sessions (filters: status, transaction_id)
+   */
+  async listSessions(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const filters = validateChargingQueryParams(req.query || {});
+      const sessions = await chargingService.listSessions(req.lot._id, filters);
+
+      this.respond(req, res, 200, { sessions, count: sessions.length });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /parking/charging-sessions/:sessionId
+   * Get a charging session
+   */
+  async getSession(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const sessionId = validateChargingSessionIdParam(req.params.sessionId);
+      const chargingSession = await chargingService.getSessionDetails(req.lot._id, sessionId);
+
+      this.respond(req, res, 200, chargingSession);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /parking/charging-sessions/:sessionId/stop
+   * Stop a charging session with the metered energy (or an estimate)
+   */
+  async stopSession(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const sessionId = validateChargingSessionIdParam(req.params.sessionId);
+      const { energy_kwh } = validateStopChargingRequest(req.body);
+      const chargingSession = await chargingService.stopSession(
+        req.lot._id,
+        sessionId,
+        energy_kwh
+      );
+
+      this.respond(req, res, 200, chargingSession);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ChargingController();
@@ -5,6 +5,7 @@ const {
   isValidVehicleType,
   isValidISODate,
 } = require('../utils/validators');
+const { describeValidVehicleTypes } = require('../constants/vehicleTypes');
 
 const logger = createLogger('FeeController');
 
@@ -35,7 +36,7 @@ class FeeController {
 
       if (!isValidVehicleType(vehicle_type)) {
         throw new AppError(
-          `Invalid vehicle type: ${vehicle_type}. Must be MOTORCYCLE, CAR, or BUS`,
+          `Invalid vehicle type: ${vehicle_type}. Must be one of: ${describeValidVehicleTypes()}`,
           400,
           'INVALID_VEHICLE_TYPE'
         );
@@ -68,7 +69,7 @@ class FeeController {
       }
 
       // Get rate card
-      const rateCard = await feeCalculationService.getRateCard(vehicle_type);
+      const rateCard = await feeCalculationService.getRateCard(req.lot._id, vehicle_type);
 
       // Parse dates
       const entryDate = new Date(entry_time);
@@ -111,12 +112,13 @@ class FeeController {
     try {
       logger.logRequest(req);
 
-      const rateCards = await feeCalculationService.getAllRateCards();
+      const rateCards = await feeCalculationService.getAllRateCards(req.lot._id);
 
       const startTime = Date.now();
       res.status(200).json({
         success: true,
         data: {
+          lot_id: req.lot._id.toString(),
           rate_cards: rateCards,
           timestamp: new Date(),
         },
@@ -175,6 +177,7 @@ class FeeController {
 
       // Calculate fee for duration
       const feeEstimate = await feeCalculationService.calculateFeeForDuration(
+        req.lot._id,
         vehicle_type,
         durationNum
       );
@@ -0,0 +1,128 @@
+const maintenanceService = require('../services/maintenanceService');
+const {
+  validateMaintenanceRequest,
+  validateMaintenanceQueryParams,
+  validateWindowIdParam,
+} = require('../validators/maintenanceValidator');
+const { validateSpotIdParam, validateFloorNumberParam } = require('../validators/lotValidator');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('MaintenanceController');
+
+/**
+ * Maintenance Controller
+ * Handles spot / floor maintenance windows and maintenance history endpoints
+ */
+
+class MaintenanceController {
+  /**
+   * Send a success response and log it
+   * @private
+   */
+  respond(req, res, statusCode, data) {
+    const startTime = Date.now();
+    res.status(statusCode).json({
+      success: true,
+      data,
+    });
+
+    logger.logResponse(req, statusCode, Date.now() - startTime);
+  }
+
+  /**
+   * POST /lots/:lotId/spots/:spotId/maintenance
+   * Put a spot into maintenance (now or for a scheduled window)
+   */
+  async scheduleSpot(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const spotId = validateSpotIdParam(req.params.spotId);
+      const validatedData = validateMaintenanceRequest(req.body);
+      const window = await maintenanceService.scheduleSpotMaintenance(
+        req.lot._id,
+        spotId,
+        validatedData
+      );
+
+      this.respond(req, res, 201, window);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /lots/:lotId/floors/:floorNumber/maintenance
+   * Put every spot on a floor into maintenance
+   */
+  async scheduleFloor(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const floorNumber = validateFloorNumberParam(req.params.floorNumber);
+      const validatedData = validateMaintenanceRequest(req.body);
+      const result = await maintenanceService.scheduleFloorMaintenance(
+        req.lot._id,
+        floorNumber,
+        validatedData
+      );
+
+      this.respond(req, res, 201, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /lots/:lotId/maintenance
+   * List maintenance windows (filters: status, floor_number)
+   */
+  async listWindows(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const filters = validateMaintenanceQueryParams(req.query || {});
+      const windows = await maintenanceService.listWindows(req.lot._id, filters);
+
+      this.respond(req, res, 200, { windows, count: windows.length });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /lots/:lotId/maintenance/:windowId
+   * End a window early (ACTIVE -> COMPLETED, SCHEDULED -> CANCELLED); the window is kept as history
+   */
+  async endWindow(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const windowId = validateWindowIdParam(req.params.windowId);
+      const window = await maintenanceService.endWindow(req.lot._id, windowId);
+
+      this.respond(req, res, 200, window);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /lots/:lotId/spots/:spotId/maintenance
+   * Maintenance history for a spot
+   */
+  async getSpotHistory(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const spotId = validateSpotIdParam(req.params.spotId);
+      const history = await maintenanceService.getSpotHistory(req.lot._id, spotId);
+
+      this.respond(req, res, 200, history);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new MaintenanceController();
@@ -2,7 +2,15 @@ const entryService = require('../services/entryService');
 const exitService = require('../services/exitService');
 const availabilityService = require('../services/availabilityService');
 const { validateEntryRequest, validateEntryQueryParams } = require('../validators/entryValidator');
-const { validateExitRequest, validateExitQueryParams, validateLicensePlateParam } = require('../validators/exitValidator');
+const {
+  validateExitRequest,
+  validateExitQueryParams,
+  validateLicensePlateParam,
+  validateManualExitRequest,
+  validateActiveTransactionSearchParams,
+  validatePlateSearchParams,
+} = require('../validators/exitValidator');
+const { validateTransactionIdParam } = require('../validators/paymentValidator');
 const AppError = require('../errors/AppError');
 const { createLogger } = require('../utils/logger');
 
@@ -22,11 +30,11 @@ class ParkingController {
     try {
       logger.logRequest(req);
 
-      // Validate request body
-      const validatedData = validateEntryRequest(req.body);
+      // Validate request body (and the plate against the lot's region formats)
+      const validatedData = validateEntryRequest(req.body, req.lot);
 
       // Process entry
-      const result = await entryService.processEntry(validatedData);
+      const result = await entryService.processEntry(req.lot._id, validatedData);
 
       const startTime = Date.now();
       res.status(200).json({
@@ -55,7 +63,81 @@ class ParkingController {
       const queryParams = validateExitQueryParams(req.query || {});
 
       // Process exit
-      const result = await exitService.processExit(validatedData);
+      const result = await exitService.processExit(req.lot._id, validatedData);
+
+      const startTime = Date.now();
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+
+      logger.logResponse(req, 200, Date.now() - startTime);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /parking/transactions/active
+   * Search active transactions (plate fragment, spot, entry window) for a manual exit
+   */
+  async searchActiveTransactions(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const criteria = validateActiveTransactionSearchParams(req.query || {});
+      const transactions = await exitService.searchActiveTransactions(req.lot._id, criteria);
+
+      const startTime = Date.now();
+      res.status(200).json({
+        success: true,
+        data: { transactions, count: transactions.length },
+      });
+
+      logger.logResponse(req, 200, Date.now() - startTime);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /parking/vehicles/search
+   * Rank parked vehicles by how closely their plate matches a misread or mistyped plate
+   */
+  async searchPlateCandidates(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const criteria = validatePlateSearchParams(req.query || {});
+      const candidates = await exitService.findPlateCandidates(req.lot._id, criteria);
+
+      const startTime = Date.now();
+      res.status(200).json({
+        success: true,
+        data: { query: criteria.plate, candidates, count: candidates.length },
+      });
+
+      logger.logResponse(req, 200, Date.now() - startTime);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /parking/transactions/:transactionId/manual-exit
+   * Release a vehicle by transaction (unrecognised plate or lost ticket)
+   */
+  async manualExit(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const transactionId = validateTransactionIdParam(req.params.transactionId);
+      const validatedData = validateManualExitRequest(req.body, req.user.id);
+      const result = await exitService.processManualExit(
+        req.lot._id,
+        transactionId,
+        validatedData
+      );
 
       const startTime = Date.now();
       res.status(200).json({
@@ -77,6 +159,7 @@ class ParkingController {
     try {
       logger.logRequest(req);
 
+      const lotId = req.lot._id;
       const vehicleType = req.query.vehicle_type;
       const floorNumber = req.query.floor_number;
 
@@ -95,7 +178,7 @@ class ParkingController {
         // Filter by vehicle type
         result = {
           success: true,
-          data: await availabilityService.getDetailedAvailability(vehicleType),
+          data: await availabilityService.getDetailedAvailability(lotId, vehicleType),
         };
       } else if (floorNumber) {
         // Filter by floor
@@ -110,7 +193,7 @@ class ParkingController {
         result = {
           success: true,
           data: {
-            floor_availability: await availabilityService.getAvailabilityByFloor(floorNum),
+            floor_availability: await availabilityService.getAvailabilityByFloor(lotId, floorNum),
             timestamp: new Date(),
           },
         };
@@ -118,7 +201,7 @@ class ParkingController {
         // Get overall availability
         result = {
           success: true,
-          data: await availabilityService.getOverallAvailability(),
+          data: await availabilityService.getOverallAvailability(lotId),
         };
       }
 
@@ -145,13 +228,14 @@ class ParkingController {
       // Get active entry to determine if parked
       let data;
       try {
-        const activeEntry = await entryService.getActiveEntry(licensePlate);
+        const activeEntry = await entryService.getActiveEntry(licensePlate, req.lot._id);
         data = {
           vehicle_id: activeEntry.vehicle_id,
           license_plate: licensePlate,
           is_parked: true,
           parking_details: {
             transaction_id: activeEntry.transaction_id,
+            lot_id: activeEntry.lot_id,
             spot_id: activeEntry.spot_id,
             entry_time: activeEntry.entry_time,
             current_duration_minutes: activeEntry.parking_duration_minutes,
@@ -0,0 +1,87 @@
+const paymentService = require('../services/paymentService');
+const {
+  validatePaymentRequest,
+  validateTransactionIdParam,
+} = require('../validators/paymentValidator');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('PaymentController');
+
+/**
+ * Payment Controller
+ * Handles payment endpoints for exited parking transactions
+ */
+
+class PaymentController {
+  /**
+   * Send a success response and log it
+   * @private
+   */
+  respond(req, res, statusCode, data) {
+    const startTime = Date.now();
+    res.status(statusCode).json({
+      success: true,
+      data,
+    });
+
+    logger.logResponse(req, statusCode, Date.now() - startTime);
+  }
+
+  /**
+   * POST /parking/transactions/:transactionId/payments
+   * Record a (partial) payment against an exited transaction
+   */
+  async recordPayment(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const transactionId = validateTransactionIdParam(req.params.transactionId);
+      const validatedData = validatePaymentRequest(req.body);
+      const result = await paymentService.recordPayment(req.lot._id, transactionId, validatedData);
+
+      // 202: the gateway resolves the payment later (webhook)
+      this.respond(req, res, result.payment.status === 'PENDING' ? 202 : 201, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /parking/transactions/:transactionId/payments
+   * List payments and the balance due of a transaction
+   */
+  async listPayments(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const transactionId = validateTransactionIdParam(req.params.transactionId);
+      const result = await paymentService.listPayments(req.lot._id, transactionId);
+
+      this.respond(req, res, 200, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /payments/webhooks/:gateway
+   * Receive a payment gateway event (authenticated by signature, not Bearer token)
+   */
+  async handleWebhook(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const result = await paymentService.handleWebhook(
+        req.params.gateway,
+        req.rawBody,
+        req.get('X-Gateway-Signature')
+      );
+
+      this.respond(req, res, 200, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new PaymentController();
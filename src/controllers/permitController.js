@@ -0,0 +1,119 @@
+const permitService = require('../services/permitService');
+const {
+  validateCreatePermitRequest,
+  validateUpdatePermitRequest,
+  validatePermitQueryParams,
+  validatePermitIdParam,
+} = require('../validators/permitValidator');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('PermitController');
+
+/**
+ * Permit Controller
+ * Handles monthly permit and subscription endpoints
+ */
+
+class PermitController {
+  /**
+   * Send a success response and log it
+   * @private
+   */
+  respond(req, res, statusCode, data) {
+    const startTime = Date.now();
+    res.status(statusCode).json({
+      success: true,
+      data,
+    });
+
+    logger.logResponse(req, statusCode, Date.now() - startTime);
+  }
+
+  /**
+   * POST /parking/permits
+   * Issue a permit
+   */
+  async createPermit(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const validatedData = validateCreatePermitRequest(req.body);
+      const permit = await permitService.createPermit(req.lot._id, validatedData);
+
+      this.respond(req, res, 201, permit);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /parking/permits
+   * List permits (filters: status, license_plate, active)
+   */
+  async listPermits(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const filters = validatePermitQueryParams(req.query || {});
+      const permits = await permitService.listPermits(req.lot._id, filters);
+
+      this.respond(req, res, 200, { permits, count: permits.length });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /parking/permits/:permitId
+   * Get a permit
+   */
+  async getPermit(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const permitId = validatePermitIdParam(req.params.permitId);
+      const permit = await permitService.getPermitDetails(req.lot._id, permitId);
+
+      this.respond(req, res, 200, permit);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /parking/permits/:permitId
+   * Update an ACTIVE permit
+   */
+  async updatePermit(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const permitId = validatePermitIdParam(req.params.permitId);
+      const validatedData = validateUpdatePermitRequest(req.body);
+      const permit = await permitService.updatePermit(req.lot._id, permitId, validatedData);
+
+      this.respond(req, res, 200, permit);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /parking/permits/:permitId
+   * Revoke a permit; the permit is kept as history
+   */
+  async revokePermit(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const permitId = validatePermitIdParam(req.params.permitId);
+      const permit = await permitService.revokePermit(req.lot._id, permitId);
+
+      this.respond(req, res, 200, permit);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new PermitController();
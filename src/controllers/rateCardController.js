@@ -0,0 +1,100 @@
+const rateCardService = require('../services/rateCardService');
+const {
+  validateCreateRateCardRequest,
+  validateRateCardQueryParams,
+  validateRateCardIdParam,
+} = require('../validators/rateCardValidator');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('RateCardController');
+
+/**
+ * Rate Card Controller
+ * Handles rate card version management endpoints
+ */
+
+class RateCardController {
+  /**
+   * Send a success response and log it
+   * @private
+   */
+  respond(req, res, statusCode, data) {
+    const startTime = Date.now();
+    res.status(statusCode).json({
+      success: true,
+      data,
+    });
+
+    logger.logResponse(req, statusCode, Date.now() - startTime);
+  }
+
+  /**
+   * POST /rate-cards
+   * Create or schedule a new rate card version
+   */
+  async createVersion(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const validatedData = validateCreateRateCardRequest(req.body);
+      const rateCard = await rateCardService.createVersion(validatedData);
+
+      this.respond(req, res, 201, rateCard);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /rate-cards
+   * List rate card versions (filters: lot_id, vehicle_type)
+   */
+  async listVersions(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const filters = validateRateCardQueryParams(req.query || {});
+      const rateCards = await rateCardService.listVersions(filters);
+
+      this.respond(req, res, 200, { rate_cards: rateCards, count: rateCards.length });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /rate-cards/:rateCardId
+   * Get a rate card version
+   */
+  async getVersion(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const rateCardId = validateRateCardIdParam(req.params.rateCardId);
+      const rateCard = await rateCardService.getVersionDetails(rateCardId);
+
+      this.respond(req, res, 200, rateCard);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /rate-cards/:rateCardId
+   * Withdraw a scheduled version that is not in force yet
+   */
+  async deleteVersion(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const rateCardId = validateRateCardIdParam(req.params.rateCardId);
+      const rateCard = await rateCardService.deleteVersion(rateCardId);
+
+      this.respond(req, res, 200, rateCard);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new RateCardController();
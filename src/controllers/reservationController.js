@@ -0,0 +1,103 @@
+const reservationService = require('../services/reservationService');
+const {
+  validateReservationRequest,
+  validateReservationQueryParams,
+  validateReservationIdParam,
+} = require('../validators/reservationValidator');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('ReservationController');
+
+/**
+ * Reservation Controller
+ * Handles advance reservation endpoints
+ */
+
+class ReservationController {
+  /**
+   * Send a success response and log it
+   * @private
+   */
+  respond(req, res, statusCode, data) {
+    const startTime = Date.now();
+    res.status(statusCode).json({
+      success: true,
+      data,
+    });
+
+    logger.logResponse(req, statusCode, Date.now() - startTime);
+  }
+
+  /**
+   * POST /parking/reservations
+   * Book a spot for a future window
+   */
+  async createReservation(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const validatedData = validateReservationRequest(req.body);
+      const result = await reservationService.createReservation(req.lot._id, validatedData);
+
+      this.respond(req, res, 201, result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /parking/reservations
+   * List reservations (filters: status, license_plate)
+   */
+  async listReservations(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const filters = validateReservationQueryParams(req.query || {});
+      const reservations = await reservationService.listReservations(req.lot._id, filters);
+
+      this.respond(req, res, 200, { reservations, count: reservations.length });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /parking/reservations/:reservationId
+   * Get a reservation
+   */
+  async getReservation(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const reservationId = validateReservationIdParam(req.params.reservationId);
+      const reservation = await reservationService.getReservationDetails(
+        req.lot._id,
+        reservationId
+      );
+
+      this.respond(req, res, 200, reservation);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /parking/reservations/:reservationId
+   * Cancel a BOOKED reservation; the reservation is kept as history
+   */
+  async cancelReservation(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const reservationId = validateReservationIdParam(req.params.reservationId);
+      const reservation = await reservationService.cancelReservation(req.lot._id, reservationId);
+
+      this.respond(req, res, 200, reservation);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ReservationController();
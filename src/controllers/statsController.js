@@ -31,7 +31,7 @@ class StatsController {
       }
 
       // Get statistics
-      const statistics = await statsService.getStatistics(timePeriod);
+      const statistics = await statsService.getStatistics(req.lot._id, timePeriod);
 
       const startTime = Date.now();
       res.status(200).json({
@@ -53,7 +53,7 @@ class StatsController {
     try {
       logger.logRequest(req);
 
-      const occupancyStats = await statsService.getOccupancyStats();
+      const occupancyStats = await statsService.getOccupancyStats(req.lot._id);
 
       const startTime = Date.now();
       res.status(200).json({
@@ -75,7 +75,7 @@ class StatsController {
     try {
       logger.logRequest(req);
 
-      const vehicleStats = await statsService.getVehicleStats();
+      const vehicleStats = await statsService.getVehicleStats(req.lot._id);
 
       const startTime = Date.now();
       res.status(200).json({
@@ -128,7 +128,11 @@ class StatsController {
       }
 
       // Get revenue report
-      const revenueReport = await statsService.getRevenueReport(startDate, endDate);
+      const revenueReport = await statsService.getRevenueReport(
+        req.lot._id,
+        startDate,
+        endDate
+      );
 
       const startTime = Date.now();
       res.status(200).json({
@@ -148,7 +152,7 @@ class StatsController {
    */
   async healthCheck(req, res, next) {
     try {
-      const occupancy = await statsService.getOccupancyStats();
+      const occupancy = await statsService.getOccupancyStats(req.lot._id);
 
       res.status(200).json({
         success: true,
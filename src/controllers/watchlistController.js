@@ -0,0 +1,137 @@
+const watchlistService = require('../services/watchlistService');
+const {
+  validateCreateWatchlistEntryRequest,
+  validateUpdateWatchlistEntryRequest,
+  validateWatchlistQueryParams,
+  validateWatchlistHitQueryParams,
+  validateWatchlistEntryIdParam,
+} = require('../validators/watchlistValidator');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('WatchlistController');
+
+/**
+ * Watchlist Controller
+ * Handles blacklist / watchlist entry and hit review endpoints
+ */
+
+class WatchlistController {
+  /**
+   * Send a success response and log it
+   * @private
+   */
+  respond(req, res, statusCode, data) {
+    const startTime = Date.now();
+    res.status(statusCode).json({
+      success: true,
+      data,
+    });
+
+    logger.logResponse(req, statusCode, Date.now() - startTime);
+  }
+
+  /**
+   * POST /parking/watchlist
+   * Add a plate to the blacklist or watchlist
+   */
+  async addEntry(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const validatedData = validateCreateWatchlistEntryRequest(req.body);
+      const entry = await watchlistService.addEntry(req.lot._id, validatedData);
+
+      this.respond(req, res, 201, entry);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /parking/watchlist
+   * List watchlist entries (filters: list_type, status, license_plate, active)
+   */
+  async listEntries(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const filters = validateWatchlistQueryParams(req.query || {});
+      const entries = await watchlistService.listEntries(req.lot._id, filters);
+
+      this.respond(req, res, 200, { entries, count: entries.length });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /parking/watchlist/hits
+   * List recorded hits for review (filters: list_type, action, entry_id, from, to)
+   */
+  async listHits(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const filters = validateWatchlistHitQueryParams(req.query || {});
+      const hits = await watchlistService.listHits(req.lot._id, filters);
+
+      this.respond(req, res, 200, { hits, count: hits.length });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /parking/watchlist/:entryId
+   * Get a watchlist entry
+   */
+  async getEntry(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const entryId = validateWatchlistEntryIdParam(req.params.entryId);
+      const entry = await watchlistService.getEntryDetails(req.lot._id, entryId);
+
+      this.respond(req, res, 200, entry);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /parking/watchlist/:entryId
+   * Update an ACTIVE watchlist entry
+   */
+  async updateEntry(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const entryId = validateWatchlistEntryIdParam(req.params.entryId);
+      const validatedData = validateUpdateWatchlistEntryRequest(req.body);
+      const entry = await watchlistService.updateEntry(req.lot._id, entryId, validatedData);
+
+      this.respond(req, res, 200, entry);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /parking/watchlist/:entryId
+   * Remove a watchlist entry; the entry is kept with its hits as history
+   */
+  async removeEntry(req, res, next) {
+    try {
+      logger.logRequest(req);
+
+      const entryId = validateWatchlistEntryIdParam(req.params.entryId);
+      const entry = await watchlistService.removeEntry(req.lot._id, entryId);
+
+      this.respond(req, res, 200, entry);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new WatchlistController();
@@ -0,0 +1,159 @@
+/**
+ * Database Migrations
+ * Idempotent data migrations run at startup when RUN_MIGRATIONS=true
+ */
+
+const ParkingLot = require('../models/ParkingLot');
+const ParkingSpot = require('../models/ParkingSpot');
+const ParkingTransaction = require('../models/ParkingTransaction');
+const RateCard = require('../models/RateCard');
+const Permit = require('../models/Permit');
+const Reservation = require('../models/Reservation');
+const Vehicle = require('../models/Vehicle');
+const { normalizePlate } = require('../utils/plateNormalizer');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('Migrations');
+
+// Vehicles updated per bulk write when backfilling normalized plates
+const BACKFILL_BATCH_SIZE = 1000;
+
+/**
+ * Assign lot_id to spots and transactions created before multi-lot support
+ * Legacy documents are attached to the default lot (DEFAULT_LOT_ID or first lot)
+ * @returns {Promise<Object>} Number of spots and transactions updated
+ */
+const backfillLotReferences = async () => {
+  const defaultLot = process.env.DEFAULT_LOT_ID
+    ? await ParkingLot.findById(process.env.DEFAULT_LOT_ID)
+    : await ParkingLot.findOne().sort({ created_at: 1 });
+
+  if (!defaultLot) {
+    logger.warn('No parking lot found, skipping lot_id backfill');
+    return { spots: 0, transactions: 0 };
+  }
+
+  const missingLot = { lot_id: { $exists: false } };
+  const [spotResult, transactionResult] = await Promise.all([
+    ParkingSpot.updateMany(missingLot, { $set: { lot_id: defaultLot._id } }),
+    ParkingTransaction.updateMany(missingLot, { $set: { lot_id: defaultLot._id } }),
+  ]);
+
+  logger.info('Backfilled lot references', {
+    lotId: defaultLot._id,
+    spots: spotResult.modifiedCount,
+    transactions: transactionResult.modifiedCount,
+  });
+
+  return {
+    spots: spotResult.modifiedCount,
+    transactions: transactionResult.modifiedCount,
+  };
+};
+
+/**
+ * Turn rate cards created before versioning into version 1 of their timeline,
+ * in force since forever (so existing transactions keep their pricing)
+ * @returns {Promise<number>} Number of rate cards updated
+ */
+const backfillRateCardVersions = async () => {
+  const [versionResult, effectiveResult] = await Promise.all([
+    RateCard.updateMany({ version: { $exists: false } }, { $set: { version: 1 } }),
+    RateCard.updateMany(
+      { effective_from: { $exists: false } },
+      { $set: { effective_from: new Date(0), effective_to: null } }
+    ),
+  ]);
+
+  logger.info('Backfilled rate card versions', {
+    versions: versionResult.modifiedCount,
+    effectiveDates: effectiveResult.modifiedCount,
+  });
+
+  return Math.max(versionResult.modifiedCount, effectiveResult.modifiedCount);
+};
+
+/**
+ * Derive normalized_plate for every vehicle whose stored key is missing or stale, so
+ * vehicles stored before plates were normalized are found by it and its unique index can
+ * be built
+ * @returns {Promise<number>} Number of vehicles updated
+ * @throws {Error} If several vehicles share a normalized plate (nothing is updated then):
+ *                 they must be merged first
+ */
+const backfillNormalizedPlates = async () => {
+  const platesByKey = new Map();
+  const updates = [];
+
+  const cursor = Vehicle.find({}, { license_plate: 1, normalized_plate: 1 }).lean().cursor();
+  for await (const vehicle of cursor) {
+    const normalizedPlate = normalizePlate(vehicle.license_plate);
+    platesByKey.set(normalizedPlate, [
+      ...(platesByKey.get(normalizedPlate) || []),
+      vehicle.license_plate,
+    ]);
+
+    if (vehicle.normalized_plate !== normalizedPlate) {
+      updates.push({
+        updateOne: {
+          filter: { _id: vehicle._id },
+          update: { $set: { normalized_plate: normalizedPlate } },
+        },
+      });
+    }
+  }
+
+  const duplicates = [...platesByKey.values()].filter((plates) => plates.length > 1);
+  if (duplicates.length > 0) {
+    throw new Error(
+      'Vehicles share a normalized plate and must be merged before migrating: ' +
+        duplicates.map((plates) => plates.join(' / ')).join(', ')
+    );
+  }
+
+  for (let i = 0; i < updates.length; i += BACKFILL_BATCH_SIZE) {
+    await Vehicle.bulkWrite(updates.slice(i, i + BACKFILL_BATCH_SIZE));
+  }
+
+  logger.info('Backfilled normalized plates', { vehicles: updates.length });
+  return updates.length;
+};
+
+/**
+ * Rebuild indexes whose definition changed
+ * (e.g. spot uniqueness is now per lot, rate cards are unique per lot + vehicle type + version,
+ * permits and reservations are matched by normalized plate, normalized vehicle plates are
+ * unique)
+ */
+const syncIndexes = async () => {
+  await Promise.all([
+    ParkingSpot.syncIndexes(),
+    RateCard.syncIndexes(),
+    Permit.syncIndexes(),
+    Reservation.syncIndexes(),
+    Vehicle.syncIndexes(),
+  ]);
+  logger.info('Indexes synchronized', {
+    models: ['ParkingSpot', 'RateCard', 'Permit', 'Reservation', 'Vehicle'],
+  });
+};
+
+/**
+ * Run all migrations in order
+ */
+const runMigrations = async () => {
+  logger.info('Running database migrations...');
+  await backfillLotReferences();
+  await backfillRateCardVersions();
+  await backfillNormalizedPlates();
+  await syncIndexes();
+  logger.info('Database migrations complete');
+};
+
+module.exports = {
+  runMigrations,
+  backfillLotReferences,
+  backfillRateCardVersions,
+  backfillNormalizedPlates,
+  syncIndexes,
+};
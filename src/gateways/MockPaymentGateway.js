@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const PaymentGateway = require('./PaymentGateway');
+const AppError = require('../errors/AppError');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('MockPaymentGateway');
+
+/**
+ * Test tokens and the outcome they simulate (no token = tok_approved)
+ */
+const MOCK_TOKENS = {
+  tok_approved: { status: 'AUTHORIZED' },
+  tok_declined: { status: 'DECLINED', reason: 'card_declined' },
+  tok_insufficient_funds: { status: 'DECLINED', reason: 'insufficient_funds' },
+  tok_delayed_approved: { status: 'PENDING', webhook: 'payment.captured' },
+  tok_delayed_declined: { status: 'PENDING', webhook: 'payment.failed', reason: 'card_declined' },
+};
+
+/**
+ * Mock Payment Gateway
+ * Offline provider for development and tests:
+ * - Outcomes are chosen by test token (see MOCK_TOKENS)
+ * - Delayed outcomes are delivered as signed webhooks after
+ *   MOCK_GATEWAY_WEBHOOK_DELAY_MS (default 2000) to the registered webhook listener,
+ *   which processes them exactly like webhooks received over HTTP
+ */
+class MockPaymentGateway extends PaymentGateway {
+  constructor() {
+    super('mock');
+    this.secret = process.env.MOCK_GATEWAY_WEBHOOK_SECRET || 'mock-gateway-secret';
+    this.webhookDelayMs = parseInt(process.env.MOCK_GATEWAY_WEBHOOK_DELAY_MS || '2000');
+    this.charges = new Map();
+    this.scheduledWebhooks = new Map();
+    this.webhookListener = null;
+  }
+
+  /**
+   * Register the in-process receiver for simulated webhooks
+   * @param {Function} listener - async (rawBody, signature) => void
+   */
+  setWebhookListener(listener) {
+    this.webhookListener = listener;
+  }
+
+  /**
+   * Sign a webhook payload
+   * @param {string} payload - Raw payload
+   * @returns {string} Hex HMAC-SHA256 signature
+   */
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
+  }
+
+  /**
+   * Get a known charge or fail
+   * @private
+   */
+  getCharge(gatewayReference) {
+    const charge = this.charges.get(gatewayReference);
+
+    if (!charge) {
+      throw new AppError(
+        `Unknown mock charge ${gatewayReference}`,
+        502,
+        'PAYMENT_GATEWAY_ERROR'
+      );
+    }
+
+    return charge;
+  }
+
+  async authorize({ amount, token, reference }) {
+    const outcome = MOCK_TOKENS[token || 'tok_approved']
+      || { status: 'DECLINED', reason: 'invalid_token' };
+    const gatewayReference = `mock_ch_${crypto.randomUUID()}`;
+
+    this.charges.set(gatewayReference, {
+      reference,
+      amount,
+      status: outcome.status,
+      captured: 0,
+      refunded: 0,
+    });
+
+    if (outcome.webhook) {
+      this.scheduleWebhook(outcome.webhook, gatewayReference, outcome.reason);
+    }
+
+    logger.debug('Mock authorization', { gatewayReference, reference, status: outcome.status });
+
+    return {
+      status: outcome.status,
+      gateway_reference: gatewayReference,
+      decline_reason: outcome.status === 'DECLINED' ? outcome.reason : null,
+    };
+  }
+
+  async capture(gatewayReference, amount) {
+    const charge = this.getCharge(gatewayReference);
+
+    if (charge.status !== 'AUTHORIZED' || amount > charge.amount) {
+      throw new AppError(
+        `Mock charge ${gatewayReference} cannot be captured (${charge.status})`,
+        502,
+        'PAYMENT_GATEWAY_ERROR'
+      );
+    }
+
+    charge.status = 'CAPTURED';
+    charge.captured = amount;
+    return { status: 'CAPTURED' };
+  }
+
+  async refund(gatewayReference, amount) {
+    const charge = this.getCharge(gatewayReference);
+
+    if (charge.status !== 'CAPTURED' || charge.refunded + amount > charge.captured) {
+      throw new AppError(
+        `Mock charge ${gatewayReference} cannot be refunded by ${amount}`,
+        502,
+        'PAYMENT_GATEWAY_ERROR'
+      );
+    }
+
+    charge.refunded += amount;
+    return { status: 'REFUNDED', refund_reference: `mock_re_${crypto.randomUUID()}` };
+  }
+
+  verifyWebhook(rawBody, signature) {
+    const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+    const expected = Buffer.from(this.sign(payload));
+    const received = Buffer.from(String(signature || ''));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new AppError(
+        'Invalid webhook signature',
+        401,
+        'INVALID_SIGNATURE'
+      );
+    }
+
+    return JSON.parse(payload);
+  }
+
+  /**
+   * Resolve a pending charge and deliver its webhook after the configured delay
+   * @private
+   */
+  scheduleWebhook(type, gatewayReference, reason = null) {
+    const timer = setTimeout(() => {
+      this.deliverWebhook(type, gatewayReference, reason);
+    }, this.webhookDelayMs);
+
+    // Never keep the process alive just for a simulated webhook
+    timer.unref();
+    this.scheduledWebhooks.set(gatewayReference, { timer, type, reason });
+  }
+
+  /**
+   * Deliver a webhook to the registered listener
+   * @private
+   */
+  async deliverWebhook(type, gatewayReference, reason) {
+    this.scheduledWebhooks.delete(gatewayReference);
+    const charge = this.charges.get(gatewayReference);
+
+    if (type === 'payment.captured') {
+      charge.status = 'CAPTURED';
+      charge.captured = charge.amount;
+    } else {
+      charge.status = 'DECLINED';
+    }
+
+    const payload = JSON.stringify({
+      id: `mock_evt_${crypto.randomUUID()}`,
+      type,
+      data: {
+        reference: charge.reference,
+        gateway_reference: gatewayReference,
+        amount: charge.amount,
+        reason,
+      },
+    });
+
+    if (!this.webhookListener) {
+      logger.warn('Mock webhook dropped: no listener registered', { type, gatewayReference });
+      return;
+    }
+
+    try {
+      await this.webhookListener(payload, this.sign(payload));
+    } catch (error) {
+      logger.error('Mock webhook delivery failed', error, { type, gatewayReference });
+    }
+  }
+
+  /**
+   * Deliver every scheduled webhook now (tests)
+   * @returns {Promise<void>}
+   */
+  async flushWebhooks() {
+    const scheduled = Array.from(this.scheduledWebhooks.entries());
+
+    for (const [gatewayReference, { timer, type, reason }] of scheduled) {
+      clearTimeout(timer);
+      await this.deliverWebhook(type, gatewayReference, reason);
+    }
+  }
+}
+
+module.exports = MockPaymentGateway;
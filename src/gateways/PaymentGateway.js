@@ -0,0 +1,63 @@
+/**
+ * Payment Gateway interface
+ * Base class for card payment providers. Amounts are in currency units (e.g. 12.50 USD).
+ *
+ * Gateway statuses:
+ * - authorize: AUTHORIZED (funds held), DECLINED, or PENDING (outcome arrives by webhook)
+ * - capture:   CAPTURED
+ * - refund:    REFUNDED
+ *
+ * Webhook events: { id, type, data: { reference, gateway_reference, amount, reason } }
+ * where type is payment.captured, payment.failed or payment.refunded and reference is
+ * the merchant reference passed to authorize (our payment ID).
+ */
+class PaymentGateway {
+  /**
+   * @param {string} name - Gateway name used in webhook URLs and on payment records
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Authorize (hold) an amount
+   * @param {Object} request - { amount, currency, token, reference }
+   * @returns {Promise<Object>} { status, gateway_reference, decline_reason }
+   */
+  async authorize(request) {
+    throw new Error(`${this.name} gateway does not implement authorize`);
+  }
+
+  /**
+   * Capture a previously authorized amount
+   * @param {string} gatewayReference - Reference returned by authorize
+   * @param {number} amount - Amount to capture
+   * @returns {Promise<Object>} { status }
+   */
+  async capture(gatewayReference, amount) {
+    throw new Error(`${this.name} gateway does not implement capture`);
+  }
+
+  /**
+   * Refund (part of) a captured amount
+   * @param {string} gatewayReference - Reference returned by authorize
+   * @param {number} amount - Amount to refund
+   * @returns {Promise<Object>} { status, refund_reference }
+   */
+  async refund(gatewayReference, amount) {
+    throw new Error(`${this.name} gateway does not implement refund`);
+  }
+
+  /**
+   * Verify a webhook signature and parse the event
+   * @param {Buffer|string} rawBody - Raw request body exactly as received
+   * @param {string} signature - Signature header value
+   * @returns {Object} Parsed event
+   * @throws {AppError} INVALID_SIGNATURE if the signature does not match
+   */
+  verifyWebhook(rawBody, signature) {
+    throw new Error(`${this.name} gateway does not implement verifyWebhook`);
+  }
+}
+
+module.exports = PaymentGateway;
@@ -0,0 +1,49 @@
+const PaymentGateway = require('./PaymentGateway');
+const MockPaymentGateway = require('./MockPaymentGateway');
+const AppError = require('../errors/AppError');
+
+/**
+ * Payment Gateway Registry
+ * Card payments go through the gateway named by PAYMENT_GATEWAY (default: mock).
+ * Providers register here and receive webhooks at /payments/webhooks/:gateway.
+ */
+
+const gateways = new Map([['mock', new MockPaymentGateway()]]);
+
+/**
+ * Register a payment gateway
+ * @param {PaymentGateway} gateway - Gateway instance
+ */
+const registerPaymentGateway = (gateway) => {
+  if (!(gateway instanceof PaymentGateway)) {
+    throw new Error('Payment gateways must extend PaymentGateway');
+  }
+
+  gateways.set(gateway.name, gateway);
+};
+
+/**
+ * Get a payment gateway by name
+ * @param {string} name - Gateway name (default: PAYMENT_GATEWAY or mock)
+ * @returns {PaymentGateway} Gateway
+ * @throws {AppError} NOT_FOUND if no gateway is registered under the name
+ */
+const getPaymentGateway = (name = process.env.PAYMENT_GATEWAY || 'mock') => {
+  const gateway = gateways.get(name);
+
+  if (!gateway) {
+    throw new AppError(
+      `Payment gateway ${name} is not configured`,
+      404,
+      'NOT_FOUND'
+    );
+  }
+
+  return gateway;
+};
+
+module.exports = {
+  PaymentGateway,
+  registerPaymentGateway,
+  getPaymentGateway,
+};
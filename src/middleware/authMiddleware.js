@@ -1,54 +1,127 @@
 const AppError = require('../errors/AppError');
+const apiKeyService = require('../services/apiKeyService');
+const { verifyToken } = require('../utils/jwt');
+const { setActor } = require('../utils/requestContext');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('AuthMiddleware');
 
 /**
- * Authentication middleware to verify Bearer token
- * All endpoints require Bearer token authentication
+ * Read the credential from the request
+ * Authorization: Bearer <JWT or API key>, or X-API-Key: <API key>
  * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
+ * @returns {string} Credential
+ * @throws {AppError} UNAUTHORIZED if no credential is presented
  */
-const authMiddleware = (req, res, next) => {
-  try {
-    // Get authorization header
-    const authHeader = req.headers.authorization;
-
-    // Check if header exists
-    if (!authHeader) {
-      throw new AppError(
-        'Authorization header is missing',
-        401,
-        'UNAUTHORIZED'
-      );
-    }
+const getCredential = (req) => {
+  const authHeader = req.headers.authorization;
 
-    // Check if header follows Bearer token format
-    const parts = authHeader.split(' ');
-    if (parts.length !== 2 || parts[0] !== 'Bearer') {
-      throw new AppError(
-        'Invalid authorization header format. Expected: Bearer <token>',
-        401,
-        'UNAUTHORIZED'
-      );
+  if (!authHeader) {
+    if (req.headers['x-api-key']) {
+      return req.headers['x-api-key'];
     }
 
-    const token = parts[1];
+    throw new AppError(
+      'Authorization header is missing',
+      401,
+      'UNAUTHORIZED'
+    );
+  }
+
+  // Check if header follows Bearer token format
+  const parts = authHeader.split(' ');
+  if (parts.length !== 2 || parts[0] !== 'Bearer') {
+    throw new AppError(
+      'Invalid authorization header format. Expected: Bearer <token>',
+      401,
+      'UNAUTHORIZED'
+    );
+  }
+
+  if (parts[1].trim().length === 0) {
+    throw new AppError(
+      'Token is empty',
+      401,
+      'UNAUTHORIZED'
+    );
+  }
+
+  return parts[1];
+};
+
+/**
+ * Verify an API key and describe its principal
+ * @param {string} key - API key
+ * @returns {Promise<Object>} Principal
+ * @throws {AppError} UNAUTHORIZED if the key is unknown, revoked or expired
+ */
+const authenticateApiKey = async (key) => {
+  const apiKey = await apiKeyService.authenticate(key);
+
+  if (!apiKey) {
+    throw new AppError('Invalid, revoked or expired API key', 401, 'UNAUTHORIZED');
+  }
+
+  return {
+    auth_type: 'api_key',
+    id: apiKey._id.toString(),
+    name: apiKey.name,
+    role: apiKey.role,
+    key_prefix: apiKey.key_prefix,
+  };
+};
 
-    // Validate token is not empty
-    if (!token || token.trim().length === 0) {
-      throw new AppError(
-        'Token is empty',
-        401,
-        'UNAUTHORIZED'
-      );
+/**
+ * Verify a JWT and describe its principal
+ * @param {string} token - JWT
+ * @returns {Object} Principal
+ * @throws {AppError} UNAUTHORIZED if the token is not valid
+ */
+const authenticateToken = (token) => {
+  let claims;
+  try {
+    claims = verifyToken(token);
+  } catch (error) {
+    if (error.message === 'Token verification is not configured') {
+      logger.error('JWT_SECRET / JWT_PUBLIC_KEY is not configured', error);
     }
+    throw new AppError(error.message, 401, 'UNAUTHORIZED');
+  }
+
+  return {
+    auth_type: 'jwt',
+    id: claims.sub,
+    name: claims.name || claims.sub,
+    role: typeof claims.role === 'string' ? claims.role.toUpperCase() : null,
+    claims,
+  };
+};
+
+/**
+ * Authentication middleware
+ * All endpoints require a signed JWT (Authorization: Bearer <token>) or an API key
+ * (Authorization: Bearer pk_... or X-API-Key: pk_...); see utils/jwt and apiKeyService.
+ * The verified principal, with the role it acts under, is attached as req.user
+ * (permissions are checked per route by middleware/authorize) and recorded as the actor
+ * of the request context for the audit log
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authMiddleware = async (req, res, next) => {
+  try {
+    const credential = getCredential(req);
+
+    const principal = apiKeyService.isApiKey(credential)
+      ? await authenticateApiKey(credential)
+      : authenticateToken(credential);
 
-    // Attach token to request object for later use
-    req.token = token;
     req.user = {
       authenticated: true,
-      token: token,
+      ...principal,
       timestamp: new Date(),
     };
+    setActor(principal);
 
     next();
   } catch (error) {
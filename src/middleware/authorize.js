@@ -0,0 +1,39 @@
+const AppError = require('../errors/AppError');
+const { ERROR_CODES } = require('../constants/errorCodes');
+const { isValidPermission, hasPermission } = require('../constants/roles');
+
+/**
+ * Authorization middleware factory
+ * Lets the request through only if the authenticated caller's role (req.user.role, set by
+ * authMiddleware) grants the permission; otherwise fails with 403 FORBIDDEN.
+ * Usage: app.post(path, authorize(PERMISSIONS.LOTS_MANAGE), handler)
+ * @param {string} permission - Required permission (see constants/roles)
+ * @returns {Function} Express middleware
+ * @throws {Error} If the permission is unknown (a route wiring mistake)
+ */
+const authorize = (permission) => {
+  if (!isValidPermission(permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    const role = req.user ? req.user.role : null;
+
+    if (!hasPermission(role, permission)) {
+      const { code, message, statusCode } = ERROR_CODES.FORBIDDEN;
+      return next(
+        new AppError(
+          role
+            ? `${message}: role ${role} lacks ${permission}`
+            : `${message}: no role assigned to this caller`,
+          statusCode,
+          code
+        )
+      );
+    }
+
+    next();
+  };
+};
+
+module.exports = authorize;
@@ -0,0 +1,88 @@
+const idempotencyService = require('../services/idempotencyService');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('Idempotency');
+
+/**
+ * Route parameters identifying the request, without the lot (hashed as the resolved lot)
+ * @param {Object} params - req.params
+ * @returns {Object} Parameters
+ * @private
+ */
+const routeParams = ({ lotId, ...params }) => params;
+
+/**
+ * Idempotency middleware
+ * For routes whose retries must not repeat their effect (entry, exit, payments, refunds).
+ * Requests with an Idempotency-Key header run once per key and caller; duplicates get the
+ * stored response, marked with Idempotent-Replayed: true (see idempotencyService).
+ * Requests without the header are unaffected. Runs after authentication and lotResolver
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const idempotency = async (req, res, next) => {
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  if (idempotencyKey === undefined) {
+    return next();
+  }
+
+  try {
+    const result = await idempotencyService.begin({
+      principal: `${req.user.auth_type}:${req.user.id}`,
+      idempotency_key: idempotencyKey,
+      method: req.method,
+      path: req.originalUrl,
+      lot_id: req.lot._id.toString(),
+      route: req.route.path,
+      params: routeParams(req.params),
+      body: req.body,
+    });
+
+    if (result.replay) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(result.replay.status).json(result.replay.body);
+    }
+
+    // Keep the key locked for as long as the request runs (its transaction may be retried
+    // past the lock time), so a retry is refused as in progress rather than run again
+    const renewal = setInterval(() => {
+      idempotencyService.renew(result.key).catch((error) =>
+        logger.error('Error renewing idempotency key lock', error, { key: result.key })
+      );
+    }, idempotencyService.lockRenewalMs);
+    renewal.unref();
+
+    let settled = false;
+    const settle = (work) => {
+      settled = true;
+      clearInterval(renewal);
+      return work.catch((error) =>
+        logger.error('Error saving idempotency key outcome', error, { key: result.key })
+      );
+    };
+
+    // Store the response before sending it, so a retry arriving as soon as the client has
+    // it is replayed rather than refused as in progress
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.json = json;
+      settle(idempotencyService.finish(result.key, res.statusCode, body)).then(() => json(body));
+      return res;
+    };
+
+    // Connection closed without a JSON response: let the request be retried
+    res.once('close', () => {
+      if (!settled) {
+        settle(idempotencyService.release(result.key));
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = idempotency;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const parkingLotRepository = require('../repositories/parkingLotRepository');
+const AppError = require('../errors/AppError');
+
+/**
+ * Lot resolver middleware
+ * Resolves the parking lot a request operates on and attaches it as req.lot
+ * - Lot-scoped routes (/lots/:lotId/...) use the lot from the path
+ * - Legacy routes (/parking/...) use the configured default lot (DEFAULT_LOT_ID or first lot)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const lotResolver = async (req, res, next) => {
+  try {
+    const { lotId } = req.params;
+    let lot;
+
+    if (lotId) {
+      if (!mongoose.isValidObjectId(lotId)) {
+        throw new AppError(
+          `Invalid lot ID format: ${lotId}`,
+          400,
+          'INVALID_ID'
+        );
+      }
+
+      lot = await parkingLotRepository.findById(lotId);
+
+      if (!lot) {
+        throw new AppError(
+          `Parking lot ${lotId} not found`,
+          404,
+          'LOT_NOT_FOUND'
+        );
+      }
+    } else {
+      lot = await parkingLotRepository.findDefault();
+
+      if (!lot) {
+        throw new AppError(
+          'No default parking lot configured',
+          404,
+          'LOT_NOT_FOUND'
+        );
+      }
+    }
+
+    req.lot = lot;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = lotResolver;
@@ -1,27 +1,142 @@
 const AppError = require('../errors/AppError');
+const { getRateLimitStore, MemoryRateLimitStore } = require('../rateLimitStores');
+const {
+  RATE_LIMIT_ALGORITHMS,
+  slidingWindow,
+  peekSlidingWindow,
+} = require('../utils/rateLimitAlgorithms');
+const {
+  parseRateLimitConfig,
+  loadRateLimitConfig,
+  resolveRateLimitRule,
+} = require('../utils/rateLimitConfig');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('RateLimiter');
 
 /**
  * Rate limiter middleware
- * Limits: 1000 requests per minute per API key
- * Uses in-memory store (can be replaced with Redis for distributed systems)
+ * Limits each caller (authenticated principal, or IP address) per rule: route and role
+ * rules from the rate limit configuration (see utils/rateLimitConfig), default
+ * 1000 requests per minute. Counters are kept in a rate limit store (see rateLimitStores),
+ * so with the mongo or redis store all instances share them and restarts keep them.
+ * Runs after authentication, so per-role limits know the caller's role.
+ *
+ * ipMiddleware runs before authentication and limits by IP address: the ip rule for every
+ * request, and the stricter auth_failures rule for addresses whose requests keep failing
+ * authentication, refused before their credentials are looked up.
+ *
+ * The store is resolved once, at startup (see initialize). Rate limiting is never turned
+ * off by a failing store: while it fails, counters are kept in process memory instead
  */
 class RateLimiter {
-  constructor(maxRequests = 1000, windowMs = 60000) {
-    this.maxRequests = maxRequests;
-    this.windowMs = windowMs; // 1 minute in milliseconds
-    this.requests = new Map();
+  /**
+   * @param {Object} config - Parsed rate limit configuration
+   * @param {RateLimitStore} store - Store (default: the store named by the configuration)
+   */
+  constructor(config, store = null) {
+    this.config = config;
+    this.algorithm = RATE_LIMIT_ALGORITHMS[config.algorithm];
+    this.store = store;
+    this.fallbackStore = new MemoryRateLimitStore();
+  }
+
+  /**
+   * Resolve the configured store. Called at startup (server.js), after stores are
+   * registered, so a store that cannot be set up stops the server
+   * @returns {RateLimitStore} Store
+   * @throws {Error} If the store is not registered or cannot be created
+   */
+  initialize() {
+    if (!this.store) {
+      this.store = getRateLimitStore(this.config.store);
+    }
+    return this.store;
   }
 
   /**
-   * Clean up old entries to prevent memory leaks
+   * Store holding the counters. Without initialize (e.g. the app used without server.js)
+   * it is resolved on first use; if that fails the in-memory store is used from then on
+   * @returns {RateLimitStore} Store
    */
-  cleanup() {
-    const now = Date.now();
-    for (const [key, data] of this.requests) {
-      if (now - data.resetTime > this.windowMs) {
-        this.requests.delete(key);
+  getStore() {
+    if (!this.store) {
+      try {
+        this.initialize();
+      } catch (error) {
+        logger.error('Rate limit store not available, counting in process memory', error, {
+          store: this.config.store,
+        });
+        this.store = this.fallbackStore;
       }
     }
+    return this.store;
+  }
+
+  /**
+   * Run a rate limit algorithm against the store, or against the in-memory store while
+   * the store fails, so requests stay limited (per process) when it is unreachable
+   * @param {Function} algorithm - Algorithm (see utils/rateLimitAlgorithms)
+   * @param {string} key - Client key
+   * @param {Object} rule - { limit, window_ms }
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<Object>} Decision
+   */
+  async decide(algorithm, key, rule, now) {
+    try {
+      return await algorithm(this.getStore(), key, rule, now);
+    } catch (error) {
+      logger.error('Rate limit store unavailable, counting in process memory', error, {
+        store: this.config.store,
+      });
+      return algorithm(this.fallbackStore, key, rule, now);
+    }
+  }
+
+  /**
+   * Identify the caller: the authenticated principal, else the IP address
+   * @param {Object} req - Express request object
+   * @returns {string} Client identifier
+   */
+  getClientId(req) {
+    if (req.user && req.user.id) {
+      return `${req.user.auth_type}:${req.user.id}`;
+    }
+    return `ip:${req.ip}`;
+  }
+
+  /**
+   * Check a request against its rule, counting it
+   * @param {Object} req - Express request object
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<Object>} Decision (see utils/rateLimitAlgorithms)
+   */
+  async check(req, now = Date.now()) {
+    const role = req.user ? req.user.role : null;
+    const { scope, ...rule } = resolveRateLimitRule(this.config, req.method, req.path, role);
+    const key = `${scope}:${this.getClientId(req)}`;
+
+    return this.decide(this.algorithm, key, rule, now);
+  }
+
+  /**
+   * Refuse a request over its limit with 429 and Retry-After
+   * @param {Object} res - Express response object
+   * @param {Object} decision - Decision (see utils/rateLimitAlgorithms)
+   */
+  sendLimitExceeded(res, decision) {
+    const retryAfterSeconds = Math.ceil(decision.retry_after_ms / 1000);
+    res.set('X-RateLimit-Limit', decision.limit);
+    res.set('X-RateLimit-Remaining', decision.remaining);
+    res.set('X-RateLimit-Reset', decision.reset_at);
+    res.set('Retry-After', retryAfterSeconds);
+
+    const error = new AppError(
+      `Rate limit exceeded. Retry after ${retryAfterSeconds} seconds`,
+      429,
+      'RATE_LIMIT_EXCEEDED'
+    );
+    res.status(error.getStatusCode()).json(error.toJSON());
   }
 
   /**
@@ -31,61 +146,80 @@ class RateLimiter {
    * @param {Function} next - Express next middleware function
    */
   middleware() {
-    return (req, res, next) => {
+    return async (req, res, next) => {
+      let decision;
       try {
-        // Get client identifier (API key from header or IP address)
-        const clientId = req.headers['x-api-key'] || req.ip;
-
-        const now = Date.now();
-        let clientData = this.requests.get(clientId);
-
-        // Initialize or reset if window has passed
-        if (!clientData || now - clientData.resetTime > this.windowMs) {
-          clientData = {
-            count: 0,
-            resetTime: now,
-          };
-          this.requests.set(clientId, clientData);
-        }
+        decision = await this.check(req);
+      } catch (error) {
+        return next(error);
+      }
 
-        // Increment request count
-        clientData.count++;
+      // Set rate limit headers
+      res.set('X-RateLimit-Limit', decision.limit);
+      res.set('X-RateLimit-Remaining', decision.remaining);
+      res.set('X-RateLimit-Reset', decision.reset_at);
 
-        // Calculate remaining requests and reset time
-        const remaining = Math.max(0, this.maxRequests - clientData.count);
-        const resetTime = Math.ceil(clientData.resetTime + this.windowMs);
+      if (!decision.allowed) {
+        return this.sendLimitExceeded(res, decision);
+      }
 
-        // Set rate limit headers
-        res.set('X-RateLimit-Limit', this.maxRequests);
-        res.set('X-RateLimit-Remaining', remaining);
-        res.set('X-RateLimit-Reset', resetTime);
+      next();
+    };
+  }
 
-        // Check if rate limit exceeded
-        if (clientData.count > this.maxRequests) {
-          throw new AppError(
-            `Rate limit exceeded. Maximum ${this.maxRequests} requests per minute allowed`,
-            429,
-            'RATE_LIMIT_EXCEEDED'
+  /**
+   * Pre-authentication middleware: limits by IP address (see class comment)
+   * Failed authentications (401 responses) are counted once the response is sent.
+   * They are always counted in sliding windows, whatever the configured algorithm, so
+   * an address can be checked without counting its request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  ipMiddleware() {
+    return async (req, res, next) => {
+      const now = Date.now();
+      const failuresKey = `auth_failures:${req.ip}`;
+      let decision;
+      try {
+        decision = await this.decide(this.algorithm, `ip:${req.ip}`, this.config.ip, now);
+        if (decision.allowed) {
+          decision = await this.decide(
+            peekSlidingWindow,
+            failuresKey,
+            this.config.auth_failures,
+            now
           );
         }
+      } catch (error) {
+        return next(error);
+      }
 
-        // Periodically clean up old entries
-        if (Math.random() < 0.01) {
-          this.cleanup();
-        }
+      if (!decision.allowed) {
+        return this.sendLimitExceeded(res, decision);
+      }
 
-        next();
-      } catch (error) {
-        if (error instanceof AppError) {
-          return res.status(error.getStatusCode()).json(error.toJSON());
+      res.on('finish', () => {
+        if (res.statusCode === 401) {
+          this.decide(slidingWindow, failuresKey, this.config.auth_failures, Date.now()).catch(
+            (error) => logger.error('Could not count failed authentication', error)
+          );
         }
-        next(error);
-      }
+      });
+
+      next();
     };
   }
 }
 
+const config = process.env.RATE_LIMIT_CONFIG_FILE
+  ? loadRateLimitConfig(process.env.RATE_LIMIT_CONFIG_FILE)
+  : parseRateLimitConfig();
+
 // Create singleton instance
-const rateLimiter = new RateLimiter(1000, 60000);
+const rateLimiter = new RateLimiter(config);
 
 module.exports = rateLimiter.middleware();
+module.exports.ipRateLimiter = rateLimiter.ipMiddleware();
+module.exports.initializeRateLimiter = () => rateLimiter.initialize();
+module.exports.RateLimiter = RateLimiter;
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/requestContext');
+
+// Incoming IDs are kept only if they are short and safe to log
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Request ID middleware
+ * Uses the caller's X-Request-Id when it is well formed, otherwise generates one.
+ * The ID is attached as req.id, echoed in the X-Request-Id response header and
+ * available to the rest of the request through utils/requestContext
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  runWithContext({ request_id: req.id, actor: null }, next);
+};
+
+module.exports = requestId;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { getValidRoles } = require('../constants/roles');
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    // First characters of the key, shown to identify it (the key itself is never stored)
+    key_prefix: {
+      type: String,
+      required: [true, 'Key prefix is required'],
+    },
+    // SHA-256 of the key (see apiKeyService)
+    key_hash: {
+      type: String,
+      required: [true, 'Key hash is required'],
+      unique: true,
+    },
+    // Role the key acts under (see constants/roles)
+    role: {
+      type: String,
+      enum: {
+        values: getValidRoles(),
+        message: 'Invalid role. Must be KIOSK, ATTENDANT, SUPERVISOR or ADMIN',
+      },
+      default: 'KIOSK',
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['ACTIVE', 'REVOKED'],
+        message: 'Invalid status. Must be ACTIVE or REVOKED',
+      },
+      default: 'ACTIVE',
+      index: true,
+    },
+    // Key stops authenticating after this time (null = until revoked)
+    expires_at: {
+      type: Date,
+      default: null,
+    },
+    // Principal that created the key
+    created_by: {
+      type: String,
+      default: null,
+    },
+    last_used_at: {
+      type: Date,
+      default: null,
+    },
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+    // Key issued when this key was rotated
+    replaced_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      default: null,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  }
+);
+
+// The key hash never leaves the server
+apiKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.key_hash;
+    return ret;
+  },
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Principal that made the change (see authMiddleware); system for sweeps and schedulers
+    actor: {
+      auth_type: {
+        type: String,
+        enum: {
+          values: ['jwt', 'api_key', 'gateway', 'system'],
+          message: 'Invalid actor type. Must be jwt, api_key, gateway, or system',
+        },
+        required: [true, 'Actor type is required'],
+      },
+      id: {
+        type: String,
+        required: [true, 'Actor ID is required'],
+      },
+      name: {
+        type: String,
+        default: null,
+      },
+      role: {
+        type: String,
+        default: null,
+      },
+    },
+    // Operation, e.g. VEHICLE_ENTRY, PAYMENT_RECORDED, SPOT_UPDATED
+    action: {
+      type: String,
+      required: [true, 'Action is required'],
+    },
+    // Model name of the changed entity, e.g. ParkingTransaction, ParkingSpot, RateCard
+    entity_type: {
+      type: String,
+      required: [true, 'Entity type is required'],
+    },
+    entity_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Entity ID is required'],
+    },
+    lot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingLot',
+      default: null,
+    },
+    // Entity snapshots around the change (before is null on creation, after on deletion)
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // X-Request-Id of the request that made the change (null outside a request)
+    request_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: false,
+    },
+    // Snapshots are stored as taken, including empty objects
+    minimize: false,
+  }
+);
+
+// Index for the history of one entity
+auditLogSchema.index({ entity_type: 1, entity_id: 1, created_at: -1 });
+
+// Index for per-lot and per-actor audit queries
+auditLogSchema.index({ lot_id: 1, created_at: -1 });
+auditLogSchema.index({ 'actor.id': 1, created_at: -1 });
+
+// Index for filtering by action over a period
+auditLogSchema.index({ action: 1, created_at: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const chargingSessionSchema = new mongoose.Schema(
+  {
+    lot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingLot',
+      required: [true, 'Parking lot ID is required'],
+      index: true,
+    },
+    transaction_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingTransaction',
+      required: [true, 'Transaction ID is required'],
+      index: true,
+    },
+    spot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingSpot',
+      required: [true, 'Spot ID is required'],
+    },
+    // Charger power rating when the session started (kW)
+    power_kw: {
+      type: Number,
+      required: [true, 'Charger power is required'],
+      min: [0, 'Charger power cannot be negative'],
+    },
+    started_at: {
+      type: Date,
+      required: [true, 'Start time is required'],
+    },
+    ended_at: {
+      type: Date,
+      default: null,
+    },
+    energy_kwh: {
+      type: Number,
+      default: null,
+      min: [0, 'Energy cannot be negative'],
+    },
+    // Energy was estimated from the charger's rating (no meter reading was reported)
+    energy_estimated: {
+      type: Boolean,
+      default: false,
+    },
+    // More energy was delivered or estimated than CHARGING_MAX_SESSION_KWH; energy_kwh is
+    // the capped amount billed
+    energy_capped: {
+      type: Boolean,
+      default: false,
+    },
+    rate_per_kwh: {
+      type: Number,
+      default: null,
+      min: [0, 'Charging rate cannot be negative'],
+    },
+    fee: {
+      type: Number,
+      default: null,
+      min: [0, 'Charging fee cannot be negative'],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['ACTIVE', 'COMPLETED'],
+        message: 'Invalid status. Must be ACTIVE or COMPLETED',
+      },
+      default: 'ACTIVE',
+      index: true,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  }
+);
+
+// Index for the sessions of a stay
+chargingSessionSchema.index({ transaction_id: 1, status: 1 });
+
+const ChargingSession = mongoose.model('ChargingSession', chargingSessionSchema);
+
+module.exports = ChargingSession;
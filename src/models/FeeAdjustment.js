@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const feeAdjustmentSchema = new mongoose.Schema(
+  {
+    transaction_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingTransaction',
+      required: [true, 'Transaction ID is required'],
+      index: true,
+    },
+    lot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingLot',
+      required: [true, 'Parking lot ID is required'],
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: {
+        values: ['DISCOUNT', 'OVERRIDE', 'VOID', 'REFUND'],
+        message: 'Invalid adjustment type. Must be DISCOUNT, OVERRIDE, VOID, or REFUND',
+      },
+      required: [true, 'Adjustment type is required'],
+    },
+    // parking_fee before and after the adjustment (equal for refunds that only return credit)
+    previous_fee: {
+      type: Number,
+      required: [true, 'Previous fee is required'],
+      min: [0, 'Previous fee cannot be negative'],
+    },
+    new_fee: {
+      type: Number,
+      required: [true, 'New fee is required'],
+      min: [0, 'New fee cannot be negative'],
+    },
+    // DISCOUNT only: percentage of the previous fee, when requested as a percentage
+    percent: {
+      type: Number,
+      default: null,
+    },
+    // REFUND only: amount returned, how, and the payment it was returned against
+    refund_amount: {
+      type: Number,
+      default: null,
+      min: [0, 'Refund amount cannot be negative'],
+    },
+    refund_method: {
+      type: String,
+      default: null,
+    },
+    payment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      default: null,
+    },
+    gateway_refund_reference: {
+      type: String,
+      default: null,
+    },
+    previous_payment_status: {
+      type: String,
+      required: [true, 'Previous payment status is required'],
+    },
+    new_payment_status: {
+      type: String,
+      required: [true, 'New payment status is required'],
+    },
+    operator_id: {
+      type: String,
+      required: [true, 'Operator ID is required'],
+      trim: true,
+      maxlength: [100, 'Operator ID cannot exceed 100 characters'],
+    },
+    reason: {
+      type: String,
+      required: [true, 'Adjustment reason is required'],
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: false,
+    },
+  }
+);
+
+// Index for adjustment history of a transaction
+feeAdjustmentSchema.index({ transaction_id: 1, created_at: 1 });
+
+// Index for per-lot adjustment reporting
+feeAdjustmentSchema.index({ lot_id: 1, type: 1, created_at: -1 });
+
+const FeeAdjustment = mongoose.model('FeeAdjustment', feeAdjustmentSchema);
+
+module.exports = FeeAdjustment;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Idempotency key (see middleware/idempotency)
+ * The first request made with a key, and once it has completed its response, replayed
+ * for retries of the same request until the key expires
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  // Principal and Idempotency-Key header: keys are scoped to the caller
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    unique: true,
+  },
+  method: {
+    type: String,
+    required: [true, 'Method is required'],
+  },
+  // As sent, for tracing: the same request may come through /parking or /lots/:lotId/parking
+  path: {
+    type: String,
+    required: [true, 'Path is required'],
+  },
+  // SHA-256 of the method, lot, route and body: a reused key must come with the same request
+  request_hash: {
+    type: String,
+    required: [true, 'Request hash is required'],
+  },
+  state: {
+    type: String,
+    enum: ['IN_PROGRESS', 'COMPLETED'],
+    default: 'IN_PROGRESS',
+  },
+  response_status: {
+    type: Number,
+  },
+  response_body: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  // Pushed back while the request runs: still in progress after this, the request is taken
+  // to have died with its server
+  locked_until: {
+    type: Date,
+  },
+  // Removed by the TTL monitor once past (within about a minute)
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry is required'],
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// TTL index: MongoDB deletes keys after expires_at
+idempotencyKeySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const maintenanceWindowSchema = new mongoose.Schema(
+  {
+    lot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingLot',
+      required: [true, 'Parking lot ID is required'],
+      index: true,
+    },
+    spot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingSpot',
+      required: [true, 'Spot ID is required'],
+      index: true,
+    },
+    floor_number: {
+      type: Number,
+      required: [true, 'Floor number is required'],
+      min: [1, 'Floor number must be positive'],
+    },
+    reason: {
+      type: String,
+      required: [true, 'Maintenance reason is required'],
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    technician: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Technician cannot exceed 100 characters'],
+      default: null,
+    },
+    starts_at: {
+      type: Date,
+      required: [true, 'Start time is required'],
+    },
+    // null = open-ended, restored only when ended manually
+    ends_at: {
+      type: Date,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['SCHEDULED', 'ACTIVE', 'COMPLETED', 'CANCELLED'],
+        message: 'Invalid status. Must be SCHEDULED, ACTIVE, COMPLETED, or CANCELLED',
+      },
+      default: 'SCHEDULED',
+      index: true,
+    },
+    started_at: {
+      type: Date,
+      default: null,
+    },
+    completed_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  }
+);
+
+// Index for the scheduler sweep (due SCHEDULED / expired ACTIVE windows)
+maintenanceWindowSchema.index({ status: 1, starts_at: 1, ends_at: 1 });
+
+// Index for per-spot history
+maintenanceWindowSchema.index({ spot_id: 1, starts_at: -1 });
+
+const MaintenanceWindow = mongoose.model('MaintenanceWindow', maintenanceWindowSchema);
+
+module.exports = MaintenanceWindow;
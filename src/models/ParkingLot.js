@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/timeZone');
+const { isValidPlateRegion, PLATE_REGION_MODES } = require('../utils/plateRegions');
+const { getValidVehicleTypes } = require('../constants/vehicleTypes');
 
 const parkingLotSchema = new mongoose.Schema(
   {
@@ -13,41 +16,40 @@ const parkingLotSchema = new mongoose.Schema(
       type: Number,
       required: [true, 'Total floors is required'],
       min: [1, 'Total floors must be at least 1'],
+      default: 1,
     },
     total_spots: {
       type: Number,
       required: [true, 'Total spots is required'],
-      min: [1, 'Total spots must be at least 1'],
-    },
-    available_motorcycle_spots: {
-      type: Number,
-      required: [true, 'Available motorcycle spots is required'],
-      min: [0, 'Available motorcycle spots cannot be negative'],
-    },
-    available_car_spots: {
-      type: Number,
-      required: [true, 'Available car spots is required'],
-      min: [0, 'Available car spots cannot be negative'],
-    },
-    available_bus_spots: {
-      type: Number,
-      required: [true, 'Available bus spots is required'],
-      min: [0, 'Available bus spots cannot be negative'],
-    },
-    occupied_motorcycle_spots: {
-      type: Number,
+      min: [0, 'Total spots cannot be negative'],
       default: 0,
-      min: [0, 'Occupied spots cannot be negative'],
     },
-    occupied_car_spots: {
-      type: Number,
-      default: 0,
-      min: [0, 'Occupied spots cannot be negative'],
+    // IANA time zone used for local-time pricing (time bands)
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Timezone must be a valid IANA time zone',
+      },
     },
-    occupied_bus_spots: {
-      type: Number,
-      default: 0,
-      min: [0, 'Occupied spots cannot be negative'],
+    // Region plate formats checked at entry (see utils/plateRegions); empty = not checked
+    plate_regions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (codes) => codes.every(isValidPlateRegion),
+        message: 'Plate regions must be registered region codes',
+      },
+    },
+    // Entry of a plate matching none of plate_regions: FLAG it or REJECT it
+    plate_region_mode: {
+      type: String,
+      enum: {
+        values: PLATE_REGION_MODES,
+        message: 'Invalid plate region mode. Must be FLAG or REJECT',
+      },
+      default: 'FLAG',
     },
   },
   {
@@ -58,11 +60,34 @@ const parkingLotSchema = new mongoose.Schema(
   }
 );
 
+// Per vehicle type counters: available_<type>_spots and occupied_<type>_spots
+// (e.g. available_car_spots) for every registered vehicle type
+getValidVehicleTypes().forEach((vehicleType) => {
+  const type = vehicleType.toLowerCase();
+  const label = type.replace(/_/g, ' ');
+
+  parkingLotSchema.add({
+    [`available_${type}_spots`]: {
+      type: Number,
+      required: [true, `Available ${label} spots is required`],
+      min: [0, `Available ${label} spots cannot be negative`],
+      default: 0,
+    },
+    [`occupied_${type}_spots`]: {
+      type: Number,
+      default: 0,
+      min: [0, 'Occupied spots cannot be negative'],
+    },
+  });
+});
+
 // Virtual for occupancy rate
 parkingLotSchema.virtual('occupancy_rate').get(function () {
   if (this.total_spots === 0) return 0;
-  const totalOccupied =
-    this.occupied_motorcycle_spots + this.occupied_car_spots + this.occupied_bus_spots;
+  const totalOccupied = getValidVehicleTypes().reduce(
+    (sum, type) => sum + (this[`occupied_${type.toLowerCase()}_spots`] || 0),
+    0
+  );
   return (totalOccupied / this.total_spots).toFixed(2);
 });
 
@@ -1,7 +1,18 @@
 const mongoose = require('mongoose');
+const {
+  getValidVehicleTypes,
+  describeValidVehicleTypes,
+} = require('../constants/vehicleTypes');
+const { getValidSpotAttributes } = require('../constants/spotAttributes');
 
 const parkingSpotSchema = new mongoose.Schema(
   {
+    lot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingLot',
+      required: [true, 'Parking lot ID is required'],
+      index: true,
+    },
     floor_number: {
       type: Number,
       required: [true, 'Floor number is required'],
@@ -15,8 +26,8 @@ const parkingSpotSchema = new mongoose.Schema(
     spot_type: {
       type: String,
       enum: {
-        values: ['MOTORCYCLE', 'CAR', 'BUS'],
-        message: 'Invalid spot type. Must be MOTORCYCLE, CAR, or BUS',
+        values: getValidVehicleTypes(),
+        message: `Invalid spot type. Must be one of: ${describeValidVehicleTypes()}`,
       },
       required: [true, 'Spot type is required'],
       index: true,
@@ -30,6 +41,21 @@ const parkingSpotSchema = new mongoose.Schema(
       default: 'AVAILABLE',
       index: true,
     },
+    // Categories on top of the size, e.g. ACCESSIBLE (see constants/spotAttributes)
+    attributes: {
+      type: [String],
+      enum: {
+        values: getValidSpotAttributes(),
+        message: `Invalid spot attribute. Must be one of: ${getValidSpotAttributes().join(', ')}`,
+      },
+      default: [],
+    },
+    // EV charger at the spot: power rating in kW (null = no charger)
+    ev_charger_kw: {
+      type: Number,
+      default: null,
+      min: [0, 'Charger power cannot be negative'],
+    },
     current_vehicle_id: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Vehicle',
@@ -44,11 +70,11 @@ const parkingSpotSchema = new mongoose.Schema(
   }
 );
 
-// Compound index for unique spot identification
-parkingSpotSchema.index({ floor_number: 1, spot_number: 1 }, { unique: true });
+// Compound index for unique spot identification within a lot
+parkingSpotSchema.index({ lot_id: 1, floor_number: 1, spot_number: 1 }, { unique: true });
 
 // Index for efficient spot allocation queries
-parkingSpotSchema.index({ status: 1, spot_type: 1, floor_number: 1 });
+parkingSpotSchema.index({ lot_id: 1, status: 1, spot_type: 1, floor_number: 1 });
 
 const ParkingSpot = mongoose.model('ParkingSpot', parkingSpotSchema);
 
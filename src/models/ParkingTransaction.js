@@ -2,6 +2,12 @@ const mongoose = require('mongoose');
 
 const parkingTransactionSchema = new mongoose.Schema(
   {
+    lot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingLot',
+      required: [true, 'Parking lot ID is required'],
+      index: true,
+    },
     vehicle_id: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Vehicle',
@@ -47,6 +53,93 @@ const parkingTransactionSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Sum of payments applied so far; the transaction is PAID once it covers parking_fee
+    // and charging_fee
+    amount_paid: {
+      type: Number,
+      default: 0,
+      min: [0, 'Amount paid cannot be negative'],
+    },
+    // Sum of refunds issued; amount_paid - amount_refunded is the net amount collected
+    amount_refunded: {
+      type: Number,
+      default: 0,
+      min: [0, 'Amount refunded cannot be negative'],
+    },
+    // Fee charged at exit, kept once adjustments change parking_fee (null = never adjusted)
+    original_fee: {
+      type: Number,
+      default: null,
+      min: [0, 'Original fee cannot be negative'],
+    },
+    // Rate card version in force at entry; the exit fee is priced with it
+    rate_card_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RateCard',
+      default: null,
+    },
+    rate_card_version: {
+      type: Number,
+      default: null,
+    },
+    // Reservation the vehicle checked in with (null = drive-up)
+    reservation_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reservation',
+      default: null,
+    },
+    // How the vehicle left: STANDARD (plate at the exit), MANUAL (attendant, transaction
+    // found by search) or LOST_TICKET (manual, lost-ticket fee applied); null while parked
+    exit_type: {
+      type: String,
+      enum: {
+        values: ['STANDARD', 'MANUAL', 'LOST_TICKET'],
+        message: 'Invalid exit type. Must be STANDARD, MANUAL, or LOST_TICKET',
+      },
+      default: null,
+    },
+    // MANUAL / LOST_TICKET only: attendant who released the vehicle and why
+    exit_operator_id: {
+      type: String,
+      default: null,
+    },
+    exit_reason: {
+      type: String,
+      default: null,
+    },
+    // Permit the vehicle entered under; the stay is charged at the permit's rate
+    permit_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Permit',
+      default: null,
+    },
+    // EV charging sessions during the stay, billed beside parking_fee (the amount owed is
+    // parking_fee + charging_fee); permit rates and fee adjustments do not change it
+    charging_fee: {
+      type: Number,
+      default: 0,
+      min: [0, 'Charging fee cannot be negative'],
+    },
+    // What is charged: a PARKING stay, or the NO_SHOW fee of an unused reservation (no
+    // vehicle entered; entry_time is the reservation start, exit_time its release)
+    charge_type: {
+      type: String,
+      enum: {
+        values: ['PARKING', 'NO_SHOW'],
+        message: 'Invalid charge type. Must be PARKING or NO_SHOW',
+      },
+      default: 'PARKING',
+    },
+    // Lot plate region the plate matched at entry (null = none matched or not checked)
+    plate_region: {
+      type: String,
+      default: null,
+    },
+    // Plate matched none of the lot's plate regions (FLAG mode) and needs checking
+    plate_flagged: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: {
@@ -65,6 +158,9 @@ parkingTransactionSchema.index({ payment_status: 1, updated_at: -1 });
 // Index for vehicle history
 parkingTransactionSchema.index({ vehicle_id: 1, entry_time: -1 });
 
+// Index for per-lot statistics
+parkingTransactionSchema.index({ lot_id: 1, entry_time: -1 });
+
 const ParkingTransaction = mongoose.model('ParkingTransaction', parkingTransactionSchema);
 
 module.exports = ParkingTransaction;
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema(
+  {
+    transaction_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingTransaction',
+      required: [true, 'Transaction ID is required'],
+      index: true,
+    },
+    lot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingLot',
+      required: [true, 'Parking lot ID is required'],
+      index: true,
+    },
+    method: {
+      type: String,
+      enum: {
+        values: ['CASH', 'CARD', 'WALLET'],
+        message: 'Invalid payment method. Must be CASH, CARD, or WALLET',
+      },
+      required: [true, 'Payment method is required'],
+    },
+    // Amount applied to the transaction balance
+    amount: {
+      type: Number,
+      required: [true, 'Payment amount is required'],
+      min: [0, 'Payment amount cannot be negative'],
+    },
+    // Amount handed over by the customer; exceeds amount only for cash (change given)
+    amount_tendered: {
+      type: Number,
+      required: [true, 'Amount tendered is required'],
+      min: [0, 'Amount tendered cannot be negative'],
+    },
+    change_due: {
+      type: Number,
+      default: 0,
+      min: [0, 'Change cannot be negative'],
+    },
+    // Part of amount returned to the customer by refunds
+    amount_refunded: {
+      type: Number,
+      default: 0,
+      min: [0, 'Amount refunded cannot be negative'],
+    },
+    // PENDING = awaiting the gateway; only COMPLETED payments count towards amount_paid
+    status: {
+      type: String,
+      enum: {
+        values: ['PENDING', 'COMPLETED', 'FAILED'],
+        message: 'Invalid payment status. Must be PENDING, COMPLETED, or FAILED',
+      },
+      default: 'COMPLETED',
+    },
+    // Card payments: gateway that processed the payment and its charge reference
+    gateway: {
+      type: String,
+      default: null,
+    },
+    gateway_reference: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    failure_reason: {
+      type: String,
+      default: null,
+    },
+    // External reference (card slip, wallet transaction ID)
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Reference cannot exceed 100 characters'],
+      default: null,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  }
+);
+
+// Index for payment history of a transaction
+paymentSchema.index({ transaction_id: 1, created_at: 1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = Payment;
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const {
+  getValidVehicleTypes,
+  describeValidVehicleTypes,
+} = require('../constants/vehicleTypes');
+
+const permitSchema = new mongoose.Schema(
+  {
+    lot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingLot',
+      required: [true, 'Parking lot ID is required'],
+      index: true,
+    },
+    // Plates covered by the permit (e.g. a household's cars); one parks at a time
+    license_plates: {
+      type: [
+        {
+          type: String,
+          uppercase: true,
+          trim: true,
+        },
+      ],
+      validate: {
+        validator: (plates) => plates.length >= 1 && plates.length <= 5,
+        message: 'A permit must cover between 1 and 5 license plates',
+      },
+    },
+    // Lookup keys of license_plates: uppercase, separators removed (see utils/plateNormalizer)
+    normalized_plates: {
+      type: [String],
+      default: undefined,
+    },
+    vehicle_type: {
+      type: String,
+      enum: {
+        values: getValidVehicleTypes(),
+        message: `Invalid vehicle type. Must be one of: ${describeValidVehicleTypes()}`,
+      },
+      required: [true, 'Vehicle type is required'],
+    },
+    holder_name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Holder name cannot exceed 100 characters'],
+      default: null,
+    },
+    valid_from: {
+      type: Date,
+      required: [true, 'Validity start is required'],
+    },
+    valid_until: {
+      type: Date,
+      required: [true, 'Validity end is required'],
+    },
+    // Spot kept for the permit holder while the permit is valid
+    reserved_spot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingSpot',
+      default: null,
+    },
+    // Floor the permit holder is parked on when possible
+    reserved_floor: {
+      type: Number,
+      min: [1, 'Reserved floor must be at least 1'],
+      default: null,
+    },
+    // Hourly rate charged to permit holders, per billable hour of the rate card (0 = free)
+    hourly_rate: {
+      type: Number,
+      min: [0, 'Hourly rate cannot be negative'],
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['ACTIVE', 'REVOKED'],
+        message: 'Invalid status. Must be ACTIVE or REVOKED',
+      },
+      default: 'ACTIVE',
+      index: true,
+    },
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  }
+);
+
+// Index for matching an entering plate to its permit
+permitSchema.index({ lot_id: 1, normalized_plates: 1, status: 1, valid_from: 1 });
+
+// Index for spots reserved by permits
+permitSchema.index({ lot_id: 1, reserved_spot_id: 1, status: 1 });
+
+const Permit = mongoose.model('Permit', permitSchema);
+
+module.exports = Permit;
@@ -1,15 +1,89 @@
 const mongoose = require('mongoose');
+const {
+  getValidVehicleTypes,
+  describeValidVehicleTypes,
+} = require('../constants/vehicleTypes');
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Time-of-day / weekday pricing band. Bands are matched in array order (first wins);
+// hours outside every band are charged at the card's hourly_rate.
+const timeBandSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Time band name is required'],
+      trim: true,
+      maxlength: [50, 'Time band name cannot exceed 50 characters'],
+    },
+    // Weekdays the band starts on (0 = Sunday); empty = every day
+    days: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [],
+    },
+    // Local 'HH:MM'; end_time <= start_time wraps past midnight
+    start_time: {
+      type: String,
+      required: [true, 'Time band start_time is required'],
+      match: [TIME_OF_DAY_PATTERN, 'start_time must be HH:MM'],
+    },
+    end_time: {
+      type: String,
+      required: [true, 'Time band end_time is required'],
+      match: [TIME_OF_DAY_PATTERN, 'end_time must be HH:MM'],
+    },
+    hourly_rate: {
+      type: Number,
+      required: [true, 'Time band hourly rate is required'],
+      min: [0, 'Time band hourly rate cannot be negative'],
+    },
+  },
+  { _id: false }
+);
+
+// Overnight window charged at most a flat rate per night
+const overnightFlatRateSchema = new mongoose.Schema(
+  {
+    // Local 'HH:MM'; end_time before start_time wraps past midnight
+    start_time: {
+      type: String,
+      required: [true, 'Overnight start_time is required'],
+      match: [TIME_OF_DAY_PATTERN, 'start_time must be HH:MM'],
+    },
+    end_time: {
+      type: String,
+      required: [true, 'Overnight end_time is required'],
+      match: [TIME_OF_DAY_PATTERN, 'end_time must be HH:MM'],
+      validate: {
+        validator: function (v) {
+          return v !== this.start_time;
+        },
+        message: 'Overnight end_time must differ from start_time',
+      },
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Overnight flat rate is required'],
+      min: [0, 'Overnight flat rate cannot be negative'],
+    },
+  },
+  { _id: false }
+);
 
 const rateCardSchema = new mongoose.Schema(
   {
+    lot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingLot',
+      default: null,
+    },
     vehicle_type: {
       type: String,
       enum: {
-        values: ['MOTORCYCLE', 'CAR', 'BUS'],
-        message: 'Invalid vehicle type. Must be MOTORCYCLE, CAR, or BUS',
+        values: getValidVehicleTypes(),
+        message: `Invalid vehicle type. Must be one of: ${describeValidVehicleTypes()}`,
       },
       required: [true, 'Vehicle type is required'],
-      unique: [true, 'Vehicle type must be unique in rate cards'],
       index: true,
     },
     hourly_rate: {
@@ -33,6 +107,39 @@ const rateCardSchema = new mongoose.Schema(
         message: 'Daily max rate must be >= hourly rate',
       },
     },
+    weekly_max_rate: {
+      type: Number,
+      default: null,
+      min: [0, 'Weekly max rate cannot be negative'],
+      validate: {
+        validator: function (v) {
+          if (v === null || this.daily_max_rate === null) return true;
+          return v >= this.daily_max_rate;
+        },
+        message: 'Weekly max rate must be >= daily max rate',
+      },
+    },
+    // Minimum charge for a lost-ticket exit (null = the daily max rate, if any)
+    lost_ticket_fee: {
+      type: Number,
+      default: null,
+      min: [0, 'Lost ticket fee cannot be negative'],
+    },
+    // Price per kWh delivered by a spot's EV charger, added to the exit bill
+    charging_rate_per_kwh: {
+      type: Number,
+      default: 0,
+      min: [0, 'Charging rate cannot be negative'],
+    },
+    // Daily cap period: rolling 24 hours from entry, or calendar day in the lot's time zone
+    cap_mode: {
+      type: String,
+      enum: {
+        values: ['ROLLING_24H', 'CALENDAR_DAY'],
+        message: 'Invalid cap mode. Must be ROLLING_24H or CALENDAR_DAY',
+      },
+      default: 'ROLLING_24H',
+    },
     rounding_strategy: {
       type: String,
       enum: {
@@ -46,6 +153,37 @@ const rateCardSchema = new mongoose.Schema(
       default: 15,
       min: [0, 'Grace period cannot be negative'],
     },
+    time_bands: {
+      type: [timeBandSchema],
+      default: [],
+    },
+    overnight_flat_rate: {
+      type: overnightFlatRateSchema,
+      default: null,
+    },
+    // Versions form an append-only timeline per lot + vehicle type.
+    // Once a version is in force its pricing fields are never changed.
+    version: {
+      type: Number,
+      default: 1,
+      min: [1, 'Version must be at least 1'],
+    },
+    effective_from: {
+      type: Date,
+      default: Date.now,
+    },
+    // null = in force until superseded
+    effective_to: {
+      type: Date,
+      default: null,
+      validate: {
+        validator: function (v) {
+          if (v === null || !this.effective_from) return true;
+          return v > this.effective_from;
+        },
+        message: 'effective_to must be after effective_from',
+      },
+    },
   },
   {
     timestamps: {
@@ -55,6 +193,12 @@ const rateCardSchema = new mongoose.Schema(
   }
 );
 
+// One version number per vehicle type per lot (lot_id null = default for all lots)
+rateCardSchema.index({ lot_id: 1, vehicle_type: 1, version: 1 }, { unique: true });
+
+// Index for "version in force at time T" lookups
+rateCardSchema.index({ lot_id: 1, vehicle_type: 1, effective_from: -1 });
+
 const RateCard = mongoose.model('RateCard', rateCardSchema);
 
 module.exports = RateCard;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * Rate limit counter or token bucket (see rateLimitStores/MongoRateLimitStore)
+ */
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    unique: true,
+  },
+  // Fixed-window counters
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // Token buckets: tokens left and when they were last refilled (ms since epoch)
+  tokens: {
+    type: Number,
+  },
+  refilled_at: {
+    type: Number,
+  },
+  allowed: {
+    type: Boolean,
+  },
+  // Removed by the TTL monitor once past (within about a minute)
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry is required'],
+  },
+});
+
+// TTL index: MongoDB deletes counters after expires_at
+rateLimitCounterSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const {
+  getValidVehicleTypes,
+  describeValidVehicleTypes,
+} = require('../constants/vehicleTypes');
+
+const reservationSchema = new mongoose.Schema(
+  {
+    lot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingLot',
+      required: [true, 'Parking lot ID is required'],
+      index: true,
+    },
+    license_plate: {
+      type: String,
+      required: [true, 'License plate is required'],
+      uppercase: true,
+      trim: true,
+    },
+    // Lookup key: uppercase plate without separators (see utils/plateNormalizer)
+    normalized_plate: {
+      type: String,
+      default: null,
+    },
+    vehicle_type: {
+      type: String,
+      enum: {
+        values: getValidVehicleTypes(),
+        message: `Invalid vehicle type. Must be one of: ${describeValidVehicleTypes()}`,
+      },
+      required: [true, 'Vehicle type is required'],
+    },
+    // Spot held for the reservation; on check-in, the spot actually taken
+    spot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingSpot',
+      required: [true, 'Spot ID is required'],
+      index: true,
+    },
+    customer_name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Customer name cannot exceed 100 characters'],
+      default: null,
+    },
+    starts_at: {
+      type: Date,
+      required: [true, 'Start time is required'],
+    },
+    ends_at: {
+      type: Date,
+      required: [true, 'End time is required'],
+    },
+    // The spot is kept from drive-up allocation from hold_from until hold_until
+    // (arrival grace period, capped at ends_at)
+    hold_from: {
+      type: Date,
+      required: [true, 'Hold start is required'],
+    },
+    hold_until: {
+      type: Date,
+      required: [true, 'Hold end is required'],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['BOOKED', 'CHECKED_IN', 'NO_SHOW', 'CANCELLED'],
+        message: 'Invalid status. Must be BOOKED, CHECKED_IN, NO_SHOW, or CANCELLED',
+      },
+      default: 'BOOKED',
+      index: true,
+    },
+    // CHECKED_IN: transaction of the stay; NO_SHOW: transaction charging the no-show fee
+    transaction_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingTransaction',
+      default: null,
+    },
+    checked_in_at: {
+      type: Date,
+      default: null,
+    },
+    // NO_SHOW / CANCELLED: when the hold was released
+    released_at: {
+      type: Date,
+      default: null,
+    },
+    // NO_SHOW only: fee charged for the unused reservation (null = none)
+    no_show_fee: {
+      type: Number,
+      default: null,
+      min: [0, 'No-show fee cannot be negative'],
+    },
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  }
+);
+
+// Index for overlapping reservations on a spot
+reservationSchema.index({ spot_id: 1, status: 1, hold_from: 1, ends_at: 1 });
+
+// Index for matching an arriving plate to its reservation
+reservationSchema.index({ lot_id: 1, normalized_plate: 1, status: 1, hold_from: 1 });
+
+// Index for the no-show sweep
+reservationSchema.index({ status: 1, hold_until: 1 });
+
+const Reservation = mongoose.model('Reservation', reservationSchema);
+
+module.exports = Reservation;
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const {
+  getValidVehicleTypes,
+  describeValidVehicleTypes,
+} = require('../constants/vehicleTypes');
 
 const vehicleSchema = new mongoose.Schema(
   {
@@ -10,11 +14,17 @@ const vehicleSchema = new mongoose.Schema(
       maxlength: [20, 'License plate cannot exceed 20 characters'],
       index: true,
     },
+    // Lookup key: uppercase plate without separators (see utils/plateNormalizer).
+    // Unique, so "ABC-1234" and "ABC 1234" can never become two vehicles
+    normalized_plate: {
+      type: String,
+      required: [true, 'Normalized plate is required'],
+    },
     vehicle_type: {
       type: String,
       enum: {
-        values: ['MOTORCYCLE', 'CAR', 'BUS'],
-        message: 'Invalid vehicle type. Must be MOTORCYCLE, CAR, or BUS',
+        values: getValidVehicleTypes(),
+        message: `Invalid vehicle type. Must be one of: ${describeValidVehicleTypes()}`,
       },
       required: [true, 'Vehicle type is required'],
       index: true,
@@ -31,6 +41,11 @@ const vehicleSchema = new mongoose.Schema(
       maxlength: [50, 'Registration number cannot exceed 50 characters'],
       default: null,
     },
+    // Electric vehicle; EVs can request a charger spot at entry
+    is_ev: {
+      type: Boolean,
+      default: false,
+    },
     is_currently_parked: {
       type: Boolean,
       default: false,
@@ -48,6 +63,13 @@ const vehicleSchema = new mongoose.Schema(
 // Index for quick lookup by license plate
 vehicleSchema.index({ license_plate: 1 });
 
+// One vehicle per normalized plate (vehicles stored before normalization are backfilled by
+// migrations.backfillNormalizedPlates before this index is built)
+vehicleSchema.index(
+  { normalized_plate: 1 },
+  { unique: true, partialFilterExpression: { normalized_plate: { $type: 'string' } } }
+);
+
 const Vehicle = mongoose.model('Vehicle', vehicleSchema);
 
 module.exports = Vehicle;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const watchlistEntrySchema = new mongoose.Schema(
+  {
+    lot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingLot',
+      required: [true, 'Parking lot ID is required'],
+      index: true,
+    },
+    license_plate: {
+      type: String,
+      required: [true, 'License plate is required'],
+      uppercase: true,
+      trim: true,
+      maxlength: [20, 'License plate cannot exceed 20 characters'],
+    },
+    // Lookup key: uppercase plate without separators (see utils/plateNormalizer)
+    normalized_plate: {
+      type: String,
+      required: [true, 'Normalized plate is required'],
+    },
+    // BLACKLIST: entry refused; WATCHLIST: entry allowed, staff alerted
+    list_type: {
+      type: String,
+      enum: {
+        values: ['BLACKLIST', 'WATCHLIST'],
+        message: 'Invalid list type. Must be BLACKLIST or WATCHLIST',
+      },
+      required: [true, 'List type is required'],
+    },
+    reason: {
+      type: String,
+      required: [true, 'Reason is required'],
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    // Entry stops applying after this time (null = until removed)
+    expires_at: {
+      type: Date,
+      default: null,
+    },
+    added_by: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['ACTIVE', 'REMOVED'],
+        message: 'Invalid status. Must be ACTIVE or REMOVED',
+      },
+      default: 'ACTIVE',
+      index: true,
+    },
+    removed_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  }
+);
+
+// Index for screening an entering plate
+watchlistEntrySchema.index({ lot_id: 1, normalized_plate: 1, status: 1 });
+
+const WatchlistEntry = mongoose.model('WatchlistEntry', watchlistEntrySchema);
+
+module.exports = WatchlistEntry;
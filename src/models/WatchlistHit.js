@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const watchlistHitSchema = new mongoose.Schema(
+  {
+    lot_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingLot',
+      required: [true, 'Parking lot ID is required'],
+      index: true,
+    },
+    entry_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WatchlistEntry',
+      required: [true, 'Watchlist entry ID is required'],
+      index: true,
+    },
+    // Plate as presented at entry
+    license_plate: {
+      type: String,
+      required: [true, 'License plate is required'],
+      uppercase: true,
+      trim: true,
+    },
+    list_type: {
+      type: String,
+      enum: {
+        values: ['BLACKLIST', 'WATCHLIST'],
+        message: 'Invalid list type. Must be BLACKLIST or WATCHLIST',
+      },
+      required: [true, 'List type is required'],
+    },
+    // REJECTED: blacklisted entry refused; ALERTED: watchlisted entry admitted
+    action: {
+      type: String,
+      enum: {
+        values: ['REJECTED', 'ALERTED'],
+        message: 'Invalid action. Must be REJECTED or ALERTED',
+      },
+      required: [true, 'Action is required'],
+    },
+    // Transaction of an admitted (ALERTED) entry
+    transaction_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParkingTransaction',
+      default: null,
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+    occurred_at: {
+      type: Date,
+      required: [true, 'Hit time is required'],
+    },
+  },
+  {
+    timestamps: {
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+    },
+  }
+);
+
+// Index for reviewing a lot's hits, newest first
+watchlistHitSchema.index({ lot_id: 1, occurred_at: -1 });
+
+const WatchlistHit = mongoose.model('WatchlistHit', watchlistHitSchema);
+
+module.exports = WatchlistHit;
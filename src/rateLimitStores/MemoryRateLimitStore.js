@@ -0,0 +1,92 @@
+const RateLimitStore = require('./RateLimitStore');
+
+/**
+ * Memory Rate Limit Store
+ * Counters live in this process: each instance has its own allowance and restarts
+ * reset it. Suitable for a single instance, development and tests.
+ */
+class MemoryRateLimitStore extends RateLimitStore {
+  constructor() {
+    super('memory');
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a live entry, dropping it if it has expired
+   * @private
+   */
+  getEntry(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+
+    if (entry && entry.expires_at <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry || null;
+  }
+
+  /**
+   * Remove expired entries to prevent memory leaks
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expires_at <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Periodically clean up expired entries
+   * @private
+   */
+  maybeCleanup() {
+    if (Math.random() < 0.01) {
+      this.cleanup();
+    }
+  }
+
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    let entry = this.getEntry(key, now);
+
+    if (!entry) {
+      entry = { count: 0, expires_at: now + ttlMs };
+      this.entries.set(key, entry);
+    }
+
+    entry.count++;
+    this.maybeCleanup();
+    return entry.count;
+  }
+
+  async get(key) {
+    const entry = this.getEntry(key);
+    return entry ? entry.count : 0;
+  }
+
+  async takeToken(key, capacity, refillPerMs, now) {
+    const entry = this.getEntry(key, now) || { tokens: capacity, refilled_at: now };
+    const elapsed = Math.max(0, now - entry.refilled_at);
+
+    let tokens = Math.min(capacity, entry.tokens + elapsed * refillPerMs);
+    const allowed = tokens >= 1;
+    if (allowed) {
+      tokens -= 1;
+    }
+
+    // A bucket left alone long enough to refill completely is the same as a new one
+    this.entries.set(key, {
+      tokens,
+      refilled_at: now,
+      expires_at: now + Math.ceil((capacity - tokens) / refillPerMs) + 1000,
+    });
+    this.maybeCleanup();
+
+    return { allowed, tokens };
+  }
+}
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,104 @@
+const RateLimitStore = require('./RateLimitStore');
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+/**
+ * Run an upsert, retrying once if a concurrent upsert created the document first
+ * @param {Function} upsert - async () => result
+ * @returns {Promise<any>} Result of the upsert
+ */
+const withUpsertRetry = async (upsert) => {
+  try {
+    return await upsert();
+  } catch (error) {
+    if (error.code === 11000) {
+      return upsert();
+    }
+    throw error;
+  }
+};
+
+/**
+ * MongoDB Rate Limit Store
+ * Counters are documents of the RateLimitCounter collection, updated atomically so
+ * every instance connected to the database shares them; a TTL index removes them.
+ */
+class MongoRateLimitStore extends RateLimitStore {
+  constructor() {
+    super('mongo');
+  }
+
+  async increment(key, ttlMs) {
+    const counter = await withUpsertRetry(() =>
+      RateLimitCounter.findOneAndUpdate(
+        { key },
+        { $inc: { count: 1 }, $setOnInsert: { expires_at: new Date(Date.now() + ttlMs) } },
+        { upsert: true, new: true }
+      ).lean()
+    );
+
+    return counter.count;
+  }
+
+  async get(key) {
+    const counter = await RateLimitCounter.findOne({ key }).lean();
+    return counter ? counter.count : 0;
+  }
+
+  async takeToken(key, capacity, refillPerMs, now) {
+    // Refill and take in one pipeline update, so concurrent takes cannot overspend
+    const bucket = await withUpsertRetry(() =>
+      RateLimitCounter.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              tokens: {
+                $min: [
+                  capacity,
+                  {
+                    $add: [
+                      { $ifNull: ['$tokens', capacity] },
+                      {
+                        $multiply: [
+                          { $max: [0, { $subtract: [now, { $ifNull: ['$refilled_at', now] }] }] },
+                          refillPerMs,
+                        ],
+                      },
+                    ],
+                  },
+                ],
+              },
+              refilled_at: now,
+            },
+          },
+          {
+            $set: {
+              allowed: { $gte: ['$tokens', 1] },
+              tokens: {
+                $cond: [{ $gte: ['$tokens', 1] }, { $subtract: ['$tokens', 1] }, '$tokens'],
+              },
+            },
+          },
+          {
+            $set: {
+              expires_at: {
+                $toDate: {
+                  $add: [
+                    now,
+                    1000,
+                    { $divide: [{ $subtract: [capacity, '$tokens'] }, refillPerMs] },
+                  ],
+                },
+              },
+            },
+          },
+        ],
+        { upsert: true, new: true, updatePipeline: true }
+      ).lean()
+    );
+
+    return { allowed: bucket.allowed, tokens: bucket.tokens };
+  }
+}
+
+module.exports = MongoRateLimitStore;
@@ -0,0 +1,51 @@
+/**
+ * Rate Limit Store interface
+ * Base class for the counters behind middleware/rateLimiter. Every operation must be
+ * atomic in the store, so instances sharing a store share one allowance.
+ *
+ * - increment / get: fixed-window counters, used by the sliding-window algorithm
+ * - takeToken:       token buckets, refilled continuously
+ *
+ * Entries expire by themselves; stores never need to be swept by the caller.
+ */
+class RateLimitStore {
+  /**
+   * @param {string} name - Store name used in configuration (RATE_LIMIT_STORE)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Increment a counter, creating it if needed
+   * @param {string} key - Counter key
+   * @param {number} ttlMs - Lifetime of a new counter in milliseconds
+   * @returns {Promise<number>} Count after the increment
+   */
+  async increment(key, ttlMs) {
+    throw new Error(`${this.name} rate limit store does not implement increment`);
+  }
+
+  /**
+   * Read a counter
+   * @param {string} key - Counter key
+   * @returns {Promise<number>} Count, 0 if the counter does not exist
+   */
+  async get(key) {
+    throw new Error(`${this.name} rate limit store does not implement get`);
+  }
+
+  /**
+   * Refill a token bucket for the time elapsed and take one token if available
+   * @param {string} key - Bucket key
+   * @param {number} capacity - Bucket size (a new bucket starts full)
+   * @param {number} refillPerMs - Tokens added per millisecond
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<Object>} { allowed, tokens } with tokens left after the take
+   */
+  async takeToken(key, capacity, refillPerMs, now) {
+    throw new Error(`${this.name} rate limit store does not implement takeToken`);
+  }
+}
+
+module.exports = RateLimitStore;
@@ -0,0 +1,95 @@
+const RateLimitStore = require('./RateLimitStore');
+
+// Increment a counter and set its expiry when it is created
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return count
+`;
+
+// Refill a bucket for the elapsed time and take a token if one is available.
+// Tokens are returned as a string: Lua numbers would be truncated to integers
+const TAKE_TOKEN_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill_per_ms = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'refilled_at')
+local tokens = tonumber(state[1]) or capacity
+local refilled_at = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - refilled_at) * refill_per_ms)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'refilled_at', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refill_per_ms) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Redis Rate Limit Store
+ * Works with any Redis-compatible server (Redis, Valkey, KeyDB, DragonflyDB) through a
+ * connected client exposing either sendCommand(args) (node-redis 4+) or
+ * call(...args) (ioredis). Updates run as Lua scripts, so they are atomic.
+ */
+class RedisRateLimitStore extends RateLimitStore {
+  /**
+   * @param {Object} client - Connected Redis client
+   * @param {string} prefix - Key prefix (default rl:)
+   */
+  constructor(client, prefix = 'rl:') {
+    super('redis');
+
+    const canSend = client
+      && (typeof client.sendCommand === 'function' || typeof client.call === 'function');
+    if (!canSend) {
+      throw new Error('Redis rate limit store needs a client with sendCommand() or call()');
+    }
+
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Send a raw Redis command
+   * @private
+   * @param {...(string|number)} args - Command and arguments
+   * @returns {Promise<any>} Reply
+   */
+  command(...args) {
+    const stringArgs = args.map(String);
+
+    return typeof this.client.sendCommand === 'function'
+      ? this.client.sendCommand(stringArgs)
+      : this.client.call(...stringArgs);
+  }
+
+  async increment(key, ttlMs) {
+    const count = await this.command('EVAL', INCREMENT_SCRIPT, 1, this.prefix + key, ttlMs);
+    return Number(count);
+  }
+
+  async get(key) {
+    const count = await this.command('GET', this.prefix + key);
+    return count === null ? 0 : Number(count);
+  }
+
+  async takeToken(key, capacity, refillPerMs, now) {
+    const [allowed, tokens] = await this.command(
+      'EVAL',
+      TAKE_TOKEN_SCRIPT,
+      1,
+      this.prefix + key,
+      capacity,
+      refillPerMs,
+      now
+    );
+
+    return { allowed: Number(allowed) === 1, tokens: Number(tokens) };
+  }
+}
+
+module.exports = RedisRateLimitStore;
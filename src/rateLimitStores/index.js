@@ -0,0 +1,89 @@
+const RateLimitStore = require('./RateLimitStore');
+const MemoryRateLimitStore = require('./MemoryRateLimitStore');
+const MongoRateLimitStore = require('./MongoRateLimitStore');
+const RedisRateLimitStore = require('./RedisRateLimitStore');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('RateLimitStores');
+
+/**
+ * Rate Limit Store Registry
+ * The rate limiter keeps its counters in the store named by RATE_LIMIT_STORE
+ * (or the store field of the rate limit configuration; default: memory):
+ * - memory: per process
+ * - mongo:  the RateLimitCounter collection (TTL index), shared by all instances
+ * - redis:  a Redis-compatible server, shared by all instances. Register a store built
+ *           from your own client, or install the redis package and set REDIS_URL
+ */
+
+const stores = new Map([
+  ['memory', new MemoryRateLimitStore()],
+  ['mongo', new MongoRateLimitStore()],
+]);
+
+/**
+ * Register a rate limit store
+ * @param {RateLimitStore} store - Store instance
+ */
+const registerRateLimitStore = (store) => {
+  if (!(store instanceof RateLimitStore)) {
+    throw new Error('Rate limit stores must extend RateLimitStore');
+  }
+
+  stores.set(store.name, store);
+};
+
+/**
+ * Create the Redis store from REDIS_URL with the redis package (node-redis)
+ * @returns {RedisRateLimitStore} Store
+ * @throws {Error} If REDIS_URL is not set or the redis package is not installed
+ */
+const createRedisStore = () => {
+  if (!process.env.REDIS_URL) {
+    throw new Error('REDIS_URL is required for the redis rate limit store');
+  }
+
+  let redis;
+  try {
+    // Optional dependency: only needed when the redis store is used
+    redis = require('redis');
+  } catch (error) {
+    throw new Error('The redis rate limit store needs the redis package (npm install redis)');
+  }
+
+  const client = redis.createClient({ url: process.env.REDIS_URL });
+  client.on('error', (error) => logger.error('Redis rate limit store error', error));
+  // Commands are queued until the connection is ready
+  client.connect().catch((error) => logger.error('Redis connection failed', error));
+
+  return new RedisRateLimitStore(client);
+};
+
+/**
+ * Get a rate limit store by name
+ * @param {string} name - Store name (default: RATE_LIMIT_STORE or memory)
+ * @returns {RateLimitStore} Store
+ * @throws {Error} If no store is registered under the name
+ */
+const getRateLimitStore = (name = process.env.RATE_LIMIT_STORE || 'memory') => {
+  if (name === 'redis' && !stores.has('redis')) {
+    registerRateLimitStore(createRedisStore());
+  }
+
+  const store = stores.get(name);
+
+  if (!store) {
+    throw new Error(`Rate limit store ${name} is not configured`);
+  }
+
+  return store;
+};
+
+module.exports = {
+  RateLimitStore,
+  MemoryRateLimitStore,
+  MongoRateLimitStore,
+  RedisRateLimitStore,
+  registerRateLimitStore,
+  getRateLimitStore,
+};
@@ -0,0 +1,93 @@
+const ApiKey = require('../models/ApiKey');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('ApiKeyRepository');
+
+class ApiKeyRepository {
+  /**
+   * Create an API key
+   * @param {Object} keyData - API key data (hash, not the key)
+   * @returns {Promise<Object>} Created API key
+   */
+  async create(keyData) {
+    try {
+      const apiKey = new ApiKey(keyData);
+      await apiKey.save();
+      logger.debug('API key created', { keyId: apiKey._id, keyPrefix: apiKey.key_prefix });
+      return apiKey;
+    } catch (error) {
+      logger.error('Error creating API key', error, { name: keyData.name });
+      throw error;
+    }
+  }
+
+  /**
+   * Find API key by ID
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object>} API key
+   */
+  async findById(keyId) {
+    try {
+      return await ApiKey.findById(keyId);
+    } catch (error) {
+      logger.error('Error finding API key by ID', error, { keyId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find API key by the hash of the key
+   * @param {string} keyHash - SHA-256 of the key
+   * @returns {Promise<Object>} API key
+   */
+  async findByHash(keyHash) {
+    try {
+      return await ApiKey.findOne({ key_hash: keyHash });
+    } catch (error) {
+      logger.error('Error finding API key by hash', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find API keys with optional filters, newest first
+   * @param {Object} filters - Optional filters (status)
+   * @returns {Promise<Array>} API keys
+   */
+  async findAll(filters = {}) {
+    try {
+      const query = {};
+      if (filters.status !== undefined) {
+        query.status = filters.status;
+      }
+
+      return await ApiKey.find(query).sort({ created_at: -1 }).exec();
+    } catch (error) {
+      logger.error('Error finding API keys', error, { filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Update an API key
+   * @param {string} keyId - API key ID
+   * @param {Object} updateData - Fields to set
+   * @returns {Promise<Object>} Updated API key
+   */
+  async update(keyId, updateData) {
+    try {
+      const apiKey = await ApiKey.findByIdAndUpdate(keyId, updateData, {
+        new: true,
+        runValidators: true,
+      });
+
+      logger.debug('API key updated', { keyId, fields: Object.keys(updateData) });
+      return apiKey;
+    } catch (error) {
+      logger.error('Error updating API key', error, { keyId });
+      throw error;
+    }
+  }
+}
+
+module.exports = new ApiKeyRepository();
@@ -0,0 +1,92 @@
+const AuditLog = require('../models/AuditLog');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('AuditLogRepository');
+
+/**
+ * Build a query from audit log filters
+ * @param {Object} filters - actor_id, action, entity_type, entity_id, lot_id, request_id,
+ *                           from, to
+ * @returns {Object} MongoDB query
+ */
+const buildQuery = (filters) => {
+  const query = {};
+
+  if (filters.actor_id !== undefined) {
+    query['actor.id'] = filters.actor_id;
+  }
+
+  ['action', 'entity_type', 'entity_id', 'lot_id', 'request_id'].forEach((field) => {
+    if (filters[field] !== undefined) {
+      query[field] = filters[field];
+    }
+  });
+
+  if (filters.from !== undefined || filters.to !== undefined) {
+    query.created_at = {};
+    if (filters.from !== undefined) {
+      query.created_at.$gte = filters.from;
+    }
+    if (filters.to !== undefined) {
+      query.created_at.$lte = filters.to;
+    }
+  }
+
+  return query;
+};
+
+class AuditLogRepository {
+  /**
+   * Create an audit log entry
+   * @param {Object} entryData - Entry data
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Created entry
+   */
+  async create(entryData, session = null) {
+    try {
+      const entry = new AuditLog(entryData);
+      await entry.save({ session });
+      logger.debug('Audit log entry created', {
+        entryId: entry._id,
+        action: entry.action,
+        entityType: entry.entity_type,
+        entityId: entry.entity_id,
+      });
+      return entry;
+    } catch (error) {
+      logger.error('Error creating audit log entry', error, {
+        action: entryData.action,
+        entityType: entryData.entity_type,
+        entityId: entryData.entity_id,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a page of audit log entries, newest first
+   * @param {Object} filters - Filters (see buildQuery)
+   * @param {Object} pagination - { page (1-based), limit }
+   * @returns {Promise<Object>} { entries, total }
+   */
+  async findPage(filters = {}, pagination = { page: 1, limit: 50 }) {
+    try {
+      const query = buildQuery(filters);
+      const [entries, total] = await Promise.all([
+        AuditLog.find(query)
+          .sort({ created_at: -1, _id: -1 })
+          .skip((pagination.page - 1) * pagination.limit)
+          .limit(pagination.limit)
+          .exec(),
+        AuditLog.countDocuments(query),
+      ]);
+
+      return { entries, total };
+    } catch (error) {
+      logger.error('Error finding audit log entries', error, { filters, pagination });
+      throw error;
+    }
+  }
+}
+
+module.exports = new AuditLogRepository();
@@ -0,0 +1,134 @@
+const ChargingSession = require('../models/ChargingSession');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('ChargingSessionRepository');
+
+class ChargingSessionRepository {
+  /**
+   * Create a charging session
+   * @param {Object} sessionData - Charging session data
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Created charging session
+   */
+  async create(sessionData, session = null) {
+    try {
+      const chargingSession = new ChargingSession(sessionData);
+      await chargingSession.save({ session });
+      logger.debug('Charging session created', {
+        chargingSessionId: chargingSession._id,
+        transactionId: chargingSession.transaction_id,
+        spotId: chargingSession.spot_id,
+      });
+      return chargingSession;
+    } catch (error) {
+      logger.error('Error creating charging session', error, { sessionData });
+      throw error;
+    }
+  }
+
+  /**
+   * Find charging session by ID
+   * @param {string} chargingSessionId - Charging session ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Charging session
+   */
+  async findById(chargingSessionId, session = null) {
+    try {
+      return await ChargingSession.findById(chargingSessionId).session(session);
+    } catch (error) {
+      logger.error('Error finding charging session by ID', error, { chargingSessionId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find charging sessions in a lot with optional filters, newest first
+   * @param {string} lotId - Lot ID
+   * @param {Object} filters - Optional filters (status, transaction_id)
+   * @returns {Promise<Array>} Charging sessions
+   */
+  async findByLot(lotId, filters = {}) {
+    try {
+      const query = { lot_id: lotId };
+      ['status', 'transaction_id'].forEach((field) => {
+        if (filters[field] !== undefined) {
+          query[field] = filters[field];
+        }
+      });
+
+      return await ChargingSession.find(query).sort({ started_at: -1 }).exec();
+    } catch (error) {
+      logger.error('Error finding charging sessions by lot', error, { lotId, filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the charging sessions of a transaction
+   * @param {string} transactionId - Transaction ID
+   * @param {string} status - Only sessions in this status (optional)
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Array>} Charging sessions, oldest first
+   */
+  async findByTransaction(transactionId, status = null, session = null) {
+    try {
+      const query = { transaction_id: transactionId };
+      if (status) {
+        query.status = status;
+      }
+
+      return await ChargingSession.find(query).sort({ started_at: 1 }).session(session);
+    } catch (error) {
+      logger.error('Error finding charging sessions by transaction', error, {
+        transactionId,
+        status,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Complete an ACTIVE charging session
+   * Conditional on status so a session is never completed twice
+   * @param {string} chargingSessionId - Charging session ID
+   * @param {Object} completion - ended_at, energy_kwh, energy_estimated, rate_per_kwh, fee
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Completed session, or null if it was not ACTIVE
+   */
+  async complete(chargingSessionId, completion, session = null) {
+    try {
+      const chargingSession = await ChargingSession.findOneAndUpdate(
+        { _id: chargingSessionId, status: 'ACTIVE' },
+        { ...completion, status: 'COMPLETED' },
+        { new: true, runValidators: true, session }
+      );
+
+      logger.debug('Charging session completed', {
+        chargingSessionId,
+        completed: Boolean(chargingSession),
+      });
+      return chargingSession;
+    } catch (error) {
+      logger.error('Error completing charging session', error, { chargingSessionId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all charging sessions in a lot
+   * @param {string} lotId - Lot ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<number>} Number of deleted sessions
+   */
+  async deleteByLot(lotId, session = null) {
+    try {
+      const result = await ChargingSession.deleteMany({ lot_id: lotId }, { session });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting charging sessions by lot', error, { lotId });
+      throw error;
+    }
+  }
+}
+
+module.exports = new ChargingSessionRepository();
@@ -0,0 +1,48 @@
+const FeeAdjustment = require('../models/FeeAdjustment');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('FeeAdjustmentRepository');
+
+class FeeAdjustmentRepository {
+  /**
+   * Create an adjustment record
+   * @param {Object} adjustmentData - Adjustment data
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Created adjustment
+   */
+  async create(adjustmentData, session = null) {
+    try {
+      const adjustment = new FeeAdjustment(adjustmentData);
+      await adjustment.save({ session });
+      logger.debug('Fee adjustment created', {
+        adjustmentId: adjustment._id,
+        transactionId: adjustment.transaction_id,
+        type: adjustment.type,
+        operatorId: adjustment.operator_id,
+      });
+      return adjustment;
+    } catch (error) {
+      logger.error('Error creating fee adjustment', error, { adjustmentData });
+      throw error;
+    }
+  }
+
+  /**
+   * Find adjustments for a transaction, oldest first
+   * @param {string} transactionId - Transaction ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Array>} Adjustments
+   */
+  async findByTransaction(transactionId, session = null) {
+    try {
+      return await FeeAdjustment.find({ transaction_id: transactionId })
+        .sort({ created_at: 1 })
+        .session(session);
+    } catch (error) {
+      logger.error('Error finding adjustments by transaction', error, { transactionId });
+      throw error;
+    }
+  }
+}
+
+module.exports = new FeeAdjustmentRepository();
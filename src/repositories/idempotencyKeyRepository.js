@@ -0,0 +1,120 @@
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('IdempotencyKeyRepository');
+
+class IdempotencyKeyRepository {
+  /**
+   * Claim a key for a request: create it, or take over an expired key or a stale claim
+   * of the same request
+   * @param {Object} keyData - { key, method, path, request_hash, locked_until, expires_at }
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { claimed, record } - record is the existing key when the
+   *                            claim failed
+   */
+  async claim(keyData, now = new Date()) {
+    try {
+      // The key may be removed between the failed insert and the lookup: try again once
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          const record = await IdempotencyKey.create({ ...keyData, state: 'IN_PROGRESS' });
+          return { claimed: true, record };
+        } catch (error) {
+          if (error.code !== 11000) {
+            throw error;
+          }
+        }
+
+        const takenOver = await IdempotencyKey.findOneAndUpdate(
+          {
+            key: keyData.key,
+            $or: [
+              { expires_at: { $lte: now } },
+              {
+                state: 'IN_PROGRESS',
+                locked_until: { $lte: now },
+                request_hash: keyData.request_hash,
+              },
+            ],
+          },
+          {
+            $set: { ...keyData, state: 'IN_PROGRESS', created_at: now },
+            $unset: { response_status: '', response_body: '' },
+          },
+          { new: true }
+        );
+
+        if (takenOver) {
+          logger.debug('Idempotency key taken over', { key: keyData.key });
+          return { claimed: true, record: takenOver };
+        }
+
+        const record = await IdempotencyKey.findOne({ key: keyData.key });
+        if (record) {
+          return { claimed: false, record };
+        }
+      }
+
+      throw new Error(`Idempotency key ${keyData.key} could not be claimed`);
+    } catch (error) {
+      logger.error('Error claiming idempotency key', error, { key: keyData.key });
+      throw error;
+    }
+  }
+
+  /**
+   * Store the response of the request holding a key
+   * @param {string} key - Key
+   * @param {number} status - Response status
+   * @param {Object} body - Response body
+   * @returns {Promise<Object>} Update result
+   */
+  async complete(key, status, body) {
+    try {
+      return await IdempotencyKey.updateOne(
+        { key, state: 'IN_PROGRESS' },
+        {
+          $set: { state: 'COMPLETED', response_status: status, response_body: body },
+          $unset: { locked_until: '' },
+        }
+      );
+    } catch (error) {
+      logger.error('Error completing idempotency key', error, { key });
+      throw error;
+    }
+  }
+
+  /**
+   * Push back the lock on a key whose request is still in progress
+   * @param {string} key - Key
+   * @param {Date} lockedUntil - New lock expiry
+   * @returns {Promise<Object>} Update result
+   */
+  async renew(key, lockedUntil) {
+    try {
+      return await IdempotencyKey.updateOne(
+        { key, state: 'IN_PROGRESS' },
+        { $set: { locked_until: lockedUntil } }
+      );
+    } catch (error) {
+      logger.error('Error renewing idempotency key lock', error, { key });
+      throw error;
+    }
+  }
+
+  /**
+   * Release a key whose request did not complete, so it can be retried
+   * @param {string} key - Key
+   * @returns {Promise<Object>} Delete result
+   */
+  async release(key) {
+    try {
+      return await IdempotencyKey.deleteOne({ key, state: 'IN_PROGRESS' });
+    } catch (error) {
+      logger.error('Error releasing idempotency key', error, { key });
+      throw error;
+    }
+  }
+}
+
+module.exports = new IdempotencyKeyRepository();
@@ -0,0 +1,236 @@
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('MaintenanceWindowRepository');
+
+class MaintenanceWindowRepository {
+  /**
+   * Create maintenance windows
+   * @param {Array<Object>} windowsData - Window data
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Array>} Created windows
+   */
+  async createMany(windowsData, session = null) {
+    try {
+      const windows = await MaintenanceWindow.insertMany(windowsData, { session });
+      logger.debug('Maintenance windows created', { count: windows.length });
+      return windows;
+    } catch (error) {
+      logger.error('Error creating maintenance windows', error, { count: windowsData.length });
+      throw error;
+    }
+  }
+
+  /**
+   * Find maintenance window by ID
+   * @param {string} windowId - Window ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Maintenance window
+   */
+  async findById(windowId, session = null) {
+    try {
+      return await MaintenanceWindow.findById(windowId).session(session);
+    } catch (error) {
+      logger.error('Error finding maintenance window by ID', error, { windowId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find windows in a lot with optional filters, newest first
+   * @param {string} lotId - Lot ID
+   * @param {Object} filters - Optional filters (status, floor_number, spot_id)
+   * @returns {Promise<Array>} Maintenance windows
+   */
+  async findByLot(lotId, filters = {}) {
+    try {
+      const query = { lot_id: lotId };
+      ['status', 'floor_number', 'spot_id'].forEach((field) => {
+        if (filters[field] !== undefined) {
+          query[field] = filters[field];
+        }
+      });
+
+      return await MaintenanceWindow.find(query).sort({ starts_at: -1 }).exec();
+    } catch (error) {
+      logger.error('Error finding maintenance windows by lot', error, { lotId, filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Find spot IDs whose maintenance is in force at a point in time
+   * (ACTIVE, or SCHEDULED with a window covering `at` that the sweep has not applied yet)
+   * @param {string} lotId - Lot ID
+   * @param {Date} at - Point in time
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Array>} Spot IDs
+   */
+  async findSpotIdsInForce(lotId, at, session = null) {
+    try {
+      return await MaintenanceWindow.distinct('spot_id', {
+        lot_id: lotId,
+        status: { $in: ['SCHEDULED', 'ACTIVE'] },
+        starts_at: { $lte: at },
+        $or: [{ ends_at: null }, { ends_at: { $gt: at } }],
+      }).session(session);
+    } catch (error) {
+      logger.error('Error finding spots under maintenance', error, { lotId, at });
+      throw error;
+    }
+  }
+
+  /**
+   * Find spot IDs with maintenance (SCHEDULED or ACTIVE) overlapping a period
+   * @param {string} lotId - Lot ID
+   * @param {Date} from - Period start
+   * @param {Date} to - Period end
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Array>} Spot IDs
+   */
+  async findSpotIdsBetween(lotId, from, to, session = null) {
+    try {
+      return await MaintenanceWindow.distinct('spot_id', {
+        lot_id: lotId,
+        status: { $in: ['SCHEDULED', 'ACTIVE'] },
+        starts_at: { $lt: to },
+        $or: [{ ends_at: null }, { ends_at: { $gt: from } }],
+      }).session(session);
+    } catch (error) {
+      logger.error('Error finding spots with maintenance in period', error, { lotId, from, to });
+      throw error;
+    }
+  }
+
+  /**
+   * Find SCHEDULED windows whose start time has passed and that have not yet ended
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Due windows
+   */
+  async findDueToStart(now) {
+    try {
+      return await MaintenanceWindow.find({
+        status: 'SCHEDULED',
+        starts_at: { $lte: now },
+        $or: [{ ends_at: null }, { ends_at: { $gt: now } }],
+      })
+        .sort({ starts_at: 1 })
+        .exec();
+    } catch (error) {
+      logger.error('Error finding due maintenance windows', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the due SCHEDULED windows of one spot (held back while it was occupied)
+   * @param {string} spotId - Spot ID
+   * @param {Date} now - Current time
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Array>} Due windows
+   */
+  async findDueToStartForSpot(spotId, now, session = null) {
+    try {
+      return await MaintenanceWindow.find({
+        spot_id: spotId,
+        status: 'SCHEDULED',
+        starts_at: { $lte: now },
+        $or: [{ ends_at: null }, { ends_at: { $gt: now } }],
+      })
+        .sort({ starts_at: 1 })
+        .session(session)
+        .exec();
+    } catch (error) {
+      logger.error('Error finding due maintenance windows for spot', error, { spotId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find SCHEDULED or ACTIVE windows whose end time has passed
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Expired windows
+   */
+  async findExpired(now) {
+    try {
+      return await MaintenanceWindow.find({
+        status: { $in: ['SCHEDULED', 'ACTIVE'] },
+        ends_at: { $ne: null, $lte: now },
+      })
+        .sort({ ends_at: 1 })
+        .exec();
+    } catch (error) {
+      logger.error('Error finding expired maintenance windows', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count other ACTIVE windows on a spot
+   * @param {string} spotId - Spot ID
+   * @param {string} excludeWindowId - Window to ignore
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<number>} Active window count
+   */
+  async countOtherActive(spotId, excludeWindowId, session = null) {
+    try {
+      return await MaintenanceWindow.countDocuments({
+        spot_id: spotId,
+        _id: { $ne: excludeWindowId },
+        status: 'ACTIVE',
+      }).session(session);
+    } catch (error) {
+      logger.error('Error counting active maintenance windows', error, { spotId });
+      throw error;
+    }
+  }
+
+  /**
+   * Move a window from one status to another
+   * Conditional on the current status so concurrent sweeps apply each transition once
+   * @param {string} windowId - Window ID
+   * @param {string|Array<string>} fromStatus - Expected current status(es)
+   * @param {Object} updateData - Fields to set (must include status)
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Updated window, or null if the status had changed
+   */
+  async transition(windowId, fromStatus, updateData, session = null) {
+    try {
+      const statuses = Array.isArray(fromStatus) ? fromStatus : [fromStatus];
+      const window = await MaintenanceWindow.findOneAndUpdate(
+        { _id: windowId, status: { $in: statuses } },
+        updateData,
+        { new: true, runValidators: true, session }
+      );
+
+      logger.debug('Maintenance window transition', {
+        windowId,
+        fromStatus,
+        toStatus: updateData.status,
+        applied: window !== null,
+      });
+      return window;
+    } catch (error) {
+      logger.error('Error updating maintenance window', error, { windowId, updateData });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all windows in a lot
+   * @param {string} lotId - Lot ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<number>} Number of deleted windows
+   */
+  async deleteByLot(lotId, session = null) {
+    try {
+      const result = await MaintenanceWindow.deleteMany({ lot_id: lotId }, { session });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting maintenance windows by lot', error, { lotId });
+      throw error;
+    }
+  }
+}
+
+module.exports = new MaintenanceWindowRepository();
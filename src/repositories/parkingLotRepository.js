@@ -1,4 +1,5 @@
 const ParkingLot = require('../models/ParkingLot');
+const { getValidVehicleTypes } = require('../constants/vehicleTypes');
 const { createLogger } = require('../utils/logger');
 
 const logger = createLogger('ParkingLotRepository');
@@ -27,11 +28,12 @@ class ParkingLotRepository {
   /**
    * Find parking lot by ID
    * @param {string} lotId - Lot ID
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Parking lot document
    */
-  async findById(lotId) {
+  async findById(lotId, session = null) {
     try {
-      return await ParkingLot.findById(lotId);
+      return await ParkingLot.findById(lotId).session(session);
     } catch (error) {
       logger.error('Error finding parking lot by ID', error, { lotId });
       throw error;
@@ -58,7 +60,7 @@ class ParkingLotRepository {
    */
   async findAll() {
     try {
-      return await ParkingLot.find().exec();
+      return await ParkingLot.find().sort({ created_at: 1 }).exec();
     } catch (error) {
       logger.error('Error finding all parking lots', error);
       throw error;
@@ -66,12 +68,18 @@ class ParkingLotRepository {
   }
 
   /**
-   * Get the default/first parking lot
-   * @returns {Promise<Object>} First parking lot
+   * Get the default parking lot
+   * Uses DEFAULT_LOT_ID when configured, otherwise the first lot created
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Default parking lot
    */
-  async findDefault() {
+  async findDefault(session = null) {
     try {
-      return await ParkingLot.findOne();
+      if (process.env.DEFAULT_LOT_ID) {
+        return await ParkingLot.findById(process.env.DEFAULT_LOT_ID).session(session);
+      }
+
+      return await ParkingLot.findOne().sort({ created_at: 1 }).session(session);
     } catch (error) {
       logger.error('Error finding default parking lot', error);
       throw error;
@@ -81,7 +89,7 @@ class ParkingLotRepository {
   /**
    * Update available spots for a vehicle type
    * @param {string} lotId - Lot ID
-   * @param {string} vehicleType - Vehicle type (MOTORCYCLE, CAR, BUS)
+   * @param {string} vehicleType - Registered vehicle type
    * @param {number} delta - Change in available spots (+1 for exit, -1 for entry)
    * @returns {Promise<Object>} Updated parking lot
    */
@@ -119,9 +127,10 @@ class ParkingLotRepository {
    * Increment occupied spots
    * @param {string} lotId - Lot ID
    * @param {string} vehicleType - Vehicle type
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Updated parking lot
    */
-  async incrementOccupiedSpots(lotId, vehicleType) {
+  async incrementOccupiedSpots(lotId, vehicleType, session = null) {
     try {
       const field = `occupied_${vehicleType.toLowerCase()}_spots`;
       const availableField = `available_${vehicleType.toLowerCase()}_spots`;
@@ -131,7 +140,7 @@ class ParkingLotRepository {
         {
           $inc: { [field]: 1, [availableField]: -1 },
         },
-        { new: true, runValidators: true }
+        { new: true, runValidators: true, session }
       );
 
       logger.debug('Occupied spots incremented', { lotId, vehicleType });
@@ -146,9 +155,10 @@ class ParkingLotRepository {
    * Decrement occupied spots
    * @param {string} lotId - Lot ID
    * @param {string} vehicleType - Vehicle type
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Updated parking lot
    */
-  async decrementOccupiedSpots(lotId, vehicleType) {
+  async decrementOccupiedSpots(lotId, vehicleType, session = null) {
     try {
       const field = `occupied_${vehicleType.toLowerCase()}_spots`;
       const availableField = `available_${vehicleType.toLowerCase()}_spots`;
@@ -158,7 +168,7 @@ class ParkingLotRepository {
         {
           $inc: { [field]: -1, [availableField]: 1 },
         },
-        { new: true, runValidators: true }
+        { new: true, runValidators: true, session }
       );
 
       logger.debug('Occupied spots decremented', { lotId, vehicleType });
@@ -182,32 +192,24 @@ class ParkingLotRepository {
         return null;
       }
 
+      const byType = {};
+      getValidVehicleTypes().forEach((vehicleType) => {
+        const type = vehicleType.toLowerCase();
+        byType[vehicleType] = {
+          available: lot[`available_${type}_spots`] || 0,
+          occupied: lot[`occupied_${type}_spots`] || 0,
+        };
+      });
+
+      const counts = Object.values(byType);
+
       return {
         lot_name: lot.name,
         total_spots: lot.total_spots,
-        available_spots:
-          lot.available_motorcycle_spots +
-          lot.available_car_spots +
-          lot.available_bus_spots,
-        occupied_spots:
-          lot.occupied_motorcycle_spots +
-          lot.occupied_car_spots +
-          lot.occupied_bus_spots,
+        available_spots: counts.reduce((sum, count) => sum + count.available, 0),
+        occupied_spots: counts.reduce((sum, count) => sum + count.occupied, 0),
         occupancy_rate: lot.occupancy_rate,
-        by_type: {
-          MOTORCYCLE: {
-            available: lot.available_motorcycle_spots,
-            occupied: lot.occupied_motorcycle_spots,
-          },
-          CAR: {
-            available: lot.available_car_spots,
-            occupied: lot.occupied_car_spots,
-          },
-          BUS: {
-            available: lot.available_bus_spots,
-            occupied: lot.occupied_bus_spots,
-          },
-        },
+        by_type: byType,
       };
     } catch (error) {
       logger.error('Error getting occupancy summary', error, { lotId });
@@ -219,13 +221,15 @@ class ParkingLotRepository {
    * Update parking lot
    * @param {string} lotId - Lot ID
    * @param {Object} updateData - Data to update
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Updated parking lot
    */
-  async update(lotId, updateData) {
+  async update(lotId, updateData, session = null) {
     try {
       const lot = await ParkingLot.findByIdAndUpdate(lotId, updateData, {
         new: true,
         runValidators: true,
+        session,
       });
 
       logger.debug('Parking lot updated', { lotId });
@@ -239,11 +243,12 @@ class ParkingLotRepository {
   /**
    * Delete parking lot by ID
    * @param {string} lotId - Lot ID
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Deleted parking lot
    */
-  async deleteById(lotId) {
+  async deleteById(lotId, session = null) {
     try {
-      return await ParkingLot.findByIdAndDelete(lotId);
+      return await ParkingLot.findByIdAndDelete(lotId, { session });
     } catch (error) {
       logger.error('Error deleting parking lot', error, { lotId });
       throw error;
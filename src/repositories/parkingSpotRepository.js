@@ -1,18 +1,27 @@
+const mongoose = require('mongoose');
 const ParkingSpot = require('../models/ParkingSpot');
 const { createLogger } = require('../utils/logger');
 
 const logger = createLogger('ParkingSpotRepository');
 
+/**
+ * Build lot filter for spot queries
+ * @param {string} lotId - Lot ID (optional, null = all lots)
+ * @returns {Object} Query filter
+ */
+const lotFilter = (lotId) => (lotId ? { lot_id: lotId } : {});
+
 class ParkingSpotRepository {
   /**
    * Create a new parking spot
    * @param {Object} spotData - Spot data
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Created spot
    */
-  async create(spotData) {
+  async create(spotData, session = null) {
     try {
       const spot = new ParkingSpot(spotData);
-      await spot.save();
+      await spot.save({ session });
       logger.debug('Parking spot created', {
         spotId: spot._id,
         floorNumber: spot.floor_number,
@@ -28,11 +37,12 @@ class ParkingSpotRepository {
   /**
    * Find spot by ID
    * @param {string} spotId - Spot ID
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Spot document
    */
-  async findById(spotId) {
+  async findById(spotId, session = null) {
     try {
-      return await ParkingSpot.findById(spotId);
+      return await ParkingSpot.findById(spotId).session(session);
     } catch (error) {
       logger.error('Error finding spot by ID', error, { spotId });
       throw error;
@@ -42,18 +52,65 @@ class ParkingSpotRepository {
   /**
    * Find available spot by type
    * @param {string} spotType - Spot type (MOTORCYCLE, CAR, BUS)
+   * @param {string} lotId - Lot ID (optional)
    * @returns {Promise<Object>} First available spot
    */
-  async findAvailableByType(spotType) {
+  async findAvailableByType(spotType, lotId = null) {
     try {
       return await ParkingSpot.findOne({
+        ...lotFilter(lotId),
         spot_type: spotType,
         status: 'AVAILABLE',
       })
         .sort({ floor_number: 1, spot_number: 1 })
         .exec();
     } catch (error) {
-      logger.error('Error finding available spot', error, { spotType });
+      logger.error('Error finding available spot', error, { spotType, lotId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find spots of the given types that are not under maintenance (any occupancy)
+   * Used to plan reservations for a future window
+   * @param {Array<string>} spotTypes - Array of spot types
+   * @param {string} lotId - Lot ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Array>} Spots
+   */
+  async findInServiceByTypes(spotTypes, lotId, session = null) {
+    try {
+      return await ParkingSpot.find({
+        lot_id: lotId,
+        spot_type: { $in: spotTypes },
+        status: { $ne: 'MAINTENANCE' },
+      })
+        .sort({ floor_number: 1, spot_type: 1, spot_number: 1 })
+        .session(session)
+        .exec();
+    } catch (error) {
+      logger.error('Error finding in-service spots by types', error, { spotTypes, lotId });
+      throw error;
+    }
+  }
+
+  /**
+   * Bump a spot's updated_at inside a transaction
+   * Concurrent transactions that plan against the same spot then write-conflict and
+   * are retried instead of both committing
+   * @param {string} spotId - Spot ID
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<Object>} Spot
+   */
+  async touch(spotId, session) {
+    try {
+      return await ParkingSpot.findByIdAndUpdate(
+        spotId,
+        { $currentDate: { updated_at: true } },
+        { new: true, session, timestamps: false }
+      );
+    } catch (error) {
+      logger.error('Error touching spot', error, { spotId });
       throw error;
     }
   }
@@ -61,34 +118,38 @@ class ParkingSpotRepository {
   /**
    * Find available spots by multiple types (best-fit allocation)
    * @param {Array<string>} spotTypes - Array of spot types
+   * @param {string} lotId - Lot ID (optional)
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Array>} Available spots
    */
-  async findAvailableByTypes(spotTypes) {
+  async findAvailableByTypes(spotTypes, lotId = null, session = null) {
     try {
       
-      const spotCount = await ParkingSpot.countDocuments();
-      logger.debug('Checking available spots for types', { spotCount, spotTypes });
+      const spotCount = await ParkingSpot.countDocuments(lotFilter(lotId)).session(session);
+      logger.debug('Checking available spots for types', { spotCount, spotTypes, lotId });
       
       return await ParkingSpot.find({
+        ...lotFilter(lotId),
         spot_type: { $in: spotTypes },
         status: 'AVAILABLE',
       })
         .sort({ floor_number: 1, spot_type: 1, spot_number: 1 })
+        .session(session)
         .exec();
     } catch (error) {
-      console.log('Error finding available spots by types', error, { spotTypes });
-      logger.error('Error finding available spots by types', error, { spotTypes });
+      logger.error('Error finding available spots by types', error, { spotTypes, lotId });
       throw error;
     }
   }
 
   /**
    * Get all available spots
+   * @param {string} lotId - Lot ID (optional)
    * @returns {Promise<Array>} All available spots
    */
-  async findAllAvailable() {
+  async findAllAvailable(lotId = null) {
     try {
-      return await ParkingSpot.find({ status: 'AVAILABLE' })
+      return await ParkingSpot.find({ ...lotFilter(lotId), status: 'AVAILABLE' })
         .sort({ floor_number: 1, spot_number: 1 })
         .exec();
     } catch (error) {
@@ -99,11 +160,12 @@ class ParkingSpotRepository {
 
   /**
    * Get all occupied spots
+   * @param {string} lotId - Lot ID (optional)
    * @returns {Promise<Array>} All occupied spots
    */
-  async findAllOccupied() {
+  async findAllOccupied(lotId = null) {
     try {
-      return await ParkingSpot.find({ status: 'OCCUPIED' })
+      return await ParkingSpot.find({ ...lotFilter(lotId), status: 'OCCUPIED' })
         .populate('current_vehicle_id')
         .exec();
     } catch (error) {
@@ -115,14 +177,16 @@ class ParkingSpotRepository {
   /**
    * Get spot availability by type
    * @param {string} spotType - Spot type
+   * @param {string} lotId - Lot ID (optional)
    * @returns {Promise<Object>} Availability stats
    */
-  async getAvailabilityByType(spotType) {
+  async getAvailabilityByType(spotType, lotId = null) {
     try {
+      const filter = { ...lotFilter(lotId), spot_type: spotType };
       const [available, occupied, total] = await Promise.all([
-        ParkingSpot.countDocuments({ spot_type: spotType, status: 'AVAILABLE' }),
-        ParkingSpot.countDocuments({ spot_type: spotType, status: 'OCCUPIED' }),
-        ParkingSpot.countDocuments({ spot_type: spotType }),
+        ParkingSpot.countDocuments({ ...filter, status: 'AVAILABLE' }),
+        ParkingSpot.countDocuments({ ...filter, status: 'OCCUPIED' }),
+        ParkingSpot.countDocuments(filter),
       ]);
 
       return {
@@ -133,7 +197,34 @@ class ParkingSpotRepository {
         occupancy_rate: total > 0 ? (occupied / total).toFixed(2) : 0,
       };
     } catch (error) {
-      logger.error('Error getting availability by type', error, { spotType });
+      logger.error('Error getting availability by type', error, { spotType, lotId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get spot availability by attribute (spot category)
+   * @param {string} attribute - Spot attribute
+   * @param {string} lotId - Lot ID (optional)
+   * @returns {Promise<Object>} Availability stats
+   */
+  async getAvailabilityByAttribute(attribute, lotId = null) {
+    try {
+      const filter = { ...lotFilter(lotId), attributes: attribute };
+      const [available, occupied, total] = await Promise.all([
+        ParkingSpot.countDocuments({ ...filter, status: 'AVAILABLE' }),
+        ParkingSpot.countDocuments({ ...filter, status: 'OCCUPIED' }),
+        ParkingSpot.countDocuments(filter),
+      ]);
+
+      return {
+        attribute,
+        available,
+        occupied,
+        total,
+      };
+    } catch (error) {
+      logger.error('Error getting availability by attribute', error, { attribute, lotId });
       throw error;
     }
   }
@@ -141,14 +232,16 @@ class ParkingSpotRepository {
   /**
    * Get spot availability by floor
    * @param {number} floorNumber - Floor number
+   * @param {string} lotId - Lot ID (optional)
    * @returns {Promise<Object>} Availability stats
    */
-  async getAvailabilityByFloor(floorNumber) {
+  async getAvailabilityByFloor(floorNumber, lotId = null) {
     try {
+      const filter = { ...lotFilter(lotId), floor_number: floorNumber };
       const [available, occupied, total] = await Promise.all([
-        ParkingSpot.countDocuments({ floor_number: floorNumber, status: 'AVAILABLE' }),
-        ParkingSpot.countDocuments({ floor_number: floorNumber, status: 'OCCUPIED' }),
-        ParkingSpot.countDocuments({ floor_number: floorNumber }),
+        ParkingSpot.countDocuments({ ...filter, status: 'AVAILABLE' }),
+        ParkingSpot.countDocuments({ ...filter, status: 'OCCUPIED' }),
+        ParkingSpot.countDocuments(filter),
       ]);
 
       return {
@@ -158,7 +251,7 @@ class ParkingSpotRepository {
         total,
       };
     } catch (error) {
-      logger.error('Error getting availability by floor', error, { floorNumber });
+      logger.error('Error getting availability by floor', error, { floorNumber, lotId });
       throw error;
     }
   }
@@ -168,9 +261,10 @@ class ParkingSpotRepository {
    * @param {string} spotId - Spot ID
    * @param {string} status - New status
    * @param {string} vehicleId - Vehicle ID (optional)
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Updated spot
    */
-  async updateStatus(spotId, status, vehicleId = null) {
+  async updateStatus(spotId, status, vehicleId = null, session = null) {
     try {
       const updateData = { status };
       if (vehicleId !== null) {
@@ -180,6 +274,7 @@ class ParkingSpotRepository {
       const spot = await ParkingSpot.findByIdAndUpdate(spotId, updateData, {
         new: true,
         runValidators: true,
+        session,
       });
 
       logger.debug('Parking spot status updated', { spotId, status });
@@ -190,16 +285,46 @@ class ParkingSpotRepository {
     }
   }
 
+  /**
+   * Atomically claim a spot for a vehicle
+   * Conditional update: only succeeds while the spot is still AVAILABLE
+   * @param {string} spotId - Spot ID
+   * @param {string} vehicleId - Vehicle ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Claimed spot, or null if it was taken first
+   */
+  async claimSpot(spotId, vehicleId, session = null) {
+    try {
+      const spot = await ParkingSpot.findOneAndUpdate(
+        { _id: spotId, status: 'AVAILABLE' },
+        { status: 'OCCUPIED', current_vehicle_id: vehicleId },
+        { new: true, runValidators: true, session }
+      );
+
+      logger.debug('Parking spot claim attempted', {
+        spotId,
+        vehicleId,
+        claimed: spot !== null,
+      });
+      return spot;
+    } catch (error) {
+      logger.error('Error claiming spot', error, { spotId, vehicleId });
+      throw error;
+    }
+  }
+
   /**
    * Get total statistics
+   * @param {string} lotId - Lot ID (optional)
    * @returns {Promise<Object>} Overall statistics
    */
-  async getStatistics() {
+  async getStatistics(lotId = null) {
     try {
+      const filter = lotFilter(lotId);
       const [totalSpots, availableSpots, occupiedSpots] = await Promise.all([
-        ParkingSpot.countDocuments(),
-        ParkingSpot.countDocuments({ status: 'AVAILABLE' }),
-        ParkingSpot.countDocuments({ status: 'OCCUPIED' }),
+        ParkingSpot.countDocuments(filter),
+        ParkingSpot.countDocuments({ ...filter, status: 'AVAILABLE' }),
+        ParkingSpot.countDocuments({ ...filter, status: 'OCCUPIED' }),
       ]);
 
       return {
@@ -216,17 +341,244 @@ class ParkingSpotRepository {
 
   /**
    * Get all spots
+   * @param {string} lotId - Lot ID (optional)
    * @returns {Promise<Array>} All spots
    */
-  async findAll() {
+  async findAll(lotId = null) {
     try {
-      return await ParkingSpot.find().sort({ floor_number: 1, spot_number: 1 }).exec();
+      return await ParkingSpot.find(lotFilter(lotId))
+        .sort({ floor_number: 1, spot_number: 1 })
+        .exec();
     } catch (error) {
       logger.error('Error finding all spots', error);
       throw error;
     }
   }
 
+  /**
+   * Create multiple spots at once
+   * @param {Array<Object>} spotsData - Spot data
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Array>} Created spots
+   */
+  async createMany(spotsData, session = null) {
+    try {
+      const spots = await ParkingSpot.insertMany(spotsData, { session });
+      logger.debug('Parking spots created', { count: spots.length });
+      return spots;
+    } catch (error) {
+      logger.error('Error creating parking spots', error, { count: spotsData.length });
+      throw error;
+    }
+  }
+
+  /**
+   * Find spots in a lot with optional filters
+   * @param {string} lotId - Lot ID
+   * @param {Object} filters - Optional filters (floor_number, spot_number, spot_type, status,
+   *                           attributes = a single attribute the spot carries)
+   * @returns {Promise<Array>} Matching spots
+   */
+  async findByLot(lotId, filters = {}) {
+    try {
+      const query = { lot_id: lotId };
+      ['floor_number', 'spot_number', 'spot_type', 'status', 'attributes'].forEach((field) => {
+        if (filters[field] !== undefined) {
+          query[field] = filters[field];
+        }
+      });
+
+      return await ParkingSpot.find(query)
+        .sort({ floor_number: 1, spot_number: 1 })
+        .exec();
+    } catch (error) {
+      logger.error('Error finding spots by lot', error, { lotId, filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Count occupied spots in a lot, optionally on a single floor
+   * @param {string} lotId - Lot ID
+   * @param {number} floorNumber - Floor number (optional)
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<number>} Occupied spot count
+   */
+  async countOccupied(lotId, floorNumber = null, session = null) {
+    try {
+      const query = { lot_id: lotId, status: 'OCCUPIED' };
+      if (floorNumber !== null) {
+        query.floor_number = floorNumber;
+      }
+      return await ParkingSpot.countDocuments(query).session(session);
+    } catch (error) {
+      logger.error('Error counting occupied spots', error, { lotId, floorNumber });
+      throw error;
+    }
+  }
+
+  /**
+   * Count spots on a floor
+   * @param {string} lotId - Lot ID
+   * @param {number} floorNumber - Floor number
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<number>} Spot count
+   */
+  async countOnFloor(lotId, floorNumber, session = null) {
+    try {
+      return await ParkingSpot.countDocuments({
+        lot_id: lotId,
+        floor_number: floorNumber,
+      }).session(session);
+    } catch (error) {
+      logger.error('Error counting spots on floor', error, { lotId, floorNumber });
+      throw error;
+    }
+  }
+
+  /**
+   * Summarise a lot's layout: spot counts grouped by spot type and status
+   * @param {string} lotId - Lot ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} { counts: [{ spot_type, status, count }], highest_floor }
+   */
+  async getLayoutSummary(lotId, session = null) {
+    try {
+      const rows = await ParkingSpot.aggregate([
+        { $match: { lot_id: new mongoose.Types.ObjectId(String(lotId)) } },
+        {
+          $group: {
+            _id: { spot_type: '$spot_type', status: '$status' },
+            count: { $sum: 1 },
+            highest_floor: { $max: '$floor_number' },
+          },
+        },
+      ]).session(session);
+
+      return {
+        counts: rows.map((row) => ({
+          spot_type: row._id.spot_type,
+          status: row._id.status,
+          count: row.count,
+        })),
+        highest_floor: rows.reduce((max, row) => Math.max(max, row.highest_floor), 0),
+      };
+    } catch (error) {
+      logger.error('Error getting layout summary', error, { lotId });
+      throw error;
+    }
+  }
+
+  /**
+   * Move a spot from one status to another
+   * Conditional on the current status so the transition never overrides a concurrent claim
+   * @param {string} spotId - Spot ID
+   * @param {string} fromStatus - Expected current status
+   * @param {string} toStatus - New status
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Updated spot, or null if the spot was not in fromStatus
+   */
+  async transitionStatus(spotId, fromStatus, toStatus, session = null) {
+    try {
+      const spot = await ParkingSpot.findOneAndUpdate(
+        { _id: spotId, status: fromStatus },
+        { status: toStatus },
+        { new: true, runValidators: true, session }
+      );
+
+      logger.debug('Spot status transition', {
+        spotId,
+        fromStatus,
+        toStatus,
+        applied: spot !== null,
+      });
+      return spot;
+    } catch (error) {
+      logger.error('Error transitioning spot status', error, { spotId, fromStatus, toStatus });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a spot unless it is currently occupied
+   * @param {string} spotId - Spot ID
+   * @param {Object} updateData - Data to update
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Updated spot, or null if missing or occupied
+   */
+  async updateIfNotOccupied(spotId, updateData, session = null) {
+    try {
+      const spot = await ParkingSpot.findOneAndUpdate(
+        { _id: spotId, status: { $ne: 'OCCUPIED' } },
+        updateData,
+        { new: true, runValidators: true, session }
+      );
+
+      logger.debug('Parking spot updated', { spotId, updated: spot !== null });
+      return spot;
+    } catch (error) {
+      logger.error('Error updating spot', error, { spotId, updateData });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a spot unless it is currently occupied
+   * @param {string} spotId - Spot ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Deleted spot, or null if missing or occupied
+   */
+  async deleteIfNotOccupied(spotId, session = null) {
+    try {
+      const spot = await ParkingSpot.findOneAndDelete(
+        { _id: spotId, status: { $ne: 'OCCUPIED' } },
+        { session }
+      );
+
+      logger.debug('Parking spot delete attempted', { spotId, deleted: spot !== null });
+      return spot;
+    } catch (error) {
+      logger.error('Error deleting spot', error, { spotId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all spots on a floor
+   * @param {string} lotId - Lot ID
+   * @param {number} floorNumber - Floor number
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<number>} Number of deleted spots
+   */
+  async deleteByFloor(lotId, floorNumber, session = null) {
+    try {
+      const result = await ParkingSpot.deleteMany(
+        { lot_id: lotId, floor_number: floorNumber },
+        { session }
+      );
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting spots by floor', error, { lotId, floorNumber });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all spots in a lot
+   * @param {string} lotId - Lot ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<number>} Number of deleted spots
+   */
+  async deleteByLot(lotId, session = null) {
+    try {
+      const result = await ParkingSpot.deleteMany({ lot_id: lotId }, { session });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting spots by lot', error, { lotId });
+      throw error;
+    }
+  }
+
   /**
    * Delete spot by ID
    * @param {string} spotId - Spot ID
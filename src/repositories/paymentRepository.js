@@ -0,0 +1,115 @@
+const Payment = require('../models/Payment');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('PaymentRepository');
+
+class PaymentRepository {
+  /**
+   * Create a payment
+   * @param {Object} paymentData - Payment data
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Created payment
+   */
+  async create(paymentData, session = null) {
+    try {
+      const payment = new Payment(paymentData);
+      await payment.save({ session });
+      logger.debug('Payment created', {
+        paymentId: payment._id,
+        transactionId: payment.transaction_id,
+        method: payment.method,
+        amount: payment.amount,
+      });
+      return payment;
+    } catch (error) {
+      logger.error('Error creating payment', error, { paymentData });
+      throw error;
+    }
+  }
+
+  /**
+   * Find payment by ID
+   * @param {string} paymentId - Payment ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Payment
+   */
+  async findById(paymentId, session = null) {
+    try {
+      return await Payment.findById(paymentId).session(session);
+    } catch (error) {
+      logger.error('Error finding payment by ID', error, { paymentId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find payments for a transaction, oldest first
+   * @param {string} transactionId - Transaction ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Array>} Payments
+   */
+  async findByTransaction(transactionId, session = null) {
+    try {
+      return await Payment.find({ transaction_id: transactionId })
+        .sort({ created_at: 1 })
+        .session(session);
+    } catch (error) {
+      logger.error('Error finding payments by transaction', error, { transactionId });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a payment only if it is still in the expected status
+   * @param {string} paymentId - Payment ID
+   * @param {string} fromStatus - Expected current status
+   * @param {Object} updateData - Fields to set
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Updated payment, or null if the status changed
+   */
+  async transition(paymentId, fromStatus, updateData, session = null) {
+    try {
+      const payment = await Payment.findOneAndUpdate(
+        { _id: paymentId, status: fromStatus },
+        updateData,
+        { new: true, runValidators: true, session }
+      );
+
+      logger.debug('Payment transition', {
+        paymentId,
+        fromStatus,
+        toStatus: updateData.status,
+        applied: Boolean(payment),
+      });
+      return payment;
+    } catch (error) {
+      logger.error('Error updating payment', error, { paymentId, fromStatus, updateData });
+      throw error;
+    }
+  }
+
+  /**
+   * Set the total amount refunded against a payment
+   * @param {string} paymentId - Payment ID
+   * @param {number} amountRefunded - New total refunded
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Updated payment
+   */
+  async updateRefunded(paymentId, amountRefunded, session = null) {
+    try {
+      const payment = await Payment.findByIdAndUpdate(
+        paymentId,
+        { amount_refunded: amountRefunded },
+        { new: true, runValidators: true, session }
+      );
+
+      logger.debug('Payment refund recorded', { paymentId, amountRefunded });
+      return payment;
+    } catch (error) {
+      logger.error('Error recording payment refund', error, { paymentId, amountRefunded });
+      throw error;
+    }
+  }
+}
+
+module.exports = new PaymentRepository();
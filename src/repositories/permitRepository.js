@@ -0,0 +1,246 @@
+const Permit = require('../models/Permit');
+const { createLogger } = require('../utils/logger');
+const { normalizePlate } = require('../utils/plateNormalizer');
+
+const logger = createLogger('PermitRepository');
+
+/**
+ * Query matching permits covering any of the license plates, by their normalized keys
+ * Permits stored before plates were normalized are matched by their uppercase plates
+ * @param {Array<string>} licensePlates - License plates as entered
+ * @returns {Object} Query condition
+ */
+const platesQuery = (licensePlates) => ({
+  $or: [
+    { normalized_plates: { $in: licensePlates.map(normalizePlate) } },
+    {
+      normalized_plates: null,
+      license_plates: { $in: licensePlates.map((plate) => plate.trim().toUpperCase()) },
+    },
+  ],
+});
+
+class PermitRepository {
+  /**
+   * Create a permit
+   * The normalized plates are derived from license_plates
+   * @param {Object} permitData - Permit data
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Created permit
+   */
+  async create(permitData, session = null) {
+    try {
+      const permit = new Permit({
+        ...permitData,
+        normalized_plates: permitData.license_plates.map(normalizePlate),
+      });
+      await permit.save({ session });
+      logger.debug('Permit created', {
+        permitId: permit._id,
+        licensePlates: permit.license_plates,
+      });
+      return permit;
+    } catch (error) {
+      logger.error('Error creating permit', error, { permitData });
+      throw error;
+    }
+  }
+
+  /**
+   * Find permit by ID
+   * @param {string} permitId - Permit ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Permit
+   */
+  async findById(permitId, session = null) {
+    try {
+      return await Permit.findById(permitId).session(session);
+    } catch (error) {
+      logger.error('Error finding permit by ID', error, { permitId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find permits in a lot with optional filters, newest validity first
+   * @param {string} lotId - Lot ID
+   * @param {Object} filters - Optional filters (status, license_plate, active_at)
+   * @returns {Promise<Array>} Permits
+   */
+  async findByLot(lotId, filters = {}) {
+    try {
+      const query = { lot_id: lotId };
+
+      if (filters.status !== undefined) {
+        query.status = filters.status;
+      }
+
+      if (filters.license_plate !== undefined) {
+        Object.assign(query, platesQuery([filters.license_plate]));
+      }
+
+      if (filters.active_at !== undefined) {
+        query.status = 'ACTIVE';
+        query.valid_from = { $lte: filters.active_at };
+        query.valid_until = { $gt: filters.active_at };
+      }
+
+      return await Permit.find(query).sort({ valid_from: -1 }).exec();
+    } catch (error) {
+      logger.error('Error finding permits by lot', error, { lotId, filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the ACTIVE permit covering a plate and vehicle type at a point in time
+   * @param {string} lotId - Lot ID
+   * @param {string} licensePlate - License plate
+   * @param {string} vehicleType - Vehicle type
+   * @param {Date} at - Point in time
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Permit
+   */
+  async findActiveForPlate(lotId, licensePlate, vehicleType, at, session = null) {
+    try {
+      return await Permit.findOne({
+        ...platesQuery([licensePlate]),
+        lot_id: lotId,
+        vehicle_type: vehicleType,
+        status: 'ACTIVE',
+        valid_from: { $lte: at },
+        valid_until: { $gt: at },
+      }).session(session);
+    } catch (error) {
+      logger.error('Error finding active permit', error, { lotId, licensePlate });
+      throw error;
+    }
+  }
+
+  /**
+   * Count ACTIVE permits of a lot overlapping a period that cover any of the plates
+   * @param {string} lotId - Lot ID
+   * @param {Array<string>} licensePlates - License plates
+   * @param {Date} from - Period start
+   * @param {Date} to - Period end
+   * @param {string} excludeId - Permit ID to ignore (the one being updated, optional)
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<number>} Overlapping permit count
+   */
+  async countOverlappingForPlates(
+    lotId,
+    licensePlates,
+    from,
+    to,
+    excludeId = null,
+    session = null
+  ) {
+    return this.countOverlapping(
+      lotId,
+      platesQuery(licensePlates),
+      from,
+      to,
+      excludeId,
+      session
+    );
+  }
+
+  /**
+   * Count ACTIVE permits of a lot overlapping a period that match a condition
+   * @param {string} lotId - Lot ID
+   * @param {Object} condition - Extra query condition (e.g. plates or a reserved spot)
+   * @param {Date} from - Period start
+   * @param {Date} to - Period end
+   * @param {string} excludeId - Permit ID to ignore (the one being updated, optional)
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<number>} Overlapping permit count
+   */
+  async countOverlapping(lotId, condition, from, to, excludeId = null, session = null) {
+    try {
+      const query = {
+        ...condition,
+        lot_id: lotId,
+        status: 'ACTIVE',
+        valid_from: { $lt: to },
+        valid_until: { $gt: from },
+      };
+
+      if (excludeId) {
+        query._id = { $ne: excludeId };
+      }
+
+      return await Permit.countDocuments(query).session(session);
+    } catch (error) {
+      logger.error('Error counting overlapping permits', error, { lotId, condition });
+      throw error;
+    }
+  }
+
+  /**
+   * Find spot IDs reserved by permits valid at a point in time
+   * Drive-up allocation skips them
+   * @param {string} lotId - Lot ID
+   * @param {Date} at - Point in time
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Array>} Spot IDs
+   */
+  async findReservedSpotIds(lotId, at, session = null) {
+    try {
+      return await Permit.distinct('reserved_spot_id', {
+        lot_id: lotId,
+        status: 'ACTIVE',
+        reserved_spot_id: { $ne: null },
+        valid_from: { $lte: at },
+        valid_until: { $gt: at },
+      }).session(session);
+    } catch (error) {
+      logger.error('Error finding permit reserved spots', error, { lotId, at });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a permit
+   * The normalized plates follow license_plates when they change
+   * @param {string} permitId - Permit ID
+   * @param {Object} updateData - Fields to set
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Updated permit
+   */
+  async update(permitId, updateData, session = null) {
+    try {
+      const update = updateData.license_plates
+        ? { ...updateData, normalized_plates: updateData.license_plates.map(normalizePlate) }
+        : updateData;
+      const permit = await Permit.findByIdAndUpdate(permitId, update, {
+        new: true,
+        runValidators: true,
+        session,
+      });
+
+      logger.debug('Permit updated', { permitId, fields: Object.keys(updateData) });
+      return permit;
+    } catch (error) {
+      logger.error('Error updating permit', error, { permitId, updateData });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all permits in a lot
+   * @param {string} lotId - Lot ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<number>} Number of deleted permits
+   */
+  async deleteByLot(lotId, session = null) {
+    try {
+      const result = await Permit.deleteMany({ lot_id: lotId }, { session });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting permits by lot', error, { lotId });
+      throw error;
+    }
+  }
+}
+
+module.exports = new PermitRepository();
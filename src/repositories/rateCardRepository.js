@@ -3,19 +3,32 @@ const { createLogger } = require('../utils/logger');
 
 const logger = createLogger('RateCardRepository');
 
+/**
+ * Build filter for rate card versions in force at a point in time
+ * Legacy rate cards without effective_from count as in force since forever
+ * @param {Date} at - Point in time
+ * @returns {Object} Query filter
+ */
+const inForceAt = (at) => ({
+  effective_from: { $not: { $gt: at } },
+  $or: [{ effective_to: null }, { effective_to: { $gt: at } }],
+});
+
 class RateCardRepository {
   /**
-   * Create a new rate card
+   * Create a new rate card version
    * @param {Object} rateCardData - Rate card data
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Created rate card
    */
-  async create(rateCardData) {
+  async create(rateCardData, session = null) {
     try {
       const rateCard = new RateCard(rateCardData);
-      await rateCard.save();
+      await rateCard.save({ session });
       logger.debug('Rate card created', {
         rateCardId: rateCard._id,
         vehicleType: rateCard.vehicle_type,
+        version: rateCard.version,
       });
       return rateCard;
     } catch (error) {
@@ -27,11 +40,12 @@ class RateCardRepository {
   /**
    * Find rate card by ID
    * @param {string} rateCardId - Rate card ID
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Rate card document
    */
-  async findById(rateCardId) {
+  async findById(rateCardId, session = null) {
     try {
-      return await RateCard.findById(rateCardId);
+      return await RateCard.findById(rateCardId).session(session);
     } catch (error) {
       logger.error('Error finding rate card by ID', error, { rateCardId });
       throw error;
@@ -39,88 +53,173 @@ class RateCardRepository {
   }
 
   /**
-   * Find rate card by vehicle type
+   * Find the version of one rate card timeline in force at a point in time
+   * @param {string|null} lotId - Lot ID (null = default rate cards)
+   * @param {string} vehicleType - Vehicle type
+   * @param {Date} at - Point in time
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Rate card document
+   */
+  async findVersionAt(lotId, vehicleType, at, session = null) {
+    try {
+      return await RateCard.findOne({
+        lot_id: lotId,
+        vehicle_type: vehicleType,
+        ...inForceAt(at),
+      })
+        .sort({ effective_from: -1, version: -1 })
+        .session(session);
+    } catch (error) {
+      logger.error('Error finding rate card version', error, { lotId, vehicleType, at });
+      throw error;
+    }
+  }
+
+  /**
+   * Find default (lot-independent) rate card currently in force by vehicle type
    * @param {string} vehicleType - Vehicle type (MOTORCYCLE, CAR, BUS)
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Rate card document
+   */
+  async findByVehicleType(vehicleType, session = null) {
+    return this.findVersionAt(null, vehicleType, new Date(), session);
+  }
+
+  /**
+   * Find rate card that applies to a lot at a point in time
+   * Lot-specific rate card wins; falls back to the default rate card
+   * @param {string} lotId - Lot ID
+   * @param {string} vehicleType - Vehicle type
+   * @param {Date} at - Point in time
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Rate card document
+   */
+  async findInForce(lotId, vehicleType, at, session = null) {
+    const lotRateCard = await this.findVersionAt(lotId, vehicleType, at, session);
+    return lotRateCard || (await this.findVersionAt(null, vehicleType, at, session));
+  }
+
+  /**
+   * Find rate card that currently applies to a lot
+   * @param {string} lotId - Lot ID
+   * @param {string} vehicleType - Vehicle type
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Rate card document
    */
-  async findByVehicleType(vehicleType) {
+  async findForLot(lotId, vehicleType, session = null) {
     try {
-      return await RateCard.findOne({ vehicle_type: vehicleType });
+      return await this.findInForce(lotId, vehicleType, new Date(), session);
     } catch (error) {
-      logger.error('Error finding rate card by vehicle type', error, { vehicleType });
+      logger.error('Error finding rate card for lot', error, { lotId, vehicleType });
       throw error;
     }
   }
 
   /**
-   * Get all rate cards
-   * @returns {Promise<Array>} All rate cards
+   * Get rate cards currently in force for a lot (one per vehicle type)
+   * @param {string} lotId - Lot ID
+   * @returns {Promise<Array>} Effective rate cards
    */
-  async findAll() {
+  async findAllForLot(lotId) {
     try {
-      return await RateCard.find().exec();
+      const rateCards = await RateCard.find({
+        lot_id: { $in: [lotId, null] },
+        ...inForceAt(new Date()),
+      })
+        .sort({ effective_from: 1, version: 1 })
+        .exec();
+
+      // Later versions overwrite earlier ones; lot-specific cards overwrite defaults
+      const byType = {};
+      rateCards.forEach((card) => {
+        const current = byType[card.vehicle_type];
+        if (!current || card.lot_id || !current.lot_id) {
+          byType[card.vehicle_type] = card;
+        }
+      });
+
+      return Object.values(byType);
     } catch (error) {
-      logger.error('Error finding all rate cards', error);
+      logger.error('Error finding rate cards for lot', error, { lotId });
       throw error;
     }
   }
 
   /**
-   * Update rate card
-   * @param {string} rateCardId - Rate card ID
-   * @param {Object} updateData - Data to update
-   * @returns {Promise<Object>} Updated rate card
+   * List rate card versions, newest first within each timeline
+   * @param {Object} filters - Optional filters (lot_id: ID or null, vehicle_type)
+   * @returns {Promise<Array>} Rate card versions
    */
-  async update(rateCardId, updateData) {
+  async findVersions(filters = {}) {
     try {
-      const rateCard = await RateCard.findByIdAndUpdate(rateCardId, updateData, {
-        new: true,
-        runValidators: true,
-      });
+      const query = {};
+      if (filters.lot_id !== undefined) {
+        query.lot_id = filters.lot_id;
+      }
+      if (filters.vehicle_type !== undefined) {
+        query.vehicle_type = filters.vehicle_type;
+      }
 
-      logger.debug('Rate card updated', {
-        rateCardId,
-        vehicleType: rateCard.vehicle_type,
-      });
-      return rateCard;
+      return await RateCard.find(query)
+        .sort({ lot_id: 1, vehicle_type: 1, version: -1 })
+        .exec();
     } catch (error) {
-      logger.error('Error updating rate card', error, { rateCardId, updateData });
+      logger.error('Error finding rate card versions', error, { filters });
       throw error;
     }
   }
 
   /**
-   * Update rate card by vehicle type
+   * Find the latest version of a rate card timeline
+   * @param {string|null} lotId - Lot ID (null = default rate cards)
    * @param {string} vehicleType - Vehicle type
-   * @param {Object} updateData - Data to update
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Latest version
+   */
+  async findLatestVersion(lotId, vehicleType, session = null) {
+    try {
+      return await RateCard.findOne({ lot_id: lotId, vehicle_type: vehicleType })
+        .sort({ version: -1 })
+        .session(session);
+    } catch (error) {
+      logger.error('Error finding latest rate card version', error, { lotId, vehicleType });
+      throw error;
+    }
+  }
+
+  /**
+   * Set the end of a version's validity
+   * The only change allowed on an existing version (used when it is superseded)
+   * @param {string} rateCardId - Rate card ID
+   * @param {Date|null} effectiveTo - End of validity (null = open-ended)
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Updated rate card
    */
-  async updateByVehicleType(vehicleType, updateData) {
+  async setEffectiveTo(rateCardId, effectiveTo, session = null) {
     try {
-      const rateCard = await RateCard.findOneAndUpdate(
-        { vehicle_type: vehicleType },
-        updateData,
-        { new: true, runValidators: true }
+      const rateCard = await RateCard.findByIdAndUpdate(
+        rateCardId,
+        { effective_to: effectiveTo },
+        { new: true, session }
       );
 
-      logger.debug('Rate card updated by vehicle type', { vehicleType });
+      logger.debug('Rate card validity updated', { rateCardId, effectiveTo });
       return rateCard;
     } catch (error) {
-      logger.error('Error updating rate card by vehicle type', error, {
-        vehicleType,
-        updateData,
-      });
+      logger.error('Error updating rate card validity', error, { rateCardId, effectiveTo });
       throw error;
     }
   }
 
   /**
-   * Get hourly rates for all vehicle types
+   * Get current default hourly rates for all vehicle types
    * @returns {Promise<Object>} Hourly rates by vehicle type
    */
   async getHourlyRates() {
     try {
-      const rateCards = await RateCard.find().select('vehicle_type hourly_rate').exec();
+      const rateCards = await RateCard.find({ lot_id: null, ...inForceAt(new Date()) })
+        .select('vehicle_type hourly_rate')
+        .exec();
 
       const rates = {};
       rateCards.forEach((card) => {
@@ -137,11 +236,12 @@ class RateCardRepository {
   /**
    * Delete rate card by ID
    * @param {string} rateCardId - Rate card ID
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Deleted rate card
    */
-  async deleteById(rateCardId) {
+  async deleteById(rateCardId, session = null) {
     try {
-      return await RateCard.findByIdAndDelete(rateCardId);
+      return await RateCard.findByIdAndDelete(rateCardId, { session });
     } catch (error) {
       logger.error('Error deleting rate card', error, { rateCardId });
       throw error;
@@ -0,0 +1,245 @@
+const Reservation = require('../models/Reservation');
+const { createLogger } = require('../utils/logger');
+const { normalizePlate } = require('../utils/plateNormalizer');
+
+const logger = createLogger('ReservationRepository');
+
+/**
+ * Query matching a license plate by its normalized key
+ * Reservations stored before plates were normalized are matched by their uppercase plate
+ * @param {string} licensePlate - License plate as entered
+ * @returns {Object} Query condition
+ */
+const plateQuery = (licensePlate) => ({
+  $or: [
+    { normalized_plate: normalizePlate(licensePlate) },
+    { normalized_plate: null, license_plate: licensePlate.trim().toUpperCase() },
+  ],
+});
+
+// Reservations that still claim their spot
+const HOLDING_STATUSES = ['BOOKED', 'CHECKED_IN'];
+
+class ReservationRepository {
+  /**
+   * Create a reservation
+   * The normalized plate is derived from license_plate
+   * @param {Object} reservationData - Reservation data
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Created reservation
+   */
+  async create(reservationData, session = null) {
+    try {
+      const reservation = new Reservation({
+        ...reservationData,
+        normalized_plate: normalizePlate(reservationData.license_plate),
+      });
+      await reservation.save({ session });
+      logger.debug('Reservation created', {
+        reservationId: reservation._id,
+        licensePlate: reservation.license_plate,
+        spotId: reservation.spot_id,
+      });
+      return reservation;
+    } catch (error) {
+      logger.error('Error creating reservation', error, { reservationData });
+      throw error;
+    }
+  }
+
+  /**
+   * Find reservation by ID
+   * @param {string} reservationId - Reservation ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Reservation
+   */
+  async findById(reservationId, session = null) {
+    try {
+      return await Reservation.findById(reservationId).session(session);
+    } catch (error) {
+      logger.error('Error finding reservation by ID', error, { reservationId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find reservations in a lot with optional filters, soonest first
+   * @param {string} lotId - Lot ID
+   * @param {Object} filters - Optional filters (status, license_plate)
+   * @returns {Promise<Array>} Reservations
+   */
+  async findByLot(lotId, filters = {}) {
+    try {
+      const query = { lot_id: lotId };
+      if (filters.status !== undefined) {
+        query.status = filters.status;
+      }
+      if (filters.license_plate !== undefined) {
+        Object.assign(query, plateQuery(filters.license_plate));
+      }
+
+      return await Reservation.find(query).sort({ starts_at: 1 }).exec();
+    } catch (error) {
+      logger.error('Error finding reservations by lot', error, { lotId, filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Find spot IDs claimed by reservations overlapping a period
+   * A reservation claims its spot from hold_from until ends_at
+   * @param {string} lotId - Lot ID
+   * @param {Date} from - Period start
+   * @param {Date} to - Period end
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Array>} Spot IDs
+   */
+  async findSpotIdsBookedBetween(lotId, from, to, session = null) {
+    try {
+      return await Reservation.distinct('spot_id', {
+        lot_id: lotId,
+        status: { $in: HOLDING_STATUSES },
+        hold_from: { $lt: to },
+        ends_at: { $gt: from },
+      }).session(session);
+    } catch (error) {
+      logger.error('Error finding booked spots', error, { lotId, from, to });
+      throw error;
+    }
+  }
+
+  /**
+   * Find spot IDs held for arriving reservations at a point in time
+   * (BOOKED, hold_from <= at < hold_until); drive-up allocation skips them
+   * @param {string} lotId - Lot ID
+   * @param {Date} at - Point in time
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Array>} Spot IDs
+   */
+  async findHeldSpotIds(lotId, at, session = null) {
+    try {
+      return await Reservation.distinct('spot_id', {
+        lot_id: lotId,
+        status: 'BOOKED',
+        hold_from: { $lte: at },
+        hold_until: { $gt: at },
+      }).session(session);
+    } catch (error) {
+      logger.error('Error finding held spots', error, { lotId, at });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the BOOKED reservation of a plate whose hold covers a point in time
+   * @param {string} lotId - Lot ID
+   * @param {string} licensePlate - License plate
+   * @param {Date} at - Arrival time
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Reservation
+   */
+  async findArrivable(lotId, licensePlate, at, session = null) {
+    try {
+      return await Reservation.findOne({
+        ...plateQuery(licensePlate),
+        lot_id: lotId,
+        status: 'BOOKED',
+        hold_from: { $lte: at },
+        hold_until: { $gt: at },
+      })
+        .sort({ starts_at: 1 })
+        .session(session);
+    } catch (error) {
+      logger.error('Error finding reservation for arrival', error, { lotId, licensePlate });
+      throw error;
+    }
+  }
+
+  /**
+   * Count a plate's reservations in a lot overlapping a period
+   * @param {string} lotId - Lot ID
+   * @param {string} licensePlate - License plate
+   * @param {Date} from - Period start
+   * @param {Date} to - Period end
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<number>} Overlapping reservation count
+   */
+  async countOverlappingForPlate(lotId, licensePlate, from, to, session = null) {
+    try {
+      return await Reservation.countDocuments({
+        ...plateQuery(licensePlate),
+        lot_id: lotId,
+        status: 'BOOKED',
+        starts_at: { $lt: to },
+        ends_at: { $gt: from },
+      }).session(session);
+    } catch (error) {
+      logger.error('Error counting overlapping reservations', error, { lotId, licensePlate });
+      throw error;
+    }
+  }
+
+  /**
+   * Find BOOKED reservations whose hold has expired without an arrival
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Expired reservations
+   */
+  async findExpiredHolds(now) {
+    try {
+      return await Reservation.find({ status: 'BOOKED', hold_until: { $lte: now } })
+        .sort({ hold_until: 1 })
+        .exec();
+    } catch (error) {
+      logger.error('Error finding expired reservation holds', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a reservation from one status to another
+   * Conditional on the current status so each transition is applied once
+   * @param {string} reservationId - Reservation ID
+   * @param {string} fromStatus - Expected current status
+   * @param {Object} updateData - Fields to set (must include status)
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Updated reservation, or null if the status had changed
+   */
+  async transition(reservationId, fromStatus, updateData, session = null) {
+    try {
+      const reservation = await Reservation.findOneAndUpdate(
+        { _id: reservationId, status: fromStatus },
+        updateData,
+        { new: true, runValidators: true, session }
+      );
+
+      logger.debug('Reservation transition', {
+        reservationId,
+        fromStatus,
+        toStatus: updateData.status,
+        applied: reservation !== null,
+      });
+      return reservation;
+    } catch (error) {
+      logger.error('Error updating reservation', error, { reservationId, updateData });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all reservations in a lot
+   * @param {string} lotId - Lot ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<number>} Number of deleted reservations
+   */
+  async deleteByLot(lotId, session = null) {
+    try {
+      const result = await Reservation.deleteMany({ lot_id: lotId }, { session });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting reservations by lot', error, { lotId });
+      throw error;
+    }
+  }
+}
+
+module.exports = new ReservationRepository();
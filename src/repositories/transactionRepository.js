@@ -3,16 +3,24 @@ const { createLogger } = require('../utils/logger');
 
 const logger = createLogger('TransactionRepository');
 
+/**
+ * Build lot filter for transaction queries
+ * @param {string} lotId - Lot ID (optional, null = all lots)
+ * @returns {Object} Query filter
+ */
+const lotFilter = (lotId) => (lotId ? { lot_id: lotId } : {});
+
 class TransactionRepository {
   /**
    * Create a new parking transaction
    * @param {Object} transactionData - Transaction data
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Created transaction
    */
-  async create(transactionData) {
+  async create(transactionData, session = null) {
     try {
       const transaction = new ParkingTransaction(transactionData);
-      await transaction.save();
+      await transaction.save({ session });
       logger.debug('Parking transaction created', {
         transactionId: transaction._id,
         vehicleId: transaction.vehicle_id,
@@ -28,13 +36,15 @@ class TransactionRepository {
   /**
    * Find transaction by ID
    * @param {string} transactionId - Transaction ID
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Transaction document
    */
-  async findById(transactionId) {
+  async findById(transactionId, session = null) {
     try {
       return await ParkingTransaction.findById(transactionId)
         .populate('vehicle_id')
-        .populate('spot_id');
+        .populate('spot_id')
+        .session(session);
     } catch (error) {
       logger.error('Error finding transaction by ID', error, { transactionId });
       throw error;
@@ -44,22 +54,64 @@ class TransactionRepository {
   /**
    * Find active transaction by vehicle ID
    * @param {string} vehicleId - Vehicle ID
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Active transaction (where exit_time is null)
    */
-  async findActiveByVehicleId(vehicleId) {
+  async findActiveByVehicleId(vehicleId, session = null) {
     try {
       return await ParkingTransaction.findOne({
         vehicle_id: vehicleId,
         exit_time: null,
       })
         .populate('vehicle_id')
-        .populate('spot_id');
+        .populate('spot_id')
+        .session(session);
     } catch (error) {
       logger.error('Error finding active transaction', error, { vehicleId });
       throw error;
     }
   }
 
+  /**
+   * Search active transactions (exit_time null) in a lot, oldest entry first
+   * @param {string} lotId - Lot ID
+   * @param {Object} criteria - Optional criteria (vehicle_ids, spot_ids, entered_after,
+   *                            entered_before)
+   * @returns {Promise<Array>} Active transactions with vehicle and spot populated
+   */
+  async searchActive(lotId, criteria = {}) {
+    try {
+      const query = { lot_id: lotId, exit_time: null };
+
+      if (criteria.vehicle_ids !== undefined) {
+        query.vehicle_id = { $in: criteria.vehicle_ids };
+      }
+
+      if (criteria.spot_ids !== undefined) {
+        query.spot_id = { $in: criteria.spot_ids };
+      }
+
+      if (criteria.entered_after !== undefined || criteria.entered_before !== undefined) {
+        query.entry_time = {};
+        if (criteria.entered_after !== undefined) {
+          query.entry_time.$gte = criteria.entered_after;
+        }
+        if (criteria.entered_before !== undefined) {
+          query.entry_time.$lte = criteria.entered_before;
+        }
+      }
+
+      return await ParkingTransaction.find(query)
+        .populate('vehicle_id')
+        .populate('spot_id')
+        .sort({ entry_time: 1 })
+        .exec();
+    } catch (error) {
+      logger.error('Error searching active transactions', error, { lotId, criteria });
+      throw error;
+    }
+  }
+
   /**
    * Find all transactions for a vehicle
    * @param {string} vehicleId - Vehicle ID
@@ -82,14 +134,15 @@ class TransactionRepository {
    * Update transaction with exit details
    * @param {string} transactionId - Transaction ID
    * @param {Object} exitData - Exit data (exit_time, duration_minutes, parking_fee, payment_status)
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Updated transaction
    */
-  async updateExit(transactionId, exitData) {
+  async updateExit(transactionId, exitData, session = null) {
     try {
       const transaction = await ParkingTransaction.findByIdAndUpdate(
         transactionId,
         exitData,
-        { new: true, runValidators: true }
+        { new: true, runValidators: true, session }
       )
         .populate('vehicle_id')
         .populate('spot_id');
@@ -112,11 +165,13 @@ class TransactionRepository {
    * Get all transactions in a time range
    * @param {Date} startTime - Start time
    * @param {Date} endTime - End time
+   * @param {string} lotId - Lot ID (optional)
    * @returns {Promise<Array>} Transactions in range
    */
-  async findByTimeRange(startTime, endTime) {
+  async findByTimeRange(startTime, endTime, lotId = null) {
     try {
       return await ParkingTransaction.find({
+        ...lotFilter(lotId),
         entry_time: { $gte: startTime, $lte: endTime },
       })
         .populate('vehicle_id')
@@ -125,6 +180,7 @@ class TransactionRepository {
       logger.error('Error finding transactions by time range', error, {
         startTime,
         endTime,
+        lotId,
       });
       throw error;
     }
@@ -197,33 +253,156 @@ class TransactionRepository {
     }
   }
 
+  /**
+   * Apply a payment to a transaction
+   * Only succeeds if amount_paid still equals the value the payment was computed
+   * from, so concurrent payments cannot both settle the same balance
+   * @param {string} transactionId - Transaction ID
+   * @param {number} expectedAmountPaid - amount_paid the payment was computed from
+   * @param {Object} updateData - amount_paid, payment_status, payment_method
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Updated transaction, or null if it changed meanwhile
+   */
+  async applyPayment(transactionId, expectedAmountPaid, updateData, session = null) {
+    try {
+      // Transactions created before payments existed have no amount_paid field
+      const amountPaidFilter = expectedAmountPaid === 0
+        ? { $in: [0, null] }
+        : expectedAmountPaid;
+
+      const transaction = await ParkingTransaction.findOneAndUpdate(
+        { _id: transactionId, payment_status: 'PENDING', amount_paid: amountPaidFilter },
+        updateData,
+        { new: true, runValidators: true, session }
+      );
+
+      logger.debug('Payment applied to transaction', {
+        transactionId,
+        applied: Boolean(transaction),
+        amountPaid: updateData.amount_paid,
+      });
+      return transaction;
+    } catch (error) {
+      logger.error('Error applying payment to transaction', error, {
+        transactionId,
+        updateData,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a fee adjustment or refund to a transaction
+   * Only succeeds if the transaction was not updated since it was read (updated_at),
+   * so an adjustment cannot be computed from a stale fee or balance
+   * @param {string} transactionId - Transaction ID
+   * @param {Date} expectedUpdatedAt - updated_at of the transaction the change was computed from
+   * @param {Object} updateData - parking_fee, original_fee, amount_refunded, payment_status
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Updated transaction, or null if it changed meanwhile
+   */
+  async applyAdjustment(transactionId, expectedUpdatedAt, updateData, session = null) {
+    try {
+      const transaction = await ParkingTransaction.findOneAndUpdate(
+        { _id: transactionId, updated_at: expectedUpdatedAt },
+        updateData,
+        { new: true, runValidators: true, session }
+      );
+
+      logger.debug('Adjustment applied to transaction', {
+        transactionId,
+        applied: Boolean(transaction),
+        parkingFee: updateData.parking_fee,
+      });
+      return transaction;
+    } catch (error) {
+      logger.error('Error applying adjustment to transaction', error, {
+        transactionId,
+        updateData,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get revenue statistics
+   * Revenue is net of adjustments: parking_fee already reflects discounts, overrides and
+   * voids, and original_fee keeps the fee charged at exit. EV charging (charging_fee) is
+   * included in the totals and also reported on its own
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
+   * @param {string} lotId - Lot ID (optional)
    * @returns {Promise<Object>} Revenue statistics
    */
-  async getRevenueStats(startDate, endDate) {
+  async getRevenueStats(startDate, endDate, lotId = null) {
     try {
       const transactions = await ParkingTransaction.find({
+        ...lotFilter(lotId),
         exit_time: { $gte: startDate, $lte: endDate },
-        payment_status: 'PAID',
+        payment_status: { $in: ['PAID', 'CANCELLED'] },
       }).exec();
 
-      const totalRevenue = transactions.reduce((sum, t) => sum + (t.parking_fee || 0), 0);
+      const paidCount = transactions.filter((t) => t.payment_status === 'PAID').length;
+      const sum = (getValue) => transactions.reduce((total, t) => total + (getValue(t) || 0), 0);
+
+      const chargingRevenue = sum((t) => t.charging_fee);
+      const grossRevenue = sum((t) => t.original_fee ?? t.parking_fee) + chargingRevenue;
+      const netRevenue = sum((t) => t.parking_fee) + chargingRevenue;
 
       return {
-        total_transactions: transactions.length,
-        total_revenue: parseFloat(totalRevenue.toFixed(2)),
-        average_fee: transactions.length > 0 
-          ? parseFloat((totalRevenue / transactions.length).toFixed(2))
+        total_transactions: paidCount,
+        voided_transactions: transactions.length - paidCount,
+        gross_revenue: parseFloat(grossRevenue.toFixed(2)),
+        total_adjustments: parseFloat((grossRevenue - netRevenue).toFixed(2)),
+        total_refunds: parseFloat(sum((t) => t.amount_refunded).toFixed(2)),
+        total_revenue: parseFloat(netRevenue.toFixed(2)),
+        charging_revenue: parseFloat(chargingRevenue.toFixed(2)),
+        average_fee: paidCount > 0
+          ? parseFloat((netRevenue / paidCount).toFixed(2))
           : 0,
       };
     } catch (error) {
       logger.error('Error getting revenue statistics', error, {
         startDate,
         endDate,
+        lotId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Count active transactions (vehicles currently parked)
+   * @param {string} lotId - Lot ID (optional)
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<number>} Active transaction count
+   */
+  async countActive(lotId = null, session = null) {
+    try {
+      return await ParkingTransaction.countDocuments({
+        ...lotFilter(lotId),
+        exit_time: null,
+      }).session(session);
+    } catch (error) {
+      logger.error('Error counting active transactions', error, { lotId });
+      throw error;
+    }
+  }
+
+  /**
+   * Count distinct vehicles that have parked (no-show charges are not stays)
+   * @param {string} lotId - Lot ID (optional)
+   * @returns {Promise<number>} Distinct vehicle count
+   */
+  async countDistinctVehicles(lotId = null) {
+    try {
+      const vehicleIds = await ParkingTransaction.distinct('vehicle_id', {
+        ...lotFilter(lotId),
+        charge_type: { $ne: 'NO_SHOW' },
       });
+      return vehicleIds.length;
+    } catch (error) {
+      logger.error('Error counting distinct vehicles', error, { lotId });
       throw error;
     }
   }
@@ -1,18 +1,31 @@
 const Vehicle = require('../models/Vehicle');
 const { createLogger } = require('../utils/logger');
+const { normalizePlate } = require('../utils/plateNormalizer');
 
 const logger = createLogger('VehicleRepository');
 
+/**
+ * Query matching a license plate by its normalized key
+ * @param {string} licensePlate - License plate as entered
+ * @returns {Object} Query condition
+ */
+const plateQuery = (licensePlate) => ({ normalized_plate: normalizePlate(licensePlate) });
+
 class VehicleRepository {
   /**
    * Create a new vehicle
+   * The normalized plate is derived from license_plate
    * @param {Object} vehicleData - Vehicle data
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Created vehicle
    */
-  async create(vehicleData) {
+  async create(vehicleData, session = null) {
     try {
-      const vehicle = new Vehicle(vehicleData);
-      await vehicle.save();
+      const vehicle = new Vehicle({
+        ...vehicleData,
+        normalized_plate: normalizePlate(vehicleData.license_plate),
+      });
+      await vehicle.save({ session });
       logger.debug('Vehicle created', {
         vehicleId: vehicle._id,
         licensePlate: vehicle.license_plate,
@@ -40,13 +53,14 @@ class VehicleRepository {
   }
 
   /**
-   * Find vehicle by license plate
+   * Find vehicle by license plate, ignoring case and separators ("ABC1234" finds "ABC-1234")
    * @param {string} licensePlate - License plate
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Vehicle document
    */
-  async findByLicensePlate(licensePlate) {
+  async findByLicensePlate(licensePlate, session = null) {
     try {
-      return await Vehicle.findOne({ license_plate: licensePlate.toUpperCase() });
+      return await Vehicle.findOne(plateQuery(licensePlate)).session(session);
     } catch (error) {
       logger.error('Error finding vehicle by license plate', error, { licensePlate });
       throw error;
@@ -79,18 +93,65 @@ class VehicleRepository {
     }
   }
 
+  /**
+   * Find currently parked vehicles whose plate contains a fragment
+   * The fragment also matches across separators ("C12" finds "ABC-1234")
+   * @param {string} fragment - Part of a license plate (case-insensitive)
+   * @returns {Promise<Array>} Matching parked vehicles
+   */
+  async findParkedByPlateFragment(fragment) {
+    try {
+      const pattern = fragment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const conditions = [{ license_plate: { $regex: pattern, $options: 'i' } }];
+
+      const normalized = normalizePlate(fragment);
+      if (normalized) {
+        conditions.push({ normalized_plate: { $regex: normalized } });
+      }
+
+      return await Vehicle.find({
+        is_currently_parked: true,
+        $or: conditions,
+      }).exec();
+    } catch (error) {
+      logger.error('Error finding parked vehicles by plate fragment', error, { fragment });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a vehicle as electric or not
+   * @param {string} vehicleId - Vehicle ID
+   * @param {boolean} isEv - Whether the vehicle is an EV
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Updated vehicle
+   */
+  async updateEvStatus(vehicleId, isEv, session = null) {
+    try {
+      return await Vehicle.findByIdAndUpdate(
+        vehicleId,
+        { is_ev: isEv },
+        { new: true, runValidators: true, session }
+      );
+    } catch (error) {
+      logger.error('Error updating vehicle EV status', error, { vehicleId, isEv });
+      throw error;
+    }
+  }
+
   /**
    * Update vehicle parking status
    * @param {string} vehicleId - Vehicle ID
    * @param {boolean} isParked - Parking status
+   * @param {ClientSession} session - MongoDB session (optional)
    * @returns {Promise<Object>} Updated vehicle
    */
-  async updateParkingStatus(vehicleId, isParked) {
+  async updateParkingStatus(vehicleId, isParked, session = null) {
     try {
       const vehicle = await Vehicle.findByIdAndUpdate(
         vehicleId,
         { is_currently_parked: isParked },
-        { new: true, runValidators: true }
+        { new: true, runValidators: true, session }
       );
 
       logger.debug('Vehicle parking status updated', {
@@ -162,15 +223,13 @@ class VehicleRepository {
   }
 
   /**
-   * Check if vehicle exists by license plate
+   * Check if vehicle exists by license plate, ignoring case and separators
    * @param {string} licensePlate - License plate
    * @returns {Promise<boolean>} True if exists
    */
   async existsByLicensePlate(licensePlate) {
     try {
-      const count = await Vehicle.countDocuments({
-        license_plate: licensePlate.toUpperCase(),
-      });
+      const count = await Vehicle.countDocuments(plateQuery(licensePlate));
       return count > 0;
     } catch (error) {
       logger.error('Error checking vehicle existence', error, { licensePlate });
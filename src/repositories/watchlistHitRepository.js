@@ -0,0 +1,77 @@
+const WatchlistHit = require('../models/WatchlistHit');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('WatchlistHitRepository');
+
+class WatchlistHitRepository {
+  /**
+   * Record a watchlist hit
+   * @param {Object} hitData - Hit data
+   * @returns {Promise<Object>} Created hit
+   */
+  async create(hitData) {
+    try {
+      const hit = new WatchlistHit(hitData);
+      await hit.save();
+      logger.debug('Watchlist hit recorded', {
+        hitId: hit._id,
+        licensePlate: hit.license_plate,
+        action: hit.action,
+      });
+      return hit;
+    } catch (error) {
+      logger.error('Error recording watchlist hit', error, { hitData });
+      throw error;
+    }
+  }
+
+  /**
+   * Find hits in a lot with optional filters, newest first
+   * @param {string} lotId - Lot ID
+   * @param {Object} filters - Optional filters (list_type, action, entry_id, from, to)
+   * @returns {Promise<Array>} Watchlist hits
+   */
+  async findByLot(lotId, filters = {}) {
+    try {
+      const query = { lot_id: lotId };
+      ['list_type', 'action', 'entry_id'].forEach((field) => {
+        if (filters[field] !== undefined) {
+          query[field] = filters[field];
+        }
+      });
+
+      if (filters.from !== undefined || filters.to !== undefined) {
+        query.occurred_at = {};
+        if (filters.from !== undefined) {
+          query.occurred_at.$gte = filters.from;
+        }
+        if (filters.to !== undefined) {
+          query.occurred_at.$lte = filters.to;
+        }
+      }
+
+      return await WatchlistHit.find(query).sort({ occurred_at: -1 }).exec();
+    } catch (error) {
+      logger.error('Error finding watchlist hits by lot', error, { lotId, filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all hits in a lot
+   * @param {string} lotId - Lot ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<number>} Number of deleted hits
+   */
+  async deleteByLot(lotId, session = null) {
+    try {
+      const result = await WatchlistHit.deleteMany({ lot_id: lotId }, { session });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting watchlist hits by lot', error, { lotId });
+      throw error;
+    }
+  }
+}
+
+module.exports = new WatchlistHitRepository();
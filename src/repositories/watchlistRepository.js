@@ -0,0 +1,141 @@
+const WatchlistEntry = require('../models/WatchlistEntry');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('WatchlistRepository');
+
+/**
+ * Query condition for entries in force at a point in time
+ * @param {Date} at - Point in time
+ * @returns {Object} Query condition
+ */
+const inForceAt = (at) => ({
+  status: 'ACTIVE',
+  $or: [{ expires_at: null }, { expires_at: { $gt: at } }],
+});
+
+class WatchlistRepository {
+  /**
+   * Create a watchlist entry
+   * @param {Object} entryData - Watchlist entry data
+   * @returns {Promise<Object>} Created entry
+   */
+  async create(entryData) {
+    try {
+      const entry = new WatchlistEntry(entryData);
+      await entry.save();
+      logger.debug('Watchlist entry created', {
+        entryId: entry._id,
+        licensePlate: entry.license_plate,
+        listType: entry.list_type,
+      });
+      return entry;
+    } catch (error) {
+      logger.error('Error creating watchlist entry', error, { entryData });
+      throw error;
+    }
+  }
+
+  /**
+   * Find watchlist entry by ID
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<Object>} Watchlist entry
+   */
+  async findById(entryId) {
+    try {
+      return await WatchlistEntry.findById(entryId);
+    } catch (error) {
+      logger.error('Error finding watchlist entry by ID', error, { entryId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find watchlist entries in a lot with optional filters, newest first
+   * @param {string} lotId - Lot ID
+   * @param {Object} filters - Optional filters (list_type, status, normalized_plate, active_at)
+   * @returns {Promise<Array>} Watchlist entries
+   */
+  async findByLot(lotId, filters = {}) {
+    try {
+      const query = { lot_id: lotId };
+      ['list_type', 'status', 'normalized_plate'].forEach((field) => {
+        if (filters[field] !== undefined) {
+          query[field] = filters[field];
+        }
+      });
+
+      if (filters.active_at !== undefined) {
+        Object.assign(query, inForceAt(filters.active_at));
+      }
+
+      return await WatchlistEntry.find(query).sort({ created_at: -1 }).exec();
+    } catch (error) {
+      logger.error('Error finding watchlist entries by lot', error, { lotId, filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the entries in force for a plate, blacklist entries first
+   * @param {string} lotId - Lot ID
+   * @param {string} normalizedPlate - Normalized license plate
+   * @param {Date} at - Point in time
+   * @returns {Promise<Array>} Watchlist entries
+   */
+  async findInForceForPlate(lotId, normalizedPlate, at) {
+    try {
+      return await WatchlistEntry.find({
+        lot_id: lotId,
+        normalized_plate: normalizedPlate,
+        ...inForceAt(at),
+      })
+        .sort({ list_type: 1, created_at: -1 })
+        .exec();
+    } catch (error) {
+      logger.error('Error finding watchlist entries for plate', error, {
+        lotId,
+        normalizedPlate,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a watchlist entry
+   * @param {string} entryId - Entry ID
+   * @param {Object} updateData - Fields to set
+   * @returns {Promise<Object>} Updated entry
+   */
+  async update(entryId, updateData) {
+    try {
+      const entry = await WatchlistEntry.findByIdAndUpdate(entryId, updateData, {
+        new: true,
+        runValidators: true,
+      });
+
+      logger.debug('Watchlist entry updated', { entryId, fields: Object.keys(updateData) });
+      return entry;
+    } catch (error) {
+      logger.error('Error updating watchlist entry', error, { entryId, updateData });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all watchlist entries in a lot
+   * @param {string} lotId - Lot ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  async deleteByLot(lotId, session = null) {
+    try {
+      const result = await WatchlistEntry.deleteMany({ lot_id: lotId }, { session });
+      return result.deletedCount;
+    } catch (error) {
+      logger.error('Error deleting watchlist entries by lot', error, { lotId });
+      throw error;
+    }
+  }
+}
+
+module.exports = new WatchlistRepository();
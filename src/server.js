@@ -2,6 +2,11 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const app = require('./app');
 const { createLogger } = require('./utils/logger');
+const { isJwtConfigured } = require('./utils/jwt');
+const { initializeRateLimiter } = require('./middleware/rateLimiter');
+const { runMigrations } = require('./database/migrations');
+const maintenanceService = require('./services/maintenanceService');
+const reservationService = require('./services/reservationService');
 
 const logger = createLogger('Server');
 
@@ -11,6 +16,8 @@ const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || 'localhost';
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const MONGODB_URI = process.env.MONGODB_URI;
+const MAINTENANCE_SWEEP_INTERVAL_MS = parseInt(process.env.MAINTENANCE_SWEEP_INTERVAL_MS || '60000');
+const RESERVATION_SWEEP_INTERVAL_MS = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS || '60000');
 
 // ==================== Database Connection ====================
 
@@ -69,9 +76,26 @@ const initializeDatabase = async () => {
     require('./models/ParkingTransaction');
     require('./models/RateCard');
     require('./models/ParkingLot');
+    require('./models/MaintenanceWindow');
+    require('./models/Payment');
+    require('./models/FeeAdjustment');
+    require('./models/Reservation');
+    require('./models/Permit');
+    require('./models/WatchlistEntry');
+    require('./models/WatchlistHit');
+    require('./models/ChargingSession');
+    require('./models/ApiKey');
+    require('./models/AuditLog');
+    require('./models/RateLimitCounter');
+    require('./models/IdempotencyKey');
 
     logger.info('Database models registered');
 
+    // Optional: Run data migrations (e.g. lot_id backfill for multi-lot support)
+    if (process.env.RUN_MIGRATIONS === 'true') {
+      await runMigrations();
+    }
+
     // Optional: Seed initial data
     if (process.env.SEED_DATABASE === 'true') {
       logger.info('Seeding database with initial data...');
@@ -98,6 +122,17 @@ const startServer = async () => {
     // Initialize database
     await initializeDatabase();
 
+    // A rate limit store that cannot be set up (unknown name, redis without REDIS_URL or
+    // the redis package) stops startup rather than leaving requests unlimited
+    if (process.env.RATE_LIMIT_ENABLED !== 'false') {
+      initializeRateLimiter();
+    }
+
+    // Without a JWT key only API keys authenticate
+    if (!isJwtConfigured()) {
+      logger.warn('JWT verification is not configured (set JWT_SECRET or JWT_PUBLIC_KEY)');
+    }
+
     // Start listening on port
     const server = app.listen(PORT, HOST, () => {
       logger.info('Server started successfully', {
@@ -111,13 +146,45 @@ const startServer = async () => {
       logger.info('Available endpoints:', {
         'POST /api/v1/parking/entry': 'Vehicle entry',
         'POST /api/v1/parking/exit': 'Vehicle exit',
+        'GET /api/v1/parking/transactions/active': 'Search parked vehicles for a manual exit',
+        'POST /api/v1/parking/transactions/:id/manual-exit': 'Manual or lost-ticket exit',
+        'GET /api/v1/parking/vehicles/search': 'Fuzzy plate search among parked vehicles',
         'GET /api/v1/parking/spots/availability': 'Check availability',
         'GET /api/v1/parking/vehicle/:license_plate/status': 'Vehicle status',
         'POST /api/v1/parking/fees/calculation': 'Calculate fee',
+        'POST /api/v1/parking/transactions/:id/payments': 'Record payment',
+        'POST /api/v1/payments/webhooks/:gateway': 'Payment gateway webhooks',
+        'POST /api/v1/parking/transactions/:id/discounts': 'Apply discount',
+        'POST /api/v1/parking/transactions/:id/fee-override': 'Override parking fee',
+        'POST /api/v1/parking/transactions/:id/void': 'Void transaction',
+        'POST /api/v1/parking/transactions/:id/refunds': 'Issue refund',
+        'POST /api/v1/parking/reservations': 'Book a spot for a future window',
+        'GET /api/v1/parking/reservations[/:id]': 'List or get reservations',
+        'DELETE /api/v1/parking/reservations/:id': 'Cancel reservation',
+        '/api/v1/parking/permits[/:id]': 'Monthly permits (create, list, update, revoke)',
+        '/api/v1/parking/watchlist[/:id]': 'Blacklist and watchlist (create, list, update, remove)',
+        'GET /api/v1/parking/watchlist/hits': 'Watchlist hits for review',
+        '/api/v1/parking/charging-sessions[/:id]': 'EV charging sessions (start, list, get)',
+        'POST /api/v1/parking/charging-sessions/:id/stop': 'Stop charging (metered kWh)',
         'GET /api/v1/parking/statistics': 'Get statistics',
+        '/api/v1/lots/:lotId/parking/*': 'Same endpoints scoped to a specific lot',
+        '/api/v1/lots[/:lotId[/floors|/spots]]': 'Lot, floor and spot administration',
+        '/api/v1/lots/:lotId/maintenance': 'Spot and floor maintenance windows',
+        '/api/v1/api-keys[/:id[/rotate]]': 'API keys (create, list, revoke, rotate)',
+        '/api/v1/audit': 'Audit log (filter, paginate)',
       });
     });
 
+    // Apply scheduled maintenance windows and restore spots when windows end (0 disables)
+    if (MAINTENANCE_SWEEP_INTERVAL_MS > 0) {
+      maintenanceService.startScheduler(MAINTENANCE_SWEEP_INTERVAL_MS);
+    }
+
+    // Release reservations whose arrival grace period has passed as no-shows (0 disables)
+    if (RESERVATION_SWEEP_INTERVAL_MS > 0) {
+      reservationService.startScheduler(RESERVATION_SWEEP_INTERVAL_MS);
+    }
+
     // ==================== Graceful Shutdown ====================
 
     /**
@@ -126,6 +193,9 @@ const startServer = async () => {
     const gracefulShutdown = async (signal) => {
       logger.info(`Received ${signal}, starting graceful shutdown...`);
 
+      maintenanceService.stopScheduler();
+      reservationService.stopScheduler();
+
       // Stop accepting new connections
       server.close(async () => {
         logger.info('HTTP server closed');
@@ -0,0 +1,464 @@
+const transactionRepository = require('../repositories/transactionRepository');
+const paymentRepository = require('../repositories/paymentRepository');
+const feeAdjustmentRepository = require('../repositories/feeAdjustmentRepository');
+const paymentService = require('./paymentService');
+const auditService = require('./auditService');
+const { getPaymentGateway } = require('../gateways');
+const { withTransaction } = require('../utils/transactionManager');
+const { toCents, fromCents } = require('../utils/helpers');
+const { createLogger } = require('../utils/logger');
+const AppError = require('../errors/AppError');
+
+const logger = createLogger('AdjustmentService');
+
+/**
+ * Adjustment Service
+ * Supervisor corrections to exited parking transactions. Every change is stored as a
+ * FeeAdjustment with the operator and reason:
+ * - DISCOUNT lowers parking_fee by an amount or a percentage
+ * - OVERRIDE replaces parking_fee (up or down)
+ * - VOID cancels the charge: parking_fee 0, payment_status CANCELLED
+ * - REFUND returns collected money. A refund on a PAID transaction beyond its credit
+ *   (money collected above the fee) also lowers parking_fee by the difference, so
+ *   parking_fee always reads as net revenue.
+ * The first adjustment keeps the exit fee in original_fee. EV charging (charging_fee) is
+ * billed beside parking_fee and left as it is, except by a VOID, which cancels it too, and
+ * a refund beyond the parking fee.
+ */
+
+class AdjustmentService {
+  /**
+   * Load an exited transaction of a lot
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {string} transactionId - Transaction ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Transaction
+   */
+  async getAdjustableTransaction(lotId, transactionId, session = null) {
+    const transaction = await paymentService.getTransaction(lotId, transactionId, session);
+
+    if (!transaction.exit_time) {
+      throw new AppError(
+        `Transaction ${transactionId} is still active; adjustments are made after exit`,
+        409,
+        'TRANSACTION_NOT_EXITED'
+      );
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Compute the new fee of a DISCOUNT, OVERRIDE or VOID
+   * @private
+   * @param {Object} transaction - Transaction
+   * @param {string} type - Adjustment type
+   * @param {Object} data - Validated request data
+   * @returns {number} New fee in cents
+   */
+  planFeeChange(transaction, type, data) {
+    if (transaction.payment_status === 'CANCELLED') {
+      throw new AppError(
+        `Transaction ${transaction._id} has been voided and cannot be adjusted`,
+        409,
+        'TRANSACTION_VOIDED'
+      );
+    }
+
+    const feeCents = toCents(transaction.parking_fee);
+
+    switch (type) {
+      case 'DISCOUNT': {
+        const discountCents = data.percent !== null
+          ? Math.round((feeCents * data.percent) / 100)
+          : toCents(data.amount);
+
+        if (discountCents > feeCents) {
+          throw new AppError(
+            `Discount of ${fromCents(discountCents)} exceeds the parking fee of `
+              + `${transaction.parking_fee}`,
+            400,
+            'ADJUSTMENT_EXCEEDS_FEE'
+          );
+        }
+        return feeCents - discountCents;
+      }
+
+      case 'OVERRIDE':
+        return toCents(data.parking_fee);
+
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Store an adjustment and apply it to the transaction
+   * @private
+   * @param {Object} transaction - Transaction the change was computed from
+   * @param {Object} change - { type, newFeeCents, chargingFeeCents, refundedCents,
+   *                          paymentStatus, details }
+   * @param {Object} data - Validated request data (operator_id, reason)
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<Object>} { adjustment, transaction }
+   */
+  async applyChange(transaction, change, data, session) {
+    const updateData = {
+      parking_fee: fromCents(change.newFeeCents),
+      charging_fee: fromCents(change.chargingFeeCents),
+      amount_refunded: fromCents(change.refundedCents),
+      payment_status: change.paymentStatus,
+    };
+    if (transaction.original_fee === null || transaction.original_fee === undefined) {
+      updateData.original_fee = transaction.parking_fee;
+    }
+
+    const updated = await transactionRepository.applyAdjustment(
+      transaction._id,
+      transaction.updated_at,
+      updateData,
+      session
+    );
+
+    if (!updated) {
+      throw new AppError(
+        `Transaction ${transaction._id} was updated concurrently, please retry`,
+        409,
+        'CONFLICT'
+      );
+    }
+
+    const adjustment = await feeAdjustmentRepository.create(
+      {
+        transaction_id: transaction._id,
+        lot_id: transaction.lot_id,
+        type: change.type,
+        previous_fee: transaction.parking_fee,
+        new_fee: updated.parking_fee,
+        previous_payment_status: transaction.payment_status,
+        new_payment_status: updated.payment_status,
+        operator_id: data.operator_id,
+        reason: data.reason,
+        ...change.details,
+      },
+      session
+    );
+
+    await auditService.record(
+      {
+        action: `TRANSACTION_${change.type}`,
+        entity_type: 'ParkingTransaction',
+        entity_id: transaction._id,
+        lot_id: transaction.lot_id,
+        before: transaction,
+        after: updated,
+      },
+      session
+    );
+
+    return { adjustment, transaction: updated };
+  }
+
+  /**
+   * Apply a DISCOUNT, OVERRIDE or VOID
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {string} transactionId - Transaction ID
+   * @param {string} type - Adjustment type
+   * @param {Object} data - Validated request data
+   * @returns {Promise<Object>} Adjustment and payment summary
+   */
+  async adjustFee(lotId, transactionId, type, data) {
+    try {
+      const result = await withTransaction(async (session) => {
+        const transaction = await this.getAdjustableTransaction(lotId, transactionId, session);
+        const newFeeCents = this.planFeeChange(transaction, type, data);
+        const chargingFeeCents = type === 'VOID' ? 0 : toCents(transaction.charging_fee);
+        const netPaidCents = toCents(transaction.amount_paid)
+          - toCents(transaction.amount_refunded);
+
+        let paymentStatus = netPaidCents >= newFeeCents + chargingFeeCents ? 'PAID' : 'PENDING';
+        if (type === 'VOID') {
+          paymentStatus = 'CANCELLED';
+        }
+
+        return this.applyChange(
+          transaction,
+          {
+            type,
+            newFeeCents,
+            chargingFeeCents,
+            refundedCents: toCents(transaction.amount_refunded),
+            paymentStatus,
+            details: { percent: type === 'DISCOUNT' ? data.percent : null },
+          },
+          data,
+          session
+        );
+      });
+
+      logger.logBusinessOperation(`TRANSACTION_${type}`, 'ParkingTransaction', {
+        transactionId,
+        adjustmentId: result.adjustment._id,
+        operatorId: data.operator_id,
+        previousFee: result.adjustment.previous_fee,
+        newFee: result.adjustment.new_fee,
+      });
+
+      return {
+        adjustment: result.adjustment,
+        ...paymentService.summarize(result.transaction),
+      };
+    } catch (error) {
+      logger.error('Error adjusting transaction fee', error, { lotId, transactionId, type });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a discount (amount or percent of the current fee)
+   * @param {string} lotId - Lot ID
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} data - Validated data: amount | percent, operator_id, reason
+   * @returns {Promise<Object>} Adjustment and payment summary
+   */
+  async applyDiscount(lotId, transactionId, data) {
+    return this.adjustFee(lotId, transactionId, 'DISCOUNT', data);
+  }
+
+  /**
+   * Override the parking fee
+   * @param {string} lotId - Lot ID
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} data - Validated data: parking_fee, operator_id, reason
+   * @returns {Promise<Object>} Adjustment and payment summary
+   */
+  async overrideFee(lotId, transactionId, data) {
+    return this.adjustFee(lotId, transactionId, 'OVERRIDE', data);
+  }
+
+  /**
+   * Void a transaction; money already collected becomes refund_due
+   * @param {string} lotId - Lot ID
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} data - Validated data: operator_id, reason
+   * @returns {Promise<Object>} Adjustment and payment summary
+   */
+  async voidTransaction(lotId, transactionId, data) {
+    return this.adjustFee(lotId, transactionId, 'VOID', data);
+  }
+
+  /**
+   * Check a refund against the transaction (and payment) and compute its effect
+   * @private
+   * @param {Object} transaction - Transaction
+   * @param {Object|null} payment - Payment refunded against (optional)
+   * @param {number} amountCents - Refund amount in cents
+   * @returns {Object} { newFeeCents, chargingFeeCents, refundedCents }
+   */
+  planRefund(transaction, payment, amountCents) {
+    const refundedCents = toCents(transaction.amount_refunded);
+    const netPaidCents = toCents(transaction.amount_paid) - refundedCents;
+
+    if (amountCents > netPaidCents) {
+      throw new AppError(
+        `Refund of ${fromCents(amountCents)} exceeds the ${fromCents(netPaidCents)} collected`,
+        400,
+        'REFUND_EXCEEDS_PAID'
+      );
+    }
+
+    if (payment) {
+      const refundableCents = toCents(payment.amount) - toCents(payment.amount_refunded);
+      if (amountCents > refundableCents) {
+        throw new AppError(
+          `Refund of ${fromCents(amountCents)} exceeds the ${fromCents(refundableCents)} `
+            + `refundable on payment ${payment._id}`,
+          400,
+          'REFUND_EXCEEDS_PAID'
+        );
+      }
+    }
+
+    // A paid transaction gives money back beyond its credit by lowering the fee, then
+    // the charging fee
+    const feeCents = toCents(transaction.parking_fee);
+    const chargingFeeCents = toCents(transaction.charging_fee);
+    const creditCents = Math.max(netPaidCents - feeCents - chargingFeeCents, 0);
+    const reductionCents = transaction.payment_status === 'PAID'
+      ? Math.max(amountCents - creditCents, 0)
+      : 0;
+    const feeReductionCents = Math.min(reductionCents, feeCents);
+
+    return {
+      newFeeCents: feeCents - feeReductionCents,
+      chargingFeeCents: chargingFeeCents - (reductionCents - feeReductionCents),
+      refundedCents: refundedCents + amountCents,
+    };
+  }
+
+  /**
+   * Load the COMPLETED payment a refund is made against
+   * @private
+   * @param {Object} transaction - Transaction
+   * @param {string} paymentId - Payment ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Payment
+   */
+  async getRefundablePayment(transaction, paymentId, session = null) {
+    const payment = await paymentRepository.findById(paymentId, session);
+
+    if (!payment || !payment.transaction_id.equals(transaction._id)) {
+      throw new AppError(
+        `Payment ${paymentId} not found for transaction ${transaction._id}`,
+        404,
+        'PAYMENT_NOT_FOUND'
+      );
+    }
+
+    if (payment.status !== 'COMPLETED') {
+      throw new AppError(
+        `Payment ${paymentId} is ${payment.status} and cannot be refunded`,
+        409,
+        'CONFLICT'
+      );
+    }
+
+    return payment;
+  }
+
+  /**
+   * Issue a refund
+   * Gateway payments are refunded through their gateway before the refund is recorded;
+   * refunds without a payment_id (or against cash/wallet payments) are paid out by the
+   * operator and only recorded.
+   * @param {string} lotId - Lot ID
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} data - Validated data: amount, payment_id, operator_id, reason
+   * @returns {Promise<Object>} Adjustment and payment summary
+   */
+  async issueRefund(lotId, transactionId, data) {
+    try {
+      const amountCents = toCents(data.amount);
+
+      // Check before money moves at the gateway; re-checked when recording
+      const transaction = await this.getAdjustableTransaction(lotId, transactionId);
+      const payment = data.payment_id
+        ? await this.getRefundablePayment(transaction, data.payment_id)
+        : null;
+      this.planRefund(transaction, payment, amountCents);
+
+      let gatewayRefundReference = null;
+      if (payment && payment.gateway) {
+        try {
+          const refund = await getPaymentGateway(payment.gateway).refund(
+            payment.gateway_reference,
+            data.amount
+          );
+          gatewayRefundReference = refund.refund_reference;
+        } catch (error) {
+          throw paymentService.toGatewayError(error);
+        }
+      }
+
+      let result;
+      try {
+        result = await withTransaction(async (session) => {
+          const current = await this.getAdjustableTransaction(lotId, transactionId, session);
+          const currentPayment = payment
+            ? await this.getRefundablePayment(current, payment._id, session)
+            : null;
+          const { newFeeCents, chargingFeeCents, refundedCents } = this.planRefund(
+            current,
+            currentPayment,
+            amountCents
+          );
+
+          if (currentPayment) {
+            await paymentRepository.updateRefunded(
+              currentPayment._id,
+              fromCents(toCents(currentPayment.amount_refunded) + amountCents),
+              session
+            );
+          }
+
+          let paymentStatus = current.payment_status;
+          if (paymentStatus !== 'CANCELLED') {
+            paymentStatus = toCents(current.amount_paid) - refundedCents
+              >= newFeeCents + chargingFeeCents
+              ? 'PAID'
+              : 'PENDING';
+          }
+
+          return this.applyChange(
+            current,
+            {
+              type: 'REFUND',
+              newFeeCents,
+              chargingFeeCents,
+              refundedCents,
+              paymentStatus,
+              details: {
+                refund_amount: data.amount,
+                refund_method: currentPayment ? currentPayment.method : 'CASH',
+                payment_id: currentPayment ? currentPayment._id : null,
+                gateway_refund_reference: gatewayRefundReference,
+              },
+            },
+            data,
+            session
+          );
+        });
+      } catch (error) {
+        if (gatewayRefundReference) {
+          logger.error('Gateway refund issued but not recorded', error, {
+            transactionId,
+            paymentId: payment._id,
+            gatewayRefundReference,
+          });
+        }
+        throw error;
+      }
+
+      logger.logBusinessOperation('TRANSACTION_REFUND', 'ParkingTransaction', {
+        transactionId,
+        adjustmentId: result.adjustment._id,
+        operatorId: data.operator_id,
+        amount: data.amount,
+        paymentId: data.payment_id,
+      });
+
+      return {
+        adjustment: result.adjustment,
+        ...paymentService.summarize(result.transaction),
+      };
+    } catch (error) {
+      logger.error('Error issuing refund', error, { lotId, transactionId });
+      throw error;
+    }
+  }
+
+  /**
+   * List adjustments of a transaction with its payment summary
+   * @param {string} lotId - Lot ID
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Object>} Payment summary and adjustments
+   */
+  async listAdjustments(lotId, transactionId) {
+    try {
+      const transaction = await paymentService.getTransaction(lotId, transactionId);
+      const adjustments = await feeAdjustmentRepository.findByTransaction(transaction._id);
+
+      return {
+        ...paymentService.summarize(transaction),
+        adjustments,
+      };
+    } catch (error) {
+      logger.error('Error listing adjustments', error, { lotId, transactionId });
+      throw error;
+    }
+  }
+}
+
+module.exports = new AdjustmentService();
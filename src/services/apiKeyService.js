@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const apiKeyRepository = require('../repositories/apiKeyRepository');
+const { createLogger } = require('../utils/logger');
+const AppError = require('../errors/AppError');
+
+const logger = createLogger('ApiKeyService');
+
+// Keys look like pk_<48 hex characters>; the prefix tells them apart from JWTs
+const API_KEY_PREFIX = 'pk_';
+// Characters of the key kept in clear to identify it (pk_ + 8)
+const DISPLAY_PREFIX_LENGTH = 11;
+// last_used_at is refreshed at most this often, not on every request
+const LAST_USED_RESOLUTION_MS = 60000;
+
+/**
+ * API Key Service
+ * API keys authenticate machines (kiosks, gate controllers, integrations).
+ * Only a SHA-256 hash of each key is stored; the key itself is returned once, when it is
+ * created or rotated. Keys authenticate until revoked (ACTIVE -> REVOKED) or expired.
+ *
+ * Rotation issues a new key and retires the old one, either at once or after a grace
+ * period during which both keys work
+ */
+
+class ApiKeyService {
+  /**
+   * Check whether a credential has the API key format
+   * @param {string} credential - Bearer token or X-API-Key header value
+   * @returns {boolean} True if it looks like an API key
+   */
+  isApiKey(credential) {
+    return typeof credential === 'string' && credential.startsWith(API_KEY_PREFIX);
+  }
+
+  /**
+   * Hash an API key for storage and lookup
+   * @private
+   * @param {string} key - API key
+   * @returns {string} SHA-256 hex digest
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Generate and store a new key
+   * @private
+   * @param {Object} data - name, role, expires_at
+   * @param {string} createdBy - Principal creating the key
+   * @returns {Promise<Object>} Stored key with the plain key as api_key
+   */
+  async issueKey(data, createdBy) {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+    const apiKey = await apiKeyRepository.create({
+      name: data.name,
+      role: data.role,
+      expires_at: data.expires_at || null,
+      key_prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      key_hash: this.hashKey(key),
+      created_by: createdBy,
+    });
+
+    return { ...apiKey.toJSON(), api_key: key };
+  }
+
+  /**
+   * Load an API key or fail with NOT_FOUND
+   * @private
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object>} API key
+   */
+  async getKey(keyId) {
+    const apiKey = await apiKeyRepository.findById(keyId);
+
+    if (!apiKey) {
+      throw new AppError(`API key ${keyId} not found`, 404, 'NOT_FOUND');
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Check whether a key authenticates at a point in time
+   * @private
+   * @param {Object} apiKey - API key
+   * @param {Date} at - Point in time
+   * @returns {boolean} True if ACTIVE and not expired
+   */
+  isUsable(apiKey, at) {
+    return apiKey.status === 'ACTIVE' && (!apiKey.expires_at || apiKey.expires_at > at);
+  }
+
+  /**
+   * Create an API key
+   * @param {Object} data - Validated key data (name, role, expires_at)
+   * @param {string} createdBy - Principal creating the key
+   * @returns {Promise<Object>} Created key; api_key holds the key, shown only this once
+   */
+  async createKey(data, createdBy) {
+    try {
+      const created = await this.issueKey(data, createdBy);
+
+      logger.logBusinessOperation('API_KEY_CREATED', 'ApiKey', {
+        keyId: created._id,
+        keyPrefix: created.key_prefix,
+        role: created.role,
+        createdBy,
+      });
+
+      return created;
+    } catch (error) {
+      logger.error('Error creating API key', error, { name: data.name });
+      throw error;
+    }
+  }
+
+  /**
+   * List API keys
+   * @param {Object} filters - Validated filters (status)
+   * @returns {Promise<Array>} API keys
+   */
+  async listKeys(filters = {}) {
+    try {
+      return await apiKeyRepository.findAll(filters);
+    } catch (error) {
+      logger.error('Error listing API keys', error, { filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Get an API key
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object>} API key
+   */
+  async getKeyDetails(keyId) {
+    try {
+      return await this.getKey(keyId);
+    } catch (error) {
+      logger.error('Error getting API key', error, { keyId });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an API key; it stops authenticating immediately
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object>} Revoked key
+   */
+  async revokeKey(keyId) {
+    try {
+      const apiKey = await this.getKey(keyId);
+
+      if (apiKey.status !== 'ACTIVE') {
+        throw new AppError(`API key ${keyId} is already ${apiKey.status}`, 409, 'CONFLICT');
+      }
+
+      const revoked = await apiKeyRepository.update(apiKey._id, {
+        status: 'REVOKED',
+        revoked_at: new Date(),
+      });
+
+      logger.logBusinessOperation('API_KEY_REVOKED', 'ApiKey', { keyId });
+
+      return revoked;
+    } catch (error) {
+      logger.error('Error revoking API key', error, { keyId });
+      throw error;
+    }
+  }
+
+  /**
+   * Rotate an API key: issue a new key with the same name and role and retire the old one
+   * With a grace period the old key keeps working until it ends, otherwise it is revoked
+   * @param {string} keyId - API key ID
+   * @param {Object} data - Validated rotation data (grace_period_minutes, expires_at)
+   * @param {string} createdBy - Principal rotating the key
+   * @returns {Promise<Object>} { api_key: new key (shown only this once), rotated: old key }
+   */
+  async rotateKey(keyId, data, createdBy) {
+    try {
+      const now = new Date();
+      const apiKey = await this.getKey(keyId);
+
+      if (!this.isUsable(apiKey, now) || apiKey.replaced_by) {
+        throw new AppError(
+          `API key ${keyId} is revoked, expired or already rotated`,
+          409,
+          'CONFLICT'
+        );
+      }
+
+      const created = await this.issueKey(
+        { name: apiKey.name, role: apiKey.role, expires_at: data.expires_at },
+        createdBy
+      );
+
+      // Old key: revoked now, or expiring at the end of the grace period (never later
+      // than it would have anyway)
+      let retirement = { status: 'REVOKED', revoked_at: now };
+      if (data.grace_period_minutes > 0) {
+        const graceEnd = new Date(now.getTime() + data.grace_period_minutes * 60000);
+        retirement = {
+          expires_at: apiKey.expires_at && apiKey.expires_at < graceEnd
+            ? apiKey.expires_at
+            : graceEnd,
+        };
+      }
+
+      const rotated = await apiKeyRepository.update(apiKey._id, {
+        ...retirement,
+        replaced_by: created._id,
+      });
+
+      logger.logBusinessOperation('API_KEY_ROTATED', 'ApiKey', {
+        keyId,
+        newKeyId: created._id,
+        gracePeriodMinutes: data.grace_period_minutes || 0,
+      });
+
+      return { ...created, rotated };
+    } catch (error) {
+      logger.error('Error rotating API key', error, { keyId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the API key a request authenticates with
+   * @param {string} key - API key presented by the client
+   * @returns {Promise<Object|null>} API key, or null if unknown, revoked or expired
+   */
+  async authenticate(key) {
+    const now = new Date();
+    const apiKey = await apiKeyRepository.findByHash(this.hashKey(key));
+
+    if (!apiKey || !this.isUsable(apiKey, now)) {
+      return null;
+    }
+
+    if (!apiKey.last_used_at || now - apiKey.last_used_at > LAST_USED_RESOLUTION_MS) {
+      await apiKeyRepository.update(apiKey._id, { last_used_at: now });
+    }
+
+    return apiKey;
+  }
+}
+
+module.exports = new ApiKeyService();
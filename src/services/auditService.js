@@ -0,0 +1,130 @@
+const auditLogRepository = require('../repositories/auditLogRepository');
+const { getRequestContext, runWithContext } = require('../utils/requestContext');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('AuditService');
+
+// Actor of changes made outside a request (maintenance sweep, reservation expiry)
+const SYSTEM_ACTOR = {
+  auth_type: 'system',
+  id: 'system',
+  name: 'system',
+  role: null,
+};
+
+/**
+ * Snapshot an entity for the audit log
+ * Populated references are stored as their IDs
+ * @param {Object|null} value - Mongoose document or plain object
+ * @returns {Object|null} Plain object
+ */
+const snapshot = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (typeof value.toObject === 'function') {
+    return value.toObject({ depopulate: true, versionKey: false, virtuals: false });
+  }
+
+  return { ...value };
+};
+
+/**
+ * Audit Service
+ * Persists who changed what, and when, for entries, exits, payments, fee adjustments,
+ * spot changes and rate card changes (logger.logBusinessOperation only reaches stdout).
+ *
+ * The actor and request ID are read from the request context (see middleware/requestId
+ * and authMiddleware). Entries recorded with a session are part of the caller's
+ * transaction and roll back with it; entries recorded without one are best effort and
+ * never fail the operation they describe.
+ */
+
+class AuditService {
+  /**
+   * Record a change
+   * @param {Object} change - action, entity_type, entity_id, lot_id, before, after
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Created entry, or null if a best-effort write failed
+   */
+  async record(change, session = null) {
+    const context = getRequestContext();
+    const actor = (context && context.actor) || SYSTEM_ACTOR;
+
+    const entryData = {
+      actor: {
+        auth_type: actor.auth_type,
+        id: actor.id,
+        name: actor.name || null,
+        role: actor.role || null,
+      },
+      action: change.action,
+      entity_type: change.entity_type,
+      entity_id: change.entity_id,
+      lot_id: change.lot_id || null,
+      before: snapshot(change.before),
+      after: snapshot(change.after),
+      request_id: context ? context.request_id : null,
+    };
+
+    if (session) {
+      return auditLogRepository.create(entryData, session);
+    }
+
+    try {
+      return await auditLogRepository.create(entryData);
+    } catch (error) {
+      logger.error('Audit log entry could not be recorded', error, {
+        action: change.action,
+        entityType: change.entity_type,
+        entityId: change.entity_id,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Run a function with another actor, keeping the current request ID
+   * Used for changes a request makes on behalf of a third party (gateway webhooks)
+   * @param {Object} actor - auth_type, id, name, role
+   * @param {Function} fn - Function to run
+   * @returns {any} Result of fn
+   */
+  runAs(actor, fn) {
+    const context = getRequestContext();
+
+    return runWithContext(
+      { request_id: context ? context.request_id : null, actor },
+      fn
+    );
+  }
+
+  /**
+   * List audit log entries, newest first
+   * @param {Object} filters - Validated filters (actor_id, action, entity_type, entity_id,
+   *                           lot_id, request_id, from, to)
+   * @param {Object} pagination - Validated { page, limit }
+   * @returns {Promise<Object>} { entries, pagination: { page, limit, total, total_pages } }
+   */
+  async listEntries(filters, pagination) {
+    try {
+      const { entries, total } = await auditLogRepository.findPage(filters, pagination);
+
+      return {
+        entries,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total,
+          total_pages: Math.ceil(total / pagination.limit),
+        },
+      };
+    } catch (error) {
+      logger.error('Error listing audit log entries', error, { filters, pagination });
+      throw error;
+    }
+  }
+}
+
+module.exports = new AuditService();
@@ -1,5 +1,7 @@
 const parkingSpotRepository = require('../repositories/parkingSpotRepository');
 const parkingLotRepository = require('../repositories/parkingLotRepository');
+const { getValidSpotAttributes } = require('../constants/spotAttributes');
+const { getValidVehicleTypes } = require('../constants/vehicleTypes');
 const { createLogger } = require('../utils/logger');
 const AppError = require('../errors/AppError');
 
@@ -12,155 +14,188 @@ const logger = createLogger('AvailabilityService');
  */
 
 class AvailabilityService {
+  /**
+   * Load parking lot or fail with LOT_NOT_FOUND
+   * @private
+   * @param {string} lotId - Lot ID
+   * @returns {Promise<Object>} Parking lot document
+   */
+  async getLot(lotId) {
+    const lot = await parkingLotRepository.findById(lotId);
+
+    if (!lot) {
+      throw new AppError(
+        `Parking lot ${lotId} not found`,
+        404,
+        'LOT_NOT_FOUND'
+      );
+    }
+
+    return lot;
+  }
+
+  /**
+   * Get availability for every spot category (ACCESSIBLE, FAMILY, ...)
+   * @param {string} lotId - Lot ID
+   * @returns {Promise<Object>} Availability keyed by attribute
+   */
+  async getAvailabilityByCategory(lotId) {
+    const categories = {};
+
+    for (const attribute of getValidSpotAttributes()) {
+      const { available, occupied, total } =
+        await parkingSpotRepository.getAvailabilityByAttribute(attribute, lotId);
+      categories[attribute] = { available, occupied, total };
+    }
+
+    return categories;
+  }
+
+  /**
+   * Get availability for every registered vehicle type
+   * @param {string} lotId - Lot ID
+   * @returns {Promise<Object>} Availability keyed by vehicle type
+   */
+  async getAvailabilityByAllTypes(lotId) {
+    const types = {};
+
+    for (const vehicleType of getValidVehicleTypes()) {
+      types[vehicleType] = await parkingSpotRepository.getAvailabilityByType(vehicleType, lotId);
+    }
+
+    return types;
+  }
+
   /**
    * Get overall parking availability
-   * @returns {Promise<Object>} Availability summary
+   * @param {string} lotId - Lot ID
+   * @returns {Promise<Object>} Availability summary, by vehicle type and spot category
    */
-  async getOverallAvailability() {
+  async getOverallAvailability(lotId) {
     try {
-      const lot = await parkingLotRepository.findDefault();
-
-      if (!lot) {
-        throw new AppError(
-          'No parking lot found',
-          404,
-          'NOT_FOUND'
-        );
-      }
+      const lot = await this.getLot(lotId);
 
-      const [motorcycleStats, carStats, busStats] = await Promise.all([
-        parkingSpotRepository.getAvailabilityByType('MOTORCYCLE'),
-        parkingSpotRepository.getAvailabilityByType('CAR'),
-        parkingSpotRepository.getAvailabilityByType('BUS'),
-      ]);
+      const typeStats = await this.getAvailabilityByAllTypes(lotId);
+      const categoryStats = await this.getAvailabilityByCategory(lotId);
 
-      const totalAvailable = motorcycleStats.available + carStats.available + busStats.available;
-      const totalOccupied = motorcycleStats.occupied + carStats.occupied + busStats.occupied;
+      const totalAvailable = Object.values(typeStats).reduce((sum, s) => sum + s.available, 0);
+      const totalOccupied = Object.values(typeStats).reduce((sum, s) => sum + s.occupied, 0);
       const totalSpots = lot.total_spots;
 
       logger.debug('Overall availability retrieved', {
+        lotId,
         totalAvailable,
         totalOccupied,
         totalSpots,
       });
 
       return {
+        lot_id: lot._id.toString(),
+        lot_name: lot.name,
         total_available_spots: totalAvailable,
         total_occupied_spots: totalOccupied,
         total_spots: totalSpots,
         occupancy_rate: totalSpots > 0 ? parseFloat((totalOccupied / totalSpots).toFixed(2)) : 0,
-        availability_by_type: {
-          MOTORCYCLE: motorcycleStats,
-          CAR: carStats,
-          BUS: busStats,
-        },
+        availability_by_type: typeStats,
+        availability_by_category: categoryStats,
         timestamp: new Date(),
       };
     } catch (error) {
-      logger.error('Error getting overall availability', error);
+      logger.error('Error getting overall availability', error, { lotId });
       throw error;
     }
   }
 
   /**
    * Get availability by vehicle type
-   * @param {string} vehicleType - Vehicle type (MOTORCYCLE, CAR, BUS)
+   * @param {string} lotId - Lot ID
+   * @param {string} vehicleType - Registered vehicle type
    * @returns {Promise<Object>} Availability for vehicle type
    */
-  async getAvailabilityByType(vehicleType) {
+  async getAvailabilityByType(lotId, vehicleType) {
     try {
-      const stats = await parkingSpotRepository.getAvailabilityByType(vehicleType);
+      const stats = await parkingSpotRepository.getAvailabilityByType(vehicleType, lotId);
 
       logger.debug('Availability by type retrieved', {
+        lotId,
         vehicleType,
         available: stats.available,
       });
 
       return stats;
     } catch (error) {
-      logger.error('Error getting availability by type', error, { vehicleType });
+      logger.error('Error getting availability by type', error, { lotId, vehicleType });
       throw error;
     }
   }
 
   /**
    * Get availability by floor
+   * @param {string} lotId - Lot ID
    * @param {number} floorNumber - Floor number
    * @returns {Promise<Object>} Availability for floor
    */
-  async getAvailabilityByFloor(floorNumber) {
+  async getAvailabilityByFloor(lotId, floorNumber) {
     try {
-      const stats = await parkingSpotRepository.getAvailabilityByFloor(floorNumber);
+      const stats = await parkingSpotRepository.getAvailabilityByFloor(floorNumber, lotId);
 
       logger.debug('Availability by floor retrieved', {
+        lotId,
         floor: floorNumber,
         available: stats.available,
       });
 
       return stats;
     } catch (error) {
-      logger.error('Error getting availability by floor', error, { floorNumber });
+      logger.error('Error getting availability by floor', error, { lotId, floorNumber });
       throw error;
     }
   }
 
   /**
    * Get all floors availability
+   * @param {string} lotId - Lot ID
    * @returns {Promise<Object>} Availability for all floors
    */
-  async getAvailabilityByAllFloors() {
+  async getAvailabilityByAllFloors(lotId) {
     try {
-      const lot = await parkingLotRepository.findDefault();
-
-      if (!lot) {
-        throw new AppError(
-          'No parking lot found',
-          404,
-          'NOT_FOUND'
-        );
-      }
+      const lot = await this.getLot(lotId);
 
       const floorStats = {};
 
       for (let floor = 1; floor <= lot.total_floors; floor++) {
-        floorStats[floor] = await parkingSpotRepository.getAvailabilityByFloor(floor);
+        floorStats[floor] = await parkingSpotRepository.getAvailabilityByFloor(floor, lotId);
       }
 
       logger.debug('All floors availability retrieved', {
+        lotId,
         totalFloors: lot.total_floors,
       });
 
       return floorStats;
     } catch (error) {
-      logger.error('Error getting availability by all floors', error);
+      logger.error('Error getting availability by all floors', error, { lotId });
       throw error;
     }
   }
 
   /**
    * Get detailed availability with floor distribution
+   * @param {string} lotId - Lot ID
    * @param {string} vehicleType - Optional vehicle type filter
    * @returns {Promise<Object>} Detailed availability
    */
-  async getDetailedAvailability(vehicleType = null) {
+  async getDetailedAvailability(lotId, vehicleType = null) {
     try {
-      const lot = await parkingLotRepository.findDefault();
-
-      if (!lot) {
-        throw new AppError(
-          'No parking lot found',
-          404,
-          'NOT_FOUND'
-        );
-      }
+      const lot = await this.getLot(lotId);
 
       let result;
 
       if (vehicleType) {
-        const stats = await parkingSpotRepository.getAvailabilityByType(vehicleType);
-        const floorStats = await this.getAvailabilityByAllFloors();
+        const stats = await parkingSpotRepository.getAvailabilityByType(vehicleType, lotId);
 
         result = {
+          lot_id: lot._id.toString(),
           vehicle_type_filter: vehicleType,
           available_spots: stats.available,
           occupied_spots: stats.occupied,
@@ -171,35 +206,36 @@ class AvailabilityService {
         };
 
         // Get floor distribution for this vehicle type
+        const spots = await parkingSpotRepository.findAvailableByTypes([vehicleType], lotId);
         for (let floor = 1; floor <= lot.total_floors; floor++) {
-          const spots = await parkingSpotRepository.findAvailableByTypes([vehicleType]);
           result.available_floor_distribution[floor] = spots.filter(
             (s) => s.floor_number === floor
           ).length;
         }
       } else {
-        const overall = await this.getOverallAvailability();
+        const overall = await this.getOverallAvailability(lotId);
         result = overall;
       }
 
       return result;
     } catch (error) {
-      logger.error('Error getting detailed availability', error, { vehicleType });
+      logger.error('Error getting detailed availability', error, { lotId, vehicleType });
       throw error;
     }
   }
 
   /**
    * Check if parking is available for vehicle type
+   * @param {string} lotId - Lot ID
    * @param {string} vehicleType - Vehicle type
    * @returns {Promise<boolean>} True if spots available
    */
-  async isAvailableForType(vehicleType) {
+  async isAvailableForType(lotId, vehicleType) {
     try {
-      const stats = await parkingSpotRepository.getAvailabilityByType(vehicleType);
+      const stats = await parkingSpotRepository.getAvailabilityByType(vehicleType, lotId);
       return stats.available > 0;
     } catch (error) {
-      logger.error('Error checking availability for type', error, { vehicleType });
+      logger.error('Error checking availability for type', error, { lotId, vehicleType });
       throw error;
     }
   }
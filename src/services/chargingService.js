@@ -0,0 +1,339 @@
+const chargingSessionRepository = require('../repositories/chargingSessionRepository');
+const transactionRepository = require('../repositories/transactionRepository');
+const parkingSpotRepository = require('../repositories/parkingSpotRepository');
+const rateCardRepository = require('../repositories/rateCardRepository');
+const {
+  estimateChargingEnergy,
+  calculateChargingFee,
+} = require('../utils/feeCalculator');
+const { withTransaction } = require('../utils/transactionManager');
+const { createLogger } = require('../utils/logger');
+const AppError = require('../errors/AppError');
+
+const logger = createLogger('ChargingService');
+
+// Most energy billed for one session (kWh), metered or estimated
+const MAX_SESSION_KWH = parseFloat(process.env.CHARGING_MAX_SESSION_KWH || '100');
+
+/**
+ * Charging Service
+ * EV charging sessions on spots with a charger (ParkingSpot.ev_charger_kw):
+ * - A session starts at entry for EVs that request charging and are given a charger
+ *   spot, or later on request while the vehicle is parked on one
+ * - Stopping a session records the energy delivered (meter reading) and prices it at the
+ *   charging_rate_per_kwh of the rate card the stay is priced with
+ * - Sessions still running at exit are stopped with the energy estimated from the
+ *   charger's rating; all sessions of the stay are billed at exit as charging_fee, a line
+ *   of its own beside parking_fee
+ * - The energy billed for a session is capped at CHARGING_MAX_SESSION_KWH
+ *
+ * Sessions: ACTIVE -> COMPLETED
+ */
+
+class ChargingService {
+  /**
+   * Load a charging session of a lot or fail with NOT_FOUND
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {string} chargingSessionId - Charging session ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Charging session
+   */
+  async getSession(lotId, chargingSessionId, session = null) {
+    const chargingSession = await chargingSessionRepository.findById(chargingSessionId, session);
+
+    if (!chargingSession || chargingSession.lot_id.toString() !== lotId.toString()) {
+      throw new AppError(
+        `Charging session ${chargingSessionId} not found in lot ${lotId}`,
+        404,
+        'NOT_FOUND'
+      );
+    }
+
+    return chargingSession;
+  }
+
+  /**
+   * Get the charging price of a stay from the rate card it is priced with
+   * @private
+   * @param {Object} transaction - Parking transaction
+   * @param {string} vehicleType - Vehicle type
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<number>} Price per kWh
+   */
+  async getRatePerKwh(transaction, vehicleType, session = null) {
+    const rateCard = transaction.rate_card_id
+      ? await rateCardRepository.findById(transaction.rate_card_id, session)
+      : await rateCardRepository.findInForce(
+        transaction.lot_id,
+        vehicleType,
+        transaction.entry_time,
+        session
+      );
+
+    return (rateCard && rateCard.charging_rate_per_kwh) || 0;
+  }
+
+  /**
+   * Start a charging session for a vehicle being parked on a charger spot
+   * Runs inside the entry transaction
+   * @param {string} lotId - Lot ID
+   * @param {Object} transaction - Entry transaction
+   * @param {Object} spot - Claimed spot (has a charger)
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<Object>} Started charging session
+   */
+  async startForEntry(lotId, transaction, spot, session) {
+    return chargingSessionRepository.create(
+      {
+        lot_id: lotId,
+        transaction_id: transaction._id,
+        spot_id: spot._id,
+        power_kw: spot.ev_charger_kw,
+        started_at: transaction.entry_time,
+      },
+      session
+    );
+  }
+
+  /**
+   * Start a charging session for a parked EV
+   * @param {string} lotId - Lot ID
+   * @param {string} transactionId - Active transaction of the vehicle
+   * @returns {Promise<Object>} Started charging session
+   */
+  async startSession(lotId, transactionId) {
+    try {
+      const chargingSession = await withTransaction(async (session) => {
+        const transaction = await transactionRepository.findById(transactionId, session);
+
+        if (!transaction || transaction.lot_id.toString() !== lotId.toString()) {
+          throw new AppError(
+            `Transaction ${transactionId} not found in lot ${lotId}`,
+            404,
+            'TRANSACTION_NOT_FOUND'
+          );
+        }
+
+        if (transaction.exit_time) {
+          throw new AppError(
+            `Transaction ${transactionId} has already exited`,
+            409,
+            'ALREADY_EXITED'
+          );
+        }
+
+        const vehicle = transaction.vehicle_id;
+        const spot = transaction.spot_id;
+
+        if (!vehicle.is_ev) {
+          throw new AppError(
+            `Vehicle ${vehicle.license_plate} is not registered as an electric vehicle`,
+            400,
+            'BAD_REQUEST'
+          );
+        }
+
+        if (!spot.ev_charger_kw) {
+          throw new AppError(
+            `Spot ${spot._id} has no EV charger`,
+            400,
+            'BAD_REQUEST'
+          );
+        }
+
+        // Serialize starts on this spot: a concurrent start write-conflicts and retries
+        await parkingSpotRepository.touch(spot._id, session);
+
+        const running = await chargingSessionRepository.findByTransaction(
+          transaction._id,
+          'ACTIVE',
+          session
+        );
+
+        if (running.length > 0) {
+          throw new AppError(
+            `Transaction ${transactionId} already has an active charging session`,
+            409,
+            'CONFLICT'
+          );
+        }
+
+        return await chargingSessionRepository.create(
+          {
+            lot_id: lotId,
+            transaction_id: transaction._id,
+            spot_id: spot._id,
+            power_kw: spot.ev_charger_kw,
+            started_at: new Date(),
+          },
+          session
+        );
+      });
+
+      logger.logBusinessOperation('CHARGING_STARTED', 'ChargingSession', {
+        lotId,
+        transactionId,
+        chargingSessionId: chargingSession._id,
+      });
+
+      return chargingSession;
+    } catch (error) {
+      logger.error('Error starting charging session', error, { lotId, transactionId });
+      throw error;
+    }
+  }
+
+  /**
+   * Stop an ACTIVE charging session and price it
+   * @param {string} lotId - Lot ID
+   * @param {string} chargingSessionId - Charging session ID
+   * @param {number|undefined} energyKwh - Meter reading; estimated from the rating if omitted
+   * @returns {Promise<Object>} Completed charging session
+   */
+  async stopSession(lotId, chargingSessionId, energyKwh) {
+    try {
+      const chargingSession = await withTransaction(async (session) => {
+        const existing = await this.getSession(lotId, chargingSessionId, session);
+
+        if (existing.status !== 'ACTIVE') {
+          throw new AppError(
+            `Charging session ${chargingSessionId} is already ${existing.status}`,
+            409,
+            'CONFLICT'
+          );
+        }
+
+        const transaction = await transactionRepository.findById(
+          existing.transaction_id,
+          session
+        );
+        const ratePerKwh = await this.getRatePerKwh(
+          transaction,
+          transaction.vehicle_id.vehicle_type,
+          session
+        );
+
+        return await this.completeSession(existing, new Date(), ratePerKwh, energyKwh, session);
+      });
+
+      logger.logBusinessOperation('CHARGING_STOPPED', 'ChargingSession', {
+        lotId,
+        chargingSessionId,
+        energyKwh: chargingSession.energy_kwh,
+        fee: chargingSession.fee,
+      });
+
+      return chargingSession;
+    } catch (error) {
+      logger.error('Error stopping charging session', error, { lotId, chargingSessionId });
+      throw error;
+    }
+  }
+
+  /**
+   * Complete a charging session
+   * @private
+   * @param {Object} chargingSession - ACTIVE charging session
+   * @param {Date} endedAt - End time
+   * @param {number} ratePerKwh - Price per kWh
+   * @param {number|undefined} energyKwh - Meter reading (optional)
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<Object>} Completed charging session
+   */
+  async completeSession(chargingSession, endedAt, ratePerKwh, energyKwh, session) {
+    const estimated = energyKwh === undefined || energyKwh === null;
+    const delivered = estimated
+      ? estimateChargingEnergy(chargingSession.power_kw, chargingSession.started_at, endedAt)
+      : energyKwh;
+    const energy = Math.min(delivered, MAX_SESSION_KWH);
+
+    const completed = await chargingSessionRepository.complete(
+      chargingSession._id,
+      {
+        ended_at: endedAt,
+        energy_kwh: energy,
+        energy_estimated: estimated,
+        energy_capped: energy < delivered,
+        rate_per_kwh: ratePerKwh,
+        fee: calculateChargingFee(energy, ratePerKwh),
+      },
+      session
+    );
+
+    if (!completed) {
+      throw new AppError(
+        `Charging session ${chargingSession._id} was completed concurrently`,
+        409,
+        'CONFLICT'
+      );
+    }
+
+    return completed;
+  }
+
+  /**
+   * Stop the sessions still running at exit and collect the stay's sessions for the bill
+   * Sessions stopped earlier keep their metered energy; running ones are estimated
+   * Runs inside the exit transaction
+   * @param {Object} transaction - Exiting transaction
+   * @param {Object} rateCard - Rate card the stay is priced with
+   * @param {Date} exitTime - Exit time
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<Array>} Completed charging sessions of the stay
+   */
+  async settleForExit(transaction, rateCard, exitTime, session) {
+    const sessions = await chargingSessionRepository.findByTransaction(
+      transaction._id,
+      null,
+      session
+    );
+
+    const settled = [];
+    for (const chargingSession of sessions) {
+      settled.push(chargingSession.status === 'ACTIVE'
+        ? await this.completeSession(
+          chargingSession,
+          exitTime,
+          rateCard.charging_rate_per_kwh || 0,
+          undefined,
+          session
+        )
+        : chargingSession);
+    }
+
+    return settled;
+  }
+
+  /**
+   * List charging sessions in a lot
+   * @param {string} lotId - Lot ID
+   * @param {Object} filters - Validated filters (status, transaction_id)
+   * @returns {Promise<Array>} Charging sessions
+   */
+  async listSessions(lotId, filters = {}) {
+    try {
+      return await chargingSessionRepository.findByLot(lotId, filters);
+    } catch (error) {
+      logger.error('Error listing charging sessions', error, { lotId, filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a charging session
+   * @param {string} lotId - Lot ID
+   * @param {string} chargingSessionId - Charging session ID
+   * @returns {Promise<Object>} Charging session
+   */
+  async getSessionDetails(lotId, chargingSessionId) {
+    try {
+      return await this.getSession(lotId, chargingSessionId);
+    } catch (error) {
+      logger.error('Error getting charging session', error, { lotId, chargingSessionId });
+      throw error;
+    }
+  }
+}
+
+module.exports = new ChargingService();
@@ -1,116 +1,298 @@
 const vehicleRepository = require('../repositories/vehicleRepository');
-const parkingSpotRepository = require('../repositories/parkingSpotRepository');
 const transactionRepository = require('../repositories/transactionRepository');
 const parkingLotRepository = require('../repositories/parkingLotRepository');
+const rateCardRepository = require('../repositories/rateCardRepository');
+const parkingSpotRepository = require('../repositories/parkingSpotRepository');
+const reservationRepository = require('../repositories/reservationRepository');
+const permitRepository = require('../repositories/permitRepository');
 const spotAllocationService = require('./spotAllocationService');
+const reservationService = require('./reservationService');
+const watchlistService = require('./watchlistService');
+const chargingService = require('./chargingService');
+const auditService = require('./auditService');
+const { getEligibleSpotTypes } = require('../utils/spotAllocator');
+const { withTransaction } = require('../utils/transactionManager');
 const { createLogger } = require('../utils/logger');
 const AppError = require('../errors/AppError');
 
 const logger = createLogger('EntryService');
 
+/**
+ * Refuse a second entry for a vehicle that is already parked
+ * @param {Object|null} vehicle - Vehicle record, if any
+ * @param {string} licensePlate - License plate as entered
+ * @throws {AppError} VEHICLE_ALREADY_PARKED
+ */
+const assertNotParked = (vehicle, licensePlate) => {
+  if (vehicle && vehicle.is_currently_parked) {
+    throw new AppError(
+      `Vehicle ${licensePlate} is already parked in the lot`,
+      409,
+      'VEHICLE_ALREADY_PARKED'
+    );
+  }
+};
+
 /**
  * Vehicle Entry Service
  * Handles vehicle entry and parking spot allocation
- * Workflow: Validate → Check existing entry → Allocate spot → Create transaction
+ * Workflow: Validate → Screen watchlist → Check existing entry →
+ *           Claim reserved or allocate spot → Create transaction → Start EV charging
+ * Entry writes, spot claim and lot counters included, are atomic (single MongoDB transaction)
  */
 
 class EntryService {
   /**
    * Process vehicle entry
-   * @param {Object} entryData - Entry data (license_plate, vehicle_type, owner_name, registration_number)
+   * All writes run in a single MongoDB transaction and are rolled back together on failure
+   * @param {string} lotId - Lot ID the vehicle is entering
+   * @param {Object} entryData - Entry data (license_plate, vehicle_type, owner_name, registration_number,
+   *                             is_ev, charging_requested, needs, accessible_permit,
+   *                             plate_check from the lot's plate regions)
    * @returns {Promise<Object>} Entry confirmation with spot details
    */
-  async processEntry(entryData) {
+  async processEntry(lotId, entryData) {
     try {
       const { license_plate, vehicle_type, owner_name, registration_number } = entryData;
+      const plateCheck = entryData.plate_check || null;
+      const isEv = entryData.is_ev ?? null;
+      const chargingRequested = entryData.charging_requested === true;
+      const needs = entryData.needs || [];
+      const accessiblePermit = entryData.accessible_permit === true;
 
-      // Step 1: Check if vehicle already parked
-      const existingVehicle = await vehicleRepository.findByLicensePlate(license_plate);
+      // Blacklisted plates are refused before anything is written; watchlisted plates
+      // are admitted and alerted once the entry has committed
+      const watchlistEntry = await watchlistService.screenEntry(lotId, license_plate);
+      const entryTime = new Date();
 
-      if (existingVehicle && existingVehicle.is_currently_parked) {
-        throw new AppError(
-          `Vehicle ${license_plate} is already parked in the lot`,
-          409,
-          'VEHICLE_ALREADY_PARKED'
+      // Spots whose claim write-conflicted with a concurrent entry: the driver retries the
+      // transaction, which then tries them last and moves on to the next candidate
+      const contendedSpotIds = new Set();
+
+      const result = await withTransaction(async (session) => {
+        // Step 1: Check if vehicle already parked
+        const existingVehicle = await vehicleRepository.findByLicensePlate(
+          license_plate,
+          session
         );
-      }
+        assertNotParked(existingVehicle, license_plate);
+
+        // Step 2: Create or update vehicle record
+        let vehicle;
+        if (existingVehicle) {
+          vehicle = isEv !== null && existingVehicle.is_ev !== isEv
+            ? await vehicleRepository.updateEvStatus(existingVehicle._id, isEv, session)
+            : existingVehicle;
+        } else {
+          vehicle = await vehicleRepository.create(
+            {
+              license_plate: license_plate.toUpperCase(),
+              vehicle_type,
+              owner_name,
+              registration_number,
+              is_ev: isEv === true,
+              is_currently_parked: false,
+            },
+            session
+          );
+        }
 
-      // Step 2: Create or update vehicle record
-      let vehicle;
-      if (existingVehicle) {
-        vehicle = existingVehicle;
-      } else {
-        vehicle = await vehicleRepository.create({
-          license_plate: license_plate.toUpperCase(),
+        // Step 3: Claim the spot held by the vehicle's reservation or reserved by its permit,
+        // if it fits; otherwise (or if that spot is still taken) allocate and atomically
+        // claim the best-fit spot (marks it OCCUPIED), on the permit's floor if it has one,
+        // on a charger spot if charging is requested and in the spot categories needed
+        const reservation = await reservationRepository.findArrivable(
+          lotId,
+          license_plate,
+          entryTime,
+          session
+        );
+        const permit = await permitRepository.findActiveForPlate(
+          lotId,
+          license_plate,
           vehicle_type,
-          owner_name,
-          registration_number,
-          is_currently_parked: false,
-        });
-      }
+          entryTime,
+          session
+        );
+
+        const allocatedSpot = await this.claimSpotForEntry(
+          lotId,
+          vehicle_type,
+          vehicle._id,
+          {
+            reservedSpotId: reservation ? reservation.spot_id : permit && permit.reserved_spot_id,
+            floor: permit ? permit.reserved_floor : null,
+            charging: chargingRequested && vehicle.is_ev,
+            needs,
+            accessiblePermit,
+            contendedSpotIds,
+          },
+          session
+        );
 
-      // Step 3: Allocate parking spot
-      const allocatedSpot = await spotAllocationService.allocateSpot(vehicle_type);
+        if (!allocatedSpot) {
+          throw new AppError(
+            `No available parking spots for vehicle type ${vehicle_type}`,
+            409,
+            'NO_SPOT_AVAILABLE'
+          );
+        }
 
-      if (!allocatedSpot) {
-        throw new AppError(
-          `No available parking spots for vehicle type ${vehicle_type}`,
-          409,
-          'NO_SPOT_AVAILABLE'
+        // Step 4: Create parking transaction, pinned to the rate card version in force now
+        const rateCard = await rateCardRepository.findInForce(
+          lotId,
+          vehicle_type,
+          entryTime,
+          session
+        );
+        const transaction = await transactionRepository.create(
+          {
+            lot_id: lotId,
+            vehicle_id: vehicle._id,
+            spot_id: allocatedSpot._id,
+            entry_time: entryTime,
+            rate_card_id: rateCard ? rateCard._id : null,
+            rate_card_version: rateCard ? rateCard.version : null,
+            reservation_id: reservation ? reservation._id : null,
+            permit_id: permit ? permit._id : null,
+            plate_region: plateCheck ? plateCheck.matched_region : null,
+            plate_flagged: plateCheck ? plateCheck.flagged : false,
+          },
+          session
         );
-      }
 
-      // Step 4: Create parking transaction
-      const entryTime = new Date();
-      const transaction = await transactionRepository.create({
-        vehicle_id: vehicle._id,
-        spot_id: allocatedSpot._id,
-        entry_time: entryTime,
-      });
+        if (reservation) {
+          await reservationService.checkIn(reservation, transaction, entryTime, session);
+        }
+
+        // Start charging when the requested charger spot was given
+        const chargingSession = chargingRequested && allocatedSpot.ev_charger_kw
+          ? await chargingService.startForEntry(lotId, transaction, allocatedSpot, session)
+          : null;
+
+        // Step 5: Update vehicle parking status
+        await vehicleRepository.updateParkingStatus(vehicle._id, true, session);
+
+        // Step 6: Update parking lot counters for the type of spot actually taken
+        await parkingLotRepository.incrementOccupiedSpots(
+          lotId,
+          allocatedSpot.spot_type,
+          session
+        );
+
+        await auditService.record(
+          {
+            action: 'VEHICLE_ENTRY',
+            entity_type: 'ParkingTransaction',
+            entity_id: transaction._id,
+            lot_id: lotId,
+            after: transaction,
+          },
+          session
+        );
 
-      // Step 5: Update spot status
-      await parkingSpotRepository.updateStatus(allocatedSpot._id, 'OCCUPIED', vehicle._id);
+        return { vehicle, allocatedSpot, transaction, reservation, permit, chargingSession };
+      });
 
-      // Step 6: Update vehicle parking status
-      await vehicleRepository.updateParkingStatus(vehicle._id, true);
+      const {
+        vehicle,
+        allocatedSpot,
+        transaction,
+        reservation,
+        permit,
+        chargingSession,
+      } = result;
 
-      // Step 7: Update parking lot available spots
-      const lot = await parkingLotRepository.findDefault();
-      if (lot) {
-        await parkingLotRepository.incrementOccupiedSpots(lot._id, vehicle_type);
+      if (watchlistEntry) {
+        await watchlistService.alertEntry(lotId, watchlistEntry, license_plate, transaction);
       }
 
       logger.logBusinessOperation('VEHICLE_ENTRY', 'Vehicle', {
+        lotId,
         licensePlate: license_plate,
         vehicleType: vehicle_type,
         spotFloor: allocatedSpot.floor_number,
         spotNumber: allocatedSpot.spot_number,
+        reservationId: reservation ? reservation._id : null,
+        permitId: permit ? permit._id : null,
+        plateFlagged: plateCheck ? plateCheck.flagged : false,
+        chargingSessionId: chargingSession ? chargingSession._id : null,
       });
 
       return {
         transaction_id: transaction._id.toString(),
+        lot_id: lotId.toString(),
         vehicle_id: vehicle._id.toString(),
         spot_id: allocatedSpot._id.toString(),
         spot_details: {
           floor_number: allocatedSpot.floor_number,
           spot_number: allocatedSpot.spot_number,
           spot_type: allocatedSpot.spot_type,
+          attributes: allocatedSpot.attributes || [],
+          ev_charger_kw: allocatedSpot.ev_charger_kw || null,
         },
         entry_time: entryTime,
+        rate_card_version: transaction.rate_card_version,
+        reservation_id: reservation ? reservation._id.toString() : null,
+        permit_id: permit ? permit._id.toString() : null,
+        plate_check: plateCheck,
+        charging_session: chargingSession
+          ? {
+            session_id: chargingSession._id.toString(),
+            charger_kw: chargingSession.power_kw,
+          }
+          : null,
         message: `Vehicle successfully parked at Floor ${allocatedSpot.floor_number}, Spot ${allocatedSpot.spot_number}`,
       };
     } catch (error) {
-      logger.error('Error processing vehicle entry', error, { entryData });
+      logger.error('Error processing vehicle entry', error, { lotId, entryData });
       throw error;
     }
   }
 
+  /**
+   * Claim a spot for an entering vehicle
+   * The reservation's or permit's spot is tried first when it fits the vehicle type
+   * @param {string} lotId - Lot ID
+   * @param {string} vehicleType - Vehicle type
+   * @param {ObjectId} vehicleId - Vehicle ID the spot is claimed for
+   * @param {Object} preferences - reservedSpotId, plus allocateSpot preferences
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<Object|null>} Claimed spot, or null if none could be claimed
+   */
+  async claimSpotForEntry(lotId, vehicleType, vehicleId, preferences, session) {
+    const { reservedSpotId, ...allocationPreferences } = preferences;
+
+    if (reservedSpotId) {
+      const reservedSpot = await parkingSpotRepository.findById(reservedSpotId, session);
+      if (reservedSpot && getEligibleSpotTypes(vehicleType).includes(reservedSpot.spot_type)) {
+        const claimedSpot = await parkingSpotRepository.claimSpot(
+          reservedSpot._id,
+          vehicleId,
+          session
+        );
+        if (claimedSpot) {
+          return claimedSpot;
+        }
+      }
+    }
+
+    return spotAllocationService.allocateSpot(
+      lotId,
+      vehicleType,
+      vehicleId,
+      allocationPreferences,
+      session
+    );
+  }
+
   /**
    * Get active entry transaction for a vehicle
    * @param {string} licensePlate - Vehicle license plate
+   * @param {string} lotId - Only match vehicles parked in this lot (optional)
    * @returns {Promise<Object>} Active transaction details
    */
-  async getActiveEntry(licensePlate) {
+  async getActiveEntry(licensePlate, lotId = null) {
     try {
       const vehicle = await vehicleRepository.findByLicensePlate(licensePlate);
 
@@ -140,15 +322,24 @@ class EntryService {
         );
       }
 
+      if (lotId && transaction.lot_id.toString() !== lotId.toString()) {
+        throw new AppError(
+          `Vehicle ${licensePlate} is not parked in this lot`,
+          404,
+          'VEHICLE_NOT_FOUND'
+        );
+      }
+
       return {
         transaction_id: transaction._id.toString(),
+        lot_id: transaction.lot_id.toString(),
         vehicle_id: vehicle._id.toString(),
         spot_id: transaction.spot_id._id.toString(),
         entry_time: transaction.entry_time,
         parking_duration_minutes: Math.floor((Date.now() - transaction.entry_time) / 60000),
       };
     } catch (error) {
-      logger.error('Error getting active entry', error, { licensePlate });
+      logger.error('Error getting active entry', error, { licensePlate, lotId });
       throw error;
     }
   }
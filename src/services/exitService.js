@@ -3,121 +3,460 @@ const transactionRepository = require('../repositories/transactionRepository');
 const parkingSpotRepository = require('../repositories/parkingSpotRepository');
 const parkingLotRepository = require('../repositories/parkingLotRepository');
 const rateCardRepository = require('../repositories/rateCardRepository');
+const permitRepository = require('../repositories/permitRepository');
 const feeCalculationService = require('./feeCalculationService');
+const paymentService = require('./paymentService');
+const chargingService = require('./chargingService');
+const maintenanceService = require('./maintenanceService');
+const auditService = require('./auditService');
+const { withTransaction } = require('../utils/transactionManager');
+const { rankPlateCandidates } = require('../utils/plateNormalizer');
 const { createLogger } = require('../utils/logger');
 const AppError = require('../errors/AppError');
 
 const logger = createLogger('ExitService');
 
+/**
+ * Summarize a populated active transaction for attendant searches
+ * @param {Object} transaction - Transaction with vehicle_id and spot_id populated
+ * @returns {Object} Transaction summary
+ */
+const summarizeActiveTransaction = (transaction) => ({
+  transaction_id: transaction._id.toString(),
+  license_plate: transaction.vehicle_id.license_plate,
+  vehicle_type: transaction.vehicle_id.vehicle_type,
+  spot_id: transaction.spot_id._id.toString(),
+  spot_details: {
+    floor_number: transaction.spot_id.floor_number,
+    spot_number: transaction.spot_id.spot_number,
+    spot_type: transaction.spot_id.spot_type,
+  },
+  entry_time: transaction.entry_time,
+});
+
 /**
  * Vehicle Exit Service
  * Handles vehicle exit, fee calculation, and spot release
  * Workflow: Validate → Calculate fee → Update transaction → Release spot
+ * Exit writes are atomic (single MongoDB transaction)
+ * Attendants release vehicles whose plate is not recognised or whose ticket is lost by
+ * transaction (manual exit), found by searching the active transactions or by fuzzy plate
+ * matching
  */
 
 class ExitService {
   /**
-   * Process vehicle exit
-   * @param {Object} exitData - Exit data (license_plate)
-   * @returns {Promise<Object>} Exit confirmation with fee details
+   * Resolve the rate card a transaction is priced with
+   * Uses the version recorded at entry; transactions recorded before rate card
+   * versioning fall back to the version that was in force at their entry time
+   * @private
+   * @param {Object} transaction - Parking transaction
+   * @param {string} vehicleType - Vehicle type
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Rate card
    */
-  async processExit(exitData) {
-    try {
-      const { license_plate } = exitData;
+  async resolveRateCard(transaction, vehicleType, session = null) {
+    const rateCard = transaction.rate_card_id
+      ? await rateCardRepository.findById(transaction.rate_card_id, session)
+      : await rateCardRepository.findInForce(
+        transaction.lot_id,
+        vehicleType,
+        transaction.entry_time,
+        session
+      );
 
-      // Step 1: Find vehicle
-      const vehicle = await vehicleRepository.findByLicensePlate(license_plate);
+    if (!rateCard) {
+      throw new AppError(
+        `Rate card not found for vehicle type ${vehicleType}`,
+        500,
+        'DATABASE_ERROR'
+      );
+    }
 
-      if (!vehicle) {
-        throw new AppError(
-          `Vehicle ${license_plate} not found`,
-          404,
-          'VEHICLE_NOT_FOUND'
-        );
-      }
+    return rateCard;
+  }
 
-      // Step 2: Check if vehicle is parked
-      if (!vehicle.is_currently_parked) {
-        throw new AppError(
-          `Vehicle ${license_plate} is not currently parked`,
-          409,
-          'ALREADY_EXITED'
-        );
-      }
+  /**
+   * Resolve the permit a transaction is charged under
+   * The permit is pinned at entry; it no longer applies once revoked
+   * @private
+   * @param {Object} transaction - Parking transaction
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Permit, or null for rate card pricing
+   */
+  async resolvePermit(transaction, session = null) {
+    if (!transaction.permit_id) {
+      return null;
+    }
 
-      // Step 3: Find active transaction
-      const transaction = await transactionRepository.findActiveByVehicleId(vehicle._id);
+    const permit = await permitRepository.findById(transaction.permit_id, session);
+    return permit && permit.status === 'ACTIVE' ? permit : null;
+  }
 
-      if (!transaction) {
-        throw new AppError(
-          `No active parking transaction found for vehicle ${license_plate}`,
-          404,
-          'TRANSACTION_NOT_FOUND'
-        );
+  /**
+   * Take a payment at exit, after the exit itself has been committed
+   * A failed payment never undoes the exit; the failure is reported with the exit and
+   * the transaction stays PENDING for a later payment
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {Object} transaction - Exited transaction
+   * @param {Object} payment - Validated payment fields (amount defaults to the total fee)
+   * @returns {Promise<Object>} Payment result, or { status: 'FAILED', error }
+   */
+  async collectPayment(lotId, transaction, payment) {
+    try {
+      return await paymentService.recordPayment(lotId, transaction._id, {
+        ...payment,
+        amount: payment.amount === undefined
+          ? paymentService.summarize(transaction).total_fee
+          : payment.amount,
+      });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        throw error;
       }
 
-      // Step 4: Calculate parking fee
-      const exitTime = new Date();
-      const rateCard = await rateCardRepository.findByVehicleType(vehicle.vehicle_type);
+      return {
+        status: 'FAILED',
+        error: { code: error.errorCode, message: error.message },
+      };
+    }
+  }
 
-      if (!rateCard) {
-        throw new AppError(
-          `Rate card not found for vehicle type ${vehicle.vehicle_type}`,
-          500,
-          'DATABASE_ERROR'
-        );
-      }
+  /**
+   * Price an active transaction and release its spot (exit steps 4-8)
+   * Runs inside the exit transaction
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {Object} vehicle - Exiting vehicle
+   * @param {Object} transaction - Active transaction (spot populated)
+   * @param {Object} exitMode - exit_type (STANDARD, MANUAL, LOST_TICKET), and for manual
+   *                            exits operator_id and reason
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<Object>} { updatedTransaction, spot, exitTime, feeDetails }
+   */
+  async completeExit(lotId, vehicle, transaction, exitMode, session) {
+    // Step 4: Calculate parking fee (at the permit rate for permit holders, and at least
+    // the lost-ticket fee for lost tickets), and the stay's EV charging as its own line
+    const exitTime = new Date();
+    const rateCard = await this.resolveRateCard(transaction, vehicle.vehicle_type, session);
+    const timeZone = await feeCalculationService.getLotTimeZone(lotId, session);
+    const permit = await this.resolvePermit(transaction, session);
 
-      const feeDetails = feeCalculationService.calculateFee(
+    let feeDetails = feeCalculationService.applyPermit(
+      feeCalculationService.calculateFee(
         vehicle.vehicle_type,
         transaction.entry_time,
         exitTime,
-        rateCard
-      );
+        rateCard,
+        timeZone
+      ),
+      permit
+    );
+
+    if (exitMode.exit_type === 'LOST_TICKET') {
+      feeDetails = feeCalculationService.applyLostTicket(feeDetails, rateCard);
+    }
 
-      // Step 5: Update transaction with exit details
-      const updatedTransaction = await transactionRepository.updateExit(transaction._id, {
+    const chargingSessions = await chargingService.settleForExit(
+      transaction,
+      rateCard,
+      exitTime,
+      session
+    );
+    feeDetails = feeCalculationService.applyCharging(feeDetails, chargingSessions);
+    const chargingFee = feeDetails.charging_fee || 0;
+
+    // Step 5: Update transaction with exit details
+    const updatedTransaction = await transactionRepository.updateExit(
+      transaction._id,
+      {
         exit_time: exitTime,
         duration_minutes: feeDetails.duration_minutes,
         parking_fee: feeDetails.parking_fee,
-        payment_status: 'PENDING',
-      });
+        charging_fee: chargingFee,
+        // Nothing to collect for stays within the grace period without charging
+        payment_status: feeDetails.parking_fee > 0 || chargingFee > 0 ? 'PENDING' : 'PAID',
+        rate_card_id: rateCard._id,
+        rate_card_version: rateCard.version,
+        permit_id: permit ? permit._id : null,
+        exit_type: exitMode.exit_type,
+        exit_operator_id: exitMode.operator_id || null,
+        exit_reason: exitMode.reason || null,
+      },
+      session
+    );
 
-      // Step 6: Release parking spot
-      const spot = transaction.spot_id;
-      await parkingSpotRepository.updateStatus(spot._id, 'AVAILABLE', null);
+    // Step 6: Release parking spot
+    const spot = transaction.spot_id;
+    await parkingSpotRepository.updateStatus(spot._id, 'AVAILABLE', null, session);
 
-      // Step 7: Update vehicle parking status
-      await vehicleRepository.updateParkingStatus(vehicle._id, false);
+    // Step 7: Update vehicle parking status
+    await vehicleRepository.updateParkingStatus(vehicle._id, false, session);
 
-      // Step 8: Update parking lot available spots
-      const lot = await parkingLotRepository.findDefault();
-      if (lot) {
-        await parkingLotRepository.decrementOccupiedSpots(lot._id, vehicle.vehicle_type);
-      }
+    // Step 8: Update parking lot counters for the type of spot released
+    await parkingLotRepository.decrementOccupiedSpots(lotId, spot.spot_type, session);
+
+    // Maintenance due while the spot was occupied starts now rather than at the next sweep
+    await maintenanceService.activateDueWindowsForSpot(spot, exitTime, session);
+
+    await auditService.record(
+      {
+        action: exitMode.exit_type === 'STANDARD' ? 'VEHICLE_EXIT' : 'VEHICLE_MANUAL_EXIT',
+        entity_type: 'ParkingTransaction',
+        entity_id: transaction._id,
+        lot_id: lotId,
+        before: transaction,
+        after: updatedTransaction,
+      },
+      session
+    );
+
+    return { updatedTransaction, spot, exitTime, feeDetails };
+  }
+
+  /**
+   * Take the optional payment at exit and build the exit confirmation
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {Object} vehicle - Exited vehicle
+   * @param {Object} transaction - Transaction as it was before the exit
+   * @param {Object} exit - Result of completeExit
+   * @param {Object|null} paymentData - Validated payment fields (optional)
+   * @returns {Promise<Object>} Exit confirmation with fee details
+   */
+  async finishExit(lotId, vehicle, transaction, exit, paymentData) {
+    const { updatedTransaction, spot, exitTime, feeDetails } = exit;
+
+    // Step 9: Optional payment at exit
+    let payment;
+    if (paymentData && updatedTransaction.payment_status === 'PENDING') {
+      payment = await this.collectPayment(lotId, updatedTransaction, paymentData);
+    }
+
+    return {
+      transaction_id: updatedTransaction._id.toString(),
+      lot_id: lotId.toString(),
+      vehicle_id: vehicle._id.toString(),
+      spot_id: spot._id.toString(),
+      entry_time: transaction.entry_time,
+      exit_time: exitTime,
+      duration_minutes: feeDetails.duration_minutes,
+      duration_formatted: feeDetails.duration_formatted,
+      parking_fee: feeDetails.parking_fee,
+      charging_fee: updatedTransaction.charging_fee,
+      total_fee: paymentService.summarize(updatedTransaction).total_fee,
+      band_breakdown: feeDetails.calculation_details.band_breakdown,
+      rate_card_version: updatedTransaction.rate_card_version,
+      permit_id: updatedTransaction.permit_id ? updatedTransaction.permit_id.toString() : null,
+      exit_type: updatedTransaction.exit_type,
+      currency: 'USD',
+      payment_status: payment && payment.payment_status
+        ? payment.payment_status
+        : updatedTransaction.payment_status,
+      ...(payment && { payment }),
+      message: 'Thank you for using our parking lot',
+    };
+  }
+
+  /**
+   * Process vehicle exit
+   * All writes run in a single MongoDB transaction and are rolled back together on failure
+   * @param {string} lotId - Lot ID the vehicle is exiting
+   * @param {Object} exitData - Exit data (license_plate, optional payment)
+   * @returns {Promise<Object>} Exit confirmation with fee details
+   */
+  async processExit(lotId, exitData) {
+    try {
+      const { license_plate } = exitData;
+
+      const { vehicle, transaction, exit } = await withTransaction(async (session) => {
+        // Step 1: Find vehicle
+        const vehicle = await vehicleRepository.findByLicensePlate(license_plate, session);
+
+        if (!vehicle) {
+          throw new AppError(
+            `Vehicle ${license_plate} not found`,
+            404,
+            'VEHICLE_NOT_FOUND'
+          );
+        }
+
+        // Step 2: Check if vehicle is parked
+        if (!vehicle.is_currently_parked) {
+          throw new AppError(
+            `Vehicle ${license_plate} is not currently parked`,
+            409,
+            'ALREADY_EXITED'
+          );
+        }
+
+        // Step 3: Find active transaction
+        const transaction = await transactionRepository.findActiveByVehicleId(
+          vehicle._id,
+          session
+        );
+
+        if (!transaction) {
+          throw new AppError(
+            `No active parking transaction found for vehicle ${license_plate}`,
+            404,
+            'TRANSACTION_NOT_FOUND'
+          );
+        }
+
+        if (transaction.lot_id.toString() !== lotId.toString()) {
+          throw new AppError(
+            `Vehicle ${license_plate} is not parked in this lot`,
+            404,
+            'VEHICLE_NOT_FOUND'
+          );
+        }
+
+        // Steps 4-8: Price the stay and release the spot
+        const exit = await this.completeExit(
+          lotId,
+          vehicle,
+          transaction,
+          { exit_type: 'STANDARD' },
+          session
+        );
+
+        return { vehicle, transaction, exit };
+      });
 
       logger.logBusinessOperation('VEHICLE_EXIT', 'Vehicle', {
+        lotId,
         licensePlate: license_plate,
         vehicleType: vehicle.vehicle_type,
-        fee: feeDetails.parking_fee,
-        duration: feeDetails.duration_formatted,
+        fee: exit.feeDetails.parking_fee,
+        duration: exit.feeDetails.duration_formatted,
+        permitId: exit.updatedTransaction.permit_id,
       });
 
-      return {
-        transaction_id: updatedTransaction._id.toString(),
-        vehicle_id: vehicle._id.toString(),
-        spot_id: spot._id.toString(),
-        entry_time: transaction.entry_time,
-        exit_time: exitTime,
-        duration_minutes: feeDetails.duration_minutes,
-        duration_formatted: feeDetails.duration_formatted,
-        parking_fee: feeDetails.parking_fee,
-        currency: 'USD',
-        payment_status: 'PENDING',
-        message: 'Thank you for using our parking lot',
+      return await this.finishExit(lotId, vehicle, transaction, exit, exitData.payment);
+    } catch (error) {
+      logger.error('Error processing vehicle exit', error, { lotId, exitData });
+      throw error;
+    }
+  }
+
+  /**
+   * Release a vehicle by transaction when its plate is not recognised at the exit or its
+   * ticket is lost; the attendant finds the transaction with searchActiveTransactions
+   * The exit is recorded as MANUAL, or LOST_TICKET with the lost-ticket fee applied
+   * @param {string} lotId - Lot ID the vehicle is exiting
+   * @param {string} transactionId - Active transaction ID
+   * @param {Object} data - Validated data (operator_id, reason, lost_ticket, optional payment)
+   * @returns {Promise<Object>} Exit confirmation with fee details
+   */
+  async processManualExit(lotId, transactionId, data) {
+    try {
+      const exitMode = {
+        exit_type: data.lost_ticket ? 'LOST_TICKET' : 'MANUAL',
+        operator_id: data.operator_id,
+        reason: data.reason,
       };
+
+      const { vehicle, transaction, exit } = await withTransaction(async (session) => {
+        const transaction = await transactionRepository.findById(transactionId, session);
+
+        if (!transaction || transaction.lot_id.toString() !== lotId.toString()) {
+          throw new AppError(
+            `Transaction ${transactionId} not found in lot ${lotId}`,
+            404,
+            'TRANSACTION_NOT_FOUND'
+          );
+        }
+
+        if (transaction.exit_time) {
+          throw new AppError(
+            `Transaction ${transactionId} has already exited`,
+            409,
+            'ALREADY_EXITED'
+          );
+        }
+
+        const vehicle = transaction.vehicle_id;
+        const exit = await this.completeExit(lotId, vehicle, transaction, exitMode, session);
+
+        return { vehicle, transaction, exit };
+      });
+
+      logger.logBusinessOperation('VEHICLE_MANUAL_EXIT', 'Vehicle', {
+        lotId,
+        transactionId,
+        licensePlate: vehicle.license_plate,
+        exitType: exitMode.exit_type,
+        operatorId: exitMode.operator_id,
+        fee: exit.feeDetails.parking_fee,
+      });
+
+      return await this.finishExit(lotId, vehicle, transaction, exit, data.payment);
+    } catch (error) {
+      logger.error('Error processing manual exit', error, { lotId, transactionId, data });
+      throw error;
+    }
+  }
+
+  /**
+   * Search the active transactions of a lot for a manual exit
+   * @param {string} lotId - Lot ID
+   * @param {Object} criteria - Validated criteria (plate fragment, floor_number, spot_number,
+   *                            entered_after, entered_before)
+   * @returns {Promise<Array>} Matching active transactions, oldest entry first
+   */
+  async searchActiveTransactions(lotId, criteria = {}) {
+    try {
+      const search = {
+        entered_after: criteria.entered_after,
+        entered_before: criteria.entered_before,
+      };
+
+      if (criteria.plate !== undefined) {
+        const vehicles = await vehicleRepository.findParkedByPlateFragment(criteria.plate);
+        search.vehicle_ids = vehicles.map((vehicle) => vehicle._id);
+      }
+
+      if (criteria.floor_number !== undefined || criteria.spot_number !== undefined) {
+        const spots = await parkingSpotRepository.findByLot(lotId, {
+          floor_number: criteria.floor_number,
+          spot_number: criteria.spot_number,
+        });
+        search.spot_ids = spots.map((spot) => spot._id);
+      }
+
+      const transactions = await transactionRepository.searchActive(lotId, search);
+
+      return transactions.map(summarizeActiveTransaction);
     } catch (error) {
-      logger.error('Error processing vehicle exit', error, { exitData });
+      logger.error('Error searching active transactions', error, { lotId, criteria });
+      throw error;
+    }
+  }
+
+  /**
+   * Rank the vehicles parked in a lot by how closely their plate matches a misread or
+   * mistyped plate (separators, O/0-style confusions and typos)
+   * @param {string} lotId - Lot ID
+   * @param {Object} criteria - Validated criteria (plate, limit)
+   * @returns {Promise<Array>} Active transaction summaries with a match score, best first
+   */
+  async findPlateCandidates(lotId, criteria) {
+    try {
+      const transactions = await transactionRepository.searchActive(lotId);
+
+      const ranked = rankPlateCandidates(criteria.plate, transactions, {
+        getPlate: (transaction) => transaction.vehicle_id.license_plate,
+        limit: criteria.limit,
+      });
+
+      return ranked.map(({ item, score }) => ({
+        ...summarizeActiveTransaction(item),
+        score,
+      }));
+    } catch (error) {
+      logger.error('Error finding plate candidates', error, { lotId, criteria });
       throw error;
     }
   }
@@ -157,32 +496,34 @@ class ExitService {
         );
       }
 
-      const rateCard = await rateCardRepository.findByVehicleType(vehicle.vehicle_type);
+      const rateCard = await this.resolveRateCard(transaction, vehicle.vehicle_type);
+      const timeZone = await feeCalculationService.getLotTimeZone(transaction.lot_id);
 
-      if (!rateCard) {
-        throw new AppError(
-          `Rate card not found for vehicle type ${vehicle.vehicle_type}`,
-          500,
-          'DATABASE_ERROR'
-        );
-      }
+      const permit = await this.resolvePermit(transaction);
 
       const currentTime = new Date();
-      const feeDetails = feeCalculationService.calculateFee(
-        vehicle.vehicle_type,
-        transaction.entry_time,
-        currentTime,
-        rateCard
+      const feeDetails = feeCalculationService.applyPermit(
+        feeCalculationService.calculateFee(
+          vehicle.vehicle_type,
+          transaction.entry_time,
+          currentTime,
+          rateCard,
+          timeZone
+        ),
+        permit
       );
 
       return {
         transaction_id: transaction._id.toString(),
+        lot_id: transaction.lot_id.toString(),
         vehicle_id: vehicle._id.toString(),
         entry_time: transaction.entry_time,
         current_time: currentTime,
         duration_minutes: feeDetails.duration_minutes,
         duration_formatted: feeDetails.duration_formatted,
         estimated_fee: feeDetails.parking_fee,
+        rate_card_version: rateCard.version,
+        permit_id: permit ? permit._id.toString() : null,
         currency: 'USD',
       };
     } catch (error) {
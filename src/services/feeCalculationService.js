@@ -1,5 +1,12 @@
 const rateCardRepository = require('../repositories/rateCardRepository');
-const { calculateParkingFee, formatDuration } = require('../utils/feeCalculator');
+const parkingLotRepository = require('../repositories/parkingLotRepository');
+const {
+  calculateParkingFee,
+  applyPermitRate,
+  applyLostTicketFee,
+  applyChargingFees,
+  formatDuration,
+} = require('../utils/feeCalculator');
 const { createLogger } = require('../utils/logger');
 const AppError = require('../errors/AppError');
 
@@ -17,9 +24,10 @@ class FeeCalculationService {
    * @param {Date} entryTime - Entry timestamp
    * @param {Date} exitTime - Exit timestamp
    * @param {Object} rateCard - Rate card object
+   * @param {string} timeZone - Lot time zone for time bands (default: UTC)
    * @returns {Object} Fee calculation details
    */
-  calculateFee(vehicleType, entryTime, exitTime, rateCard) {
+  calculateFee(vehicleType, entryTime, exitTime, rateCard, timeZone = 'UTC') {
     try {
       if (!vehicleType || !entryTime || !exitTime || !rateCard) {
         throw new AppError(
@@ -29,7 +37,9 @@ class FeeCalculationService {
         );
       }
 
-      const feeDetails = calculateParkingFee(vehicleType, entryTime, exitTime, rateCard);
+      const feeDetails = calculateParkingFee(vehicleType, entryTime, exitTime, rateCard, {
+        timeZone,
+      });
 
       logger.debug('Fee calculated', {
         vehicleType,
@@ -44,56 +54,105 @@ class FeeCalculationService {
     }
   }
 
+  /**
+   * Charge a stay at the rate of the permit it was parked under
+   * @param {Object} feeDetails - Fee calculation details
+   * @param {Object|null} permit - Permit in force at entry (null = rate card pricing)
+   * @returns {Object} Fee calculation details
+   */
+  applyPermit(feeDetails, permit) {
+    if (!permit) {
+      return feeDetails;
+    }
+
+    const permitDetails = applyPermitRate(feeDetails, permit);
+
+    logger.debug('Permit rate applied', {
+      permitId: permit._id,
+      rateCardFee: feeDetails.parking_fee,
+      fee: permitDetails.parking_fee,
+    });
+
+    return permitDetails;
+  }
+
+  /**
+   * Charge a lost-ticket exit at least the rate card's lost-ticket fee
+   * @param {Object} feeDetails - Fee calculation details for the stay
+   * @param {Object} rateCard - Rate card the stay is priced with
+   * @returns {Object} Fee calculation details
+   */
+  applyLostTicket(feeDetails, rateCard) {
+    const lostTicketDetails = applyLostTicketFee(feeDetails, rateCard);
+
+    logger.debug('Lost ticket fee applied', {
+      rateCardId: rateCard._id,
+      stayFee: feeDetails.parking_fee,
+      fee: lostTicketDetails.parking_fee,
+    });
+
+    return lostTicketDetails;
+  }
+
+  /**
+   * Add the stay's EV charging sessions to the bill, as charging_fee
+   * @param {Object} feeDetails - Fee calculation details for the stay
+   * @param {Array} sessions - Completed charging sessions of the stay
+   * @returns {Object} Fee calculation details
+   */
+  applyCharging(feeDetails, sessions) {
+    const chargingDetails = applyChargingFees(feeDetails, sessions);
+
+    if (chargingDetails !== feeDetails) {
+      logger.debug('Charging fees applied', {
+        sessions: sessions.length,
+        stayFee: feeDetails.parking_fee,
+        chargingFee: chargingDetails.charging_fee,
+      });
+    }
+
+    return chargingDetails;
+  }
+
   /**
    * Estimate parking fee
+   * @param {string} lotId - Lot ID
    * @param {string} vehicleType - Vehicle type
    * @param {Date} entryTime - Entry timestamp
    * @returns {Object} Fee estimation
    */
-  async estimateFee(vehicleType, entryTime) {
+  async estimateFee(lotId, vehicleType, entryTime) {
     try {
-      const rateCard = await rateCardRepository.findByVehicleType(vehicleType);
-
-      if (!rateCard) {
-        throw new AppError(
-          `Rate card not found for vehicle type ${vehicleType}`,
-          404,
-          'NOT_FOUND'
-        );
-      }
+      const rateCard = await this.getRateCard(lotId, vehicleType);
+      const timeZone = await this.getLotTimeZone(lotId);
 
       const currentTime = new Date();
-      return this.calculateFee(vehicleType, entryTime, currentTime, rateCard);
+      return this.calculateFee(vehicleType, entryTime, currentTime, rateCard, timeZone);
     } catch (error) {
-      logger.error('Error estimating fee', error, { vehicleType, entryTime });
+      logger.error('Error estimating fee', error, { lotId, vehicleType, entryTime });
       throw error;
     }
   }
 
   /**
    * Calculate fee for given duration
+   * @param {string} lotId - Lot ID
    * @param {string} vehicleType - Vehicle type
    * @param {number} durationMinutes - Duration in minutes
    * @returns {Object} Fee calculation for duration
    */
-  async calculateFeeForDuration(vehicleType, durationMinutes) {
+  async calculateFeeForDuration(lotId, vehicleType, durationMinutes) {
     try {
-      const rateCard = await rateCardRepository.findByVehicleType(vehicleType);
-
-      if (!rateCard) {
-        throw new AppError(
-          `Rate card not found for vehicle type ${vehicleType}`,
-          404,
-          'NOT_FOUND'
-        );
-      }
+      const rateCard = await this.getRateCard(lotId, vehicleType);
+      const timeZone = await this.getLotTimeZone(lotId);
 
       const now = new Date();
       const entryTime = new Date(now - durationMinutes * 60 * 1000);
 
-      return this.calculateFee(vehicleType, entryTime, now, rateCard);
+      return this.calculateFee(vehicleType, entryTime, now, rateCard, timeZone);
     } catch (error) {
       logger.error('Error calculating fee for duration', error, {
+        lotId,
         vehicleType,
         durationMinutes,
       });
@@ -102,26 +161,39 @@ class FeeCalculationService {
   }
 
   /**
-   * Get all rate cards
-   * @returns {Promise<Array>} All rate cards
+   * Get the time zone a lot's time bands are evaluated in
+   * @param {string} lotId - Lot ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<string>} IANA time zone (UTC if unset)
+   */
+  async getLotTimeZone(lotId, session = null) {
+    const lot = await parkingLotRepository.findById(lotId, session);
+    return (lot && lot.timezone) || 'UTC';
+  }
+
+  /**
+   * Get all rate cards that apply to a lot
+   * @param {string} lotId - Lot ID
+   * @returns {Promise<Array>} Effective rate cards
    */
-  async getAllRateCards() {
+  async getAllRateCards(lotId) {
     try {
-      return await rateCardRepository.findAll();
+      return await rateCardRepository.findAllForLot(lotId);
     } catch (error) {
-      logger.error('Error getting rate cards', error);
+      logger.error('Error getting rate cards', error, { lotId });
       throw error;
     }
   }
 
   /**
-   * Get rate card for vehicle type
+   * Get rate card for vehicle type in a lot
+   * @param {string} lotId - Lot ID
    * @param {string} vehicleType - Vehicle type
    * @returns {Promise<Object>} Rate card
    */
-  async getRateCard(vehicleType) {
+  async getRateCard(lotId, vehicleType) {
     try {
-      const rateCard = await rateCardRepository.findByVehicleType(vehicleType);
+      const rateCard = await rateCardRepository.findForLot(lotId, vehicleType);
 
       if (!rateCard) {
         throw new AppError(
@@ -133,7 +205,7 @@ class FeeCalculationService {
 
       return rateCard;
     } catch (error) {
-      logger.error('Error getting rate card', error, { vehicleType });
+      logger.error('Error getting rate card', error, { lotId, vehicleType });
       throw error;
     }
   }
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const idempotencyKeyRepository = require('../repositories/idempotencyKeyRepository');
+const { createLogger } = require('../utils/logger');
+const AppError = require('../errors/AppError');
+
+const logger = createLogger('IdempotencyService');
+
+// How long responses are kept for replay
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24');
+// A request holding a key without renewing its lock for longer is taken to have died with
+// its server. Running requests renew it every third of this, however long their
+// transaction retries, so a retry cannot run them a second time
+const IDEMPOTENCY_LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS || '60');
+
+// Printable ASCII, as UUIDs or gate controller sequence numbers
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+/**
+ * JSON with object keys sorted, so equal bodies hash the same whatever their key order
+ * @param {any} value - Value
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const fields = Object.keys(value)
+      .filter((field) => value[field] !== undefined)
+      .sort()
+      .map((field) => `${JSON.stringify(field)}:${canonicalJson(value[field])}`);
+    return `{${fields.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Idempotency Service
+ * Clients retrying a mutating request (e.g. gate hardware after a timeout) send the same
+ * Idempotency-Key header. The first request with a key runs; its response is stored for
+ * IDEMPOTENCY_KEY_TTL_HOURS and replayed for retries. Keys are scoped to the caller.
+ *
+ * - Same key, different request (method, lot, route or body) -> 422 IDEMPOTENCY_KEY_MISMATCH
+ * - Same key while the first request is still running       -> 409 IDEMPOTENCY_KEY_IN_USE
+ * - Server errors (5xx) are not stored: the key is released and the request may be retried
+ */
+
+class IdempotencyService {
+  constructor() {
+    // How often a running request pushes back the lock on its key
+    this.lockRenewalMs = (IDEMPOTENCY_LOCK_SECONDS * 1000) / 3;
+  }
+
+  /**
+   * Hash what identifies a request: the lot it resolved to and the route pattern rather
+   * than the URL, so /parking/... and /lots/{defaultLot}/parking/... are the same request
+   * @param {Object} request - { method, lot_id, route, params, body }
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRequest({ method, lot_id: lotId, route, params, body }) {
+    const identity = [method, lotId, route, params || {}, body === undefined ? null : body];
+    return crypto.createHash('sha256').update(canonicalJson(identity)).digest('hex');
+  }
+
+  /**
+   * Start a request made with an idempotency key
+   * @param {Object} request - { principal, idempotency_key, method, path, lot_id, route,
+   *                           params, body } - route is the pattern and params its
+   *                           parameters other than the lot
+   * @returns {Promise<Object>} { key } when the request should run, or
+   *                            { replay: { status, body } } for a completed duplicate
+   * @throws {AppError} INVALID_IDEMPOTENCY_KEY, IDEMPOTENCY_KEY_MISMATCH or
+   *                    IDEMPOTENCY_KEY_IN_USE
+   */
+  async begin(request) {
+    if (!IDEMPOTENCY_KEY_PATTERN.test(request.idempotency_key)) {
+      throw new AppError(
+        'Idempotency-Key must be 1-255 printable characters without spaces',
+        400,
+        'INVALID_IDEMPOTENCY_KEY'
+      );
+    }
+
+    const now = new Date();
+    const key = `${request.principal}:${request.idempotency_key}`;
+    const requestHash = this.hashRequest(request);
+
+    const { claimed, record } = await idempotencyKeyRepository.claim(
+      {
+        key,
+        method: request.method,
+        path: request.path,
+        request_hash: requestHash,
+        locked_until: new Date(now.getTime() + IDEMPOTENCY_LOCK_SECONDS * 1000),
+        expires_at: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_HOURS * 3600000),
+      },
+      now
+    );
+
+    if (claimed) {
+      return { key };
+    }
+
+    if (record.request_hash !== requestHash) {
+      throw new AppError(
+        'Idempotency-Key was already used for a different request',
+        422,
+        'IDEMPOTENCY_KEY_MISMATCH'
+      );
+    }
+
+    if (record.state !== 'COMPLETED') {
+      throw new AppError(
+        'A request with this Idempotency-Key is still in progress',
+        409,
+        'IDEMPOTENCY_KEY_IN_USE'
+      );
+    }
+
+    logger.info('Replaying response for idempotency key', {
+      key,
+      status: record.response_status,
+    });
+
+    return { replay: { status: record.response_status, body: record.response_body } };
+  }
+
+  /**
+   * Finish a request made with an idempotency key: store its response for replay, or
+   * release the key after a server error
+   * @param {string} key - Key returned by begin
+   * @param {number} status - Response status
+   * @param {Object} body - Response body
+   * @returns {Promise<void>}
+   */
+  async finish(key, status, body) {
+    if (status >= 500) {
+      await idempotencyKeyRepository.release(key);
+      return;
+    }
+
+    // Stored as sent: documents become their JSON form
+    const stored = body === undefined ? null : JSON.parse(JSON.stringify(body));
+    await idempotencyKeyRepository.complete(key, status, stored);
+  }
+
+  /**
+   * Push back the lock on a key whose request is still running
+   * @param {string} key - Key returned by begin
+   * @returns {Promise<void>}
+   */
+  async renew(key) {
+    await idempotencyKeyRepository.renew(
+      key,
+      new Date(Date.now() + IDEMPOTENCY_LOCK_SECONDS * 1000)
+    );
+  }
+
+  /**
+   * Release a key whose request ended without a response
+   * @param {string} key - Key returned by begin
+   * @returns {Promise<void>}
+   */
+  async release(key) {
+    await idempotencyKeyRepository.release(key);
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,561 @@
+const parkingLotRepository = require('../repositories/parkingLotRepository');
+const parkingSpotRepository = require('../repositories/parkingSpotRepository');
+const transactionRepository = require('../repositories/transactionRepository');
+const maintenanceWindowRepository = require('../repositories/maintenanceWindowRepository');
+const reservationRepository = require('../repositories/reservationRepository');
+const permitRepository = require('../repositories/permitRepository');
+const watchlistRepository = require('../repositories/watchlistRepository');
+const watchlistHitRepository = require('../repositories/watchlistHitRepository');
+const chargingSessionRepository = require('../repositories/chargingSessionRepository');
+const auditService = require('./auditService');
+const { withTransaction } = require('../utils/transactionManager');
+const { getValidVehicleTypes } = require('../constants/vehicleTypes');
+const { createLogger } = require('../utils/logger');
+const AppError = require('../errors/AppError');
+
+const logger = createLogger('LotManagementService');
+
+/**
+ * Lot Management Service
+ * Administrative operations on parking lots, floors and spots
+ * Lot counters (total_spots, available_* / occupied_*) are recomputed from
+ * the spots collection after every layout change
+ */
+
+class LotManagementService {
+  /**
+   * Load parking lot or fail with LOT_NOT_FOUND
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Parking lot document
+   */
+  async getLot(lotId, session = null) {
+    const lot = await parkingLotRepository.findById(lotId, session);
+
+    if (!lot) {
+      throw new AppError(
+        `Parking lot ${lotId} not found`,
+        404,
+        'LOT_NOT_FOUND'
+      );
+    }
+
+    return lot;
+  }
+
+  /**
+   * Load a spot belonging to a lot or fail with SPOT_NOT_FOUND
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {string} spotId - Spot ID
+   * @returns {Promise<Object>} Parking spot document
+   */
+  async getLotSpot(lotId, spotId) {
+    const spot = await parkingSpotRepository.findById(spotId);
+
+    if (!spot || spot.lot_id.toString() !== lotId.toString()) {
+      throw new AppError(
+        `Parking spot ${spotId} not found in lot ${lotId}`,
+        404,
+        'SPOT_NOT_FOUND'
+      );
+    }
+
+    return spot;
+  }
+
+  /**
+   * Recompute lot counters from the spots collection
+   * MAINTENANCE spots count towards total_spots but are neither available nor occupied
+   * @param {string} lotId - Lot ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Updated parking lot
+   */
+  async recomputeLotCounters(lotId, session = null) {
+    const lot = await this.getLot(lotId, session);
+    const { counts, highest_floor } = await parkingSpotRepository.getLayoutSummary(
+      lotId,
+      session
+    );
+
+    const counters = { total_spots: 0 };
+    getValidVehicleTypes().forEach((type) => {
+      counters[`available_${type.toLowerCase()}_spots`] = 0;
+      counters[`occupied_${type.toLowerCase()}_spots`] = 0;
+    });
+
+    counts.forEach(({ spot_type, status, count }) => {
+      counters.total_spots += count;
+      if (status === 'AVAILABLE') {
+        counters[`available_${spot_type.toLowerCase()}_spots`] += count;
+      } else if (status === 'OCCUPIED') {
+        counters[`occupied_${spot_type.toLowerCase()}_spots`] += count;
+      }
+    });
+
+    counters.total_floors = Math.max(lot.total_floors, highest_floor, 1);
+
+    const updatedLot = await parkingLotRepository.update(lotId, counters, session);
+    logger.debug('Lot counters recomputed', { lotId, ...counters });
+    return updatedLot;
+  }
+
+  /**
+   * Record a spot change in the audit log
+   * @private
+   * @param {string} action - Audit action
+   * @param {string} lotId - Lot ID
+   * @param {Object|null} before - Spot before the change (null on creation)
+   * @param {Object|null} after - Spot after the change (null on deletion)
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Audit log entry
+   */
+  async auditSpot(action, lotId, before, after, session = null) {
+    return auditService.record(
+      {
+        action,
+        entity_type: 'ParkingSpot',
+        entity_id: (after || before)._id,
+        lot_id: lotId,
+        before,
+        after,
+      },
+      session
+    );
+  }
+
+  // ==================== Lots ====================
+
+  /**
+   * Create a parking lot (spots are added separately)
+   * @param {Object} lotData - Validated lot data (name, total_floors, timezone,
+   *                           plate_regions, plate_region_mode)
+   * @returns {Promise<Object>} Created parking lot
+   */
+  async createLot(lotData) {
+    try {
+      const lot = await parkingLotRepository.create({
+        name: lotData.name,
+        total_floors: lotData.total_floors || 1,
+        timezone: lotData.timezone || 'UTC',
+        plate_regions: lotData.plate_regions || [],
+        plate_region_mode: lotData.plate_region_mode || 'FLAG',
+      });
+
+      logger.logBusinessOperation('LOT_CREATED', 'ParkingLot', {
+        lotId: lot._id,
+        name: lot.name,
+      });
+
+      return lot;
+    } catch (error) {
+      logger.error('Error creating parking lot', error, { lotData });
+      throw error;
+    }
+  }
+
+  /**
+   * List all parking lots
+   * @returns {Promise<Array>} Parking lots
+   */
+  async listLots() {
+    try {
+      return await parkingLotRepository.findAll();
+    } catch (error) {
+      logger.error('Error listing parking lots', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a parking lot
+   * @param {string} lotId - Lot ID
+   * @returns {Promise<Object>} Parking lot
+   */
+  async getLotDetails(lotId) {
+    try {
+      return await this.getLot(lotId);
+    } catch (error) {
+      logger.error('Error getting parking lot', error, { lotId });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a parking lot's name, floor count, time zone or plate region settings
+   * Floors that still hold spots cannot be removed by lowering total_floors
+   * @param {string} lotId - Lot ID
+   * @param {Object} updateData - Validated update data (name, total_floors, timezone,
+   *                              plate_regions, plate_region_mode)
+   * @returns {Promise<Object>} Updated parking lot
+   */
+  async updateLot(lotId, updateData) {
+    try {
+      await this.getLot(lotId);
+
+      if (updateData.total_floors !== undefined) {
+        const { highest_floor } = await parkingSpotRepository.getLayoutSummary(lotId);
+
+        if (updateData.total_floors < highest_floor) {
+          throw new AppError(
+            `Floor ${highest_floor} still has spots; total_floors cannot be less than ${highest_floor}`,
+            409,
+            'CONFLICT'
+          );
+        }
+      }
+
+      const lot = await parkingLotRepository.update(lotId, updateData);
+
+      logger.logBusinessOperation('LOT_UPDATED', 'ParkingLot', { lotId, ...updateData });
+      return lot;
+    } catch (error) {
+      logger.error('Error updating parking lot', error, { lotId, updateData });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a parking lot and all its spots
+   * Refused while any vehicle is parked in the lot
+   * @param {string} lotId - Lot ID
+   * @returns {Promise<Object>} Deletion summary
+   */
+  async deleteLot(lotId) {
+    try {
+      const deletedSpots = await withTransaction(async (session) => {
+        await this.getLot(lotId, session);
+
+        // Sequential: operations sharing a transaction session must not run in parallel
+        const occupied = await parkingSpotRepository.countOccupied(lotId, null, session);
+        const active = await transactionRepository.countActive(lotId, session);
+
+        if (occupied > 0 || active > 0) {
+          throw new AppError(
+            `Parking lot ${lotId} has ${Math.max(occupied, active)} parked vehicle(s)`,
+            409,
+            'LOT_IN_USE'
+          );
+        }
+
+        const count = await parkingSpotRepository.deleteByLot(lotId, session);
+        await maintenanceWindowRepository.deleteByLot(lotId, session);
+        await reservationRepository.deleteByLot(lotId, session);
+        await permitRepository.deleteByLot(lotId, session);
+        await watchlistRepository.deleteByLot(lotId, session);
+        await watchlistHitRepository.deleteByLot(lotId, session);
+        await chargingSessionRepository.deleteByLot(lotId, session);
+        await parkingLotRepository.deleteById(lotId, session);
+        return count;
+      });
+
+      logger.logBusinessOperation('LOT_DELETED', 'ParkingLot', { lotId, deletedSpots });
+
+      return {
+        lot_id: lotId.toString(),
+        deleted_spots: deletedSpots,
+      };
+    } catch (error) {
+      logger.error('Error deleting parking lot', error, { lotId });
+      throw error;
+    }
+  }
+
+  // ==================== Floors ====================
+
+  /**
+   * Generate a floor with N spots per spot type
+   * Spots are numbered sequentially by spot size (registry order, e.g. MOTORCYCLE, CAR, BUS)
+   * @param {string} lotId - Lot ID
+   * @param {Object} floorData - Validated data: floor_number (optional, defaults to next floor),
+   *                             spots_per_type ({ <vehicle type>: n })
+   * @returns {Promise<Object>} Floor summary and updated lot
+   */
+  async generateFloor(lotId, floorData) {
+    try {
+      const { floorNumber, spots, lot } = await withTransaction(async (session) => {
+        await this.getLot(lotId, session);
+
+        let floorNumber = floorData.floor_number;
+        if (floorNumber === undefined) {
+          const { highest_floor } = await parkingSpotRepository.getLayoutSummary(lotId, session);
+          floorNumber = highest_floor + 1;
+        }
+
+        const existing = await parkingSpotRepository.countOnFloor(lotId, floorNumber, session);
+        if (existing > 0) {
+          throw new AppError(
+            `Floor ${floorNumber} already has ${existing} spot(s)`,
+            409,
+            'CONFLICT'
+          );
+        }
+
+        const spotsData = [];
+        getValidVehicleTypes().forEach((type) => {
+          const count = floorData.spots_per_type[type] || 0;
+          for (let i = 0; i < count; i++) {
+            spotsData.push({
+              lot_id: lotId,
+              floor_number: floorNumber,
+              spot_number: spotsData.length + 1,
+              spot_type: type,
+            });
+          }
+        });
+
+        const spots = await parkingSpotRepository.createMany(spotsData, session);
+        const lot = await this.recomputeLotCounters(lotId, session);
+
+        await auditService.record(
+          {
+            action: 'FLOOR_GENERATED',
+            entity_type: 'ParkingLot',
+            entity_id: lotId,
+            lot_id: lotId,
+            after: {
+              floor_number: floorNumber,
+              spots_created: spots.length,
+              spots_per_type: floorData.spots_per_type,
+            },
+          },
+          session
+        );
+
+        return { floorNumber, spots, lot };
+      });
+
+      logger.logBusinessOperation('FLOOR_GENERATED', 'ParkingLot', {
+        lotId,
+        floorNumber,
+        spots: spots.length,
+      });
+
+      return {
+        lot_id: lotId.toString(),
+        floor_number: floorNumber,
+        spots_created: spots.length,
+        spots_per_type: floorData.spots_per_type,
+        lot,
+      };
+    } catch (error) {
+      logger.error('Error generating floor', error, { lotId, floorData });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all spots on a floor
+   * Refused while any spot on the floor is occupied
+   * @param {string} lotId - Lot ID
+   * @param {number} floorNumber - Floor number
+   * @returns {Promise<Object>} Deletion summary and updated lot
+   */
+  async deleteFloor(lotId, floorNumber) {
+    try {
+      const { deletedSpots, lot } = await withTransaction(async (session) => {
+        await this.getLot(lotId, session);
+
+        const occupied = await parkingSpotRepository.countOccupied(lotId, floorNumber, session);
+        if (occupied > 0) {
+          throw new AppError(
+            `Floor ${floorNumber} has ${occupied} occupied spot(s)`,
+            409,
+            'SPOT_IN_USE'
+          );
+        }
+
+        const deletedSpots = await parkingSpotRepository.deleteByFloor(
+          lotId,
+          floorNumber,
+          session
+        );
+        if (deletedSpots === 0) {
+          throw new AppError(
+            `Floor ${floorNumber} has no spots in lot ${lotId}`,
+            404,
+            'NOT_FOUND'
+          );
+        }
+
+        const lot = await this.recomputeLotCounters(lotId, session);
+
+        await auditService.record(
+          {
+            action: 'FLOOR_DELETED',
+            entity_type: 'ParkingLot',
+            entity_id: lotId,
+            lot_id: lotId,
+            before: { floor_number: floorNumber, spots: deletedSpots },
+          },
+          session
+        );
+
+        return { deletedSpots, lot };
+      });
+
+      logger.logBusinessOperation('FLOOR_DELETED', 'ParkingLot', {
+        lotId,
+        floorNumber,
+        deletedSpots,
+      });
+
+      return {
+        lot_id: lotId.toString(),
+        floor_number: floorNumber,
+        deleted_spots: deletedSpots,
+        lot,
+      };
+    } catch (error) {
+      logger.error('Error deleting floor', error, { lotId, floorNumber });
+      throw error;
+    }
+  }
+
+  // ==================== Spots ====================
+
+  /**
+   * List spots in a lot
+   * @param {string} lotId - Lot ID
+   * @param {Object} filters - Validated filters (floor_number, spot_type, status)
+   * @returns {Promise<Array>} Parking spots
+   */
+  async listSpots(lotId, filters = {}) {
+    try {
+      await this.getLot(lotId);
+      return await parkingSpotRepository.findByLot(lotId, filters);
+    } catch (error) {
+      logger.error('Error listing spots', error, { lotId, filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single spot in a lot
+   * @param {string} lotId - Lot ID
+   * @param {string} spotId - Spot ID
+   * @returns {Promise<Object>} Parking spot
+   */
+  async getSpot(lotId, spotId) {
+    try {
+      return await this.getLotSpot(lotId, spotId);
+    } catch (error) {
+      logger.error('Error getting spot', error, { lotId, spotId });
+      throw error;
+    }
+  }
+
+  /**
+   * Add a spot to a lot
+   * @param {string} lotId - Lot ID
+   * @param {Object} spotData - Validated spot data (floor_number, spot_number, spot_type, status,
+   *                            ev_charger_kw)
+   * @returns {Promise<Object>} Created spot
+   */
+  async createSpot(lotId, spotData) {
+    try {
+      const spot = await withTransaction(async (session) => {
+        await this.getLot(lotId, session);
+
+        const created = await parkingSpotRepository.create(
+          { ...spotData, lot_id: lotId },
+          session
+        );
+        await this.recomputeLotCounters(lotId, session);
+        await this.auditSpot('SPOT_CREATED', lotId, null, created, session);
+        return created;
+      });
+
+      logger.logBusinessOperation('SPOT_CREATED', 'ParkingSpot', {
+        lotId,
+        spotId: spot._id,
+        floorNumber: spot.floor_number,
+        spotNumber: spot.spot_number,
+      });
+
+      return spot;
+    } catch (error) {
+      logger.error('Error creating spot', error, { lotId, spotData });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a spot's number, type, status or EV charger
+   * Occupied spots cannot be modified; status cannot be set to OCCUPIED manually
+   * @param {string} lotId - Lot ID
+   * @param {string} spotId - Spot ID
+   * @param {Object} updateData - Validated update data
+   * @returns {Promise<Object>} Updated spot
+   */
+  async updateSpot(lotId, spotId, updateData) {
+    try {
+      await this.getLotSpot(lotId, spotId);
+
+      const spot = await withTransaction(async (session) => {
+        const before = await parkingSpotRepository.findById(spotId, session);
+        const updated = await parkingSpotRepository.updateIfNotOccupied(
+          spotId,
+          updateData,
+          session
+        );
+
+        if (!updated) {
+          throw new AppError(
+            `Parking spot ${spotId} is occupied and cannot be modified`,
+            409,
+            'SPOT_IN_USE'
+          );
+        }
+
+        await this.recomputeLotCounters(lotId, session);
+        await this.auditSpot('SPOT_UPDATED', lotId, before, updated, session);
+        return updated;
+      });
+
+      logger.logBusinessOperation('SPOT_UPDATED', 'ParkingSpot', { lotId, spotId, ...updateData });
+      return spot;
+    } catch (error) {
+      logger.error('Error updating spot', error, { lotId, spotId, updateData });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a spot
+   * Occupied spots cannot be deleted
+   * @param {string} lotId - Lot ID
+   * @param {string} spotId - Spot ID
+   * @returns {Promise<Object>} Deleted spot
+   */
+  async deleteSpot(lotId, spotId) {
+    try {
+      await this.getLotSpot(lotId, spotId);
+
+      const spot = await withTransaction(async (session) => {
+        const deleted = await parkingSpotRepository.deleteIfNotOccupied(spotId, session);
+
+        if (!deleted) {
+          throw new AppError(
+            `Parking spot ${spotId} is occupied and cannot be deleted`,
+            409,
+            'SPOT_IN_USE'
+          );
+        }
+
+        await this.recomputeLotCounters(lotId, session);
+        await this.auditSpot('SPOT_DELETED', lotId, deleted, null, session);
+        return deleted;
+      });
+
+      logger.logBusinessOperation('SPOT_DELETED', 'ParkingSpot', { lotId, spotId });
+      return spot;
+    } catch (error) {
+      logger.error('Error deleting spot', error, { lotId, spotId });
+      throw error;
+    }
+  }
+}
+
+module.exports = new LotManagementService();
@@ -0,0 +1,445 @@
+const parkingSpotRepository = require('../repositories/parkingSpotRepository');
+const maintenanceWindowRepository = require('../repositories/maintenanceWindowRepository');
+const lotManagementService = require('./lotManagementService');
+const auditService = require('./auditService');
+const { withTransaction } = require('../utils/transactionManager');
+const { createLogger } = require('../utils/logger');
+const AppError = require('../errors/AppError');
+
+const logger = createLogger('MaintenanceService');
+
+/**
+ * Record a maintenance status change of a spot in the audit log
+ * Only the status changes, so the spot before is the updated spot with its old status
+ * @param {string} action - MAINTENANCE_STARTED or MAINTENANCE_ENDED
+ * @param {Object} spot - Spot after the transition
+ * @param {string} fromStatus - Status before the transition
+ * @param {ClientSession} session - MongoDB session
+ * @returns {Promise<Object>} Audit log entry
+ */
+const auditStatusChange = (action, spot, fromStatus, session) => {
+  const after = spot.toObject({ versionKey: false });
+
+  return auditService.record(
+    {
+      action,
+      entity_type: 'ParkingSpot',
+      entity_id: spot._id,
+      lot_id: spot.lot_id,
+      before: { ...after, status: fromStatus },
+      after,
+    },
+    session
+  );
+};
+
+/**
+ * Maintenance Service
+ * Puts spots or whole floors into maintenance, immediately or for a scheduled window.
+ *
+ * Window lifecycle: SCHEDULED -> ACTIVE -> COMPLETED (or SCHEDULED -> CANCELLED)
+ * - A window becomes ACTIVE once its start time has passed and the spot is free;
+ *   windows on occupied spots stay SCHEDULED until the vehicle leaves
+ * - At ends_at the window is COMPLETED and the spot restored to AVAILABLE,
+ *   unless another ACTIVE window still covers it
+ * Transitions happen on request, when an exit releases a spot with a due window, and in
+ * the periodic sweep (processDueWindows).
+ */
+
+class MaintenanceService {
+  constructor() {
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Activate a window: move its spot to MAINTENANCE and mark the window ACTIVE
+   * @private
+   * @param {Object} window - Maintenance window
+   * @param {Date} now - Activation time
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<boolean>} True if activated, false if the spot is still occupied
+   */
+  async activateWindow(window, now, session) {
+    const spot = await parkingSpotRepository.transitionStatus(
+      window.spot_id,
+      'AVAILABLE',
+      'MAINTENANCE',
+      session
+    );
+
+    if (spot) {
+      await auditStatusChange('MAINTENANCE_STARTED', spot, 'AVAILABLE', session);
+    } else {
+      const current = await parkingSpotRepository.findById(window.spot_id, session);
+
+      // Spot was deleted from the layout: nothing left to maintain
+      if (!current) {
+        await this.closeWindow(window, 'CANCELLED', now, session);
+        return false;
+      }
+
+      // Already in maintenance (manual or overlapping window) is fine; occupied is not
+      if (current.status !== 'MAINTENANCE') {
+        return false;
+      }
+    }
+
+    const activated = await maintenanceWindowRepository.transition(
+      window._id,
+      'SCHEDULED',
+      { status: 'ACTIVE', started_at: now },
+      session
+    );
+
+    return activated !== null;
+  }
+
+  /**
+   * Close a window and restore its spot when nothing else keeps it in maintenance
+   * @private
+   * @param {Object} window - Maintenance window
+   * @param {string} status - COMPLETED or CANCELLED
+   * @param {Date} now - Completion time
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<Object|null>} Closed window, or null if it was already closed
+   */
+  async closeWindow(window, status, now, session) {
+    const closed = await maintenanceWindowRepository.transition(
+      window._id,
+      ['SCHEDULED', 'ACTIVE'],
+      { status, completed_at: now },
+      session
+    );
+
+    if (closed && window.status === 'ACTIVE') {
+      const otherActive = await maintenanceWindowRepository.countOtherActive(
+        window.spot_id,
+        window._id,
+        session
+      );
+
+      if (otherActive === 0) {
+        const restored = await parkingSpotRepository.transitionStatus(
+          window.spot_id,
+          'MAINTENANCE',
+          'AVAILABLE',
+          session
+        );
+
+        if (restored) {
+          await auditStatusChange('MAINTENANCE_ENDED', restored, 'MAINTENANCE', session);
+        }
+      }
+    }
+
+    return closed;
+  }
+
+  /**
+   * Create windows for a set of spots, activating those that start now
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {Array<Object>} spots - Spots to put into maintenance
+   * @param {Object} data - Validated data (reason, technician, starts_at, ends_at)
+   * @returns {Promise<Array>} Created windows (with current status)
+   */
+  async createWindows(lotId, spots, data) {
+    const now = new Date();
+    const startsAt = data.starts_at || now;
+
+    return withTransaction(async (session) => {
+      const windows = await maintenanceWindowRepository.createMany(
+        spots.map((spot) => ({
+          lot_id: lotId,
+          spot_id: spot._id,
+          floor_number: spot.floor_number,
+          reason: data.reason,
+          technician: data.technician || null,
+          starts_at: startsAt,
+          ends_at: data.ends_at || null,
+        })),
+        session
+      );
+
+      if (startsAt > now) {
+        return windows;
+      }
+
+      const results = [];
+      for (const window of windows) {
+        await this.activateWindow(window, now, session);
+        results.push(await maintenanceWindowRepository.findById(window._id, session));
+      }
+
+      await lotManagementService.recomputeLotCounters(lotId, session);
+      return results;
+    });
+  }
+
+  /**
+   * Put a single spot into maintenance
+   * @param {string} lotId - Lot ID
+   * @param {string} spotId - Spot ID
+   * @param {Object} data - Validated data (reason, technician, starts_at, ends_at)
+   * @returns {Promise<Object>} Created window
+   */
+  async scheduleSpotMaintenance(lotId, spotId, data) {
+    try {
+      const spot = await lotManagementService.getSpot(lotId, spotId);
+      const [window] = await this.createWindows(lotId, [spot], data);
+
+      logger.logBusinessOperation('MAINTENANCE_SCHEDULED', 'ParkingSpot', {
+        lotId,
+        spotId,
+        windowId: window._id,
+        status: window.status,
+      });
+
+      return window;
+    } catch (error) {
+      logger.error('Error scheduling spot maintenance', error, { lotId, spotId, data });
+      throw error;
+    }
+  }
+
+  /**
+   * Put every spot on a floor into maintenance
+   * @param {string} lotId - Lot ID
+   * @param {number} floorNumber - Floor number
+   * @param {Object} data - Validated data (reason, technician, starts_at, ends_at)
+   * @returns {Promise<Object>} Floor summary with created windows
+   */
+  async scheduleFloorMaintenance(lotId, floorNumber, data) {
+    try {
+      const spots = await lotManagementService.listSpots(lotId, { floor_number: floorNumber });
+
+      if (spots.length === 0) {
+        throw new AppError(
+          `Floor ${floorNumber} has no spots in lot ${lotId}`,
+          404,
+          'NOT_FOUND'
+        );
+      }
+
+      const windows = await this.createWindows(lotId, spots, data);
+      const pending = windows.filter((window) => window.status === 'SCHEDULED').length;
+
+      logger.logBusinessOperation('MAINTENANCE_SCHEDULED', 'ParkingLot', {
+        lotId,
+        floorNumber,
+        windows: windows.length,
+        pending,
+      });
+
+      return {
+        lot_id: lotId.toString(),
+        floor_number: floorNumber,
+        windows_created: windows.length,
+        windows_active: windows.length - pending,
+        windows_scheduled: pending,
+        windows,
+      };
+    } catch (error) {
+      logger.error('Error scheduling floor maintenance', error, { lotId, floorNumber, data });
+      throw error;
+    }
+  }
+
+  /**
+   * End a window early: ACTIVE windows are completed, SCHEDULED windows cancelled
+   * @param {string} lotId - Lot ID
+   * @param {string} windowId - Window ID
+   * @returns {Promise<Object>} Closed window
+   */
+  async endWindow(lotId, windowId) {
+    try {
+      const window = await maintenanceWindowRepository.findById(windowId);
+
+      if (!window || window.lot_id.toString() !== lotId.toString()) {
+        throw new AppError(
+          `Maintenance window ${windowId} not found in lot ${lotId}`,
+          404,
+          'NOT_FOUND'
+        );
+      }
+
+      if (!['SCHEDULED', 'ACTIVE'].includes(window.status)) {
+        throw new AppError(
+          `Maintenance window ${windowId} is already ${window.status}`,
+          409,
+          'CONFLICT'
+        );
+      }
+
+      const status = window.status === 'ACTIVE' ? 'COMPLETED' : 'CANCELLED';
+      const closed = await withTransaction(async (session) => {
+        const result = await this.closeWindow(window, status, new Date(), session);
+
+        if (!result) {
+          throw new AppError(
+            `Maintenance window ${windowId} was closed concurrently`,
+            409,
+            'CONFLICT'
+          );
+        }
+
+        await lotManagementService.recomputeLotCounters(lotId, session);
+        return result;
+      });
+
+      logger.logBusinessOperation('MAINTENANCE_ENDED', 'ParkingSpot', {
+        lotId,
+        spotId: window.spot_id,
+        windowId,
+        status,
+      });
+
+      return closed;
+    } catch (error) {
+      logger.error('Error ending maintenance window', error, { lotId, windowId });
+      throw error;
+    }
+  }
+
+  /**
+   * List maintenance windows in a lot
+   * @param {string} lotId - Lot ID
+   * @param {Object} filters - Validated filters (status, floor_number)
+   * @returns {Promise<Array>} Maintenance windows, newest first
+   */
+  async listWindows(lotId, filters = {}) {
+    try {
+      return await maintenanceWindowRepository.findByLot(lotId, filters);
+    } catch (error) {
+      logger.error('Error listing maintenance windows', error, { lotId, filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Get maintenance history for a spot
+   * @param {string} lotId - Lot ID
+   * @param {string} spotId - Spot ID
+   * @returns {Promise<Object>} Spot summary and its windows, newest first
+   */
+  async getSpotHistory(lotId, spotId) {
+    try {
+      const spot = await lotManagementService.getSpot(lotId, spotId);
+      const windows = await maintenanceWindowRepository.findByLot(lotId, { spot_id: spot._id });
+
+      return {
+        spot_id: spot._id.toString(),
+        floor_number: spot.floor_number,
+        spot_number: spot.spot_number,
+        current_status: spot.status,
+        history: windows,
+      };
+    } catch (error) {
+      logger.error('Error getting maintenance history', error, { lotId, spotId });
+      throw error;
+    }
+  }
+
+  /**
+   * Start the windows held back while a spot was occupied, once its vehicle has left
+   * Runs inside the exit transaction, so the spot never becomes allocatable in between
+   * @param {Object} spot - Released spot
+   * @param {Date} now - Release time
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<number>} Number of windows activated
+   */
+  async activateDueWindowsForSpot(spot, now, session) {
+    const due = await maintenanceWindowRepository.findDueToStartForSpot(spot._id, now, session);
+    let activated = 0;
+
+    for (const window of due) {
+      if (await this.activateWindow(window, now, session)) {
+        activated++;
+      }
+    }
+
+    if (activated > 0) {
+      await lotManagementService.recomputeLotCounters(spot.lot_id, session);
+      logger.info('Maintenance started on released spot', { spotId: spot._id, activated });
+    }
+
+    return activated;
+  }
+
+  /**
+   * Apply due transitions: complete expired windows, then activate started ones
+   * Each window is handled in its own transaction so one failure does not block the rest
+   * @param {Date} now - Current time (default: now)
+   * @returns {Promise<Object>} Counts of completed, activated and still-pending windows
+   */
+  async processDueWindows(now = new Date()) {
+    const summary = { completed: 0, activated: 0, pending: 0 };
+
+    const expired = await maintenanceWindowRepository.findExpired(now);
+    for (const window of expired) {
+      try {
+        await withTransaction(async (session) => {
+          const status = window.status === 'ACTIVE' ? 'COMPLETED' : 'CANCELLED';
+          if (await this.closeWindow(window, status, now, session)) {
+            await lotManagementService.recomputeLotCounters(window.lot_id, session);
+            summary.completed++;
+          }
+        });
+      } catch (error) {
+        logger.error('Error completing maintenance window', error, { windowId: window._id });
+      }
+    }
+
+    const due = await maintenanceWindowRepository.findDueToStart(now);
+    for (const window of due) {
+      try {
+        await withTransaction(async (session) => {
+          if (await this.activateWindow(window, now, session)) {
+            await lotManagementService.recomputeLotCounters(window.lot_id, session);
+            summary.activated++;
+          } else {
+            summary.pending++;
+          }
+        });
+      } catch (error) {
+        logger.error('Error activating maintenance window', error, { windowId: window._id });
+      }
+    }
+
+    if (summary.completed || summary.activated) {
+      logger.info('Maintenance windows processed', summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Start the periodic maintenance sweep
+   * @param {number} intervalMs - Sweep interval in milliseconds
+   */
+  startScheduler(intervalMs) {
+    this.stopScheduler();
+
+    this.sweepTimer = setInterval(() => {
+      this.processDueWindows().catch((error) => {
+        logger.error('Maintenance sweep failed', error);
+      });
+    }, intervalMs);
+
+    // Do not keep the process alive just for the sweep
+    this.sweepTimer.unref();
+    logger.info('Maintenance scheduler started', { intervalMs });
+  }
+
+  /**
+   * Stop the periodic maintenance sweep
+   */
+  stopScheduler() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+}
+
+module.exports = new MaintenanceService();
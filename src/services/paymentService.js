@@ -0,0 +1,622 @@
+const mongoose = require('mongoose');
+const transactionRepository = require('../repositories/transactionRepository');
+const paymentRepository = require('../repositories/paymentRepository');
+const auditService = require('./auditService');
+const { getPaymentGateway } = require('../gateways');
+const { withTransaction } = require('../utils/transactionManager');
+const { toCents, fromCents } = require('../utils/helpers');
+const { createLogger } = require('../utils/logger');
+const AppError = require('../errors/AppError');
+
+const logger = createLogger('PaymentService');
+
+// Methods processed through the payment gateway
+const GATEWAY_METHODS = ['CARD'];
+
+/**
+ * Amount a transaction has collected net of refunds
+ * @param {Object} transaction - Transaction
+ * @returns {number} Cents
+ */
+const netPaidCents = (transaction) =>
+  toCents(transaction.amount_paid) - toCents(transaction.amount_refunded);
+
+/**
+ * Amount a transaction charges: the parking fee plus EV charging, billed as its own line
+ * @param {Object} transaction - Transaction
+ * @returns {number} Cents
+ */
+const chargedCents = (transaction) =>
+  toCents(transaction.parking_fee) + toCents(transaction.charging_fee);
+
+/**
+ * Error for a payment above the balance open to it
+ * @param {number} amount - Amount of the payment
+ * @param {number} availableCents - Balance open to new payments
+ * @param {number} reservedCents - Balance held by payments awaiting the gateway
+ * @returns {AppError} PAYMENT_EXCEEDS_BALANCE error
+ */
+const balanceExceededError = (amount, availableCents, reservedCents) =>
+  new AppError(
+    `Payment of ${amount} exceeds the balance due of ${fromCents(Math.max(availableCents, 0))}`
+      + (reservedCents > 0 ? ' (excluding payments awaiting the gateway)' : ''),
+    400,
+    'PAYMENT_EXCEEDS_BALANCE'
+  );
+
+/**
+ * Payment Service
+ * Settles exited parking transactions:
+ * - A transaction can be paid in several partial payments (CASH, CARD, WALLET)
+ * - Cash may exceed the balance due; the difference is returned as change
+ * - Card payments awaiting the gateway hold their amount: no method can pay it meanwhile
+ * - Card payments are authorized and captured through the payment gateway; payments the
+ *   gateway resolves later stay PENDING until its webhook arrives
+ * - The transaction moves to PAID only once COMPLETED payments, net of refunds, cover the
+ *   parking fee and the EV charging fee
+ */
+
+class PaymentService {
+  /**
+   * Load a transaction of a lot or fail with TRANSACTION_NOT_FOUND
+   * @param {string} lotId - Lot ID
+   * @param {string} transactionId - Transaction ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Transaction
+   */
+  async getTransaction(lotId, transactionId, session = null) {
+    const transaction = await transactionRepository.findById(transactionId, session);
+
+    if (!transaction || transaction.lot_id.toString() !== lotId.toString()) {
+      throw new AppError(
+        `Parking transaction ${transactionId} not found`,
+        404,
+        'TRANSACTION_NOT_FOUND'
+      );
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Load a transaction that can take a payment
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {string} transactionId - Transaction ID
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<Object>} Exited, unpaid transaction
+   */
+  async getPayableTransaction(lotId, transactionId, session) {
+    const transaction = await this.getTransaction(lotId, transactionId, session);
+
+    if (!transaction.exit_time) {
+      throw new AppError(
+        `Transaction ${transactionId} is still active; payment is taken after exit`,
+        409,
+        'TRANSACTION_NOT_EXITED'
+      );
+    }
+
+    if (transaction.payment_status === 'PAID') {
+      throw new AppError(
+        `Transaction ${transactionId} is already fully paid`,
+        409,
+        'ALREADY_PAID'
+      );
+    }
+
+    if (transaction.payment_status !== 'PENDING') {
+      throw new AppError(
+        `Transaction ${transactionId} is ${transaction.payment_status} and cannot be paid`,
+        409,
+        'CONFLICT'
+      );
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Balance still open to new payments: the fee less money collected and payments
+   * awaiting the gateway
+   * @private
+   * @param {Object} transaction - Transaction
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<Object>} { availableCents, reservedCents }
+   */
+  async getAvailableBalance(transaction, session) {
+    const payments = await paymentRepository.findByTransaction(transaction._id, session);
+
+    const reservedCents = payments
+      .filter((payment) => payment.status === 'PENDING')
+      .reduce((sum, payment) => sum + toCents(payment.amount), 0);
+
+    return {
+      availableCents: chargedCents(transaction) - netPaidCents(transaction) - reservedCents,
+      reservedCents,
+    };
+  }
+
+  /**
+   * Apply a payment amount to a transaction's balance
+   * @private
+   * @param {Object} transaction - Transaction the amount was computed from
+   * @param {number} amountCents - Amount in cents
+   * @param {string} method - Payment method
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<Object>} Updated transaction
+   */
+  async applyToBalance(transaction, amountCents, method, session) {
+    const paidCents = toCents(transaction.amount_paid);
+    const newPaidCents = paidCents + amountCents;
+
+    const updated = await transactionRepository.applyPayment(
+      transaction._id,
+      fromCents(paidCents),
+      {
+        amount_paid: fromCents(newPaidCents),
+        payment_status: newPaidCents - toCents(transaction.amount_refunded)
+          >= chargedCents(transaction)
+          ? 'PAID'
+          : 'PENDING',
+        payment_method: transaction.payment_method && transaction.payment_method !== method
+          ? 'MIXED'
+          : method,
+      },
+      session
+    );
+
+    if (!updated) {
+      throw new AppError(
+        `Transaction ${transaction._id} was updated by another payment, please retry`,
+        409,
+        'CONFLICT'
+      );
+    }
+
+    return updated;
+  }
+
+  /**
+   * Summarize the payment state of a transaction
+   * total_fee is the (adjusted) parking fee plus charging; refund_due is money collected
+   * beyond it that has not been refunded yet
+   * @param {Object} transaction - Transaction
+   * @returns {Object} Payment summary
+   */
+  summarize(transaction) {
+    const fee = chargedCents(transaction);
+    const netPaid = netPaidCents(transaction);
+
+    return {
+      transaction_id: transaction._id.toString(),
+      parking_fee: transaction.parking_fee,
+      original_fee: transaction.original_fee ?? transaction.parking_fee,
+      charging_fee: fromCents(toCents(transaction.charging_fee)),
+      total_fee: fromCents(fee),
+      amount_paid: fromCents(toCents(transaction.amount_paid)),
+      amount_refunded: fromCents(toCents(transaction.amount_refunded)),
+      balance_due: transaction.payment_status === 'CANCELLED'
+        ? 0
+        : fromCents(Math.max(fee - netPaid, 0)),
+      refund_due: fromCents(Math.max(netPaid - fee, 0)),
+      payment_status: transaction.payment_status,
+      payment_method: transaction.payment_method,
+      currency: 'USD',
+    };
+  }
+
+  /**
+   * Record a payment against an exited transaction
+   * @param {string} lotId - Lot ID
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} paymentData - Validated data (method, amount tendered, payment_token,
+   *                               reference)
+   * @returns {Promise<Object>} Payment and updated balance
+   */
+  async recordPayment(lotId, transactionId, paymentData) {
+    try {
+      if (GATEWAY_METHODS.includes(paymentData.method)) {
+        return await this.recordGatewayPayment(lotId, transactionId, paymentData);
+      }
+
+      const { method, amount, reference } = paymentData;
+
+      const { payment, updatedTransaction } = await withTransaction(async (session) => {
+        const transaction = await this.getPayableTransaction(lotId, transactionId, session);
+
+        const { availableCents: balanceCents, reservedCents } = await this.getAvailableBalance(
+          transaction,
+          session
+        );
+        const tenderedCents = toCents(amount);
+
+        // Cash above the balance is returned as change, unless the whole balance is
+        // reserved by payments awaiting the gateway
+        if (tenderedCents > balanceCents && (method !== 'CASH' || balanceCents <= 0)) {
+          throw balanceExceededError(amount, balanceCents, reservedCents);
+        }
+
+        const appliedCents = Math.min(tenderedCents, balanceCents);
+
+        const created = await paymentRepository.create(
+          {
+            transaction_id: transaction._id,
+            lot_id: transaction.lot_id,
+            method,
+            amount: fromCents(appliedCents),
+            amount_tendered: amount,
+            change_due: fromCents(tenderedCents - appliedCents),
+            reference,
+          },
+          session
+        );
+
+        const updated = await this.applyToBalance(transaction, appliedCents, method, session);
+
+        await auditService.record(
+          {
+            action: 'PAYMENT_RECORDED',
+            entity_type: 'Payment',
+            entity_id: created._id,
+            lot_id: transaction.lot_id,
+            after: created,
+          },
+          session
+        );
+
+        return { payment: created, updatedTransaction: updated };
+      });
+
+      logger.logBusinessOperation('PAYMENT_RECORDED', 'Payment', {
+        paymentId: payment._id,
+        transactionId,
+        method,
+        amount: payment.amount,
+        paymentStatus: updatedTransaction.payment_status,
+      });
+
+      return {
+        payment,
+        change_due: payment.change_due,
+        ...this.summarize(updatedTransaction),
+      };
+    } catch (error) {
+      logger.error('Error recording payment', error, { lotId, transactionId });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a card payment through the payment gateway
+   * 1. Reserve the amount as a PENDING payment (pending payments count against the balance)
+   * 2. Authorize with the gateway: DECLINED fails the payment, PENDING waits for a webhook
+   * 3. Capture an authorized amount and settle it against the transaction
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} paymentData - Validated data
+   * @returns {Promise<Object>} Payment and balance
+   */
+  async recordGatewayPayment(lotId, transactionId, paymentData) {
+    const { method, amount, payment_token: token, reference } = paymentData;
+    const gateway = getPaymentGateway();
+
+    const pending = await withTransaction(async (session) => {
+      const transaction = await this.getPayableTransaction(lotId, transactionId, session);
+      const { availableCents, reservedCents } = await this.getAvailableBalance(
+        transaction,
+        session
+      );
+
+      if (toCents(amount) > availableCents) {
+        throw balanceExceededError(amount, availableCents, reservedCents);
+      }
+
+      const created = await paymentRepository.create(
+        {
+          transaction_id: transaction._id,
+          lot_id: transaction.lot_id,
+          method,
+          amount,
+          amount_tendered: amount,
+          status: 'PENDING',
+          gateway: gateway.name,
+          reference,
+        },
+        session
+      );
+
+      await auditService.record(
+        {
+          action: 'PAYMENT_RECORDED',
+          entity_type: 'Payment',
+          entity_id: created._id,
+          lot_id: transaction.lot_id,
+          after: created,
+        },
+        session
+      );
+
+      return created;
+    });
+
+    let authorization;
+    try {
+      authorization = await gateway.authorize({
+        amount,
+        currency: 'USD',
+        token,
+        reference: pending._id.toString(),
+      });
+    } catch (error) {
+      await this.failPayment(pending._id, 'Gateway authorization error');
+      throw this.toGatewayError(error);
+    }
+
+    if (authorization.status === 'DECLINED') {
+      await this.failPayment(
+        pending._id,
+        authorization.decline_reason || 'declined',
+        authorization.gateway_reference
+      );
+      throw new AppError(
+        `Payment declined by ${gateway.name} gateway: ${authorization.decline_reason || 'declined'}`,
+        402,
+        'PAYMENT_DECLINED'
+      );
+    }
+
+    await paymentRepository.transition(pending._id, 'PENDING', {
+      gateway_reference: authorization.gateway_reference,
+    });
+
+    if (authorization.status === 'PENDING') {
+      logger.logBusinessOperation('PAYMENT_AWAITING_GATEWAY', 'Payment', {
+        paymentId: pending._id,
+        transactionId,
+        gateway: gateway.name,
+      });
+
+      const transaction = await transactionRepository.findById(transactionId);
+      const payment = await paymentRepository.findById(pending._id);
+      return { payment, change_due: 0, ...this.summarize(transaction) };
+    }
+
+    try {
+      await gateway.capture(authorization.gateway_reference, amount);
+    } catch (error) {
+      await this.failPayment(pending._id, 'Gateway capture error');
+      throw this.toGatewayError(error);
+    }
+
+    const { payment, transaction } = await this.settlePayment(pending._id);
+    return { payment, change_due: 0, ...this.summarize(transaction) };
+  }
+
+  /**
+   * Settle a captured gateway payment: COMPLETED and applied to the balance
+   * Idempotent: a payment that is no longer PENDING is returned unchanged. If the balance
+   * was settled by other payments in the meantime, the capture is refunded instead.
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Object>} { payment, transaction }
+   */
+  async settlePayment(paymentId) {
+    const outcome = await withTransaction(async (session) => {
+      const payment = await paymentRepository.findById(paymentId, session);
+      const transaction = await transactionRepository.findById(payment.transaction_id, session);
+
+      if (payment.status !== 'PENDING') {
+        return { payment, transaction };
+      }
+
+      const balanceCents = chargedCents(transaction) - netPaidCents(transaction);
+      if (transaction.payment_status !== 'PENDING' || toCents(payment.amount) > balanceCents) {
+        const failed = await paymentRepository.transition(
+          paymentId,
+          'PENDING',
+          { status: 'FAILED', failure_reason: 'Balance already settled; capture refunded' },
+          session
+        );
+
+        await auditService.record(
+          {
+            action: 'PAYMENT_FAILED',
+            entity_type: 'Payment',
+            entity_id: paymentId,
+            lot_id: payment.lot_id,
+            before: payment,
+            after: failed,
+          },
+          session
+        );
+
+        return { payment: failed, transaction, refund: true };
+      }
+
+      const updated = await this.applyToBalance(
+        transaction,
+        toCents(payment.amount),
+        payment.method,
+        session
+      );
+      const completed = await paymentRepository.transition(
+        paymentId,
+        'PENDING',
+        { status: 'COMPLETED' },
+        session
+      );
+
+      await auditService.record(
+        {
+          action: 'PAYMENT_SETTLED',
+          entity_type: 'Payment',
+          entity_id: paymentId,
+          lot_id: payment.lot_id,
+          before: payment,
+          after: completed,
+        },
+        session
+      );
+
+      return { payment: completed, transaction: updated };
+    });
+
+    if (outcome.refund) {
+      await getPaymentGateway(outcome.payment.gateway).refund(
+        outcome.payment.gateway_reference,
+        outcome.payment.amount
+      );
+    }
+
+    logger.logBusinessOperation('PAYMENT_SETTLED', 'Payment', {
+      paymentId,
+      status: outcome.payment.status,
+      paymentStatus: outcome.transaction.payment_status,
+    });
+
+    return { payment: outcome.payment, transaction: outcome.transaction };
+  }
+
+  /**
+   * Mark a PENDING payment FAILED
+   * @private
+   */
+  async failPayment(paymentId, reason, gatewayReference = null) {
+    const updateData = { status: 'FAILED', failure_reason: reason };
+    if (gatewayReference) {
+      updateData.gateway_reference = gatewayReference;
+    }
+
+    const payment = await paymentRepository.findById(paymentId);
+    const failed = await paymentRepository.transition(paymentId, 'PENDING', updateData);
+
+    if (failed) {
+      await auditService.record({
+        action: 'PAYMENT_FAILED',
+        entity_type: 'Payment',
+        entity_id: paymentId,
+        lot_id: failed.lot_id,
+        before: payment,
+        after: failed,
+      });
+    }
+
+    return failed;
+  }
+
+  /**
+   * Wrap unexpected gateway failures as PAYMENT_GATEWAY_ERROR
+   */
+  toGatewayError(error) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    return new AppError(
+      `Payment gateway request failed: ${error.message}`,
+      502,
+      'PAYMENT_GATEWAY_ERROR'
+    );
+  }
+
+  /**
+   * Handle a webhook from a payment gateway
+   * @param {string} gatewayName - Gateway name from the webhook URL
+   * @param {Buffer|string} rawBody - Raw request body
+   * @param {string} signature - Signature header
+   * @returns {Promise<Object>} { received, event_id, handled }
+   */
+  async handleWebhook(gatewayName, rawBody, signature) {
+    try {
+      const gateway = getPaymentGateway(gatewayName);
+      const event = gateway.verifyWebhook(rawBody, signature);
+
+      // Changes made by the event are audited as the gateway's
+      const handled = await auditService.runAs(
+        { auth_type: 'gateway', id: gateway.name, name: gateway.name, role: null },
+        () => this.handleGatewayEvent(gateway, event)
+      );
+
+      return { received: true, event_id: event.id, handled };
+    } catch (error) {
+      logger.error('Error handling payment webhook', error, { gatewayName });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a verified gateway event to the payment it refers to
+   * @private
+   * @param {PaymentGateway} gateway - Gateway that sent the event
+   * @param {Object} event - { id, type, data: { reference, gateway_reference, reason } }
+   * @returns {Promise<boolean>} True if the event changed a payment
+   */
+  async handleGatewayEvent(gateway, event) {
+    const { reference, reason } = event.data || {};
+    // The reference is whatever the gateway echoed back; one that is not a payment ID is
+    // as unknown as a payment that does not exist
+    const payment = mongoose.isValidObjectId(reference)
+      ? await paymentRepository.findById(reference)
+      : null;
+
+    if (!payment || payment.gateway !== gateway.name) {
+      logger.warn('Webhook for unknown payment ignored', { eventId: event.id, reference });
+      return false;
+    }
+
+    switch (event.type) {
+      case 'payment.captured': {
+        const before = payment.status;
+        await this.settlePayment(payment._id);
+        return before === 'PENDING';
+      }
+
+      case 'payment.failed': {
+        const failed = await this.failPayment(payment._id, reason || 'declined');
+        if (failed) {
+          logger.logBusinessOperation('PAYMENT_FAILED', 'Payment', {
+            paymentId: payment._id,
+            reason,
+          });
+        }
+        return Boolean(failed);
+      }
+
+      default:
+        logger.debug('Webhook event ignored', { eventId: event.id, type: event.type });
+        return false;
+    }
+  }
+
+  /**
+   * List payments of a transaction with its balance
+   * @param {string} lotId - Lot ID
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Object>} Payment summary and payments
+   */
+  async listPayments(lotId, transactionId) {
+    try {
+      const transaction = await this.getTransaction(lotId, transactionId);
+      const payments = await paymentRepository.findByTransaction(transaction._id);
+
+      return {
+        ...this.summarize(transaction),
+        payments,
+      };
+    } catch (error) {
+      logger.error('Error listing payments', error, { lotId, transactionId });
+      throw error;
+    }
+  }
+}
+
+const paymentService = new PaymentService();
+
+// The mock gateway delivers its simulated webhooks in-process, through the same
+// verification path as webhooks received over HTTP
+getPaymentGateway('mock').setWebhookListener((rawBody, signature) =>
+  paymentService.handleWebhook('mock', rawBody, signature)
+);
+
+module.exports = paymentService;
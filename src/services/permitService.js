@@ -0,0 +1,260 @@
+const permitRepository = require('../repositories/permitRepository');
+const parkingSpotRepository = require('../repositories/parkingSpotRepository');
+const { getEligibleSpotTypes } = require('../utils/spotAllocator');
+const { withTransaction } = require('../utils/transactionManager');
+const { createLogger } = require('../utils/logger');
+const AppError = require('../errors/AppError');
+
+const logger = createLogger('PermitService');
+
+/**
+ * Permit Service
+ * Monthly permits and subscriptions for regular parkers:
+ * - A permit covers up to 5 plates of one vehicle type in a lot for a validity period
+ * - A vehicle entering while a permit covers it is pinned to that permit and charged the
+ *   permit's hourly rate at exit (0 = free) instead of the rate card; the transaction is
+ *   recorded as usual for occupancy statistics
+ * - An optional reserved spot is kept from other vehicles while the permit is valid; an
+ *   optional reserved floor is preferred when allocating the holder a spot
+ *
+ * Revoked permits are kept as history (ACTIVE -> REVOKED)
+ */
+
+class PermitService {
+  /**
+   * Load a permit of a lot or fail with NOT_FOUND
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {string} permitId - Permit ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Permit
+   */
+  async getPermit(lotId, permitId, session = null) {
+    const permit = await permitRepository.findById(permitId, session);
+
+    if (!permit || permit.lot_id.toString() !== lotId.toString()) {
+      throw new AppError(
+        `Permit ${permitId} not found in lot ${lotId}`,
+        404,
+        'NOT_FOUND'
+      );
+    }
+
+    return permit;
+  }
+
+  /**
+   * Check a permit's plates and reserved spot against the other permits of the lot
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {Object} permit - Permit fields to check
+   * @param {string} excludeId - Permit being updated (optional)
+   * @param {ClientSession} session - MongoDB session
+   */
+  async checkPermit(lotId, permit, excludeId, session) {
+    const platesCovered = await permitRepository.countOverlappingForPlates(
+      lotId,
+      permit.license_plates,
+      permit.valid_from,
+      permit.valid_until,
+      excludeId,
+      session
+    );
+
+    if (platesCovered > 0) {
+      throw new AppError(
+        'One of the license plates already has a permit overlapping this validity period',
+        409,
+        'CONFLICT'
+      );
+    }
+
+    if (!permit.reserved_spot_id) {
+      return;
+    }
+
+    const spot = await parkingSpotRepository.findById(permit.reserved_spot_id, session);
+
+    if (!spot || spot.lot_id.toString() !== lotId.toString()) {
+      throw new AppError(
+        `Spot ${permit.reserved_spot_id} not found in lot ${lotId}`,
+        404,
+        'SPOT_NOT_FOUND'
+      );
+    }
+
+    if (!getEligibleSpotTypes(permit.vehicle_type).includes(spot.spot_type)) {
+      throw new AppError(
+        `A ${spot.spot_type} spot cannot be reserved for ${permit.vehicle_type} permits`,
+        400,
+        'BAD_REQUEST'
+      );
+    }
+
+    const spotReserved = await permitRepository.countOverlapping(
+      lotId,
+      { reserved_spot_id: spot._id },
+      permit.valid_from,
+      permit.valid_until,
+      excludeId,
+      session
+    );
+
+    if (spotReserved > 0) {
+      throw new AppError(
+        `Spot ${spot._id} is already reserved by a permit overlapping this validity period`,
+        409,
+        'CONFLICT'
+      );
+    }
+
+    // Serialize reservations of this spot: a concurrent permit write-conflicts and retries
+    await parkingSpotRepository.touch(spot._id, session);
+  }
+
+  /**
+   * Issue a permit
+   * @param {string} lotId - Lot ID
+   * @param {Object} data - Validated permit data
+   * @returns {Promise<Object>} Created permit
+   */
+  async createPermit(lotId, data) {
+    try {
+      const permit = await withTransaction(async (session) => {
+        await this.checkPermit(lotId, data, null, session);
+        return await permitRepository.create({ ...data, lot_id: lotId }, session);
+      });
+
+      logger.logBusinessOperation('PERMIT_CREATED', 'Permit', {
+        lotId,
+        permitId: permit._id,
+        licensePlates: permit.license_plates,
+        validUntil: permit.valid_until,
+      });
+
+      return permit;
+    } catch (error) {
+      logger.error('Error creating permit', error, { lotId, data });
+      throw error;
+    }
+  }
+
+  /**
+   * List permits in a lot
+   * @param {string} lotId - Lot ID
+   * @param {Object} filters - Validated filters (status, license_plate, active_at)
+   * @returns {Promise<Array>} Permits
+   */
+  async listPermits(lotId, filters = {}) {
+    try {
+      return await permitRepository.findByLot(lotId, filters);
+    } catch (error) {
+      logger.error('Error listing permits', error, { lotId, filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a permit
+   * @param {string} lotId - Lot ID
+   * @param {string} permitId - Permit ID
+   * @returns {Promise<Object>} Permit
+   */
+  async getPermitDetails(lotId, permitId) {
+    try {
+      return await this.getPermit(lotId, permitId);
+    } catch (error) {
+      logger.error('Error getting permit', error, { lotId, permitId });
+      throw error;
+    }
+  }
+
+  /**
+   * Update an ACTIVE permit
+   * Vehicles already parked keep the terms they entered under until they exit
+   * @param {string} lotId - Lot ID
+   * @param {string} permitId - Permit ID
+   * @param {Object} data - Validated update data
+   * @returns {Promise<Object>} Updated permit
+   */
+  async updatePermit(lotId, permitId, data) {
+    try {
+      const permit = await withTransaction(async (session) => {
+        const existing = await this.getPermit(lotId, permitId, session);
+
+        if (existing.status !== 'ACTIVE') {
+          throw new AppError(
+            `Permit ${permitId} is ${existing.status} and cannot be updated`,
+            409,
+            'CONFLICT'
+          );
+        }
+
+        // A permit reserves a spot or a floor: setting one clears the other
+        const update = { ...data };
+        if (update.reserved_spot_id) {
+          update.reserved_floor = null;
+        } else if (update.reserved_floor !== undefined && update.reserved_floor !== null) {
+          update.reserved_spot_id = null;
+        }
+
+        const merged = { ...existing.toObject(), ...update };
+        if (merged.valid_until <= merged.valid_from) {
+          throw new AppError(
+            'valid_until must be after valid_from',
+            400,
+            'BAD_REQUEST'
+          );
+        }
+
+        await this.checkPermit(lotId, merged, existing._id, session);
+        return await permitRepository.update(existing._id, update, session);
+      });
+
+      logger.logBusinessOperation('PERMIT_UPDATED', 'Permit', {
+        lotId,
+        permitId,
+        fields: Object.keys(data),
+      });
+
+      return permit;
+    } catch (error) {
+      logger.error('Error updating permit', error, { lotId, permitId, data });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an ACTIVE permit; the permit is kept as history
+   * @param {string} lotId - Lot ID
+   * @param {string} permitId - Permit ID
+   * @returns {Promise<Object>} Revoked permit
+   */
+  async revokePermit(lotId, permitId) {
+    try {
+      const permit = await this.getPermit(lotId, permitId);
+
+      if (permit.status !== 'ACTIVE') {
+        throw new AppError(
+          `Permit ${permitId} is already ${permit.status}`,
+          409,
+          'CONFLICT'
+        );
+      }
+
+      const revoked = await permitRepository.update(permit._id, {
+        status: 'REVOKED',
+        revoked_at: new Date(),
+      });
+
+      logger.logBusinessOperation('PERMIT_REVOKED', 'Permit', { lotId, permitId });
+
+      return revoked;
+    } catch (error) {
+      logger.error('Error revoking permit', error, { lotId, permitId });
+      throw error;
+    }
+  }
+}
+
+module.exports = new PermitService();
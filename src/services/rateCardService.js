@@ -0,0 +1,251 @@
+const rateCardRepository = require('../repositories/rateCardRepository');
+const parkingLotRepository = require('../repositories/parkingLotRepository');
+const auditService = require('./auditService');
+const { withTransaction } = require('../utils/transactionManager');
+const { createLogger } = require('../utils/logger');
+const AppError = require('../errors/AppError');
+
+const logger = createLogger('RateCardService');
+
+/**
+ * Rate Card Service
+ * Manages rate card versions. Each lot + vehicle type (lot_id null = default)
+ * has an append-only timeline of versions:
+ * - A new version starts at effective_from and closes its predecessor at that instant
+ * - Versions already in force are immutable; only future versions can be withdrawn
+ * - Transactions record the version in force at entry and are priced with it on exit
+ */
+
+class RateCardService {
+  /**
+   * Load a rate card version or fail with NOT_FOUND
+   * @private
+   * @param {string} rateCardId - Rate card ID
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object>} Rate card
+   */
+  async getVersion(rateCardId, session = null) {
+    const rateCard = await rateCardRepository.findById(rateCardId, session);
+
+    if (!rateCard) {
+      throw new AppError(
+        `Rate card ${rateCardId} not found`,
+        404,
+        'NOT_FOUND'
+      );
+    }
+
+    return rateCard;
+  }
+
+  /**
+   * Record a rate card version change in the audit log
+   * @private
+   * @param {string} action - Audit action
+   * @param {Object|null} before - Version before the change (null on creation)
+   * @param {Object|null} after - Version after the change (null on deletion)
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<Object>} Audit log entry
+   */
+  async audit(action, before, after, session) {
+    const rateCard = after || before;
+
+    return auditService.record(
+      {
+        action,
+        entity_type: 'RateCard',
+        entity_id: rateCard._id,
+        lot_id: rateCard.lot_id,
+        before,
+        after,
+      },
+      session
+    );
+  }
+
+  /**
+   * Create (or schedule) a new rate card version
+   * @param {Object} data - Validated data: lot_id (null = default), vehicle_type, pricing
+   *                        fields, effective_from (null = now), effective_to (optional)
+   * @returns {Promise<Object>} Created version
+   */
+  async createVersion(data) {
+    try {
+      if (data.lot_id) {
+        const lot = await parkingLotRepository.findById(data.lot_id);
+        if (!lot) {
+          throw new AppError(
+            `Parking lot ${data.lot_id} not found`,
+            404,
+            'LOT_NOT_FOUND'
+          );
+        }
+      }
+
+      const effectiveFrom = data.effective_from || new Date();
+
+      const rateCard = await withTransaction(async (session) => {
+        const latest = await rateCardRepository.findLatestVersion(
+          data.lot_id,
+          data.vehicle_type,
+          session
+        );
+
+        if (latest && latest.effective_from >= effectiveFrom) {
+          throw new AppError(
+            `New version must start after version ${latest.version} (effective from ${latest.effective_from.toISOString()})`,
+            409,
+            'CONFLICT'
+          );
+        }
+
+        // Close the predecessor at the instant the new version takes over
+        if (latest && (latest.effective_to === null || latest.effective_to > effectiveFrom)) {
+          const closed = await rateCardRepository.setEffectiveTo(
+            latest._id,
+            effectiveFrom,
+            session
+          );
+          await this.audit('RATE_CARD_VERSION_UPDATED', latest, closed, session);
+        }
+
+        const created = await rateCardRepository.create(
+          {
+            lot_id: data.lot_id,
+            vehicle_type: data.vehicle_type,
+            hourly_rate: data.hourly_rate,
+            daily_max_rate: data.daily_max_rate,
+            weekly_max_rate: data.weekly_max_rate,
+            lost_ticket_fee: data.lost_ticket_fee,
+            charging_rate_per_kwh: data.charging_rate_per_kwh,
+            cap_mode: data.cap_mode,
+            rounding_strategy: data.rounding_strategy,
+            grace_period_minutes: data.grace_period_minutes,
+            time_bands: data.time_bands,
+            overnight_flat_rate: data.overnight_flat_rate,
+            version: latest ? latest.version + 1 : 1,
+            effective_from: effectiveFrom,
+            effective_to: data.effective_to || null,
+          },
+          session
+        );
+        await this.audit('RATE_CARD_VERSION_CREATED', null, created, session);
+
+        return created;
+      });
+
+      logger.logBusinessOperation('RATE_CARD_VERSION_CREATED', 'RateCard', {
+        rateCardId: rateCard._id,
+        lotId: data.lot_id,
+        vehicleType: data.vehicle_type,
+        version: rateCard.version,
+        effectiveFrom,
+      });
+
+      return rateCard;
+    } catch (error) {
+      logger.error('Error creating rate card version', error, { data });
+      throw error;
+    }
+  }
+
+  /**
+   * List rate card versions
+   * @param {Object} filters - Validated filters (lot_id: ID or null, vehicle_type)
+   * @returns {Promise<Array>} Versions, newest first within each timeline
+   */
+  async listVersions(filters = {}) {
+    try {
+      return await rateCardRepository.findVersions(filters);
+    } catch (error) {
+      logger.error('Error listing rate card versions', error, { filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a rate card version
+   * @param {string} rateCardId - Rate card ID
+   * @returns {Promise<Object>} Rate card
+   */
+  async getVersionDetails(rateCardId) {
+    try {
+      return await this.getVersion(rateCardId);
+    } catch (error) {
+      logger.error('Error getting rate card version', error, { rateCardId });
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw a scheduled version that has not come into force yet
+   * Only the latest version of a timeline can be withdrawn; a predecessor that was
+   * closed by it is extended over the withdrawn version's period
+   * @param {string} rateCardId - Rate card ID
+   * @returns {Promise<Object>} Deleted version
+   */
+  async deleteVersion(rateCardId) {
+    try {
+      const deleted = await withTransaction(async (session) => {
+        const rateCard = await this.getVersion(rateCardId, session);
+
+        if (rateCard.effective_from <= new Date()) {
+          throw new AppError(
+            `Rate card version ${rateCard.version} is already in force and cannot be deleted`,
+            409,
+            'RATE_CARD_IMMUTABLE'
+          );
+        }
+
+        const latest = await rateCardRepository.findLatestVersion(
+          rateCard.lot_id,
+          rateCard.vehicle_type,
+          session
+        );
+
+        if (!latest._id.equals(rateCard._id)) {
+          throw new AppError(
+            `Version ${latest.version} is scheduled after version ${rateCard.version}; delete it first`,
+            409,
+            'CONFLICT'
+          );
+        }
+
+        const predecessor = await rateCardRepository.findVersionAt(
+          rateCard.lot_id,
+          rateCard.vehicle_type,
+          new Date(rateCard.effective_from.getTime() - 1),
+          session
+        );
+
+        if (predecessor && predecessor.effective_to
+          && predecessor.effective_to.getTime() === rateCard.effective_from.getTime()) {
+          const extended = await rateCardRepository.setEffectiveTo(
+            predecessor._id,
+            rateCard.effective_to,
+            session
+          );
+          await this.audit('RATE_CARD_VERSION_UPDATED', predecessor, extended, session);
+        }
+
+        const removed = await rateCardRepository.deleteById(rateCardId, session);
+        await this.audit('RATE_CARD_VERSION_DELETED', removed, null, session);
+
+        return removed;
+      });
+
+      logger.logBusinessOperation('RATE_CARD_VERSION_DELETED', 'RateCard', {
+        rateCardId,
+        vehicleType: deleted.vehicle_type,
+        version: deleted.version,
+      });
+
+      return deleted;
+    } catch (error) {
+      logger.error('Error deleting rate card version', error, { rateCardId });
+      throw error;
+    }
+  }
+}
+
+module.exports = new RateCardService();
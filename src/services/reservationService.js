@@ -0,0 +1,425 @@
+const mongoose = require('mongoose');
+const reservationRepository = require('../repositories/reservationRepository');
+const transactionRepository = require('../repositories/transactionRepository');
+const vehicleRepository = require('../repositories/vehicleRepository');
+const parkingSpotRepository = require('../repositories/parkingSpotRepository');
+const maintenanceWindowRepository = require('../repositories/maintenanceWindowRepository');
+const auditService = require('./auditService');
+const {
+  getEligibleSpotTypes,
+  sortSpotsByPriority,
+  isSpotAllowed,
+  orderByAttributes,
+} = require('../utils/spotAllocator');
+const { withTransaction } = require('../utils/transactionManager');
+const { createLogger } = require('../utils/logger');
+const AppError = require('../errors/AppError');
+
+const logger = createLogger('ReservationService');
+
+const MINUTE = 60 * 1000;
+
+// Spot is kept free for this long before the window starts
+const HOLD_LEAD_MINUTES = parseInt(process.env.RESERVATION_HOLD_LEAD_MINUTES || '30');
+
+// A reservation is released as a no-show this long after its start without an arrival
+const GRACE_MINUTES = parseInt(process.env.RESERVATION_GRACE_MINUTES || '15');
+
+// Fee charged for a no-show (0 = none)
+const NO_SHOW_FEE = parseFloat(process.env.RESERVATION_NO_SHOW_FEE || '0');
+
+/**
+ * Reservation Service
+ * Advance bookings of a vehicle type for a time window. Each reservation holds a
+ * specific spot:
+ * - At booking, the best-fit spot with no overlapping reservation or maintenance is chosen
+ * - From hold_from (starts_at - lead) until hold_until (starts_at + grace, capped at ends_at)
+ *   the spot is kept from drive-up allocation
+ * - processEntry checks in (CHECKED_IN) a BOOKED reservation whose hold covers the arrival;
+ *   if the held spot is still taken by an earlier vehicle, the best free spot is used instead
+ * - BOOKED reservations whose hold expires become NO_SHOW in the periodic sweep
+ *   (processNoShows); the configured no-show fee is charged as a NO_SHOW transaction,
+ *   owed and paid like the fee of a stay
+ *
+ * Lifecycle: BOOKED -> CHECKED_IN | NO_SHOW | CANCELLED
+ */
+
+class ReservationService {
+  constructor() {
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Load a reservation of a lot or fail with NOT_FOUND
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {string} reservationId - Reservation ID
+   * @returns {Promise<Object>} Reservation
+   */
+  async getReservation(lotId, reservationId) {
+    const reservation = await reservationRepository.findById(reservationId);
+
+    if (!reservation || reservation.lot_id.toString() !== lotId.toString()) {
+      throw new AppError(
+        `Reservation ${reservationId} not found in lot ${lotId}`,
+        404,
+        'NOT_FOUND'
+      );
+    }
+
+    return reservation;
+  }
+
+  /**
+   * Pick the best-fit spot free of reservations and maintenance for a period
+   * Accessible spots are never booked; other categorized spots only as a last resort
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {string} vehicleType - Vehicle type
+   * @param {Date} from - Hold start
+   * @param {Date} to - Window end
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<Object|null>} Spot, or null if none is free
+   */
+  async findReservableSpot(lotId, vehicleType, from, to, session) {
+    const spots = await parkingSpotRepository.findInServiceByTypes(
+      getEligibleSpotTypes(vehicleType),
+      lotId,
+      session
+    );
+    const booked = await reservationRepository.findSpotIdsBookedBetween(lotId, from, to, session);
+    const maintained = await maintenanceWindowRepository.findSpotIdsBetween(
+      lotId,
+      from,
+      to,
+      session
+    );
+
+    const excluded = new Set([...booked, ...maintained].map((id) => id.toString()));
+    const [spot] = orderByAttributes(
+      sortSpotsByPriority(
+        spots.filter((s) => !excluded.has(s._id.toString()) && isSpotAllowed(s))
+      )
+    );
+
+    return spot || null;
+  }
+
+  /**
+   * Book a spot for a future window
+   * @param {string} lotId - Lot ID
+   * @param {Object} data - Validated data (license_plate, vehicle_type, starts_at, ends_at,
+   *                        customer_name)
+   * @returns {Promise<Object>} Reservation with spot details
+   */
+  async createReservation(lotId, data) {
+    try {
+      const holdFrom = new Date(data.starts_at.getTime() - HOLD_LEAD_MINUTES * MINUTE);
+      const holdUntil = new Date(
+        Math.min(data.starts_at.getTime() + GRACE_MINUTES * MINUTE, data.ends_at.getTime())
+      );
+
+      const { reservation, spot } = await withTransaction(async (session) => {
+        const overlapping = await reservationRepository.countOverlappingForPlate(
+          lotId,
+          data.license_plate,
+          data.starts_at,
+          data.ends_at,
+          session
+        );
+
+        if (overlapping > 0) {
+          throw new AppError(
+            `Vehicle ${data.license_plate} already has a reservation overlapping this window`,
+            409,
+            'CONFLICT'
+          );
+        }
+
+        const spot = await this.findReservableSpot(
+          lotId,
+          data.vehicle_type,
+          holdFrom,
+          data.ends_at,
+          session
+        );
+
+        if (!spot) {
+          throw new AppError(
+            `No ${data.vehicle_type} spot can be reserved for the requested window`,
+            409,
+            'NO_SPOT_AVAILABLE'
+          );
+        }
+
+        // Serialize bookings of this spot: a concurrent booking write-conflicts and retries
+        await parkingSpotRepository.touch(spot._id, session);
+
+        const created = await reservationRepository.create(
+          {
+            lot_id: lotId,
+            license_plate: data.license_plate,
+            vehicle_type: data.vehicle_type,
+            spot_id: spot._id,
+            customer_name: data.customer_name,
+            starts_at: data.starts_at,
+            ends_at: data.ends_at,
+            hold_from: holdFrom,
+            hold_until: holdUntil,
+          },
+          session
+        );
+
+        return { reservation: created, spot };
+      });
+
+      logger.logBusinessOperation('RESERVATION_CREATED', 'Reservation', {
+        lotId,
+        reservationId: reservation._id,
+        licensePlate: data.license_plate,
+        spotId: spot._id,
+        startsAt: data.starts_at,
+      });
+
+      return {
+        reservation,
+        spot_details: {
+          floor_number: spot.floor_number,
+          spot_number: spot.spot_number,
+          spot_type: spot.spot_type,
+        },
+      };
+    } catch (error) {
+      logger.error('Error creating reservation', error, { lotId, data });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a reservation CHECKED_IN with the transaction and spot of the entry
+   * Runs inside the entry transaction
+   * @param {Object} reservation - Reservation
+   * @param {Object} transaction - Entry transaction
+   * @param {Date} now - Arrival time
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<Object>} Updated reservation
+   */
+  async checkIn(reservation, transaction, now, session) {
+    const checkedIn = await reservationRepository.transition(
+      reservation._id,
+      'BOOKED',
+      {
+        status: 'CHECKED_IN',
+        transaction_id: transaction._id,
+        spot_id: transaction.spot_id,
+        checked_in_at: now,
+      },
+      session
+    );
+
+    if (!checkedIn) {
+      throw new AppError(
+        `Reservation ${reservation._id} was released concurrently`,
+        409,
+        'CONFLICT'
+      );
+    }
+
+    return checkedIn;
+  }
+
+  /**
+   * List reservations in a lot
+   * @param {string} lotId - Lot ID
+   * @param {Object} filters - Validated filters (status, license_plate)
+   * @returns {Promise<Array>} Reservations, soonest first
+   */
+  async listReservations(lotId, filters = {}) {
+    try {
+      return await reservationRepository.findByLot(lotId, filters);
+    } catch (error) {
+      logger.error('Error listing reservations', error, { lotId, filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a reservation
+   * @param {string} lotId - Lot ID
+   * @param {string} reservationId - Reservation ID
+   * @returns {Promise<Object>} Reservation
+   */
+  async getReservationDetails(lotId, reservationId) {
+    try {
+      return await this.getReservation(lotId, reservationId);
+    } catch (error) {
+      logger.error('Error getting reservation', error, { lotId, reservationId });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a BOOKED reservation and release its spot
+   * @param {string} lotId - Lot ID
+   * @param {string} reservationId - Reservation ID
+   * @returns {Promise<Object>} Cancelled reservation
+   */
+  async cancelReservation(lotId, reservationId) {
+    try {
+      const reservation = await this.getReservation(lotId, reservationId);
+
+      const cancelled = await reservationRepository.transition(reservation._id, 'BOOKED', {
+        status: 'CANCELLED',
+        released_at: new Date(),
+      });
+
+      if (!cancelled) {
+        throw new AppError(
+          `Reservation ${reservationId} is ${reservation.status} and cannot be cancelled`,
+          409,
+          'CONFLICT'
+        );
+      }
+
+      logger.logBusinessOperation('RESERVATION_CANCELLED', 'Reservation', {
+        lotId,
+        reservationId,
+      });
+
+      return cancelled;
+    } catch (error) {
+      logger.error('Error cancelling reservation', error, { lotId, reservationId });
+      throw error;
+    }
+  }
+
+  /**
+   * Charge the no-show fee of a released reservation
+   * The fee is an exited, unpaid transaction of the plate, so it shows as owed and is
+   * paid, adjusted or voided through the transaction endpoints
+   * @private
+   * @param {Object} reservation - Reservation released as NO_SHOW
+   * @param {Date} now - Release time
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Promise<Object>} Charge transaction
+   */
+  async chargeNoShow(reservation, now, session) {
+    const vehicle = await vehicleRepository.findByLicensePlate(reservation.license_plate, session)
+      || await vehicleRepository.create(
+        { license_plate: reservation.license_plate, vehicle_type: reservation.vehicle_type },
+        session
+      );
+
+    const charge = await transactionRepository.create(
+      {
+        _id: reservation.transaction_id,
+        lot_id: reservation.lot_id,
+        vehicle_id: vehicle._id,
+        spot_id: reservation.spot_id,
+        entry_time: reservation.starts_at,
+        exit_time: now,
+        duration_minutes: 0,
+        parking_fee: reservation.no_show_fee,
+        reservation_id: reservation._id,
+        charge_type: 'NO_SHOW',
+      },
+      session
+    );
+
+    await auditService.record(
+      {
+        action: 'NO_SHOW_CHARGED',
+        entity_type: 'ParkingTransaction',
+        entity_id: charge._id,
+        lot_id: reservation.lot_id,
+        after: charge,
+      },
+      session
+    );
+
+    return charge;
+  }
+
+  /**
+   * Release reservations whose arrival grace period has passed as NO_SHOW
+   * Holds expire by time on their own; the sweep records the outcome and charges the fee
+   * @param {Date} now - Current time (default: now)
+   * @returns {Promise<Object>} Count of released reservations
+   */
+  async processNoShows(now = new Date()) {
+    const summary = { released: 0 };
+
+    const expired = await reservationRepository.findExpiredHolds(now);
+    for (const reservation of expired) {
+      try {
+        const released = await withTransaction(async (session) => {
+          const noShow = await reservationRepository.transition(
+            reservation._id,
+            'BOOKED',
+            {
+              status: 'NO_SHOW',
+              released_at: now,
+              no_show_fee: NO_SHOW_FEE > 0 ? NO_SHOW_FEE : null,
+              transaction_id: NO_SHOW_FEE > 0 ? new mongoose.Types.ObjectId() : null,
+            },
+            session
+          );
+
+          if (noShow && noShow.no_show_fee) {
+            await this.chargeNoShow(noShow, now, session);
+          }
+
+          return noShow;
+        });
+
+        if (released) {
+          summary.released++;
+          logger.logBusinessOperation('RESERVATION_NO_SHOW', 'Reservation', {
+            reservationId: reservation._id,
+            licensePlate: reservation.license_plate,
+            noShowFee: released.no_show_fee,
+            transactionId: released.transaction_id,
+          });
+        }
+      } catch (error) {
+        logger.error('Error releasing reservation', error, { reservationId: reservation._id });
+      }
+    }
+
+    if (summary.released) {
+      logger.info('No-show reservations released', summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Start the periodic no-show sweep
+   * @param {number} intervalMs - Sweep interval in milliseconds
+   */
+  startScheduler(intervalMs) {
+    this.stopScheduler();
+
+    this.sweepTimer = setInterval(() => {
+      this.processNoShows().catch((error) => {
+        logger.error('Reservation sweep failed', error);
+      });
+    }, intervalMs);
+
+    // Do not keep the process alive just for the sweep
+    this.sweepTimer.unref();
+    logger.info('Reservation scheduler started', { intervalMs });
+  }
+
+  /**
+   * Stop the periodic no-show sweep
+   */
+  stopScheduler() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+}
+
+module.exports = new ReservationService();
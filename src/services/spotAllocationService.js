@@ -1,29 +1,66 @@
 const parkingSpotRepository = require('../repositories/parkingSpotRepository');
-const { selectOptimalSpot, getEligibleSpotTypes } = require('../utils/spotAllocator');
+const maintenanceWindowRepository = require('../repositories/maintenanceWindowRepository');
+const reservationRepository = require('../repositories/reservationRepository');
+const permitRepository = require('../repositories/permitRepository');
+const {
+  rankCandidateSpots,
+  orderForCharging,
+  getEligibleSpotTypes,
+} = require('../utils/spotAllocator');
+const { getValidVehicleTypes } = require('../constants/vehicleTypes');
+const { isTransientTransactionError } = require('../utils/transactionManager');
 const { createLogger } = require('../utils/logger');
 const AppError = require('../errors/AppError');
 
 const logger = createLogger('SpotAllocationService');
 
+// Free charger spots at or below which they are kept for EVs requesting charging
+const SCARCE_CHARGER_SPOTS = parseInt(process.env.EV_SCARCE_CHARGER_SPOTS || '2');
+
 /**
  * Spot Allocation Service
  * Implements best-fit spot allocation algorithm
  * Allocates smallest suitable spot with priority for lower floors
+ * Spots are claimed atomically so concurrent entries never share a spot
+ * Spots held for arriving reservations or reserved by permits are not given to other vehicles
+ * EVs requesting charging get charger spots first; other vehicles get them last when scarce
+ * Accessible spots only go to accessible permit holders; requested spot categories come first
  */
 
 class SpotAllocationService {
   /**
    * Allocate parking spot for vehicle
    * Algorithm: Best-fit with priority for lower floors
-   * @param {string} vehicleType - Vehicle type (MOTORCYCLE, CAR, BUS)
-   * @returns {Promise<Object>} Allocated parking spot
+   * Each candidate is claimed atomically (conditional update on status AVAILABLE);
+   * if another request claims it first, the next best-fit candidate is tried.
+   * Inside a transaction a claim racing a concurrent one write-conflicts and aborts the
+   * transaction instead: the spot is added to contendedSpotIds, and the retried transaction
+   * tries it last.
+   * @param {string} lotId - Lot ID to allocate in
+   * @param {string} vehicleType - Registered vehicle type
+   * @param {string} vehicleId - Vehicle ID the spot is claimed for
+   * @param {Object} preferences - Allocation preferences (optional)
+   * @param {number|null} preferences.floor - Floor tried first, e.g. a permit's reserved floor
+   * @param {boolean} preferences.charging - Whether the vehicle requests EV charging
+   * @param {Array<string>} preferences.needs - Spot attributes requested (e.g. ['FAMILY'])
+   * @param {boolean} preferences.accessiblePermit - Whether the vehicle may use accessible spots
+   * @param {Set<string>} preferences.contendedSpotIds - Spots lost to concurrent claims in
+   *                                                   earlier attempts, tried last
+   * @param {ClientSession} session - MongoDB session (optional)
+   * @returns {Promise<Object|null>} Claimed parking spot, or null if none could be claimed
    */
-  async allocateSpot(vehicleType) {
+  async allocateSpot(lotId, vehicleType, vehicleId, preferences = {}, session = null) {
+    const {
+      floor: preferredFloor = null,
+      charging = false,
+      needs = [],
+      accessiblePermit = false,
+      contendedSpotIds = new Set(),
+    } = preferences;
+
     try {
       // Step 1: Get eligible spot types
       const eligibleTypes = getEligibleSpotTypes(vehicleType);
-      
-      console.log('Eligible spot types:', eligibleTypes);
 
       if (eligibleTypes.length === 0) {
         throw new AppError(
@@ -33,61 +70,115 @@ class SpotAllocationService {
         );
       }
 
-      console.log('Eligible spot types:', eligibleTypes);
-
       // Step 2: Get available spots by eligible types
       const availableSpots = await parkingSpotRepository.findAvailableByTypes(
-        eligibleTypes
+        eligibleTypes,
+        lotId,
+        session
       );
 
       if (availableSpots.length === 0) {
         logger.warn('No available spots for allocation', {
+          lotId,
           vehicleType,
           eligibleTypes,
         });
         return null;
       }
 
-      // Step 3: Select optimal spot
-      const optimalSpot = selectOptimalSpot(vehicleType, availableSpots);
+      // Step 3: Skip spots whose maintenance window has started but not been applied yet,
+      // spots held for reservations due to arrive and spots reserved by permits
+      const now = new Date();
+      const inMaintenance = await maintenanceWindowRepository.findSpotIdsInForce(
+        lotId,
+        now,
+        session
+      );
+      const held = await reservationRepository.findHeldSpotIds(lotId, now, session);
+      const permitted = await permitRepository.findReservedSpotIds(lotId, now, session);
+      const excluded = new Set(
+        [...inMaintenance, ...held, ...permitted].map((id) => id.toString())
+      );
+      const allocatableSpots = availableSpots.filter(
+        (spot) => !excluded.has(spot._id.toString())
+      );
+
+      // Step 4: Rank candidates (best-fit first, around spot categories), ordered around
+      // EV chargers, spots on the preferred floor ahead
+      const ranked = orderForCharging(
+        rankCandidateSpots(vehicleType, allocatableSpots, { needs, accessiblePermit }),
+        charging,
+        SCARCE_CHARGER_SPOTS
+      );
+      const preferred = preferredFloor !== null
+        ? [
+          ...ranked.filter((spot) => spot.floor_number === preferredFloor),
+          ...ranked.filter((spot) => spot.floor_number !== preferredFloor),
+        ]
+        : ranked;
+      const isContended = (spot) => contendedSpotIds.has(spot._id.toString());
+      const candidates = [
+        ...preferred.filter((spot) => !isContended(spot)),
+        ...preferred.filter(isContended),
+      ];
+
+      // Step 5: Claim the first candidate that is still available
+      for (const candidate of candidates) {
+        let claimedSpot;
+        try {
+          claimedSpot = await parkingSpotRepository.claimSpot(candidate._id, vehicleId, session);
+        } catch (error) {
+          if (isTransientTransactionError(error)) {
+            contendedSpotIds.add(candidate._id.toString());
+          }
+          throw error;
+        }
 
-      if (!optimalSpot) {
-        logger.warn('Could not select optimal spot', {
+        if (claimedSpot) {
+          logger.debug('Spot allocated', {
+            vehicleType,
+            spotId: claimedSpot._id,
+            floor: claimedSpot.floor_number,
+            spotNumber: claimedSpot.spot_number,
+          });
+          return claimedSpot;
+        }
+
+        logger.debug('Spot claimed by concurrent request, trying next candidate', {
           vehicleType,
-          availableSpotsCount: availableSpots.length,
+          spotId: candidate._id,
         });
-        return null;
       }
 
-      logger.debug('Spot allocated', {
+      logger.warn('Could not claim any candidate spot', {
+        lotId,
         vehicleType,
-        spotId: optimalSpot._id,
-        floor: optimalSpot.floor_number,
-        spotNumber: optimalSpot.spot_number,
+        candidatesCount: candidates.length,
       });
-
-      return optimalSpot;
+      return null;
     } catch (error) {
-      logger.error('Error allocating parking spot', error, { vehicleType });
+      logger.error('Error allocating parking spot', error, { lotId, vehicleType });
       throw error;
     }
   }
 
   /**
    * Get allocation recommendations
+   * @param {string} lotId - Lot ID
    * @returns {Promise<Object>} Availability by vehicle type
    */
-  async getAllocationRecommendations() {
+  async getAllocationRecommendations(lotId) {
     try {
-      const recommendations = {
-        MOTORCYCLE: await parkingSpotRepository.getAvailabilityByType('MOTORCYCLE'),
-        CAR: await parkingSpotRepository.getAvailabilityByType('CAR'),
-        BUS: await parkingSpotRepository.getAvailabilityByType('BUS'),
-      };
+      const recommendations = {};
+
+      for (const vehicleType of getValidVehicleTypes()) {
+        recommendations[vehicleType] =
+          await parkingSpotRepository.getAvailabilityByType(vehicleType, lotId);
+      }
 
       return recommendations;
     } catch (error) {
-      logger.error('Error getting allocation recommendations', error);
+      logger.error('Error getting allocation recommendations', error, { lotId });
       throw error;
     }
   }
@@ -1,6 +1,6 @@
 const transactionRepository = require('../repositories/transactionRepository');
-const vehicleRepository = require('../repositories/vehicleRepository');
 const parkingLotRepository = require('../repositories/parkingLotRepository');
+const { getValidVehicleTypes } = require('../constants/vehicleTypes');
 const { createLogger } = require('../utils/logger');
 const AppError = require('../errors/AppError');
 
@@ -14,10 +14,11 @@ const logger = createLogger('StatsService');
 class StatsService {
   /**
    * Get parking lot statistics for a period
+   * @param {string} lotId - Lot ID
    * @param {string} timePeriod - Time period (HOURLY, DAILY, WEEKLY)
    * @returns {Promise<Object>} Statistics
    */
-  async getStatistics(timePeriod = 'DAILY') {
+  async getStatistics(lotId, timePeriod = 'DAILY') {
     try {
       const now = new Date();
       let startDate;
@@ -40,34 +41,45 @@ class StatsService {
       }
 
       // Get transactions in period
-      const transactions = await transactionRepository.findByTimeRange(startDate, now);
+      const transactions = await transactionRepository.findByTimeRange(startDate, now, lotId);
 
-      // Calculate statistics
+      // Calculate statistics; no-show charges are revenue, but no vehicle came or went
       const completedTransactions = transactions.filter((t) => t.exit_time !== null);
+      const stays = transactions.filter((t) => t.charge_type !== 'NO_SHOW');
 
-      const vehiclesEntered = new Set(transactions.map((t) => t.vehicle_id.toString())).size;
+      const vehiclesEntered = new Set(stays.map((t) => t.vehicle_id.toString())).size;
       const vehiclesExited = new Set(
-        completedTransactions.map((t) => t.vehicle_id.toString())
+        stays.filter((t) => t.exit_time !== null).map((t) => t.vehicle_id.toString())
       ).size;
 
-      const currentVehicles = await vehicleRepository.countParked();
+      const currentVehicles = await transactionRepository.countActive(lotId);
 
-      const totalRevenue = completedTransactions.reduce(
+      // parking_fee is net of discounts, overrides and voids; original_fee is the exit fee.
+      // EV charging is billed beside the parking fee and reported on its own
+      const parkingRevenue = completedTransactions.reduce(
         (sum, t) => sum + (t.parking_fee || 0),
         0
       );
+      const chargingRevenue = completedTransactions.reduce(
+        (sum, t) => sum + (t.charging_fee || 0),
+        0
+      );
+      const totalRevenue = parkingRevenue + chargingRevenue;
+      const grossRevenue = chargingRevenue + completedTransactions.reduce(
+        (sum, t) => sum + ((t.original_fee ?? t.parking_fee) || 0),
+        0
+      );
+      const totalRefunds = completedTransactions.reduce(
+        (sum, t) => sum + (t.amount_refunded || 0),
+        0
+      );
 
-      const revenueByType = {
-        MOTORCYCLE: 0,
-        CAR: 0,
-        BUS: 0,
-      };
-
-      const avgDurationByType = {
-        MOTORCYCLE: [],
-        CAR: [],
-        BUS: [],
-      };
+      const revenueByType = {};
+      const avgDurationByType = {};
+      getValidVehicleTypes().forEach((type) => {
+        revenueByType[type] = 0;
+        avgDurationByType[type] = [];
+      });
 
       completedTransactions.forEach((t) => {
         const vehicleType = t.vehicle_id.vehicle_type;
@@ -89,9 +101,10 @@ class StatsService {
             : 0;
       });
 
-      const peakHours = this.calculatePeakHours(transactions);
+      const peakHours = this.calculatePeakHours(stays);
 
       logger.debug('Statistics retrieved', {
+        lotId,
         timePeriod,
         vehiclesEntered,
         vehiclesExited,
@@ -99,6 +112,7 @@ class StatsService {
       });
 
       return {
+        lot_id: lotId.toString(),
         statistics_period: timePeriod,
         date: new Date(startDate).toISOString().split('T')[0],
         vehicles_entered: vehiclesEntered,
@@ -106,50 +120,55 @@ class StatsService {
         current_vehicles_parked: currentVehicles,
         total_transactions: transactions.length,
         completed_transactions: completedTransactions.length,
+        gross_revenue: parseFloat(grossRevenue.toFixed(2)),
+        total_adjustments: parseFloat((grossRevenue - totalRevenue).toFixed(2)),
+        total_refunds: parseFloat(totalRefunds.toFixed(2)),
         total_revenue: parseFloat(totalRevenue.toFixed(2)),
-        revenue_by_vehicle_type: {
-          MOTORCYCLE: parseFloat(revenueByType.MOTORCYCLE.toFixed(2)),
-          CAR: parseFloat(revenueByType.CAR.toFixed(2)),
-          BUS: parseFloat(revenueByType.BUS.toFixed(2)),
-        },
+        charging_revenue: parseFloat(chargingRevenue.toFixed(2)),
+        revenue_by_vehicle_type: Object.fromEntries(
+          Object.entries(revenueByType).map(([type, revenue]) => [
+            type,
+            parseFloat(revenue.toFixed(2)),
+          ])
+        ),
         average_parking_duration_minutes: avgDurationMap,
         average_parking_fee: completedTransactions.length > 0
-          ? parseFloat((totalRevenue / completedTransactions.length).toFixed(2))
+          ? parseFloat((parkingRevenue / completedTransactions.length).toFixed(2))
           : 0,
         high_demand_periods: peakHours,
         timestamp: now,
       };
     } catch (error) {
-      logger.error('Error getting statistics', error, { timePeriod });
+      logger.error('Error getting statistics', error, { lotId, timePeriod });
       throw error;
     }
   }
 
   /**
    * Get occupancy statistics
+   * @param {string} lotId - Lot ID
    * @returns {Promise<Object>} Current occupancy
    */
-  async getOccupancyStats() {
+  async getOccupancyStats(lotId) {
     try {
-      const lot = await parkingLotRepository.findDefault();
+      const summary = await parkingLotRepository.getOccupancySummary(lotId);
 
-      if (!lot) {
+      if (!summary) {
         throw new AppError(
-          'No parking lot found',
+          `Parking lot ${lotId} not found`,
           404,
-          'NOT_FOUND'
+          'LOT_NOT_FOUND'
         );
       }
 
-      const summary = await parkingLotRepository.getOccupancySummary(lot._id);
-
       logger.debug('Occupancy statistics retrieved', {
+        lotId,
         occupancyRate: summary.occupancy_rate,
       });
 
       return summary;
     } catch (error) {
-      logger.error('Error getting occupancy statistics', error);
+      logger.error('Error getting occupancy statistics', error, { lotId });
       throw error;
     }
   }
@@ -182,56 +201,67 @@ class StatsService {
 
   /**
    * Get revenue report for date range
+   * @param {string} lotId - Lot ID
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
    * @returns {Promise<Object>} Revenue report
    */
-  async getRevenueReport(startDate, endDate) {
+  async getRevenueReport(lotId, startDate, endDate) {
     try {
-      const stats = await transactionRepository.getRevenueStats(startDate, endDate);
+      const stats = await transactionRepository.getRevenueStats(startDate, endDate, lotId);
 
       logger.debug('Revenue report retrieved', {
+        lotId,
         startDate,
         endDate,
         totalRevenue: stats.total_revenue,
       });
 
       return {
+        lot_id: lotId.toString(),
         period: {
           start: startDate,
           end: endDate,
         },
         total_transactions: stats.total_transactions,
+        voided_transactions: stats.voided_transactions,
+        gross_revenue: stats.gross_revenue,
+        total_adjustments: stats.total_adjustments,
+        total_refunds: stats.total_refunds,
         total_revenue: stats.total_revenue,
+        charging_revenue: stats.charging_revenue,
         average_fee: stats.average_fee,
       };
     } catch (error) {
-      logger.error('Error getting revenue report', error, { startDate, endDate });
+      logger.error('Error getting revenue report', error, { lotId, startDate, endDate });
       throw error;
     }
   }
 
   /**
    * Get vehicle statistics
-   * @returns {Promise<Object>} Vehicle statistics
+   * @param {string} lotId - Lot ID
+   * @returns {Promise<Object>} Vehicle statistics (vehicles that have used this lot)
    */
-  async getVehicleStats() {
+  async getVehicleStats(lotId) {
     try {
-      const totalVehicles = await vehicleRepository.countTotal();
-      const parkedVehicles = await vehicleRepository.countParked();
+      const totalVehicles = await transactionRepository.countDistinctVehicles(lotId);
+      const parkedVehicles = await transactionRepository.countActive(lotId);
 
       logger.debug('Vehicle statistics retrieved', {
+        lotId,
         total: totalVehicles,
         parked: parkedVehicles,
       });
 
       return {
+        lot_id: lotId.toString(),
         total_vehicles: totalVehicles,
         currently_parked: parkedVehicles,
         not_parked: totalVehicles - parkedVehicles,
       };
     } catch (error) {
-      logger.error('Error getting vehicle statistics', error);
+      logger.error('Error getting vehicle statistics', error, { lotId });
       throw error;
     }
   }
@@ -0,0 +1,296 @@
+const watchlistRepository = require('../repositories/watchlistRepository');
+const watchlistHitRepository = require('../repositories/watchlistHitRepository');
+const { normalizePlate } = require('../utils/plateNormalizer');
+const { ALERT_EVENTS, emitAlert } = require('../utils/alertBus');
+const { createLogger } = require('../utils/logger');
+const AppError = require('../errors/AppError');
+
+const logger = createLogger('WatchlistService');
+
+/**
+ * Watchlist Service
+ * Plates a lot refuses or keeps an eye on:
+ * - BLACKLIST: entry is refused with VEHICLE_BLACKLISTED
+ * - WATCHLIST: entry is allowed and a watchlist.hit alert is emitted on the alert bus
+ * Every refused or alerted entry is recorded as a hit for later review
+ *
+ * Entries apply until they expire (expires_at) or are removed (ACTIVE -> REMOVED);
+ * plates are matched by their normalized form
+ */
+
+class WatchlistService {
+  /**
+   * Load a watchlist entry of a lot or fail with NOT_FOUND
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<Object>} Watchlist entry
+   */
+  async getEntry(lotId, entryId) {
+    const entry = await watchlistRepository.findById(entryId);
+
+    if (!entry || entry.lot_id.toString() !== lotId.toString()) {
+      throw new AppError(
+        `Watchlist entry ${entryId} not found in lot ${lotId}`,
+        404,
+        'NOT_FOUND'
+      );
+    }
+
+    return entry;
+  }
+
+  /**
+   * Add a plate to the blacklist or watchlist
+   * A plate has at most one entry in force per lot
+   * @param {string} lotId - Lot ID
+   * @param {Object} data - Validated entry data
+   * @returns {Promise<Object>} Created entry
+   */
+  async addEntry(lotId, data) {
+    try {
+      const normalizedPlate = normalizePlate(data.license_plate);
+      const existing = await watchlistRepository.findInForceForPlate(
+        lotId,
+        normalizedPlate,
+        new Date()
+      );
+
+      if (existing.length > 0) {
+        throw new AppError(
+          `Plate ${data.license_plate} is already on the ${existing[0].list_type.toLowerCase()}`,
+          409,
+          'CONFLICT'
+        );
+      }
+
+      const entry = await watchlistRepository.create({
+        ...data,
+        lot_id: lotId,
+        normalized_plate: normalizedPlate,
+      });
+
+      logger.logBusinessOperation('WATCHLIST_ENTRY_ADDED', 'WatchlistEntry', {
+        lotId,
+        entryId: entry._id,
+        licensePlate: entry.license_plate,
+        listType: entry.list_type,
+      });
+
+      return entry;
+    } catch (error) {
+      logger.error('Error adding watchlist entry', error, { lotId, data });
+      throw error;
+    }
+  }
+
+  /**
+   * List watchlist entries in a lot
+   * @param {string} lotId - Lot ID
+   * @param {Object} filters - Validated filters (list_type, status, license_plate, active_at)
+   * @returns {Promise<Array>} Watchlist entries
+   */
+  async listEntries(lotId, filters = {}) {
+    try {
+      const { license_plate: licensePlate, ...rest } = filters;
+      const query = licensePlate === undefined
+        ? rest
+        : { ...rest, normalized_plate: normalizePlate(licensePlate) };
+
+      return await watchlistRepository.findByLot(lotId, query);
+    } catch (error) {
+      logger.error('Error listing watchlist entries', error, { lotId, filters });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a watchlist entry
+   * @param {string} lotId - Lot ID
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<Object>} Watchlist entry
+   */
+  async getEntryDetails(lotId, entryId) {
+    try {
+      return await this.getEntry(lotId, entryId);
+    } catch (error) {
+      logger.error('Error getting watchlist entry', error, { lotId, entryId });
+      throw error;
+    }
+  }
+
+  /**
+   * Update an ACTIVE watchlist entry (list type, reason, expiry)
+   * @param {string} lotId - Lot ID
+   * @param {string} entryId - Entry ID
+   * @param {Object} data - Validated update data
+   * @returns {Promise<Object>} Updated entry
+   */
+  async updateEntry(lotId, entryId, data) {
+    try {
+      const entry = await this.getEntry(lotId, entryId);
+
+      if (entry.status !== 'ACTIVE') {
+        throw new AppError(
+          `Watchlist entry ${entryId} is ${entry.status} and cannot be updated`,
+          409,
+          'CONFLICT'
+        );
+      }
+
+      const updated = await watchlistRepository.update(entry._id, data);
+
+      logger.logBusinessOperation('WATCHLIST_ENTRY_UPDATED', 'WatchlistEntry', {
+        lotId,
+        entryId,
+        fields: Object.keys(data),
+      });
+
+      return updated;
+    } catch (error) {
+      logger.error('Error updating watchlist entry', error, { lotId, entryId, data });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an ACTIVE watchlist entry; the entry is kept with its hits as history
+   * @param {string} lotId - Lot ID
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<Object>} Removed entry
+   */
+  async removeEntry(lotId, entryId) {
+    try {
+      const entry = await this.getEntry(lotId, entryId);
+
+      if (entry.status !== 'ACTIVE') {
+        throw new AppError(
+          `Watchlist entry ${entryId} is already ${entry.status}`,
+          409,
+          'CONFLICT'
+        );
+      }
+
+      const removed = await watchlistRepository.update(entry._id, {
+        status: 'REMOVED',
+        removed_at: new Date(),
+      });
+
+      logger.logBusinessOperation('WATCHLIST_ENTRY_REMOVED', 'WatchlistEntry', {
+        lotId,
+        entryId,
+      });
+
+      return removed;
+    } catch (error) {
+      logger.error('Error removing watchlist entry', error, { lotId, entryId });
+      throw error;
+    }
+  }
+
+  /**
+   * Screen a plate entering a lot
+   * A blacklisted plate is recorded as a REJECTED hit and refused
+   * @param {string} lotId - Lot ID
+   * @param {string} licensePlate - Entering license plate
+   * @returns {Promise<Object|null>} Watchlist entry in force for the plate, if any
+   * @throws {AppError} VEHICLE_BLACKLISTED if the plate is blacklisted
+   */
+  async screenEntry(lotId, licensePlate) {
+    const entries = await watchlistRepository.findInForceForPlate(
+      lotId,
+      normalizePlate(licensePlate),
+      new Date()
+    );
+
+    const blacklisted = entries.find((entry) => entry.list_type === 'BLACKLIST');
+
+    if (blacklisted) {
+      await this.recordHit(lotId, blacklisted, licensePlate, 'REJECTED');
+
+      throw new AppError(
+        `Vehicle ${licensePlate} is not allowed to enter: ${blacklisted.reason}`,
+        403,
+        'VEHICLE_BLACKLISTED'
+      );
+    }
+
+    return entries.find((entry) => entry.list_type === 'WATCHLIST') || null;
+  }
+
+  /**
+   * Record an admitted watchlisted entry and alert staff
+   * Failures are logged and never undo the entry
+   * @param {string} lotId - Lot ID
+   * @param {Object} entry - Watchlist entry
+   * @param {string} licensePlate - Entering license plate
+   * @param {Object} transaction - Entry transaction
+   */
+  async alertEntry(lotId, entry, licensePlate, transaction) {
+    try {
+      const hit = await this.recordHit(lotId, entry, licensePlate, 'ALERTED', transaction._id);
+
+      emitAlert(ALERT_EVENTS.WATCHLIST_HIT, {
+        hit_id: hit._id.toString(),
+        lot_id: lotId.toString(),
+        entry_id: entry._id.toString(),
+        license_plate: licensePlate,
+        reason: entry.reason,
+        transaction_id: transaction._id.toString(),
+        spot_id: transaction.spot_id.toString(),
+        occurred_at: hit.occurred_at,
+      });
+    } catch (error) {
+      logger.error('Error alerting watchlist hit', error, { lotId, licensePlate });
+    }
+  }
+
+  /**
+   * Record a watchlist hit
+   * @private
+   * @param {string} lotId - Lot ID
+   * @param {Object} entry - Watchlist entry hit
+   * @param {string} licensePlate - Plate as presented
+   * @param {string} action - REJECTED or ALERTED
+   * @param {string} transactionId - Entry transaction (ALERTED only)
+   * @returns {Promise<Object>} Recorded hit
+   */
+  async recordHit(lotId, entry, licensePlate, action, transactionId = null) {
+    const hit = await watchlistHitRepository.create({
+      lot_id: lotId,
+      entry_id: entry._id,
+      license_plate: licensePlate,
+      list_type: entry.list_type,
+      action,
+      transaction_id: transactionId,
+      reason: entry.reason,
+      occurred_at: new Date(),
+    });
+
+    logger.logBusinessOperation('WATCHLIST_HIT', 'WatchlistHit', {
+      lotId,
+      entryId: entry._id,
+      licensePlate,
+      action,
+    });
+
+    return hit;
+  }
+
+  /**
+   * List the hits recorded in a lot for review
+   * @param {string} lotId - Lot ID
+   * @param {Object} filters - Validated filters (list_type, action, entry_id, from, to)
+   * @returns {Promise<Array>} Watchlist hits, newest first
+   */
+  async listHits(lotId, filters = {}) {
+    try {
+      return await watchlistHitRepository.findByLot(lotId, filters);
+    } catch (error) {
+      logger.error('Error listing watchlist hits', error, { lotId, filters });
+      throw error;
+    }
+  }
+}
+
+module.exports = new WatchlistService();
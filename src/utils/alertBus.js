@@ -0,0 +1,40 @@
+/**
+ * Alert Bus
+ * In-process events for conditions staff should act on (e.g. a watchlisted vehicle
+ * entering). Notification integrations subscribe with alertBus.on(event, listener).
+ */
+
+const EventEmitter = require('events');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('AlertBus');
+
+const ALERT_EVENTS = {
+  WATCHLIST_HIT: 'watchlist.hit',
+};
+
+const alertBus = new EventEmitter();
+
+/**
+ * Emit an alert
+ * Listener failures are logged and never reach the operation raising the alert
+ * @param {string} event - Alert event (ALERT_EVENTS)
+ * @param {Object} payload - Alert details
+ */
+const emitAlert = (event, payload) => {
+  logger.warn(`Alert: ${event}`, payload);
+
+  alertBus.listeners(event).forEach((listener) => {
+    try {
+      listener(payload);
+    } catch (error) {
+      logger.error('Alert listener failed', error, { event });
+    }
+  });
+};
+
+module.exports = {
+  ALERT_EVENTS,
+  alertBus,
+  emitAlert,
+};
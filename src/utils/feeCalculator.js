@@ -4,22 +4,319 @@
  * Supports multiple vehicle types with different rate cards
  */
 
+const { getLocalParts, getLocalDayNumber, startOfLocalDay } = require('./timeZone');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Breakdown label for hours not covered by any time band (charged at hourly_rate)
+const STANDARD_BAND = 'STANDARD';
+
+// Breakdown label for nights charged at the overnight flat rate
+const OVERNIGHT_BAND = 'OVERNIGHT';
+
+/**
+ * Round a currency amount to 2 decimal places
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundCurrency = (amount) => parseFloat(amount.toFixed(2));
+
+/**
+ * Parse 'HH:MM' into minutes after midnight
+ * @param {string} value - Time of day
+ * @returns {number} Minutes after midnight
+ */
+const parseTimeOfDay = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether a time band covers a local weekday and time of day
+ * A band whose end_time is not after its start_time wraps past midnight
+ * (equal times = 24 hours); `days` are the weekdays the band starts on
+ * @param {Object} band - Time band (days, start_time, end_time)
+ * @param {number} weekday - Local weekday (0 = Sunday)
+ * @param {number} minuteOfDay - Local minutes after midnight
+ * @returns {boolean} True if covered
+ */
+const bandCovers = (band, weekday, minuteOfDay) => {
+  const days = band.days && band.days.length > 0 ? band.days : ALL_DAYS;
+  const start = parseTimeOfDay(band.start_time);
+  const end = parseTimeOfDay(band.end_time);
+
+  if (start < end) {
+    return days.includes(weekday) && minuteOfDay >= start && minuteOfDay < end;
+  }
+
+  return (
+    (days.includes(weekday) && minuteOfDay >= start) ||
+    (days.includes((weekday + 6) % 7) && minuteOfDay < end)
+  );
+};
+
+/**
+ * Find the index of the time band in force at an instant (first match wins)
+ * @param {Array<Object>} timeBands - Time bands in priority order
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - Lot time zone
+ * @returns {number} Band index, or -1 for the standard hourly rate
+ */
+const findTimeBandIndex = (timeBands, instant, timeZone) => {
+  if (timeBands.length === 0) {
+    return -1;
+  }
+
+  const { weekday, minuteOfDay } = getLocalParts(instant, timeZone);
+  return timeBands.findIndex((band) => bandCovers(band, weekday, minuteOfDay));
+};
+
+/**
+ * Price hourly units, each at the rate of the band in force when the unit starts
+ * @param {Date} billingStart - Start of the first billable unit
+ * @param {number} hourlyUnits - Number of units to price
+ * @param {Object} rateCard - Rate card (hourly_rate, time_bands)
+ * @param {string} timeZone - Lot time zone
+ * @returns {Array<Object>} Units: { start, bandIndex, band, rate }
+ */
+const priceHourlyUnits = (billingStart, hourlyUnits, rateCard, timeZone) => {
+  const timeBands = rateCard.time_bands || [];
+  const units = [];
+
+  for (let i = 0; i < hourlyUnits; i++) {
+    const start = new Date(billingStart.getTime() + i * HOUR_MS);
+    const bandIndex = findTimeBandIndex(timeBands, start, timeZone);
+    const band = bandIndex === -1 ? null : timeBands[bandIndex];
+
+    units.push({
+      start,
+      bandIndex,
+      band: band ? band.name : STANDARD_BAND,
+      rate: band ? band.hourly_rate : rateCard.hourly_rate,
+    });
+  }
+
+  return units;
+};
+
+/**
+ * Group units that start inside the same overnight window
+ * A night is keyed by the local day its window opened on
+ * @param {Array<Object>} units - Priced units
+ * @param {Object} overnight - Overnight window (start_time, end_time)
+ * @param {string} timeZone - Lot time zone
+ * @returns {Map<number, Array<Object>>} Units per night
+ */
+const groupOvernightUnits = (units, overnight, timeZone) => {
+  const nights = new Map();
+  const wraps = parseTimeOfDay(overnight.end_time) <= parseTimeOfDay(overnight.start_time);
+  const windowStart = parseTimeOfDay(overnight.start_time);
+
+  units.forEach((unit) => {
+    const { weekday, minuteOfDay } = getLocalParts(unit.start, timeZone);
+    if (!bandCovers(overnight, weekday, minuteOfDay)) {
+      return;
+    }
+
+    let night = getLocalDayNumber(unit.start, timeZone);
+    if (wraps && minuteOfDay < windowStart) {
+      night -= 1;
+    }
+
+    if (!nights.has(night)) {
+      nights.set(night, []);
+    }
+    nights.get(night).push(unit);
+  });
+
+  return nights;
+};
+
+/**
+ * Build the charges for a stay: one per hourly unit, except that the units of a night
+ * are replaced by the overnight flat rate when it is cheaper than their hourly total
+ * @param {Array<Object>} units - Priced units
+ * @param {Object} rateCard - Rate card (overnight_flat_rate)
+ * @param {string} timeZone - Lot time zone
+ * @returns {Array<Object>} Charges: { start, key, band, hourly_rate, flat_rate, units, fee }
+ */
+const buildCharges = (units, rateCard, timeZone) => {
+  const overnight = rateCard.overnight_flat_rate;
+  const flatUnits = new Set();
+  const charges = [];
+
+  if (overnight) {
+    groupOvernightUnits(units, overnight, timeZone).forEach((nightUnits) => {
+      const hourlyTotal = nightUnits.reduce((sum, unit) => sum + unit.rate, 0);
+      if (overnight.rate >= hourlyTotal) {
+        return;
+      }
+
+      nightUnits.forEach((unit) => flatUnits.add(unit));
+      charges.push({
+        start: nightUnits[0].start,
+        key: OVERNIGHT_BAND,
+        band: OVERNIGHT_BAND,
+        flat_rate: overnight.rate,
+        units: nightUnits.length,
+        fee: overnight.rate,
+      });
+    });
+  }
+
+  units
+    .filter((unit) => !flatUnits.has(unit))
+    .forEach((unit) => {
+      charges.push({
+        start: unit.start,
+        key: unit.bandIndex,
+        band: unit.band,
+        hourly_rate: unit.rate,
+        units: 1,
+        fee: unit.rate,
+      });
+    });
+
+  return charges.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Summarize charges per band, in order of first use
+ * @param {Array<Object>} charges - Charges
+ * @returns {Array<Object>} [{ band, hourly_rate | flat_rate, units, fee }]
+ */
+const summarizeBands = (charges) => {
+  const byBand = new Map();
+
+  charges.forEach(({ start, key, ...charge }) => {
+    if (!byBand.has(key)) {
+      byBand.set(key, { ...charge, units: 0, fee: 0 });
+    }
+
+    const entry = byBand.get(key);
+    entry.units += charge.units;
+    entry.fee += charge.fee;
+  });
+
+  return Array.from(byBand.values()).map((entry) => ({
+    ...entry,
+    fee: roundCurrency(entry.fee),
+  }));
+};
+
+/**
+ * Apply the daily cap per cap period and the weekly cap per 7 consecutive periods
+ * Periods are rolling 24 hours from the start of billing (ROLLING_24H) or calendar
+ * days in the lot time zone (CALENDAR_DAY); a charge belongs to the period it starts in
+ * @param {Array<Object>} charges - Charges
+ * @param {Date} billingStart - Start of the first billable unit
+ * @param {Object} rateCard - Rate card (cap_mode, daily_max_rate, weekly_max_rate)
+ * @param {string} timeZone - Lot time zone
+ * @returns {Object} { capPeriods, weeklyCapApplied, finalFee }
+ */
+const applyCaps = (charges, billingStart, rateCard, timeZone) => {
+  const {
+    cap_mode = 'ROLLING_24H',
+    daily_max_rate = null,
+    weekly_max_rate = null,
+  } = rateCard;
+  const calendarDays = cap_mode === 'CALENDAR_DAY';
+  const firstDay = calendarDays ? getLocalDayNumber(billingStart, timeZone) : 0;
+  const periods = new Map();
+
+  charges.forEach((charge) => {
+    const index = calendarDays
+      ? getLocalDayNumber(charge.start, timeZone) - firstDay
+      : Math.floor((charge.start - billingStart) / DAY_MS);
+
+    if (!periods.has(index)) {
+      const periodStart = calendarDays
+        ? startOfLocalDay(charge.start, timeZone)
+        : new Date(billingStart.getTime() + index * DAY_MS);
+
+      periods.set(index, {
+        period: index + 1,
+        starts_at: periodStart < billingStart ? billingStart : periodStart,
+        base_fee: 0,
+      });
+    }
+
+    periods.get(index).base_fee += charge.fee;
+  });
+
+  const capPeriods = Array.from(periods.values()).map((period) => {
+    const dailyCapApplied = daily_max_rate !== null && period.base_fee > daily_max_rate;
+    return {
+      ...period,
+      base_fee: roundCurrency(period.base_fee),
+      fee: dailyCapApplied ? daily_max_rate : roundCurrency(period.base_fee),
+      daily_cap_applied: dailyCapApplied,
+    };
+  });
+
+  const weeks = new Map();
+  capPeriods.forEach((period) => {
+    const week = Math.floor((period.period - 1) / 7);
+    weeks.set(week, (weeks.get(week) || 0) + period.fee);
+  });
+
+  let weeklyCapApplied = false;
+  let finalFee = 0;
+  weeks.forEach((weekFee) => {
+    if (weekly_max_rate !== null && weekFee > weekly_max_rate) {
+      weeklyCapApplied = true;
+      finalFee += weekly_max_rate;
+    } else {
+      finalFee += weekFee;
+    }
+  });
+
+  return { capPeriods, weeklyCapApplied, finalFee };
+};
+
+/**
+ * Echo the pricing rules a calculation used
+ * @param {Object} rateCard - Rate card configuration
+ * @returns {Object} Rate card summary
+ */
+const summarizeRateCard = (rateCard) => ({
+  hourly_rate: rateCard.hourly_rate,
+  daily_max_rate: rateCard.daily_max_rate,
+  weekly_max_rate: rateCard.weekly_max_rate === undefined ? null : rateCard.weekly_max_rate,
+  lost_ticket_fee: rateCard.lost_ticket_fee === undefined ? null : rateCard.lost_ticket_fee,
+  charging_rate_per_kwh: rateCard.charging_rate_per_kwh || 0,
+  cap_mode: rateCard.cap_mode || 'ROLLING_24H',
+  overnight_flat_rate: rateCard.overnight_flat_rate || null,
+  grace_period_minutes: rateCard.grace_period_minutes === undefined
+    ? 15
+    : rateCard.grace_period_minutes,
+  rounding_strategy: rateCard.rounding_strategy || 'CEILING',
+  time_bands: rateCard.time_bands || [],
+});
+
 /**
  * Calculate parking fee based on vehicle type, entry time, and exit time
  * Algorithm:
  * 1. Retrieve rate card for vehicle type
  * 2. Calculate duration and apply grace period
  * 3. Calculate hourly units with rounding strategy
- * 4. Apply daily cap if applicable
- * 5. Return final fee
+ * 4. Price each unit at the time band in force when it starts (lot local time),
+ *    replacing a night's units with the overnight flat rate when cheaper
+ * 5. Apply the daily cap per cap period, then the weekly cap
+ * 6. Return final fee
  *
  * @param {string} vehicleType - Vehicle type (MOTORCYCLE, CAR, BUS)
  * @param {Date} entryTime - Vehicle entry timestamp
  * @param {Date} exitTime - Vehicle exit timestamp
  * @param {Object} rateCard - Rate card configuration
+ * @param {Object} options - Optional settings
+ * @param {string} options.timeZone - Lot IANA time zone for time bands, overnight windows
+ *                                    and calendar-day caps (default: UTC)
  * @returns {Object} Fee calculation details
  */
-const calculateParkingFee = (vehicleType, entryTime, exitTime, rateCard) => {
+const calculateParkingFee = (vehicleType, entryTime, exitTime, rateCard, options = {}) => {
   if (!vehicleType || !entryTime || !exitTime || !rateCard) {
     throw new Error('Missing required parameters for fee calculation');
   }
@@ -35,11 +332,11 @@ const calculateParkingFee = (vehicleType, entryTime, exitTime, rateCard) => {
 
   // Extract rate card details
   const {
-    hourly_rate,
-    daily_max_rate,
     grace_period_minutes = 15,
     rounding_strategy = 'CEILING',
+    cap_mode = 'ROLLING_24H',
   } = rateCard;
+  const { timeZone = 'UTC' } = options;
 
   // Step 1: Calculate duration
   const durationMs = exitTime - entryTime;
@@ -56,18 +353,17 @@ const calculateParkingFee = (vehicleType, entryTime, exitTime, rateCard) => {
       exit_time: exitTime,
       duration_minutes: durationMinutes,
       duration_formatted: formatDuration(durationMinutes),
-      rate_card: {
-        hourly_rate,
-        daily_max_rate,
-        grace_period_minutes,
-        rounding_strategy,
-      },
+      rate_card: summarizeRateCard(rateCard),
       calculation_details: {
         grace_period_applied: durationMinutes,
         adjusted_minutes: 0,
         hourly_units: 0,
+        band_breakdown: [],
         base_fee: 0,
+        cap_mode,
+        cap_periods: [],
         daily_cap_applied: false,
+        weekly_cap_applied: false,
         final_fee: 0,
       },
       parking_fee: 0,
@@ -94,20 +390,23 @@ const calculateParkingFee = (vehicleType, entryTime, exitTime, rateCard) => {
       hourlyUnits = Math.ceil(adjustedMinutes / 60);
   }
 
-  // Step 4: Calculate base fee
-  let baseFee = hourlyUnits * hourly_rate;
-
-  // Step 5: Apply daily cap
-  let dailyCapApplied = false;
-  let finalFee = baseFee;
+  // Step 4: Price units across time bands and overnight windows
+  // Billable time starts once the grace period has elapsed
+  const billingStart = new Date(entryTime.getTime() + gracePeriodApplied * 60 * 1000);
+  const units = priceHourlyUnits(billingStart, hourlyUnits, rateCard, timeZone);
+  const charges = buildCharges(units, rateCard, timeZone);
+  const baseFee = charges.reduce((sum, charge) => sum + charge.fee, 0);
 
-  if (daily_max_rate !== null && daily_max_rate !== undefined && baseFee > daily_max_rate) {
-    finalFee = daily_max_rate;
-    dailyCapApplied = true;
-  }
+  // Step 5: Apply daily cap per period and weekly cap
+  const { capPeriods, weeklyCapApplied, finalFee } = applyCaps(
+    charges,
+    billingStart,
+    rateCard,
+    timeZone
+  );
 
   // Round to 2 decimal places
-  finalFee = parseFloat(finalFee.toFixed(2));
+  const roundedFee = roundCurrency(finalFee);
 
   return {
     vehicle_type: vehicleType,
@@ -115,25 +414,130 @@ const calculateParkingFee = (vehicleType, entryTime, exitTime, rateCard) => {
     exit_time: exitTime,
     duration_minutes: durationMinutes,
     duration_formatted: formatDuration(durationMinutes),
-    rate_card: {
-      hourly_rate,
-      daily_max_rate,
-      grace_period_minutes,
-      rounding_strategy,
-    },
+    rate_card: summarizeRateCard(rateCard),
     calculation_details: {
       grace_period_applied: gracePeriodApplied,
       adjusted_minutes: adjustedMinutes,
       hourly_units: hourlyUnits,
-      base_fee: parseFloat(baseFee.toFixed(2)),
-      daily_cap_applied: dailyCapApplied,
-      final_fee: finalFee,
+      band_breakdown: summarizeBands(charges),
+      base_fee: roundCurrency(baseFee),
+      cap_mode,
+      cap_periods: capPeriods,
+      daily_cap_applied: capPeriods.some((period) => period.daily_cap_applied),
+      weekly_cap_applied: weeklyCapApplied,
+      final_fee: roundedFee,
     },
-    parking_fee: finalFee,
+    parking_fee: roundedFee,
     currency: 'USD',
   };
 };
 
+/**
+ * Reprice a fee calculation at a permit's hourly rate
+ * The stay keeps the rate card's grace period and rounding (hourly units); bands, caps
+ * and flat rates are replaced by the permit rate
+ * @param {Object} feeDetails - Result of calculateParkingFee
+ * @param {Object} permit - Permit (_id, hourly_rate)
+ * @returns {Object} Fee calculation details charged at the permit rate
+ */
+const applyPermitRate = (feeDetails, permit) => {
+  const hourlyRate = permit.hourly_rate || 0;
+  const permitFee = roundCurrency(feeDetails.calculation_details.hourly_units * hourlyRate);
+
+  return {
+    ...feeDetails,
+    calculation_details: {
+      ...feeDetails.calculation_details,
+      permit: {
+        permit_id: permit._id,
+        hourly_rate: hourlyRate,
+        rate_card_fee: feeDetails.parking_fee,
+      },
+      final_fee: permitFee,
+    },
+    parking_fee: permitFee,
+  };
+};
+
+/**
+ * Charge a lost-ticket exit: the greater of the stay's fee and the lost-ticket fee
+ * The lost-ticket fee is the rate card's lost_ticket_fee, or its daily max rate if unset
+ * @param {Object} feeDetails - Fee calculation details for the stay
+ * @param {Object} rateCard - Rate card configuration
+ * @returns {Object} Fee calculation details for the lost-ticket exit
+ */
+const applyLostTicketFee = (feeDetails, rateCard) => {
+  const lostTicketFee = rateCard.lost_ticket_fee !== undefined && rateCard.lost_ticket_fee !== null
+    ? rateCard.lost_ticket_fee
+    : rateCard.daily_max_rate || 0;
+  const fee = roundCurrency(Math.max(feeDetails.parking_fee, lostTicketFee));
+
+  return {
+    ...feeDetails,
+    calculation_details: {
+      ...feeDetails.calculation_details,
+      lost_ticket: {
+        lost_ticket_fee: lostTicketFee,
+        stay_fee: feeDetails.parking_fee,
+      },
+      final_fee: fee,
+    },
+    parking_fee: fee,
+  };
+};
+
+/**
+ * Estimate the energy a charger delivered when no meter reading is reported
+ * Assumes the charger ran at its rated power for the whole session
+ * @param {number} powerKw - Charger power rating (kW)
+ * @param {Date} startedAt - Session start
+ * @param {Date} endedAt - Session end
+ * @returns {number} Energy in kWh (3 decimals)
+ */
+const estimateChargingEnergy = (powerKw, startedAt, endedAt) => {
+  const hours = Math.max(new Date(endedAt) - new Date(startedAt), 0) / (60 * 60 * 1000);
+  return Math.round(powerKw * hours * 1000) / 1000;
+};
+
+/**
+ * Calculate the fee for a charging session
+ * @param {number} energyKwh - Energy delivered (kWh)
+ * @param {number} ratePerKwh - Price per kWh
+ * @returns {number} Charging fee
+ */
+const calculateChargingFee = (energyKwh, ratePerKwh) =>
+  roundCurrency(energyKwh * (ratePerKwh || 0));
+
+/**
+ * Add a stay's charging sessions to its bill
+ * Charging is a separate line (charging_fee): parking_fee, and the permit rates and
+ * adjustments applied to it, cover the stay alone
+ * @param {Object} feeDetails - Fee calculation details for the stay
+ * @param {Array} sessions - Completed charging sessions (energy_kwh, fee)
+ * @returns {Object} Fee calculation details including charging_fee
+ */
+const applyChargingFees = (feeDetails, sessions) => {
+  if (!sessions || sessions.length === 0) {
+    return feeDetails;
+  }
+
+  const energyKwh = sessions.reduce((sum, session) => sum + session.energy_kwh, 0);
+  const chargingFee = roundCurrency(sessions.reduce((sum, session) => sum + session.fee, 0));
+
+  return {
+    ...feeDetails,
+    calculation_details: {
+      ...feeDetails.calculation_details,
+      charging: {
+        sessions: sessions.length,
+        energy_kwh: Math.round(energyKwh * 1000) / 1000,
+        charging_fee: chargingFee,
+      },
+    },
+    charging_fee: chargingFee,
+  };
+};
+
 /**
  * Format duration in minutes to human-readable string
  * @param {number} minutes - Duration in minutes
@@ -159,15 +563,21 @@ const formatDuration = (minutes) => {
  * @param {string} vehicleType - Vehicle type
  * @param {Date} entryTime - Entry time
  * @param {Object} rateCard - Rate card configuration
+ * @param {Object} options - Optional settings (timeZone)
  * @returns {Object} Fee estimation
  */
-const estimateParkingFee = (vehicleType, entryTime, rateCard) => {
+const estimateParkingFee = (vehicleType, entryTime, rateCard, options = {}) => {
   const currentTime = new Date();
-  return calculateParkingFee(vehicleType, entryTime, currentTime, rateCard);
+  return calculateParkingFee(vehicleType, entryTime, currentTime, rateCard, options);
 };
 
 module.exports = {
   calculateParkingFee,
   estimateParkingFee,
+  applyPermitRate,
+  applyLostTicketFee,
+  estimateChargingEnergy,
+  calculateChargingFee,
+  applyChargingFees,
   formatDuration,
 };
@@ -140,6 +140,20 @@ const getCurrencySymbol = (currencyCode) => {
   return symbolMap[currencyCode] || '$';
 };
 
+/**
+ * Convert a currency amount to integer cents
+ * @param {number} amount - Amount
+ * @returns {number} Cents
+ */
+const toCents = (amount) => Math.round((amount || 0) * 100);
+
+/**
+ * Convert integer cents to a currency amount
+ * @param {number} cents - Cents
+ * @returns {number} Amount
+ */
+const fromCents = (cents) => cents / 100;
+
 /**
  * Deep clone object
  * @param {Object} obj - Object to clone
@@ -199,6 +213,8 @@ module.exports = {
   getTimeDifference,
   formatCurrency,
   getCurrencySymbol,
+  toCents,
+  fromCents,
   deepClone,
   mergeObjects,
   isEmptyObject,
@@ -0,0 +1,163 @@
+/**
+ * JSON Web Tokens
+ * Signs and verifies compact JWTs (HS256 or RS256) with node's crypto module
+ *
+ * Configuration (environment):
+ * - JWT_ALGORITHM: HS256 (default) or RS256; tokens signed with any other algorithm are refused
+ * - JWT_SECRET: shared secret (HS256)
+ * - JWT_PUBLIC_KEY / JWT_PRIVATE_KEY: PEM keys (RS256); the private key is only needed to sign
+ * - JWT_EXPIRES_IN_SECONDS: lifetime of signed tokens (default 3600)
+ * - JWT_ISSUER / JWT_AUDIENCE: expected iss / aud claims (optional)
+ */
+
+const crypto = require('crypto');
+
+const JWT_ALGORITHMS = ['HS256', 'RS256'];
+const JWT_ALGORITHM = process.env.JWT_ALGORITHM || 'HS256';
+const JWT_SECRET = process.env.JWT_SECRET || null;
+// PEM keys may be given on one line with escaped newlines
+const JWT_PUBLIC_KEY = (process.env.JWT_PUBLIC_KEY || '').replace(/\\n/g, '\n') || null;
+const JWT_PRIVATE_KEY = (process.env.JWT_PRIVATE_KEY || '').replace(/\\n/g, '\n') || null;
+const JWT_EXPIRES_IN_SECONDS = parseInt(process.env.JWT_EXPIRES_IN_SECONDS || '3600');
+const JWT_ISSUER = process.env.JWT_ISSUER || null;
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || null;
+// Allowed clock skew between the issuer and this server for exp / nbf
+const JWT_CLOCK_TOLERANCE_SECONDS = 30;
+
+const base64UrlEncode = (value) => Buffer.from(value).toString('base64url');
+
+const base64UrlDecodeJson = (segment) =>
+  JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Check whether tokens can be verified with the configured keys
+ * @returns {boolean} True if the algorithm is supported and its verification key is set
+ */
+const isJwtConfigured = () =>
+  JWT_ALGORITHMS.includes(JWT_ALGORITHM) &&
+  Boolean(JWT_ALGORITHM === 'HS256' ? JWT_SECRET : JWT_PUBLIC_KEY);
+
+/**
+ * Sign a token
+ * iat and exp are set from JWT_EXPIRES_IN_SECONDS unless given; iss / aud from configuration
+ * @param {Object} claims - Token claims (sub identifies the principal)
+ * @param {Object} options - { expiresIn: lifetime in seconds } (optional)
+ * @returns {string} Compact JWT
+ * @throws {Error} If the signing key is not configured
+ */
+const signToken = (claims, { expiresIn = JWT_EXPIRES_IN_SECONDS } = {}) => {
+  const signingKey = JWT_ALGORITHM === 'HS256' ? JWT_SECRET : JWT_PRIVATE_KEY;
+  if (!JWT_ALGORITHMS.includes(JWT_ALGORITHM) || !signingKey) {
+    throw new Error(`No ${JWT_ALGORITHM} signing key configured`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    ...(JWT_ISSUER && { iss: JWT_ISSUER }),
+    ...(JWT_AUDIENCE && { aud: JWT_AUDIENCE }),
+    iat: now,
+    exp: now + expiresIn,
+    ...claims,
+  };
+
+  const signingInput = [
+    base64UrlEncode(JSON.stringify({ alg: JWT_ALGORITHM, typ: 'JWT' })),
+    base64UrlEncode(JSON.stringify(payload)),
+  ].join('.');
+
+  const signature = JWT_ALGORITHM === 'HS256'
+    ? crypto.createHmac('sha256', signingKey).update(signingInput).digest()
+    : crypto.sign('sha256', Buffer.from(signingInput), signingKey);
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Verify a token signature against the configured algorithm and key
+ * @param {string} signingInput - Header and payload segments
+ * @param {Buffer} signature - Decoded signature
+ * @returns {boolean} True if the signature is valid
+ */
+const verifySignature = (signingInput, signature) => {
+  if (JWT_ALGORITHM === 'HS256') {
+    const expected = crypto.createHmac('sha256', JWT_SECRET).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  return crypto.verify('sha256', Buffer.from(signingInput), JWT_PUBLIC_KEY, signature);
+};
+
+/**
+ * Verify a token and return its claims
+ * The header algorithm must be the configured one (no "none", no algorithm switching),
+ * exp is required and nbf / iss / aud are checked when present or configured
+ * @param {string} token - Compact JWT
+ * @returns {Object} Verified claims
+ * @throws {Error} With a client-safe message if the token is not valid
+ */
+const verifyToken = (token) => {
+  if (!isJwtConfigured()) {
+    throw new Error('Token verification is not configured');
+  }
+
+  const segments = String(token).split('.');
+  if (segments.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = base64UrlDecodeJson(segments[0]);
+    payload = base64UrlDecodeJson(segments[1]);
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  if (header.alg !== JWT_ALGORITHM) {
+    throw new Error(`Token must be signed with ${JWT_ALGORITHM}`);
+  }
+
+  const signature = Buffer.from(segments[2], 'base64url');
+  if (!verifySignature(`${segments[0]}.${segments[1]}`, signature)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof payload.exp !== 'number') {
+    throw new Error('Token has no expiry');
+  }
+
+  if (payload.exp + JWT_CLOCK_TOLERANCE_SECONDS <= now) {
+    throw new Error('Token has expired');
+  }
+
+  if (typeof payload.nbf === 'number' && payload.nbf - JWT_CLOCK_TOLERANCE_SECONDS > now) {
+    throw new Error('Token is not valid yet');
+  }
+
+  if (JWT_ISSUER && payload.iss !== JWT_ISSUER) {
+    throw new Error('Token issuer is not accepted');
+  }
+
+  if (JWT_AUDIENCE) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(JWT_AUDIENCE)) {
+      throw new Error('Token audience is not accepted');
+    }
+  }
+
+  if (typeof payload.sub !== 'string' || payload.sub.length === 0) {
+    throw new Error('Token has no subject');
+  }
+
+  return payload;
+};
+
+module.exports = {
+  JWT_ALGORITHMS,
+  isJwtConfigured,
+  signToken,
+  verifyToken,
+};
@@ -4,6 +4,8 @@
  * Can be integrated with external services like Winston, Bunyan, or DataDog
  */
 
+const { getRequestContext } = require('./requestContext');
+
 const LOG_LEVELS = {
   ERROR: 'ERROR',
   WARN: 'WARN',
@@ -26,12 +28,15 @@ class Logger {
    * @returns {Object} Formatted log object
    */
   formatLog(level, message, meta = {}) {
+    const context = getRequestContext();
+
     return {
       timestamp: new Date().toISOString(),
       level,
       module: this.module,
       message,
       environment: this.environment,
+      ...(context && { requestId: context.request_id }),
       ...meta,
     };
   }
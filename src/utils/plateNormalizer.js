@@ -0,0 +1,127 @@
+/**
+ * Plate Normalizer
+ * Canonical license plate keys for lookups and fuzzy matching of misread plates
+ *
+ * - normalizePlate: uppercase, separators removed ("abc-1234" and "ABC 1234" -> "ABC1234");
+ *   vehicles are looked up by this key so formatting differences never split a vehicle
+ * - Fuzzy matching additionally folds characters OCR and people confuse (O/0, I/1, S/5...)
+ *   and ranks candidates by edit distance; it is only used to suggest candidates, since two
+ *   real plates may differ by exactly those characters
+ */
+
+// Characters commonly confused when reading plates, folded to the digit they resemble
+const CONFUSABLE_CHARACTERS = {
+  O: '0',
+  Q: '0',
+  D: '0',
+  I: '1',
+  L: '1',
+  Z: '2',
+  S: '5',
+  G: '6',
+  B: '8',
+};
+
+// Similarity below which a plate is not suggested as a candidate
+const DEFAULT_MIN_SCORE = 0.6;
+
+/**
+ * Normalize a license plate to its lookup key
+ * @param {string} licensePlate - License plate as entered or read
+ * @returns {string} Uppercase plate with separators removed
+ */
+const normalizePlate = (licensePlate) => {
+  if (typeof licensePlate !== 'string') {
+    return '';
+  }
+
+  return licensePlate.toUpperCase().replace(/[^A-Z0-9]/g, '');
+};
+
+/**
+ * Fold a license plate's confusable characters
+ * @param {string} licensePlate - License plate
+ * @returns {string} Normalized plate with confusable characters folded
+ */
+const foldConfusables = (licensePlate) =>
+  normalizePlate(licensePlate)
+    .split('')
+    .map((char) => CONFUSABLE_CHARACTERS[char] || char)
+    .join('');
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Minimum number of insertions, deletions and substitutions
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Score how likely two plates are the same plate
+ * 1 = same normalized plate; confusable-only differences cost a quarter of a typo
+ * @param {string} query - Plate as entered or read
+ * @param {string} candidate - Known plate
+ * @returns {number} Similarity between 0 and 1
+ */
+const plateSimilarity = (query, candidate) => {
+  const a = normalizePlate(query);
+  const b = normalizePlate(candidate);
+
+  if (!a || !b) {
+    return 0;
+  }
+
+  if (a === b) {
+    return 1;
+  }
+
+  const length = Math.max(a.length, b.length);
+  const typos = editDistance(foldConfusables(a), foldConfusables(b));
+  const confusions = Math.max(editDistance(a, b) - typos, 0);
+  const score = 1 - (typos + confusions * 0.25) / length;
+
+  return Math.max(Math.round(score * 100) / 100, 0);
+};
+
+/**
+ * Rank known plates by similarity to a query plate
+ * @param {string} query - Plate as entered or read
+ * @param {Array} candidates - Items to rank
+ * @param {Object} options - getPlate (item -> plate, default identity), minScore, limit
+ * @returns {Array} [{ item, score }] with score >= minScore, best first
+ */
+const rankPlateCandidates = (query, candidates, options = {}) => {
+  const {
+    getPlate = (item) => item,
+    minScore = DEFAULT_MIN_SCORE,
+    limit = candidates.length,
+  } = options;
+
+  return candidates
+    .map((item) => ({ item, score: plateSimilarity(query, getPlate(item)) }))
+    .filter((candidate) => candidate.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+module.exports = {
+  normalizePlate,
+  foldConfusables,
+  editDistance,
+  plateSimilarity,
+  rankPlateCandidates,
+};
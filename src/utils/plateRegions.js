@@ -0,0 +1,107 @@
+/**
+ * Plate Region Rules
+ * Per-region license plate formats, checked at entry for lots configured with regions
+ *
+ * Formats are matched against the normalized plate (uppercase, separators removed; see
+ * utils/plateNormalizer), so "AB-123-CD" and "AB 123 CD" both match the FR format.
+ * Further regions are plugged in with registerPlateRegion.
+ */
+
+const { normalizePlate } = require('./plateNormalizer');
+
+// What entry does with a plate matching none of the lot's regions
+const PLATE_REGION_MODES = ['FLAG', 'REJECT'];
+
+const plateRegions = new Map();
+
+/**
+ * Register (or replace) a region's plate formats
+ * @param {string} code - Region code (e.g. 'GB')
+ * @param {Object} definition - { name, formats: [RegExp] } matched against normalized plates
+ */
+const registerPlateRegion = (code, definition) => {
+  if (!definition || !Array.isArray(definition.formats) || definition.formats.length === 0) {
+    throw new Error(`Plate region ${code} must define at least one format`);
+  }
+
+  plateRegions.set(code.toUpperCase(), {
+    code: code.toUpperCase(),
+    name: definition.name || code.toUpperCase(),
+    formats: definition.formats,
+  });
+};
+
+registerPlateRegion('US', {
+  name: 'United States',
+  // Formats vary by state: 2-8 letters and digits
+  formats: [/^[A-Z0-9]{2,8}$/],
+});
+
+registerPlateRegion('GB', {
+  name: 'United Kingdom',
+  formats: [
+    /^[A-Z]{2}[0-9]{2}[A-Z]{3}$/, // Current: AB12 CDE
+    /^[A-Z][0-9]{1,3}[A-Z]{3}$/, // Prefix: A123 BCD
+    /^[A-Z]{3}[0-9]{1,3}[A-Z]$/, // Suffix: ABC 123D
+  ],
+});
+
+registerPlateRegion('DE', {
+  name: 'Germany',
+  // District (1-3 letters), 1-2 letters, 1-4 digits, optional E (electric) or H (historic)
+  formats: [/^[A-Z]{2,5}[0-9]{1,4}[EH]?$/],
+});
+
+registerPlateRegion('FR', {
+  name: 'France',
+  formats: [/^[A-Z]{2}[0-9]{3}[A-Z]{2}$/], // AB-123-CD
+});
+
+registerPlateRegion('IN', {
+  name: 'India',
+  formats: [/^[A-Z]{2}[0-9]{1,2}[A-Z]{0,3}[0-9]{4}$/], // MH 12 AB 1234
+});
+
+/**
+ * Check whether a region is registered
+ * @param {string} code - Region code
+ * @returns {boolean} True if registered
+ */
+const isValidPlateRegion = (code) =>
+  typeof code === 'string' && plateRegions.has(code.toUpperCase());
+
+/**
+ * Get the registered region codes
+ * @returns {Array<string>} Region codes
+ */
+const getPlateRegionCodes = () => [...plateRegions.keys()];
+
+/**
+ * Check a plate against a set of regions
+ * @param {string} licensePlate - License plate
+ * @param {Array<string>} regionCodes - Regions to apply (unknown codes are ignored)
+ * @returns {Object} { regions_applied, matched_region (first matching region or null) }
+ */
+const matchPlateRegion = (licensePlate, regionCodes = []) => {
+  const plate = normalizePlate(licensePlate);
+  const regions = regionCodes
+    .map((code) => plateRegions.get(code.toUpperCase()))
+    .filter(Boolean);
+
+  const matched = regions.find((region) =>
+    region.formats.some((format) => format.test(plate))
+  );
+
+  return {
+    regions_applied: regions.map((region) => region.code),
+    matched_region: matched ? matched.code : null,
+  };
+};
+
+module.exports = {
+  PLATE_REGION_MODES,
+  registerPlateRegion,
+  isValidPlateRegion,
+  getPlateRegionCodes,
+  matchPlateRegion,
+};
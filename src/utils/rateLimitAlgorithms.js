@@ -0,0 +1,129 @@
+/**
+ * Rate Limit Algorithms
+ * Decide whether a request is within its limit, using counters in a rate limit store.
+ * A rule allows `limit` requests per `window_ms`. Both algorithms return
+ *   { allowed, limit, remaining, reset_at (ms since epoch), retry_after_ms }
+ * where retry_after_ms is 0 for allowed requests.
+ */
+
+/**
+ * Sliding window decision from the current and previous fixed-window counts
+ * @param {Object} rule - { limit, window_ms }
+ * @param {number} windowStart - Start of the current fixed window
+ * @param {number} now - Current time in milliseconds
+ * @param {number} current - Requests counted in the current window
+ * @param {number} previous - Requests counted in the previous window
+ * @returns {Object} Decision
+ */
+const slidingWindowDecision = (rule, windowStart, now, current, previous) => {
+  const { limit, window_ms: windowMs } = rule;
+  const elapsed = (now - windowStart) / windowMs;
+  const estimate = previous * (1 - elapsed) + current;
+  const resetAt = windowStart + windowMs;
+
+  if (estimate <= limit) {
+    return {
+      allowed: true,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - estimate)),
+      reset_at: resetAt,
+      retry_after_ms: 0,
+    };
+  }
+
+  // When the previous window has faded enough, or (if this window alone is over the
+  // limit) when enough of this window has slid out for one more request
+  let retryAfterMs;
+  if (current < limit) {
+    const fadedAt = 1 - (limit - current) / previous;
+    retryAfterMs = (fadedAt - elapsed) * windowMs;
+  } else {
+    retryAfterMs = resetAt - now + (1 - (limit - 1) / current) * windowMs;
+  }
+
+  return {
+    allowed: false,
+    limit,
+    remaining: 0,
+    reset_at: resetAt,
+    retry_after_ms: Math.max(1, Math.ceil(retryAfterMs)),
+  };
+};
+
+/**
+ * Sliding window (approximated from two fixed windows)
+ * The previous window's count is weighted by how much of it still overlaps the sliding
+ * window. Rejected requests are counted too, so clients have to back off.
+ * @param {RateLimitStore} store - Counter store
+ * @param {string} key - Client key
+ * @param {Object} rule - { limit, window_ms }
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} Decision
+ */
+const slidingWindow = async (store, key, rule, now = Date.now()) => {
+  const windowMs = rule.window_ms;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+
+  // Counters live for two windows: their own, then as the previous window
+  const current = await store.increment(`${key}:${windowStart}`, windowMs * 2);
+  const previous = await store.get(`${key}:${windowStart - windowMs}`);
+
+  return slidingWindowDecision(rule, windowStart, now, current, previous);
+};
+
+/**
+ * Sliding window check that does not count the request
+ * Decides as slidingWindow would if the request were counted; count it later with
+ * slidingWindow (e.g. once it turns out to be a failed login)
+ * @param {RateLimitStore} store - Counter store
+ * @param {string} key - Client key
+ * @param {Object} rule - { limit, window_ms }
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} Decision
+ */
+const peekSlidingWindow = async (store, key, rule, now = Date.now()) => {
+  const windowMs = rule.window_ms;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+
+  const current = await store.get(`${key}:${windowStart}`);
+  const previous = await store.get(`${key}:${windowStart - windowMs}`);
+
+  return slidingWindowDecision(rule, windowStart, now, current + 1, previous);
+};
+
+/**
+ * Token bucket
+ * The bucket holds up to `limit` tokens and refills at limit / window_ms, so bursts of up
+ * to `limit` requests are allowed while the average rate stays within the rule.
+ * @param {RateLimitStore} store - Bucket store
+ * @param {string} key - Client key
+ * @param {Object} rule - { limit, window_ms }
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} Decision
+ */
+const tokenBucket = async (store, key, rule, now = Date.now()) => {
+  const { limit, window_ms: windowMs } = rule;
+  const refillPerMs = limit / windowMs;
+  const { allowed, tokens } = await store.takeToken(key, limit, refillPerMs, now);
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.floor(tokens),
+    // When the bucket is full again
+    reset_at: now + Math.ceil((limit - tokens) / refillPerMs),
+    retry_after_ms: allowed ? 0 : Math.max(1, Math.ceil((1 - tokens) / refillPerMs)),
+  };
+};
+
+const RATE_LIMIT_ALGORITHMS = {
+  'sliding-window': slidingWindow,
+  'token-bucket': tokenBucket,
+};
+
+module.exports = {
+  RATE_LIMIT_ALGORITHMS,
+  slidingWindow,
+  peekSlidingWindow,
+  tokenBucket,
+};
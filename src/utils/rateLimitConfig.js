@@ -0,0 +1,188 @@
+/**
+ * Rate Limit Configuration
+ * Limits are rules of { limit, window_seconds }: at most `limit` requests per window.
+ * RATE_LIMIT_CONFIG_FILE names a JSON file with
+ *   { "store": "mongo", "algorithm": "sliding-window",
+ *     "default": { "limit": 1000, "window_seconds": 60 },
+ *     "roles": { "KIOSK": { "limit": 300, "window_seconds": 60 } },
+ *     "routes": [
+ *       { "method": "POST", "path": "/parking/entry", "limit": 60, "window_seconds": 60,
+ *         "roles": { "ADMIN": { "limit": 600, "window_seconds": 60 } } } ] }
+ * Route paths are relative to the API prefix; `:name` matches one segment and a trailing
+ * `*` the rest of the path. A /parking route rule also applies to its lot-scoped form
+ * (/lots/:lotId/parking/entry). Without a file the default rule comes from
+ * RATE_LIMIT_MAX_REQUESTS and RATE_LIMIT_WINDOW_MS, the store from RATE_LIMIT_STORE and
+ * the algorithm from RATE_LIMIT_ALGORITHM.
+ *
+ * Two more rules apply per IP address before authentication: "ip" to every request
+ * (RATE_LIMIT_IP_MAX_REQUESTS) and the stricter "auth_failures" to requests refused by
+ * authentication (RATE_LIMIT_AUTH_FAILURE_MAX_REQUESTS), both per RATE_LIMIT_WINDOW_MS.
+ */
+
+const fs = require('fs');
+const { RATE_LIMIT_ALGORITHMS } = require('./rateLimitAlgorithms');
+
+const DEFAULT_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '1000');
+const DEFAULT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000');
+const DEFAULT_IP_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_IP_MAX_REQUESTS || '3000');
+const DEFAULT_AUTH_FAILURE_MAX_REQUESTS = parseInt(
+  process.env.RATE_LIMIT_AUTH_FAILURE_MAX_REQUESTS || '20'
+);
+const DEFAULT_ALGORITHM = process.env.RATE_LIMIT_ALGORITHM || 'sliding-window';
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', '*'];
+
+/**
+ * Parse a { limit, window_seconds } rule
+ * @param {Object} rule - Rule from the configuration
+ * @param {string} name - Where the rule is, for error messages
+ * @returns {Object} { limit, window_ms }
+ */
+const parseRule = (rule, name) => {
+  if (!rule || !Number.isInteger(rule.limit) || rule.limit < 1) {
+    throw new Error(`Rate limit ${name} must have a positive integer limit`);
+  }
+
+  if (typeof rule.window_seconds !== 'number' || rule.window_seconds <= 0) {
+    throw new Error(`Rate limit ${name} must have a positive window_seconds`);
+  }
+
+  return { limit: rule.limit, window_ms: Math.round(rule.window_seconds * 1000) };
+};
+
+/**
+ * Parse per-role rules, keyed by upper-case role
+ * @param {Object} roles - { ROLE: rule }
+ * @param {string} name - Where the rules are, for error messages
+ * @returns {Map<string, Object>} Role -> { limit, window_ms }
+ */
+const parseRoleRules = (roles = {}, name) => {
+  if (typeof roles !== 'object' || Array.isArray(roles)) {
+    throw new Error(`Rate limit ${name} roles must be an object keyed by role`);
+  }
+
+  return new Map(
+    Object.entries(roles).map(([role, rule]) => [
+      role.toUpperCase(),
+      parseRule(rule, `${name} role ${role}`),
+    ])
+  );
+};
+
+/**
+ * Compile a route path pattern to a regular expression
+ * @param {string} path - e.g. /parking/vehicle/:plate or /admin/*
+ * @returns {RegExp} Pattern matching the whole request path
+ */
+const compilePath = (path) => {
+  const segments = path
+    .replace(/\/+$/, '')
+    .split('/')
+    .map((segment) => {
+      if (segment === '*') return '.*';
+      if (segment.startsWith(':')) return '[^/]+';
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    });
+
+  return new RegExp(`^${segments.join('/')}/?$`);
+};
+
+/**
+ * Validate a rate limit configuration and fill in the defaults
+ * @param {Object} config - Configuration (see module comment)
+ * @returns {Object} { store, algorithm, default, roles, routes, ip, auth_failures }
+ */
+const parseRateLimitConfig = (config = {}) => {
+  const algorithm = config.algorithm || DEFAULT_ALGORITHM;
+
+  if (!RATE_LIMIT_ALGORITHMS[algorithm]) {
+    throw new Error(
+      `Rate limit algorithm ${algorithm} must be one of ${Object.keys(RATE_LIMIT_ALGORITHMS)}`
+    );
+  }
+
+  if (config.routes !== undefined && !Array.isArray(config.routes)) {
+    throw new Error('Rate limit routes must be a list');
+  }
+
+  const routes = (config.routes || []).map((route, index) => {
+    const name = `route ${index}`;
+    const method = (route.method || '*').toUpperCase();
+
+    if (typeof route.path !== 'string' || !route.path.startsWith('/')) {
+      throw new Error(`Rate limit ${name} must have a path starting with /`);
+    }
+
+    if (!HTTP_METHODS.includes(method)) {
+      throw new Error(`Rate limit ${name} method must be one of ${HTTP_METHODS}`);
+    }
+
+    return {
+      scope: `route:${index}`,
+      method,
+      path: route.path,
+      pattern: compilePath(route.path),
+      rule: parseRule(route, name),
+      roles: parseRoleRules(route.roles, name),
+    };
+  });
+
+  return {
+    store: config.store || process.env.RATE_LIMIT_STORE || 'memory',
+    algorithm,
+    default: config.default
+      ? parseRule(config.default, 'default')
+      : { limit: DEFAULT_MAX_REQUESTS, window_ms: DEFAULT_WINDOW_MS },
+    roles: parseRoleRules(config.roles, 'default'),
+    routes,
+    ip: config.ip
+      ? parseRule(config.ip, 'ip')
+      : { limit: DEFAULT_IP_MAX_REQUESTS, window_ms: DEFAULT_WINDOW_MS },
+    auth_failures: config.auth_failures
+      ? parseRule(config.auth_failures, 'auth_failures')
+      : { limit: DEFAULT_AUTH_FAILURE_MAX_REQUESTS, window_ms: DEFAULT_WINDOW_MS },
+  };
+};
+
+/**
+ * Load the rate limit configuration from a JSON file
+ * @param {string} filePath - Path to the JSON configuration
+ * @returns {Object} Parsed configuration
+ */
+const loadRateLimitConfig = (filePath) => {
+  return parseRateLimitConfig(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+};
+
+/**
+ * Find the rule limiting a request: the first matching route rule, else the default.
+ * Role rules override the rule they are attached to
+ * @param {Object} config - Parsed configuration
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path relative to the API prefix
+ * @param {string|null} role - Caller's role
+ * @returns {Object} { scope, limit, window_ms }
+ */
+const resolveRateLimitRule = (config, method, path, role) => {
+  // Parking routes are also mounted per lot (/lots/:lotId/parking/...)
+  const lotPath = path.replace(/^\/lots\/[^/]+(?=\/parking(\/|$))/, '');
+
+  const route = config.routes.find(
+    (candidate) =>
+      (candidate.method === '*' || candidate.method === method) &&
+      (candidate.pattern.test(path) || candidate.pattern.test(lotPath))
+  );
+
+  const { scope, rule, roles } = route || {
+    scope: 'default',
+    rule: config.default,
+    roles: config.roles,
+  };
+
+  return { scope, ...((role && roles.get(role)) || rule) };
+};
+
+module.exports = {
+  parseRateLimitConfig,
+  loadRateLimitConfig,
+  resolveRateLimitRule,
+};
@@ -0,0 +1,41 @@
+/**
+ * Request Context
+ * Carries the request ID and the acting principal through the async calls a request
+ * makes, so services and the logger can read them without threading them through
+ * every signature. Work started outside a request (sweeps, schedulers) has no context.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context
+ * @param {Object} context - { request_id, actor }
+ * @param {Function} fn - Function to run
+ * @returns {any} Result of fn
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Get the context of the request being handled
+ * @returns {Object|null} { request_id, actor }, or null outside a request
+ */
+const getRequestContext = () => storage.getStore() || null;
+
+/**
+ * Record the authenticated principal on the current request context
+ * @param {Object} actor - Principal (auth_type, id, name, role)
+ */
+const setActor = (actor) => {
+  const context = storage.getStore();
+  if (context) {
+    context.actor = actor;
+  }
+};
+
+module.exports = {
+  runWithContext,
+  getRequestContext,
+  setActor,
+};
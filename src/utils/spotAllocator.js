@@ -4,24 +4,24 @@
  * Strategy: Best-Fit with Size Priority
  */
 
+const {
+  RESTRICTED_SPOT_ATTRIBUTES,
+  KEPT_SPOT_ATTRIBUTES,
+} = require('../constants/spotAttributes');
+const vehicleTypes = require('../constants/vehicleTypes');
+
 /**
  * Determine eligible spot types based on vehicle type
- * Spot size hierarchy: MOTORCYCLE < CAR < BUS
- * @param {string} vehicleType - Vehicle type (MOTORCYCLE, CAR, BUS)
+ * Spot size hierarchy comes from the vehicle type registry (MOTORCYCLE < CAR < BUS by default)
+ * @param {string} vehicleType - Registered vehicle type
  * @returns {Array} Array of eligible spot types
  */
 const getEligibleSpotTypes = (vehicleType) => {
-  const spotTypeMap = {
-    MOTORCYCLE: ['MOTORCYCLE', 'CAR', 'BUS'],
-    CAR: ['CAR', 'BUS'],
-    BUS: ['BUS'],
-  };
-
-  if (!spotTypeMap[vehicleType]) {
+  if (!vehicleTypes.isValidVehicleType(vehicleType)) {
     throw new Error(`Invalid vehicle type: ${vehicleType}`);
   }
 
-  return spotTypeMap[vehicleType];
+  return vehicleTypes.getEligibleSpotTypes(vehicleType);
 };
 
 /**
@@ -31,12 +31,8 @@ const getEligibleSpotTypes = (vehicleType) => {
  * @returns {number} Priority number
  */
 const getSpotTypePriority = (spotType) => {
-  const priorityMap = {
-    MOTORCYCLE: 1,
-    CAR: 2,
-    BUS: 3,
-  };
-  return priorityMap[spotType] || 999;
+  const rank = vehicleTypes.getSpotSizeRank(spotType);
+  return Number.isFinite(rank) ? rank : 999;
 };
 
 /**
@@ -65,45 +61,116 @@ const sortSpotsByPriority = (spots) => {
 };
 
 /**
- * Select best spot for allocation
+ * Check whether a vehicle may use a spot given the spot's attributes
+ * Restricted spots (ACCESSIBLE) are only for accessible permit holders
+ * @param {Object} spot - Spot (attributes)
+ * @param {Object} options - { accessiblePermit }
+ * @returns {boolean} True if the vehicle may use the spot
+ */
+const isSpotAllowed = (spot, { accessiblePermit = false } = {}) =>
+  accessiblePermit
+  || !(spot.attributes || []).some((attribute) => RESTRICTED_SPOT_ATTRIBUTES.includes(attribute));
+
+/**
+ * Reorder sorted spots around the attributes a vehicle needs (stable)
+ * 1) Spots matching more of the needs first
+ * 2) Spots with restricted or kept attributes the vehicle does not need last
+ *
+ * @param {Array} sortedSpots - Spots ordered by sortSpotsByPriority
+ * @param {Array<string>} needs - Spot attributes requested (e.g. ['FAMILY'])
+ * @returns {Array} Reordered spots
+ */
+const orderByAttributes = (sortedSpots, needs = []) => {
+  const reserved = [...RESTRICTED_SPOT_ATTRIBUTES, ...KEPT_SPOT_ATTRIBUTES];
+  const score = (spot) => {
+    const attributes = spot.attributes || [];
+    return {
+      matched: attributes.filter((attribute) => needs.includes(attribute)).length,
+      unneeded: attributes.some(
+        (attribute) => reserved.includes(attribute) && !needs.includes(attribute)
+      ) ? 1 : 0,
+    };
+  };
+
+  return sortedSpots
+    .map((spot) => ({ spot, ...score(spot) }))
+    .sort((a, b) => b.matched - a.matched || a.unneeded - b.unneeded)
+    .map(({ spot }) => spot);
+};
+
+/**
+ * Rank candidate spots for allocation (best candidate first)
  * Algorithm:
  * 1. Determine eligible spot types
- * 2. Filter available spots matching eligible types
+ * 2. Filter available spots matching eligible types the vehicle may use
  * 3. Sort by priority (floor, spot type, spot number)
- * 4. Return first available spot
+ * 4. Order around the spot attributes the vehicle needs
  *
  * @param {string} vehicleType - Vehicle type
  * @param {Array} availableSpots - Array of available spot objects
- * @returns {Object|null} Selected spot or null if no spot available
+ * @param {Object} options - { needs: spot attributes requested, accessiblePermit } (optional)
+ * @returns {Array} Eligible spots ordered by allocation priority
  */
-const selectOptimalSpot = (vehicleType, availableSpots) => {
+const rankCandidateSpots = (vehicleType, availableSpots, options = {}) => {
   if (!vehicleType || !availableSpots || !Array.isArray(availableSpots)) {
     throw new Error('Invalid parameters for spot allocation');
   }
 
   if (availableSpots.length === 0) {
-    return null;
+    return [];
   }
 
   // Step 1: Get eligible spot types
   const eligibleTypes = getEligibleSpotTypes(vehicleType);
 
-  // Step 2: Filter spots by eligible types and status
+  // Step 2: Filter spots by eligible types, status and restricted attributes
   const matchingSpots = availableSpots.filter(
     (spot) =>
       eligibleTypes.includes(spot.spot_type) &&
-      spot.status === 'AVAILABLE'
+      spot.status === 'AVAILABLE' &&
+      isSpotAllowed(spot, options)
   );
 
-  if (matchingSpots.length === 0) {
-    return null;
+  // Step 3: Sort by priority
+  // Step 4: Spots with the needed attributes first, reserved categories last
+  return orderByAttributes(sortSpotsByPriority(matchingSpots), options.needs);
+};
+
+/**
+ * Reorder ranked candidates around EV chargers (ParkingSpot.ev_charger_kw)
+ * - Vehicles requesting charging get charger spots first
+ * - Other vehicles get charger spots last once the free chargers are scarce
+ *   (scarceThreshold or fewer left), keeping them for EVs
+ * The ranking is otherwise kept as is
+ *
+ * @param {Array} rankedSpots - Candidates ordered by rankCandidateSpots
+ * @param {boolean} charging - Whether the vehicle requests charging
+ * @param {number} scarceThreshold - Free charger spots at or below which chargers are kept
+ * @returns {Array} Reordered candidates
+ */
+const orderForCharging = (rankedSpots, charging, scarceThreshold) => {
+  const chargers = rankedSpots.filter((spot) => spot.ev_charger_kw);
+  const others = rankedSpots.filter((spot) => !spot.ev_charger_kw);
+
+  if (charging) {
+    return [...chargers, ...others];
   }
 
-  // Step 3: Sort by priority
-  const sortedSpots = sortSpotsByPriority(matchingSpots);
+  return chargers.length <= scarceThreshold ? [...others, ...chargers] : rankedSpots;
+};
 
-  // Step 4: Return first spot
-  return sortedSpots[0];
+/**
+ * Select best spot for allocation
+ * Returns the highest ranked candidate from rankCandidateSpots
+ *
+ * @param {string} vehicleType - Vehicle type
+ * @param {Array} availableSpots - Array of available spot objects
+ * @param {Object} options - { needs, accessiblePermit } (optional)
+ * @returns {Object|null} Selected spot or null if no spot available
+ */
+const selectOptimalSpot = (vehicleType, availableSpots, options = {}) => {
+  const rankedSpots = rankCandidateSpots(vehicleType, availableSpots, options);
+  return rankedSpots.length > 0 ? rankedSpots[0] : null;
 };
 
 /**
@@ -113,11 +180,10 @@ const selectOptimalSpot = (vehicleType, availableSpots) => {
  * @returns {Object} Allocation statistics
  */
 const getAllocationStats = (availableSpots = [], occupiedSpots = []) => {
-  const stats = {
-    MOTORCYCLE: { available: 0, occupied: 0, total: 0 },
-    CAR: { available: 0, occupied: 0, total: 0 },
-    BUS: { available: 0, occupied: 0, total: 0 },
-  };
+  const stats = {};
+  vehicleTypes.getValidVehicleTypes().forEach((type) => {
+    stats[type] = { available: 0, occupied: 0, total: 0 };
+  });
 
   // Count available spots by type
   availableSpots.forEach((spot) => {
@@ -170,6 +236,10 @@ const getAllocationRecommendations = (spotStats) => {
 
 module.exports = {
   selectOptimalSpot,
+  rankCandidateSpots,
+  isSpotAllowed,
+  orderByAttributes,
+  orderForCharging,
   getEligibleSpotTypes,
   getSpotTypePriority,
   sortSpotsByPriority,
@@ -0,0 +1,129 @@
+/**
+ * Time Zone Utilities
+ * Local wall-clock time for IANA time zones using the built-in Intl API
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Intl.DateTimeFormat construction is expensive; keep one formatter per zone
+const formatterCache = new Map();
+
+/**
+ * Get (cached) formatter for a time zone
+ * @param {string} timeZone - IANA time zone (e.g. 'Europe/London')
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        weekday: 'short',
+      })
+    );
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * Check if a string is a valid IANA time zone
+ * @param {string} timeZone - Time zone to validate
+ * @returns {boolean} True if valid
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get local wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone (default: UTC)
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday),
+ *                     minuteOfDay }
+ */
+const getLocalParts = (date, timeZone = 'UTC') => {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  const hour = parseInt(parts.hour, 10);
+  const minute = parseInt(parts.minute, 10);
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour,
+    minute,
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minuteOfDay: hour * 60 + minute,
+  };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the local calendar day of an instant as a day count since 1970-01-01
+ * Day numbers are consecutive across DST changes, so differences count calendar days
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone (default: UTC)
+ * @returns {number} Local day number
+ */
+const getLocalDayNumber = (date, timeZone = 'UTC') => {
+  const { year, month, day } = getLocalParts(date, timeZone);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+};
+
+/**
+ * Get the UTC offset of a time zone at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (local wall clock minus UTC)
+ */
+const getOffsetMs = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getLocalParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Get the instant local midnight starts the calendar day containing an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone (default: UTC)
+ * @returns {Date} Start of the local day
+ */
+const startOfLocalDay = (date, timeZone = 'UTC') => {
+  const midnight = getLocalDayNumber(date, timeZone) * DAY_MS;
+  const guess = midnight - getOffsetMs(date, timeZone);
+
+  // Re-read the offset at the guess in case a DST change lies between it and the instant
+  return new Date(midnight - getOffsetMs(new Date(guess), timeZone));
+};
+
+module.exports = {
+  isValidTimeZone,
+  getLocalParts,
+  getLocalDayNumber,
+  startOfLocalDay,
+};
@@ -0,0 +1,85 @@
+/**
+ * Transaction Manager
+ * Runs multi-document workflows inside a MongoDB session/transaction
+ * Requires MongoDB to be running as a replica set (or sharded cluster)
+ */
+
+const mongoose = require('mongoose');
+const AppError = require('../errors/AppError');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('TransactionManager');
+
+/**
+ * Default transaction options
+ * Snapshot reads with majority writes so a committed workflow is durable
+ */
+const DEFAULT_TRANSACTION_OPTIONS = {
+  readConcern: { level: 'snapshot' },
+  writeConcern: { w: 'majority' },
+  readPreference: 'primary',
+};
+
+/**
+ * Check if error is a transient transaction error that can be retried
+ * @param {Error} error - Error thrown inside a transaction
+ * @returns {boolean} True if error carries a retryable label
+ */
+const isTransientTransactionError = (error) => {
+  if (!error || typeof error.hasErrorLabel !== 'function') {
+    return false;
+  }
+
+  return (
+    error.hasErrorLabel('TransientTransactionError') ||
+    error.hasErrorLabel('UnknownTransactionCommitResult')
+  );
+};
+
+/**
+ * Execute a workflow inside a MongoDB transaction
+ * The driver aborts and rolls back on any thrown error, and retries the
+ * whole callback on TransientTransactionError / UnknownTransactionCommitResult.
+ * The callback receives the session and must pass it to every repository call.
+ *
+ * @param {Function} work - Async function (session) => result
+ * @param {Object} options - Transaction options (merged over defaults)
+ * @returns {Promise<any>} Result returned by the workflow
+ * @throws {AppError} LOCK_TIMEOUT if transient errors persist after retries
+ */
+const withTransaction = async (work, options = {}) => {
+  const session = await mongoose.startSession();
+  let attempts = 0;
+
+  try {
+    let result;
+
+    await session.withTransaction(async () => {
+      attempts++;
+      if (attempts > 1) {
+        logger.warn('Retrying transaction after transient error', { attempt: attempts });
+      }
+      result = await work(session);
+    }, { ...DEFAULT_TRANSACTION_OPTIONS, ...options });
+
+    return result;
+  } catch (error) {
+    if (isTransientTransactionError(error)) {
+      logger.error('Transaction failed after retries', error, { attempts });
+      throw new AppError(
+        'System busy, please retry',
+        503,
+        'LOCK_TIMEOUT'
+      );
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  withTransaction,
+  isTransientTransactionError,
+  DEFAULT_TRANSACTION_OPTIONS,
+};
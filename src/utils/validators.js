@@ -3,6 +3,8 @@
  * Helper functions for input validation across the application
  */
 
+const vehicleTypes = require('../constants/vehicleTypes');
+
 /**
  * Validate if string is a valid license plate format
  * Accepts alphanumeric with hyphens, length 3-20
@@ -21,12 +23,9 @@ const isValidLicensePlate = (licensePlate) => {
 /**
  * Validate vehicle type
  * @param {string} vehicleType - Vehicle type to validate
- * @returns {boolean} True if valid (MOTORCYCLE, CAR, or BUS)
+ * @returns {boolean} True if a registered vehicle type (see constants/vehicleTypes)
  */
-const isValidVehicleType = (vehicleType) => {
-  const validTypes = ['MOTORCYCLE', 'CAR', 'BUS'];
-  return validTypes.includes(vehicleType);
-};
+const isValidVehicleType = (vehicleType) => vehicleTypes.isValidVehicleType(vehicleType);
 
 /**
  * Validate spot status
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const ValidationError = require('../errors/ValidationError');
+const { isWholeCents } = require('./paymentValidator');
+const {
+  isValidPositiveDecimal,
+  isValidStringLength,
+  sanitizeString,
+} = require('../utils/validators');
+
+/**
+ * Check the request body is an object
+ * @param {any} body - Request body
+ * @throws {ValidationError} If the body is missing
+ */
+const requireBody = (body) => {
+  if (!body || typeof body !== 'object') {
+    throw new ValidationError(
+      'Request body is required',
+      'EMPTY_BODY'
+    );
+  }
+};
+
+/**
+ * Validate the fields every adjustment records: operator_id, reason
+ * The operator is the authenticated caller (JWT subject or API key); an operator_id in
+ * the body is optional and must name that caller
+ * @param {Object} body - Request body
+ * @param {Object} errors - Field errors collector
+ * @param {string} operatorId - Authenticated caller's ID (req.user.id)
+ * @returns {Object} { operator_id, reason }
+ */
+const validateAuditFields = (body, errors, operatorId) => {
+  if (body.operator_id !== undefined && body.operator_id !== operatorId) {
+    errors.operator_id = 'operator_id must match the authenticated operator';
+  }
+
+  if (!body.reason) {
+    errors.reason = 'Reason is required';
+  } else if (typeof body.reason !== 'string' || !isValidStringLength(body.reason.trim(), 3, 500)) {
+    errors.reason = 'Reason must be a string between 3 and 500 characters';
+  }
+
+  return {
+    operator_id: operatorId,
+    reason: sanitizeString(body.reason),
+  };
+};
+
+/**
+ * Validate a currency amount field (non-negative, at most 2 decimal places)
+ * @param {any} value - Raw amount
+ * @param {string} field - Field name for error keys
+ * @param {Object} errors - Field errors collector
+ * @param {boolean} allowZero - Whether 0 is accepted
+ */
+const validateAmount = (value, field, errors, allowZero) => {
+  if (!isValidPositiveDecimal(value) || (!allowZero && value === 0)) {
+    errors[field] = allowZero
+      ? `${field} must be a non-negative number`
+      : `${field} must be a positive number`;
+  } else if (!isWholeCents(value)) {
+    errors[field] = `${field} cannot have more than 2 decimal places`;
+  }
+};
+
+/**
+ * Throw the collected field errors, if any
+ * @param {Object} errors - Field errors
+ * @param {string} message - Error message
+ */
+const throwIfErrors = (errors, message) => {
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(message, 'INVALID_ADJUSTMENT_REQUEST', errors);
+  }
+};
+
+/**
+ * Validate discount request body
+ * Required fields: reason, and exactly one of amount or percent (0-100]
+ *
+ * @param {Object} body - Request body
+ * @param {string} operatorId - Authenticated caller's ID
+ * @returns {Object} Validated body
+ * @throws {ValidationError} If validation fails
+ */
+const validateDiscountRequest = (body, operatorId) => {
+  requireBody(body);
+  const errors = {};
+
+  const hasAmount = body.amount !== undefined;
+  const hasPercent = body.percent !== undefined;
+
+  if (hasAmount === hasPercent) {
+    errors.amount = 'Exactly one of amount or percent is required';
+  } else if (hasAmount) {
+    validateAmount(body.amount, 'amount', errors, false);
+  } else if (!isValidPositiveDecimal(body.percent) || body.percent === 0 || body.percent > 100) {
+    errors.percent = 'percent must be a number greater than 0 and at most 100';
+  }
+
+  const audit = validateAuditFields(body, errors, operatorId);
+  throwIfErrors(errors, 'Validation failed for discount request');
+
+  return {
+    amount: hasAmount ? body.amount : null,
+    percent: hasPercent ? body.percent : null,
+    ...audit,
+  };
+};
+
+/**
+ * Validate fee override request body
+ * Required fields: parking_fee (new fee, >= 0), reason
+ *
+ * @param {Object} body - Request body
+ * @param {string} operatorId - Authenticated caller's ID
+ * @returns {Object} Validated body
+ * @throws {ValidationError} If validation fails
+ */
+const validateFeeOverrideRequest = (body, operatorId) => {
+  requireBody(body);
+  const errors = {};
+
+  if (body.parking_fee === undefined) {
+    errors.parking_fee = 'parking_fee is required';
+  } else {
+    validateAmount(body.parking_fee, 'parking_fee', errors, true);
+  }
+
+  const audit = validateAuditFields(body, errors, operatorId);
+  throwIfErrors(errors, 'Validation failed for fee override request');
+
+  return { parking_fee: body.parking_fee, ...audit };
+};
+
+/**
+ * Validate void request body
+ * Required fields: reason
+ *
+ * @param {Object} body - Request body
+ * @param {string} operatorId - Authenticated caller's ID
+ * @returns {Object} Validated body
+ * @throws {ValidationError} If validation fails
+ */
+const validateVoidRequest = (body, operatorId) => {
+  requireBody(body);
+  const errors = {};
+
+  const audit = validateAuditFields(body, errors, operatorId);
+  throwIfErrors(errors, 'Validation failed for void request');
+
+  return audit;
+};
+
+/**
+ * Validate refund request body
+ * Required fields: amount, reason
+ * Optional fields: payment_id (refund against a payment; card payments are refunded
+ *                  through the gateway, otherwise the refund is paid out in cash)
+ *
+ * @param {Object} body - Request body
+ * @param {string} operatorId - Authenticated caller's ID
+ * @returns {Object} Validated body
+ * @throws {ValidationError} If validation fails
+ */
+const validateRefundRequest = (body, operatorId) => {
+  requireBody(body);
+  const errors = {};
+
+  if (body.amount === undefined) {
+    errors.amount = 'amount is required';
+  } else {
+    validateAmount(body.amount, 'amount', errors, false);
+  }
+
+  if (body.payment_id !== undefined && body.payment_id !== null
+    && !mongoose.isValidObjectId(body.payment_id)) {
+    errors.payment_id = 'payment_id must be a valid ObjectId';
+  }
+
+  const audit = validateAuditFields(body, errors, operatorId);
+  throwIfErrors(errors, 'Validation failed for refund request');
+
+  return {
+    amount: body.amount,
+    payment_id: body.payment_id || null,
+    ...audit,
+  };
+};
+
+module.exports = {
+  validateAuditFields,
+  validateDiscountRequest,
+  validateFeeOverrideRequest,
+  validateVoidRequest,
+  validateRefundRequest,
+};
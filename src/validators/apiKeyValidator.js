@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const ValidationError = require('../errors/ValidationError');
+const {
+  isValidISODate,
+  isValidPositiveInteger,
+  isValidStringLength,
+  sanitizeString,
+} = require('../utils/validators');
+const { getValidRoles, isValidRole } = require('../constants/roles');
+
+const KEY_STATUSES = ['ACTIVE', 'REVOKED'];
+// Longest time an old key keeps working after a rotation (7 days)
+const MAX_GRACE_PERIOD_MINUTES = 10080;
+
+/**
+ * Throw a ValidationError when any field errors were collected
+ * @param {Object} errors - Field errors
+ * @param {string} message - Error message
+ * @param {string} errorCode - Error code
+ * @throws {ValidationError} If errors is not empty
+ */
+const throwIfErrors = (errors, message, errorCode = 'INVALID_API_KEY_REQUEST') => {
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(message, errorCode, errors);
+  }
+};
+
+/**
+ * Ensure a request body is present
+ * @param {Object} body - Request body
+ * @throws {ValidationError} If body is missing
+ */
+const requireBody = (body) => {
+  if (!body || typeof body !== 'object') {
+    throw new ValidationError(
+      'Request body is required',
+      'EMPTY_BODY'
+    );
+  }
+};
+
+/**
+ * Validate an optional expires_at field (null = never)
+ * @param {Object} body - Request body
+ * @param {Object} errors - Field errors collector
+ * @param {Object} validated - Validated fields collector
+ */
+const validateExpiry = (body, errors, validated) => {
+  if (body.expires_at === undefined || body.expires_at === null) {
+    return;
+  }
+
+  if (!isValidISODate(body.expires_at)) {
+    errors.expires_at = 'expires_at must be an ISO 8601 date';
+  } else if (new Date(body.expires_at) <= new Date()) {
+    errors.expires_at = 'expires_at must be in the future';
+  } else {
+    validated.expires_at = new Date(body.expires_at);
+  }
+};
+
+/**
+ * Validate create API key request body
+ * Required fields: name
+ * Optional fields: role (default KIOSK), expires_at (default: never)
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Validated key data
+ * @throws {ValidationError} If validation fails
+ */
+const validateCreateApiKeyRequest = (body) => {
+  requireBody(body);
+  const errors = {};
+  const validated = {};
+
+  if (body.name === undefined || body.name === null) {
+    errors.name = 'name is required';
+  } else if (typeof body.name !== 'string' || !isValidStringLength(body.name.trim(), 3, 100)) {
+    errors.name = 'Name must be a string between 3 and 100 characters';
+  } else {
+    validated.name = sanitizeString(body.name);
+  }
+
+  if (body.role !== undefined) {
+    const role = typeof body.role === 'string' ? body.role.trim().toUpperCase() : null;
+    if (!isValidRole(role)) {
+      errors.role = `Role must be one of: ${getValidRoles().join(', ')}`;
+    } else {
+      validated.role = role;
+    }
+  }
+
+  validateExpiry(body, errors, validated);
+
+  throwIfErrors(errors, 'Validation failed for API key request');
+
+  return validated;
+};
+
+/**
+ * Validate rotate API key request body (the body is optional)
+ * Optional fields: grace_period_minutes (0-10080, default 0 = old key revoked at once),
+ *                  expires_at (of the new key, default: never)
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Validated rotation data
+ * @throws {ValidationError} If validation fails
+ */
+const validateRotateApiKeyRequest = (body) => {
+  const data = body || {};
+  const errors = {};
+  const validated = { grace_period_minutes: 0 };
+
+  if (data.grace_period_minutes !== undefined) {
+    if (
+      !isValidPositiveInteger(data.grace_period_minutes, 0) ||
+      data.grace_period_minutes > MAX_GRACE_PERIOD_MINUTES
+    ) {
+      errors.grace_period_minutes =
+        `grace_period_minutes must be an integer between 0 and ${MAX_GRACE_PERIOD_MINUTES}`;
+    } else {
+      validated.grace_period_minutes = data.grace_period_minutes;
+    }
+  }
+
+  validateExpiry(data, errors, validated);
+
+  throwIfErrors(errors, 'Validation failed for API key rotation');
+
+  return validated;
+};
+
+/**
+ * Validate API key list query parameters
+ * Optional parameters: status (ACTIVE or REVOKED)
+ *
+ * @param {Object} query - Query parameters
+ * @returns {Object} Validated filters
+ * @throws {ValidationError} If validation fails
+ */
+const validateApiKeyQueryParams = (query) => {
+  const errors = {};
+  const validated = {};
+
+  if (query.status !== undefined) {
+    const status = String(query.status).toUpperCase();
+    if (!KEY_STATUSES.includes(status)) {
+      errors.status = `Status must be one of: ${KEY_STATUSES.join(', ')}`;
+    } else {
+      validated.status = status;
+    }
+  }
+
+  throwIfErrors(errors, 'Invalid query parameters for API keys', 'INVALID_QUERY_PARAMS');
+
+  return validated;
+};
+
+/**
+ * Validate API key ID path parameter
+ * @param {string} keyId - API key ID from path
+ * @returns {string} Validated key ID
+ * @throws {ValidationError} If the ID is not a valid ObjectId
+ */
+const validateApiKeyIdParam = (keyId) => {
+  if (!mongoose.isValidObjectId(keyId)) {
+    throw new ValidationError(
+      `Invalid API key ID format: ${keyId}`,
+      'INVALID_ID',
+      { key_id: 'API key ID must be a valid ObjectId' }
+    );
+  }
+
+  return keyId;
+};
+
+module.exports = {
+  validateCreateApiKeyRequest,
+  validateRotateApiKeyRequest,
+  validateApiKeyQueryParams,
+  validateApiKeyIdParam,
+};
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const ValidationError = require('../errors/ValidationError');
+const { isValidISODate, isValidPositiveInteger } = require('../utils/validators');
+
+// Entities whose changes are audited (see auditService)
+const ENTITY_TYPES = ['ParkingTransaction', 'Payment', 'ParkingSpot', 'ParkingLot', 'RateCard'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Validate audit log query parameters
+ * Optional filters: actor_id, action, entity_type, entity_id, lot_id, request_id,
+ *                   from, to (ISO 8601)
+ * Optional pagination: page (default 1), limit (default 50, max 200)
+ *
+ * @param {Object} query - Query parameters
+ * @returns {Object} { filters, pagination }
+ * @throws {ValidationError} If validation fails
+ */
+const validateAuditQueryParams = (query) => {
+  const errors = {};
+  const filters = {};
+
+  ['actor_id', 'request_id'].forEach((field) => {
+    if (query[field] !== undefined) {
+      const value = String(query[field]).trim();
+      if (value.length === 0 || value.length > 128) {
+        errors[field] = `${field} must be between 1 and 128 characters`;
+      } else {
+        filters[field] = value;
+      }
+    }
+  });
+
+  if (query.action !== undefined) {
+    const action = String(query.action).trim().toUpperCase();
+    if (!/^[A-Z_]{1,64}$/.test(action)) {
+      errors.action = 'action must be an operation name such as VEHICLE_ENTRY';
+    } else {
+      filters.action = action;
+    }
+  }
+
+  if (query.entity_type !== undefined) {
+    if (!ENTITY_TYPES.includes(query.entity_type)) {
+      errors.entity_type = `Entity type must be one of: ${ENTITY_TYPES.join(', ')}`;
+    } else {
+      filters.entity_type = query.entity_type;
+    }
+  }
+
+  ['entity_id', 'lot_id'].forEach((field) => {
+    if (query[field] !== undefined) {
+      if (!mongoose.isValidObjectId(query[field])) {
+        errors[field] = `${field} must be a valid ObjectId`;
+      } else {
+        filters[field] = query[field];
+      }
+    }
+  });
+
+  ['from', 'to'].forEach((field) => {
+    if (query[field] !== undefined) {
+      if (!isValidISODate(query[field])) {
+        errors[field] = `${field} must be an ISO 8601 date`;
+      } else {
+        filters[field] = new Date(query[field]);
+      }
+    }
+  });
+
+  if (filters.from && filters.to && filters.to < filters.from) {
+    errors.to = 'to must not be before from';
+  }
+
+  const pagination = { page: 1, limit: DEFAULT_PAGE_SIZE };
+
+  if (query.page !== undefined) {
+    const page = Number(query.page);
+    if (!isValidPositiveInteger(page)) {
+      errors.page = 'page must be a positive integer';
+    } else {
+      pagination.page = page;
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!isValidPositiveInteger(limit) || limit > MAX_PAGE_SIZE) {
+      errors.limit = `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`;
+    } else {
+      pagination.limit = limit;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(
+      'Invalid query parameters for audit log',
+      'INVALID_QUERY_PARAMS',
+      errors
+    );
+  }
+
+  return { filters, pagination };
+};
+
+module.exports = {
+  validateAuditQueryParams,
+};
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const ValidationError = require('../errors/ValidationError');
+const { isValidPositiveDecimal } = require('../utils/validators');
+
+const SESSION_STATUSES = ['ACTIVE', 'COMPLETED'];
+
+/**
+ * Throw a ValidationError when any field errors were collected
+ * @param {Object} errors - Field errors
+ * @param {string} message - Error message
+ * @param {string} errorCode - Error code
+ * @throws {ValidationError} If errors is not empty
+ */
+const throwIfErrors = (errors, message, errorCode = 'INVALID_CHARGING_REQUEST') => {
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(message, errorCode, errors);
+  }
+};
+
+/**
+ * Validate start charging request body
+ * Required fields: transaction_id (active transaction of an EV parked on a charger spot)
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Validated data
+ * @throws {ValidationError} If validation fails
+ */
+const validateStartChargingRequest = (body) => {
+  if (!body || typeof body !== 'object') {
+    throw new ValidationError(
+      'Request body is required',
+      'EMPTY_BODY'
+    );
+  }
+
+  const errors = {};
+
+  if (body.transaction_id === undefined || body.transaction_id === null) {
+    errors.transaction_id = 'transaction_id is required';
+  } else if (!mongoose.isValidObjectId(body.transaction_id)) {
+    errors.transaction_id = 'transaction_id must be a valid ObjectId';
+  }
+
+  throwIfErrors(errors, 'Validation failed for charging request');
+
+  return { transaction_id: body.transaction_id };
+};
+
+/**
+ * Validate stop charging request body
+ * Optional fields: energy_kwh (meter reading; estimated from the charger rating if omitted)
+ *
+ * @param {Object} body - Request body (optional)
+ * @returns {Object} Validated data
+ * @throws {ValidationError} If validation fails
+ */
+const validateStopChargingRequest = (body) => {
+  const errors = {};
+  const validated = {};
+  const energyKwh = body && typeof body === 'object' ? body.energy_kwh : undefined;
+
+  if (energyKwh !== undefined && energyKwh !== null) {
+    if (!isValidPositiveDecimal(energyKwh)) {
+      errors.energy_kwh = 'energy_kwh must be a non-negative number';
+    } else {
+      validated.energy_kwh = energyKwh;
+    }
+  }
+
+  throwIfErrors(errors, 'Validation failed for charging request');
+
+  return validated;
+};
+
+/**
+ * Validate charging session list query parameters
+ * Optional parameters: status (ACTIVE or COMPLETED), transaction_id
+ *
+ * @param {Object} query - Query parameters
+ * @returns {Object} Validated filters
+ * @throws {ValidationError} If validation fails
+ */
+const validateChargingQueryParams = (query) => {
+  const errors = {};
+  const validated = {};
+
+  if (query.status !== undefined) {
+    const status = String(query.status).toUpperCase();
+    if (!SESSION_STATUSES.includes(status)) {
+      errors.status = `Status must be one of: ${SESSION_STATUSES.join(', ')}`;
+    } else {
+      validated.status = status;
+    }
+  }
+
+  if (query.transaction_id !== undefined) {
+    if (!mongoose.isValidObjectId(query.transaction_id)) {
+      errors.transaction_id = 'transaction_id must be a valid ObjectId';
+    } else {
+      validated.transaction_id = query.transaction_id;
+    }
+  }
+
+  throwIfErrors(errors, 'Invalid query parameters for charging sessions', 'INVALID_QUERY_PARAMS');
+
+  return validated;
+};
+
+/**
+ * Validate charging session ID path parameter
+ * @param {string} sessionId - Charging session ID from path
+ * @returns {string} Validated charging session ID
+ * @throws {ValidationError} If the ID is not a valid ObjectId
+ */
+const validateChargingSessionIdParam = (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw new ValidationError(
+      `Invalid charging session ID format: ${sessionId}`,
+      'INVALID_ID',
+      { session_id: 'Charging session ID must be a valid ObjectId' }
+    );
+  }
+
+  return sessionId;
+};
+
+module.exports = {
+  validateStartChargingRequest,
+  validateStopChargingRequest,
+  validateChargingQueryParams,
+  validateChargingSessionIdParam,
+};
@@ -5,17 +5,45 @@ const {
   isValidStringLength,
   sanitizeString,
 } = require('../utils/validators');
+const { describeValidVehicleTypes } = require('../constants/vehicleTypes');
+const { matchPlateRegion } = require('../utils/plateRegions');
+const { getValidSpotAttributes, isValidSpotAttribute } = require('../constants/spotAttributes');
+
+/**
+ * Check a plate against the region formats configured for the lot
+ * A plate matching none of the regions is rejected (REJECT mode) or flagged (FLAG mode)
+ * @param {string} licensePlate - License plate
+ * @param {Object} lot - Parking lot (plate_regions, plate_region_mode)
+ * @param {Object} errors - Field errors collector
+ * @returns {Object} Plate check (regions_applied, matched_region, flagged)
+ */
+const checkPlateRegions = (licensePlate, lot, errors) => {
+  const regions = (lot && lot.plate_regions) || [];
+  const { regions_applied, matched_region } = matchPlateRegion(licensePlate, regions);
+  const mismatch = regions_applied.length > 0 && !matched_region;
+
+  if (mismatch && lot.plate_region_mode === 'REJECT') {
+    errors.license_plate =
+      `License plate does not match the formats of: ${regions_applied.join(', ')}`;
+  }
+
+  return { regions_applied, matched_region, flagged: mismatch };
+};
 
 /**
  * Validate vehicle entry request body
  * Required fields: license_plate, vehicle_type
- * Optional fields: owner_name, registration_number
+ * Optional fields: owner_name, registration_number, is_ev, charging_requested
+ * (requesting charging implies an EV), needs (spot attributes preferred, e.g. FAMILY),
+ * accessible_permit (disabled badge; required to need or use ACCESSIBLE spots)
+ * The plate is also checked against the lot's plate regions, when configured
  *
  * @param {Object} body - Request body
- * @returns {Object} Validated and sanitized body
+ * @param {Object} lot - Parking lot being entered (optional)
+ * @returns {Object} Validated and sanitized body, with the plate check
  * @throws {ValidationError} If validation fails
  */
-const validateEntryRequest = (body) => {
+const validateEntryRequest = (body, lot = null) => {
   const errors = {};
 
   // Check if body exists
@@ -35,13 +63,18 @@ const validateEntryRequest = (body) => {
     errors.license_plate = 'Invalid license plate format (3-20 alphanumeric characters)';
   }
 
+  // Check the lot's region plate formats
+  const plateCheck = errors.license_plate
+    ? null
+    : checkPlateRegions(body.license_plate, lot, errors);
+
   // Validate vehicle_type (required)
   if (!body.vehicle_type) {
     errors.vehicle_type = 'Vehicle type is required';
   } else if (typeof body.vehicle_type !== 'string') {
     errors.vehicle_type = 'Vehicle type must be a string';
   } else if (!isValidVehicleType(body.vehicle_type)) {
-    errors.vehicle_type = 'Invalid vehicle type. Must be MOTORCYCLE, CAR, or BUS';
+    errors.vehicle_type = `Invalid vehicle type. Must be one of: ${describeValidVehicleTypes()}`;
   }
 
   // Validate owner_name (optional)
@@ -66,6 +99,35 @@ const validateEntryRequest = (body) => {
     }
   }
 
+  // Validate EV flags (optional)
+  ['is_ev', 'charging_requested'].forEach((field) => {
+    if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+      errors[field] = `${field} must be a boolean`;
+    }
+  });
+
+  if (body.charging_requested === true && body.is_ev === false) {
+    errors.charging_requested = 'Charging can only be requested for electric vehicles';
+  }
+
+  // Validate spot needs (optional)
+  if (body.accessible_permit !== undefined && typeof body.accessible_permit !== 'boolean') {
+    errors.accessible_permit = 'accessible_permit must be a boolean';
+  }
+
+  let needs = [];
+  if (body.needs !== undefined && body.needs !== null) {
+    needs = Array.isArray(body.needs)
+      ? [...new Set(body.needs.map((need) => String(need).trim().toUpperCase()))]
+      : null;
+
+    if (!needs || !needs.every(isValidSpotAttribute)) {
+      errors.needs = `needs must be a list of: ${getValidSpotAttributes().join(', ')}`;
+    } else if (needs.includes('ACCESSIBLE') && body.accessible_permit !== true) {
+      errors.needs = 'Accessible spots require accessible_permit';
+    }
+  }
+
   // If there are errors, throw ValidationError
   if (Object.keys(errors).length > 0) {
     throw new ValidationError(
@@ -83,6 +145,12 @@ const validateEntryRequest = (body) => {
     registration_number: body.registration_number
       ? sanitizeString(body.registration_number)
       : null,
+    // null keeps the EV flag already recorded for a returning vehicle
+    is_ev: body.charging_requested === true ? true : (body.is_ev ?? null),
+    charging_requested: body.charging_requested === true,
+    needs,
+    accessible_permit: body.accessible_permit === true,
+    plate_check: plateCheck,
   };
 };
 
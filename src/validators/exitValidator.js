@@ -1,11 +1,24 @@
 const ValidationError = require('../errors/ValidationError');
 const {
   isValidLicensePlate,
+  isValidISODate,
+  isValidPositiveInteger,
 } = require('../utils/validators');
+const { validatePaymentFields } = require('./paymentValidator');
+const { validateAuditFields } = require('./adjustmentValidator');
+
+// Plate fragments shorter than this match too many vehicles to be useful
+const MIN_PLATE_FRAGMENT_LENGTH = 2;
+
+// Candidates returned by a fuzzy plate search
+const DEFAULT_CANDIDATE_LIMIT = 5;
+const MAX_CANDIDATE_LIMIT = 20;
 
 /**
  * Validate vehicle exit request body
  * Required field: license_plate
+ * Optional field: payment ({ method, amount?, payment_token?, reference? }) to pay at exit;
+ *                 amount defaults to the full parking fee
  *
  * @param {Object} body - Request body
  * @returns {Object} Validated and sanitized body
@@ -31,6 +44,19 @@ const validateExitRequest = (body) => {
     errors.license_plate = 'Invalid license plate format (3-20 alphanumeric characters)';
   }
 
+  // Validate payment (optional)
+  let payment = null;
+  if (body.payment !== undefined && body.payment !== null) {
+    if (typeof body.payment !== 'object' || Array.isArray(body.payment)) {
+      errors.payment = 'Payment must be an object';
+    } else {
+      payment = validatePaymentFields(body.payment, errors, {
+        requireAmount: false,
+        prefix: 'payment.',
+      });
+    }
+  }
+
   // If there are errors, throw ValidationError
   if (Object.keys(errors).length > 0) {
     throw new ValidationError(
@@ -43,9 +69,165 @@ const validateExitRequest = (body) => {
   // Return sanitized body
   return {
     license_plate: body.license_plate.trim().toUpperCase(),
+    payment,
+  };
+};
+
+/**
+ * Validate manual exit request body
+ * Required fields: reason (the operator is the authenticated caller)
+ * Optional fields: lost_ticket (default: false; applies the lost-ticket fee),
+ *                  payment (as for a standard exit)
+ *
+ * @param {Object} body - Request body
+ * @param {string} operatorId - Authenticated caller's ID
+ * @returns {Object} Validated and sanitized body
+ * @throws {ValidationError} If validation fails
+ */
+const validateManualExitRequest = (body, operatorId) => {
+  const errors = {};
+
+  if (!body || typeof body !== 'object') {
+    throw new ValidationError(
+      'Request body is required',
+      'EMPTY_BODY'
+    );
+  }
+
+  const audit = validateAuditFields(body, errors, operatorId);
+
+  if (body.lost_ticket !== undefined && typeof body.lost_ticket !== 'boolean') {
+    errors.lost_ticket = 'lost_ticket must be a boolean';
+  }
+
+  let payment = null;
+  if (body.payment !== undefined && body.payment !== null) {
+    if (typeof body.payment !== 'object' || Array.isArray(body.payment)) {
+      errors.payment = 'Payment must be an object';
+    } else {
+      payment = validatePaymentFields(body.payment, errors, {
+        requireAmount: false,
+        prefix: 'payment.',
+      });
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(
+      'Validation failed for manual exit request',
+      'INVALID_EXIT_REQUEST',
+      errors
+    );
+  }
+
+  return {
+    ...audit,
+    lost_ticket: body.lost_ticket === true,
+    payment,
   };
 };
 
+/**
+ * Validate active transaction search query parameters
+ * Optional parameters: plate (fragment, case-insensitive), floor_number, spot_number,
+ *                      entered_after, entered_before (ISO 8601)
+ *
+ * @param {Object} query - Query parameters
+ * @returns {Object} Validated criteria
+ * @throws {ValidationError} If validation fails
+ */
+const validateActiveTransactionSearchParams = (query) => {
+  const errors = {};
+  const validated = {};
+
+  if (query.plate !== undefined) {
+    const plate = String(query.plate).trim();
+    if (plate.length < MIN_PLATE_FRAGMENT_LENGTH || plate.length > 20) {
+      errors.plate = `Plate must be between ${MIN_PLATE_FRAGMENT_LENGTH} and 20 characters`;
+    } else {
+      validated.plate = plate;
+    }
+  }
+
+  ['floor_number', 'spot_number'].forEach((field) => {
+    if (query[field] !== undefined) {
+      const value = Number(query[field]);
+      if (!isValidPositiveInteger(value)) {
+        errors[field] = `${field} must be a positive integer`;
+      } else {
+        validated[field] = value;
+      }
+    }
+  });
+
+  ['entered_after', 'entered_before'].forEach((field) => {
+    if (query[field] !== undefined) {
+      if (!isValidISODate(query[field])) {
+        errors[field] = `${field} must be an ISO 8601 date`;
+      } else {
+        validated[field] = new Date(query[field]);
+      }
+    }
+  });
+
+  if (validated.entered_after && validated.entered_before
+    && validated.entered_before < validated.entered_after) {
+    errors.entered_before = 'entered_before must not be before entered_after';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(
+      'Invalid query parameters for transaction search',
+      'INVALID_QUERY_PARAMS',
+      errors
+    );
+  }
+
+  return validated;
+};
+
+/**
+ * Validate fuzzy plate search query parameters
+ * Required parameter: plate (as read or typed; separators are ignored)
+ * Optional parameter: limit (default 5, max 20)
+ *
+ * @param {Object} query - Query parameters
+ * @returns {Object} Validated criteria
+ * @throws {ValidationError} If validation fails
+ */
+const validatePlateSearchParams = (query) => {
+  const errors = {};
+  const validated = {};
+
+  if (query.plate === undefined || String(query.plate).trim() === '') {
+    errors.plate = 'plate is required';
+  } else if (!isValidLicensePlate(String(query.plate).trim().replace(/\s+/g, '-'))) {
+    errors.plate = 'Invalid license plate format (3-20 alphanumeric characters)';
+  } else {
+    validated.plate = String(query.plate).trim();
+  }
+
+  validated.limit = DEFAULT_CANDIDATE_LIMIT;
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!isValidPositiveInteger(limit) || limit > MAX_CANDIDATE_LIMIT) {
+      errors.limit = `limit must be an integer between 1 and ${MAX_CANDIDATE_LIMIT}`;
+    } else {
+      validated.limit = limit;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(
+      'Invalid query parameters for plate search',
+      'INVALID_QUERY_PARAMS',
+      errors
+    );
+  }
+
+  return validated;
+};
+
 /**
  * Validate optional query parameters for exit request
  * Optional parameters: payment_method
@@ -109,6 +291,9 @@ const validateLicensePlateParam = (licensePlate) => {
 
 module.exports = {
   validateExitRequest,
+  validateManualExitRequest,
+  validateActiveTransactionSearchParams,
+  validatePlateSearchParams,
   validateExitQueryParams,
   validateLicensePlateParam,
 };
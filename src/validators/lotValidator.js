@@ -0,0 +1,447 @@
+const mongoose = require('mongoose');
+const ValidationError = require('../errors/ValidationError');
+const {
+  isValidVehicleType,
+  isValidSpotStatus,
+  isValidPositiveInteger,
+  isValidPositiveDecimal,
+  isValidStringLength,
+  sanitizeString,
+} = require('../utils/validators');
+const { describeValidVehicleTypes } = require('../constants/vehicleTypes');
+const { isValidTimeZone } = require('../utils/timeZone');
+const { getValidSpotAttributes, isValidSpotAttribute } = require('../constants/spotAttributes');
+const {
+  isValidPlateRegion,
+  getPlateRegionCodes,
+  PLATE_REGION_MODES,
+} = require('../utils/plateRegions');
+
+// Spots become OCCUPIED only through vehicle entry
+const ADMIN_SPOT_STATUSES = ['AVAILABLE', 'MAINTENANCE'];
+
+// Upper bound for generated spots per type on a single floor
+const MAX_SPOTS_PER_TYPE = 1000;
+
+/**
+ * Throw a ValidationError when any field errors were collected
+ * @param {Object} errors - Field errors
+ * @param {string} message - Error message
+ * @param {string} errorCode - Error code
+ * @throws {ValidationError} If errors is not empty
+ */
+const throwIfErrors = (errors, message, errorCode) => {
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(message, errorCode, errors);
+  }
+};
+
+/**
+ * Ensure a request body is present
+ * @param {Object} body - Request body
+ * @throws {ValidationError} If body is missing
+ */
+const requireBody = (body) => {
+  if (!body || typeof body !== 'object') {
+    throw new ValidationError(
+      'Request body is required',
+      'EMPTY_BODY'
+    );
+  }
+};
+
+/**
+ * Validate the plate region settings shared by lot create and update
+ * @param {Object} body - Request body
+ * @param {Object} errors - Field errors collector
+ * @param {Object} validated - Validated fields collector
+ */
+const validatePlateRegionFields = (body, errors, validated) => {
+  if (body.plate_regions !== undefined) {
+    const codes = body.plate_regions;
+    if (!Array.isArray(codes)
+      || !codes.every((code) => typeof code === 'string' && isValidPlateRegion(code))) {
+      errors.plate_regions =
+        `Plate regions must be an array of: ${getPlateRegionCodes().join(', ')}`;
+    } else {
+      validated.plate_regions = [...new Set(codes.map((code) => code.toUpperCase()))];
+    }
+  }
+
+  if (body.plate_region_mode !== undefined) {
+    const mode = typeof body.plate_region_mode === 'string'
+      ? body.plate_region_mode.toUpperCase()
+      : null;
+    if (!PLATE_REGION_MODES.includes(mode)) {
+      errors.plate_region_mode =
+        `Plate region mode must be one of: ${PLATE_REGION_MODES.join(', ')}`;
+    } else {
+      validated.plate_region_mode = mode;
+    }
+  }
+};
+
+/**
+ * Validate create parking lot request body
+ * Required fields: name
+ * Optional fields: total_floors, timezone (IANA, default: UTC),
+ *                  plate_regions (default: none), plate_region_mode (FLAG or REJECT, default: FLAG)
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Validated and sanitized body
+ * @throws {ValidationError} If validation fails
+ */
+const validateCreateLotRequest = (body) => {
+  requireBody(body);
+  const errors = {};
+
+  if (!body.name) {
+    errors.name = 'Name is required';
+  } else if (typeof body.name !== 'string' || !isValidStringLength(body.name.trim(), 1, 100)) {
+    errors.name = 'Name must be a string between 1 and 100 characters';
+  }
+
+  if (body.total_floors !== undefined && !isValidPositiveInteger(body.total_floors)) {
+    errors.total_floors = 'Total floors must be a positive integer';
+  }
+
+  if (body.timezone !== undefined && !isValidTimeZone(body.timezone)) {
+    errors.timezone = 'Timezone must be a valid IANA time zone (e.g. Europe/London)';
+  }
+
+  const plateRegionSettings = {};
+  validatePlateRegionFields(body, errors, plateRegionSettings);
+
+  throwIfErrors(errors, 'Validation failed for lot request', 'INVALID_LOT_REQUEST');
+
+  return {
+    name: sanitizeString(body.name),
+    total_floors: body.total_floors,
+    timezone: body.timezone,
+    ...plateRegionSettings,
+  };
+};
+
+/**
+ * Validate update parking lot request body
+ * Optional fields: name, total_floors, timezone, plate_regions, plate_region_mode
+ *                  (at least one required)
+ * Spot counters are derived from the layout and cannot be set directly
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Validated and sanitized update data
+ * @throws {ValidationError} If validation fails
+ */
+const validateUpdateLotRequest = (body) => {
+  requireBody(body);
+  const errors = {};
+  const validated = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !isValidStringLength(body.name.trim(), 1, 100)) {
+      errors.name = 'Name must be a string between 1 and 100 characters';
+    } else {
+      validated.name = sanitizeString(body.name);
+    }
+  }
+
+  if (body.total_floors !== undefined) {
+    if (!isValidPositiveInteger(body.total_floors)) {
+      errors.total_floors = 'Total floors must be a positive integer';
+    } else {
+      validated.total_floors = body.total_floors;
+    }
+  }
+
+  if (body.timezone !== undefined) {
+    if (!isValidTimeZone(body.timezone)) {
+      errors.timezone = 'Timezone must be a valid IANA time zone (e.g. Europe/London)';
+    } else {
+      validated.timezone = body.timezone;
+    }
+  }
+
+  validatePlateRegionFields(body, errors, validated);
+
+  if (Object.keys(errors).length === 0 && Object.keys(validated).length === 0) {
+    errors.body = 'At least one lot field is required';
+  }
+
+  throwIfErrors(errors, 'Validation failed for lot update', 'INVALID_LOT_REQUEST');
+
+  return validated;
+};
+
+/**
+ * Validate the spot_type, status, attributes and ev_charger_kw fields shared by spot create
+ * and update
+ * @param {Object} body - Request body
+ * @param {Object} errors - Field errors collector
+ * @param {Object} validated - Validated fields collector
+ */
+const validateSpotFields = (body, errors, validated) => {
+  if (body.spot_type !== undefined) {
+    const spotType = typeof body.spot_type === 'string' ? body.spot_type.trim().toUpperCase() : null;
+    if (!isValidVehicleType(spotType)) {
+      errors.spot_type = `Invalid spot type. Must be one of: ${describeValidVehicleTypes()}`;
+    } else {
+      validated.spot_type = spotType;
+    }
+  }
+
+  if (body.status !== undefined) {
+    const status = typeof body.status === 'string' ? body.status.trim().toUpperCase() : null;
+    if (!isValidSpotStatus(status) || !ADMIN_SPOT_STATUSES.includes(status)) {
+      errors.status = `Status must be one of: ${ADMIN_SPOT_STATUSES.join(', ')}`;
+    } else {
+      validated.status = status;
+    }
+  }
+
+  // Spot categories, e.g. ["ACCESSIBLE"]; [] removes them all
+  if (body.attributes !== undefined) {
+    const attributes = Array.isArray(body.attributes)
+      ? [...new Set(body.attributes.map((attribute) => String(attribute).trim().toUpperCase()))]
+      : null;
+    if (!attributes || !attributes.every(isValidSpotAttribute)) {
+      errors.attributes = `Attributes must be a list of: ${getValidSpotAttributes().join(', ')}`;
+    } else {
+      validated.attributes = attributes;
+    }
+  }
+
+  // Charger power rating in kW; null removes the charger
+  if (body.ev_charger_kw !== undefined) {
+    if (body.ev_charger_kw === null) {
+      validated.ev_charger_kw = null;
+    } else if (!isValidPositiveDecimal(body.ev_charger_kw) || body.ev_charger_kw === 0) {
+      errors.ev_charger_kw = 'ev_charger_kw must be a positive number (kW) or null';
+    } else {
+      validated.ev_charger_kw = body.ev_charger_kw;
+    }
+  }
+};
+
+/**
+ * Validate create spot request body
+ * Required fields: floor_number, spot_number, spot_type
+ * Optional fields: status (AVAILABLE or MAINTENANCE), attributes (spot categories),
+ *                  ev_charger_kw (charger rating)
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Validated spot data
+ * @throws {ValidationError} If validation fails
+ */
+const validateCreateSpotRequest = (body) => {
+  requireBody(body);
+  const errors = {};
+  const validated = {};
+
+  ['floor_number', 'spot_number'].forEach((field) => {
+    if (!isValidPositiveInteger(body[field])) {
+      errors[field] = `${field} must be a positive integer`;
+    } else {
+      validated[field] = body[field];
+    }
+  });
+
+  if (body.spot_type === undefined) {
+    errors.spot_type = 'Spot type is required';
+  }
+
+  validateSpotFields(body, errors, validated);
+
+  throwIfErrors(errors, 'Validation failed for spot request', 'INVALID_SPOT_REQUEST');
+
+  return validated;
+};
+
+/**
+ * Validate update spot request body
+ * Optional fields: spot_number, spot_type, status, attributes, ev_charger_kw
+ *                  (at least one required)
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Validated update data
+ * @throws {ValidationError} If validation fails
+ */
+const validateUpdateSpotRequest = (body) => {
+  requireBody(body);
+  const errors = {};
+  const validated = {};
+
+  if (body.floor_number !== undefined) {
+    errors.floor_number = 'Floor number cannot be changed; delete and recreate the spot';
+  }
+
+  if (body.spot_number !== undefined) {
+    if (!isValidPositiveInteger(body.spot_number)) {
+      errors.spot_number = 'spot_number must be a positive integer';
+    } else {
+      validated.spot_number = body.spot_number;
+    }
+  }
+
+  validateSpotFields(body, errors, validated);
+
+  if (Object.keys(errors).length === 0 && Object.keys(validated).length === 0) {
+    errors.body = 'At least one spot field is required';
+  }
+
+  throwIfErrors(errors, 'Validation failed for spot update', 'INVALID_SPOT_REQUEST');
+
+  return validated;
+};
+
+/**
+ * Validate generate floor request body
+ * Required fields: spots_per_type ({ <vehicle type>: n } non-negative integers, total > 0)
+ * Optional fields: floor_number (defaults to the floor above the highest existing one)
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Validated floor data
+ * @throws {ValidationError} If validation fails
+ */
+const validateGenerateFloorRequest = (body) => {
+  requireBody(body);
+  const errors = {};
+  const validated = { spots_per_type: {} };
+
+  if (body.floor_number !== undefined) {
+    if (!isValidPositiveInteger(body.floor_number)) {
+      errors.floor_number = 'Floor number must be a positive integer';
+    } else {
+      validated.floor_number = body.floor_number;
+    }
+  }
+
+  const spotsPerType = body.spots_per_type;
+  if (!spotsPerType || typeof spotsPerType !== 'object' || Array.isArray(spotsPerType)) {
+    errors.spots_per_type = 'spots_per_type is required (e.g. { "CAR": 20, "BUS": 2 })';
+  } else {
+    Object.keys(spotsPerType).forEach((key) => {
+      const type = key.toUpperCase();
+      const count = spotsPerType[key];
+
+      if (!isValidVehicleType(type)) {
+        errors[`spots_per_type.${key}`] =
+          `Invalid spot type. Must be one of: ${describeValidVehicleTypes()}`;
+      } else if (!isValidPositiveInteger(count, 0) || count > MAX_SPOTS_PER_TYPE) {
+        errors[`spots_per_type.${key}`] = `Spot count must be an integer between 0 and ${MAX_SPOTS_PER_TYPE}`;
+      } else {
+        validated.spots_per_type[type] = count;
+      }
+    });
+
+    const total = Object.values(validated.spots_per_type).reduce((sum, n) => sum + n, 0);
+    if (Object.keys(errors).length === 0 && total === 0) {
+      errors.spots_per_type = 'At least one spot must be generated';
+    }
+  }
+
+  throwIfErrors(errors, 'Validation failed for floor request', 'INVALID_FLOOR_REQUEST');
+
+  return validated;
+};
+
+/**
+ * Validate spot list query parameters
+ * Optional parameters: floor_number, spot_type, status, attribute
+ *
+ * @param {Object} query - Query parameters
+ * @returns {Object} Validated filters
+ * @throws {ValidationError} If validation fails
+ */
+const validateSpotQueryParams = (query) => {
+  const errors = {};
+  const validated = {};
+
+  if (query.floor_number !== undefined) {
+    const floorNumber = parseInt(query.floor_number, 10);
+    if (isNaN(floorNumber) || floorNumber < 1) {
+      errors.floor_number = 'Floor number must be a positive integer';
+    } else {
+      validated.floor_number = floorNumber;
+    }
+  }
+
+  if (query.spot_type !== undefined) {
+    const spotType = String(query.spot_type).toUpperCase();
+    if (!isValidVehicleType(spotType)) {
+      errors.spot_type = `Invalid spot type. Must be one of: ${describeValidVehicleTypes()}`;
+    } else {
+      validated.spot_type = spotType;
+    }
+  }
+
+  if (query.status !== undefined) {
+    const status = String(query.status).toUpperCase();
+    if (!isValidSpotStatus(status)) {
+      errors.status = 'Status must be one of: AVAILABLE, OCCUPIED, MAINTENANCE';
+    } else {
+      validated.status = status;
+    }
+  }
+
+  if (query.attribute !== undefined) {
+    const attribute = String(query.attribute).toUpperCase();
+    if (!isValidSpotAttribute(attribute)) {
+      errors.attribute = `Attribute must be one of: ${getValidSpotAttributes().join(', ')}`;
+    } else {
+      validated.attributes = attribute;
+    }
+  }
+
+  throwIfErrors(errors, 'Invalid query parameters for spots', 'INVALID_QUERY_PARAMS');
+
+  return validated;
+};
+
+/**
+ * Validate spot ID path parameter
+ * @param {string} spotId - Spot ID from path
+ * @returns {string} Validated spot ID
+ * @throws {ValidationError} If the ID is not a valid ObjectId
+ */
+const validateSpotIdParam = (spotId) => {
+  if (!mongoose.isValidObjectId(spotId)) {
+    throw new ValidationError(
+      `Invalid spot ID format: ${spotId}`,
+      'INVALID_ID',
+      { spot_id: 'Spot ID must be a valid ObjectId' }
+    );
+  }
+
+  return spotId;
+};
+
+/**
+ * Validate floor number path parameter
+ * @param {string} floorNumber - Floor number from path
+ * @returns {number} Validated floor number
+ * @throws {ValidationError} If the floor number is not a positive integer
+ */
+const validateFloorNumberParam = (floorNumber) => {
+  const parsed = Number(floorNumber);
+
+  if (!isValidPositiveInteger(parsed)) {
+    throw new ValidationError(
+      'Invalid floor number',
+      'INVALID_FORMAT',
+      { floor_number: 'Floor number must be a positive integer' }
+    );
+  }
+
+  return parsed;
+};
+
+module.exports = {
+  validateCreateLotRequest,
+  validateUpdateLotRequest,
+  validateCreateSpotRequest,
+  validateUpdateSpotRequest,
+  validateGenerateFloorRequest,
+  validateSpotQueryParams,
+  validateSpotIdParam,
+  validateFloorNumberParam,
+};
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const ValidationError = require('../errors/ValidationError');
+const {
+  isValidISODate,
+  isValidPositiveInteger,
+  isValidStringLength,
+  sanitizeString,
+} = require('../utils/validators');
+
+const WINDOW_STATUSES = ['SCHEDULED', 'ACTIVE', 'COMPLETED', 'CANCELLED'];
+
+/**
+ * Validate maintenance request body
+ * Required fields: reason
+ * Optional fields: technician, starts_at (default: now), ends_at (default: open-ended)
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Validated and sanitized body
+ * @throws {ValidationError} If validation fails
+ */
+const validateMaintenanceRequest = (body) => {
+  const errors = {};
+
+  if (!body || typeof body !== 'object') {
+    throw new ValidationError(
+      'Request body is required',
+      'EMPTY_BODY'
+    );
+  }
+
+  if (!body.reason) {
+    errors.reason = 'Reason is required';
+  } else if (typeof body.reason !== 'string' || !isValidStringLength(body.reason.trim(), 1, 500)) {
+    errors.reason = 'Reason must be a string between 1 and 500 characters';
+  }
+
+  if (body.technician !== undefined && body.technician !== null) {
+    if (typeof body.technician !== 'string' || !isValidStringLength(body.technician.trim(), 1, 100)) {
+      errors.technician = 'Technician must be a string between 1 and 100 characters';
+    }
+  }
+
+  if (body.starts_at !== undefined && !isValidISODate(body.starts_at)) {
+    errors.starts_at = 'starts_at must be an ISO 8601 date';
+  }
+
+  if (body.ends_at !== undefined && body.ends_at !== null && !isValidISODate(body.ends_at)) {
+    errors.ends_at = 'ends_at must be an ISO 8601 date';
+  }
+
+  if (Object.keys(errors).length === 0 && body.ends_at) {
+    const startsAt = body.starts_at ? new Date(body.starts_at) : new Date();
+    const endsAt = new Date(body.ends_at);
+
+    if (endsAt <= startsAt) {
+      errors.ends_at = 'ends_at must be after starts_at';
+    } else if (endsAt <= new Date()) {
+      errors.ends_at = 'ends_at must be in the future';
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(
+      'Validation failed for maintenance request',
+      'INVALID_MAINTENANCE_REQUEST',
+      errors
+    );
+  }
+
+  return {
+    reason: sanitizeString(body.reason),
+    technician: body.technician ? sanitizeString(body.technician) : null,
+    starts_at: body.starts_at ? new Date(body.starts_at) : null,
+    ends_at: body.ends_at ? new Date(body.ends_at) : null,
+  };
+};
+
+/**
+ * Validate maintenance list query parameters
+ * Optional parameters: status, floor_number
+ *
+ * @param {Object} query - Query parameters
+ * @returns {Object} Validated filters
+ * @throws {ValidationError} If validation fails
+ */
+const validateMaintenanceQueryParams = (query) => {
+  const errors = {};
+  const validated = {};
+
+  if (query.status !== undefined) {
+    const status = String(query.status).toUpperCase();
+    if (!WINDOW_STATUSES.includes(status)) {
+      errors.status = `Status must be one of: ${WINDOW_STATUSES.join(', ')}`;
+    } else {
+      validated.status = status;
+    }
+  }
+
+  if (query.floor_number !== undefined) {
+    const floorNumber = Number(query.floor_number);
+    if (!isValidPositiveInteger(floorNumber)) {
+      errors.floor_number = 'Floor number must be a positive integer';
+    } else {
+      validated.floor_number = floorNumber;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(
+      'Invalid query parameters for maintenance',
+      'INVALID_QUERY_PARAMS',
+      errors
+    );
+  }
+
+  return validated;
+};
+
+/**
+ * Validate maintenance window ID path parameter
+ * @param {string} windowId - Window ID from path
+ * @returns {string} Validated window ID
+ * @throws {ValidationError} If the ID is not a valid ObjectId
+ */
+const validateWindowIdParam = (windowId) => {
+  if (!mongoose.isValidObjectId(windowId)) {
+    throw new ValidationError(
+      `Invalid maintenance window ID format: ${windowId}`,
+      'INVALID_ID',
+      { window_id: 'Maintenance window ID must be a valid ObjectId' }
+    );
+  }
+
+  return windowId;
+};
+
+module.exports = {
+  validateMaintenanceRequest,
+  validateMaintenanceQueryParams,
+  validateWindowIdParam,
+};
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const ValidationError = require('../errors/ValidationError');
+const {
+  isValidPositiveDecimal,
+  isValidStringLength,
+  sanitizeString,
+} = require('../utils/validators');
+
+const PAYMENT_METHODS = ['CASH', 'CARD', 'WALLET'];
+
+/**
+ * Check that an amount has at most 2 decimal places
+ * @param {number} amount - Amount
+ * @returns {boolean} True if representable in cents
+ */
+const isWholeCents = (amount) => Math.abs(amount * 100 - Math.round(amount * 100)) < 1e-6;
+
+/**
+ * Validate payment fields
+ * Required fields: method (CASH, CARD, WALLET), amount (amount tendered)
+ * Optional fields: payment_token (CARD only, passed to the gateway), reference
+ *
+ * @param {Object} body - Payment fields
+ * @param {Object} errors - Field errors collector
+ * @param {Object} options - { requireAmount (default: true), prefix for error keys }
+ * @returns {Object} Validated and sanitized fields
+ */
+const validatePaymentFields = (body, errors, options = {}) => {
+  const { requireAmount = true, prefix = '' } = options;
+
+  const method = typeof body.method === 'string' ? body.method.trim().toUpperCase() : null;
+  if (!body.method) {
+    errors[`${prefix}method`] = 'Payment method is required';
+  } else if (!PAYMENT_METHODS.includes(method)) {
+    errors[`${prefix}method`] = `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`;
+  }
+
+  if (body.amount === undefined) {
+    if (requireAmount) {
+      errors[`${prefix}amount`] = 'Amount is required';
+    }
+  } else if (!isValidPositiveDecimal(body.amount) || body.amount === 0) {
+    errors[`${prefix}amount`] = 'Amount must be a positive number';
+  } else if (!isWholeCents(body.amount)) {
+    errors[`${prefix}amount`] = 'Amount cannot have more than 2 decimal places';
+  }
+
+  if (body.payment_token !== undefined) {
+    if (method !== 'CARD') {
+      errors[`${prefix}payment_token`] = 'payment_token is only accepted for CARD payments';
+    } else if (typeof body.payment_token !== 'string'
+      || !isValidStringLength(body.payment_token.trim(), 1, 100)) {
+      errors[`${prefix}payment_token`] = 'payment_token must be a string between 1 and 100 characters';
+    }
+  }
+
+  if (body.reference !== undefined && body.reference !== null
+    && (typeof body.reference !== 'string' || !isValidStringLength(body.reference.trim(), 1, 100))) {
+    errors[`${prefix}reference`] = 'Reference must be a string between 1 and 100 characters';
+  }
+
+  return {
+    method,
+    amount: body.amount,
+    payment_token: typeof body.payment_token === 'string' ? body.payment_token.trim() : null,
+    reference: typeof body.reference === 'string' ? sanitizeString(body.reference) : null,
+  };
+};
+
+/**
+ * Validate record payment request body (see validatePaymentFields)
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Validated and sanitized body
+ * @throws {ValidationError} If validation fails
+ */
+const validatePaymentRequest = (body) => {
+  const errors = {};
+
+  if (!body || typeof body !== 'object') {
+    throw new ValidationError(
+      'Request body is required',
+      'EMPTY_BODY'
+    );
+  }
+
+  const validated = validatePaymentFields(body, errors);
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(
+      'Validation failed for payment request',
+      'INVALID_PAYMENT_REQUEST',
+      errors
+    );
+  }
+
+  return validated;
+};
+
+/**
+ * Validate transaction ID path parameter
+ * @param {string} transactionId - Transaction ID from path
+ * @returns {string} Validated transaction ID
+ * @throws {ValidationError} If the ID is not a valid ObjectId
+ */
+const validateTransactionIdParam = (transactionId) => {
+  if (!mongoose.isValidObjectId(transactionId)) {
+    throw new ValidationError(
+      `Invalid transaction ID format: ${transactionId}`,
+      'INVALID_ID',
+      { transaction_id: 'Transaction ID must be a valid ObjectId' }
+    );
+  }
+
+  return transactionId;
+};
+
+module.exports = {
+  isWholeCents,
+  validatePaymentFields,
+  validatePaymentRequest,
+  validateTransactionIdParam,
+};
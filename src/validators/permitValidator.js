@@ -0,0 +1,270 @@
+const mongoose = require('mongoose');
+const ValidationError = require('../errors/ValidationError');
+const {
+  isValidISODate,
+  isValidLicensePlate,
+  isValidVehicleType,
+  isValidPositiveInteger,
+  isValidPositiveDecimal,
+  isValidStringLength,
+  sanitizeString,
+} = require('../utils/validators');
+const { describeValidVehicleTypes } = require('../constants/vehicleTypes');
+const { normalizePlate } = require('../utils/plateNormalizer');
+const { isWholeCents } = require('./paymentValidator');
+
+const PERMIT_STATUSES = ['ACTIVE', 'REVOKED'];
+
+// Plates a single permit may cover
+const MAX_PERMIT_PLATES = 5;
+
+/**
+ * Throw a ValidationError when any field errors were collected
+ * @param {Object} errors - Field errors
+ * @param {string} message - Error message
+ * @throws {ValidationError} If errors is not empty
+ */
+const throwIfErrors = (errors, message) => {
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(message, 'INVALID_PERMIT_REQUEST', errors);
+  }
+};
+
+/**
+ * Ensure a request body is present
+ * @param {Object} body - Request body
+ * @throws {ValidationError} If body is missing
+ */
+const requireBody = (body) => {
+  if (!body || typeof body !== 'object') {
+    throw new ValidationError(
+      'Request body is required',
+      'EMPTY_BODY'
+    );
+  }
+};
+
+/**
+ * Validate the permit fields shared by create and update
+ * @param {Object} body - Request body
+ * @param {Object} errors - Field errors collector
+ * @param {Object} validated - Validated fields collector
+ */
+const validatePermitFields = (body, errors, validated) => {
+  if (body.license_plates !== undefined) {
+    const plates = body.license_plates;
+    if (!Array.isArray(plates) || plates.length < 1 || plates.length > MAX_PERMIT_PLATES) {
+      errors.license_plates = `license_plates must be an array of 1 to ${MAX_PERMIT_PLATES} plates`;
+    } else if (!plates.every((plate) => typeof plate === 'string' && isValidLicensePlate(plate))) {
+      errors.license_plates = 'Invalid license plate format (3-20 alphanumeric characters)';
+    } else {
+      // One plate per lookup key: "ABC-1234" and "ABC 1234" are the same vehicle
+      const byKey = new Map();
+      plates.forEach((plate) => {
+        if (!byKey.has(normalizePlate(plate))) {
+          byKey.set(normalizePlate(plate), plate.trim().toUpperCase());
+        }
+      });
+      validated.license_plates = [...byKey.values()];
+    }
+  }
+
+  if (body.vehicle_type !== undefined) {
+    if (typeof body.vehicle_type !== 'string' || !isValidVehicleType(body.vehicle_type)) {
+      errors.vehicle_type = `Invalid vehicle type. Must be one of: ${describeValidVehicleTypes()}`;
+    } else {
+      validated.vehicle_type = body.vehicle_type.toUpperCase();
+    }
+  }
+
+  if (body.holder_name !== undefined && body.holder_name !== null) {
+    if (typeof body.holder_name !== 'string'
+      || !isValidStringLength(body.holder_name.trim(), 1, 100)) {
+      errors.holder_name = 'Holder name must be a string between 1 and 100 characters';
+    } else {
+      validated.holder_name = sanitizeString(body.holder_name);
+    }
+  }
+
+  ['valid_from', 'valid_until'].forEach((field) => {
+    if (body[field] !== undefined) {
+      if (!isValidISODate(body[field])) {
+        errors[field] = `${field} must be an ISO 8601 date`;
+      } else {
+        validated[field] = new Date(body[field]);
+      }
+    }
+  });
+
+  if (validated.valid_until && validated.valid_until <= new Date()) {
+    errors.valid_until = 'valid_until must be in the future';
+  }
+
+  if (body.reserved_spot_id !== undefined) {
+    if (body.reserved_spot_id === null) {
+      validated.reserved_spot_id = null;
+    } else if (!mongoose.isValidObjectId(body.reserved_spot_id)) {
+      errors.reserved_spot_id = 'Reserved spot ID must be a valid ObjectId';
+    } else {
+      validated.reserved_spot_id = body.reserved_spot_id;
+    }
+  }
+
+  if (body.reserved_floor !== undefined) {
+    if (body.reserved_floor === null) {
+      validated.reserved_floor = null;
+    } else if (!isValidPositiveInteger(body.reserved_floor)) {
+      errors.reserved_floor = 'Reserved floor must be a positive integer';
+    } else {
+      validated.reserved_floor = body.reserved_floor;
+    }
+  }
+
+  if (validated.reserved_spot_id && validated.reserved_floor) {
+    errors.reserved_floor = 'Reserve either a spot or a floor, not both';
+  }
+
+  if (body.hourly_rate !== undefined) {
+    if (!isValidPositiveDecimal(body.hourly_rate)) {
+      errors.hourly_rate = 'Hourly rate must be a non-negative number';
+    } else if (!isWholeCents(body.hourly_rate)) {
+      errors.hourly_rate = 'Hourly rate cannot have more than 2 decimal places';
+    } else {
+      validated.hourly_rate = body.hourly_rate;
+    }
+  }
+};
+
+/**
+ * Validate create permit request body
+ * Required fields: license_plates, vehicle_type, valid_until
+ * Optional fields: holder_name, valid_from (default: now), reserved_spot_id or reserved_floor,
+ *                  hourly_rate (default: 0 = free)
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Validated permit data
+ * @throws {ValidationError} If validation fails
+ */
+const validateCreatePermitRequest = (body) => {
+  requireBody(body);
+  const errors = {};
+  const validated = {};
+
+  ['license_plates', 'vehicle_type', 'valid_until'].forEach((field) => {
+    if (body[field] === undefined || body[field] === null) {
+      errors[field] = `${field} is required`;
+    }
+  });
+
+  validatePermitFields(body, errors, validated);
+
+  if (!validated.valid_from) {
+    validated.valid_from = new Date();
+  }
+
+  if (!errors.valid_from && validated.valid_until
+    && validated.valid_until <= validated.valid_from) {
+    errors.valid_until = 'valid_until must be after valid_from';
+  }
+
+  throwIfErrors(errors, 'Validation failed for permit request');
+
+  return validated;
+};
+
+/**
+ * Validate update permit request body
+ * Optional fields: any create field (at least one required)
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Validated update data
+ * @throws {ValidationError} If validation fails
+ */
+const validateUpdatePermitRequest = (body) => {
+  requireBody(body);
+  const errors = {};
+  const validated = {};
+
+  validatePermitFields(body, errors, validated);
+
+  if (Object.keys(errors).length === 0 && Object.keys(validated).length === 0) {
+    errors.body = 'At least one permit field is required';
+  }
+
+  throwIfErrors(errors, 'Validation failed for permit update');
+
+  return validated;
+};
+
+/**
+ * Validate permit list query parameters
+ * Optional parameters: status, license_plate, active (true = valid now)
+ *
+ * @param {Object} query - Query parameters
+ * @returns {Object} Validated filters
+ * @throws {ValidationError} If validation fails
+ */
+const validatePermitQueryParams = (query) => {
+  const errors = {};
+  const validated = {};
+
+  if (query.status !== undefined) {
+    const status = String(query.status).toUpperCase();
+    if (!PERMIT_STATUSES.includes(status)) {
+      errors.status = `Status must be one of: ${PERMIT_STATUSES.join(', ')}`;
+    } else {
+      validated.status = status;
+    }
+  }
+
+  if (query.license_plate !== undefined) {
+    if (!isValidLicensePlate(String(query.license_plate))) {
+      errors.license_plate = 'Invalid license plate format (3-20 alphanumeric characters)';
+    } else {
+      validated.license_plate = String(query.license_plate).trim().toUpperCase();
+    }
+  }
+
+  if (query.active !== undefined) {
+    if (query.active !== 'true' && query.active !== 'false') {
+      errors.active = 'active must be true or false';
+    } else if (query.active === 'true') {
+      validated.active_at = new Date();
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(
+      'Invalid query parameters for permits',
+      'INVALID_QUERY_PARAMS',
+      errors
+    );
+  }
+
+  return validated;
+};
+
+/**
+ * Validate permit ID path parameter
+ * @param {string} permitId - Permit ID from path
+ * @returns {string} Validated permit ID
+ * @throws {ValidationError} If the ID is not a valid ObjectId
+ */
+const validatePermitIdParam = (permitId) => {
+  if (!mongoose.isValidObjectId(permitId)) {
+    throw new ValidationError(
+      `Invalid permit ID format: ${permitId}`,
+      'INVALID_ID',
+      { permit_id: 'Permit ID must be a valid ObjectId' }
+    );
+  }
+
+  return permitId;
+};
+
+module.exports = {
+  validateCreatePermitRequest,
+  validateUpdatePermitRequest,
+  validatePermitQueryParams,
+  validatePermitIdParam,
+};
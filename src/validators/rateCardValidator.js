@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+const ValidationError = require('../errors/ValidationError');
+const {
+  isValidVehicleType,
+  isValidRoundingStrategy,
+  isValidISODate,
+  isValidPositiveInteger,
+  isValidPositiveDecimal,
+} = require('../utils/validators');
+const { describeValidVehicleTypes } = require('../constants/vehicleTypes');
+
+// Tolerance for clock skew between client and server on "start now" requests
+const EFFECTIVE_FROM_TOLERANCE_MS = 60 * 1000;
+
+/**
+ * Parse a lot_id value: ObjectId string, or null / "default" for default rate cards
+ * @param {any} value - Raw lot_id
+ * @returns {Object} { valid, lotId }
+ */
+const parseLotId = (value) => {
+  if (value === null || value === 'default') {
+    return { valid: true, lotId: null };
+  }
+  if (typeof value === 'string' && mongoose.isValidObjectId(value)) {
+    return { valid: true, lotId: value };
+  }
+  return { valid: false, lotId: null };
+};
+
+// Local time of day, 'HH:MM' (24-hour)
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Upper bound for time bands on a single rate card
+const MAX_TIME_BANDS = 24;
+
+const CAP_MODES = ['ROLLING_24H', 'CALENDAR_DAY'];
+
+/**
+ * Validate time bands: [{ name, days?: [0-6], start_time, end_time, hourly_rate }]
+ * @param {any} value - Raw time_bands
+ * @param {Object} errors - Field errors collector
+ * @returns {Array<Object>} Normalized time bands
+ */
+const validateTimeBands = (value, errors) => {
+  if (!Array.isArray(value) || value.length > MAX_TIME_BANDS) {
+    errors.time_bands = `time_bands must be an array of at most ${MAX_TIME_BANDS} bands`;
+    return [];
+  }
+
+  return value.map((band, index) => {
+    const field = `time_bands[${index}]`;
+
+    if (!band || typeof band !== 'object') {
+      errors[field] = 'Time band must be an object';
+      return null;
+    }
+
+    if (typeof band.name !== 'string' || !band.name.trim() || band.name.trim().length > 50) {
+      errors[`${field}.name`] = 'Name must be a string between 1 and 50 characters';
+    }
+
+    const days = band.days === undefined ? [] : band.days;
+    if (!Array.isArray(days)
+      || !days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      errors[`${field}.days`] = 'Days must be an array of weekdays 0-6 (0 = Sunday)';
+    }
+
+    ['start_time', 'end_time'].forEach((key) => {
+      if (typeof band[key] !== 'string' || !TIME_OF_DAY_PATTERN.test(band[key])) {
+        errors[`${field}.${key}`] = `${key} must be a time of day in HH:MM format`;
+      }
+    });
+
+    if (!isValidPositiveDecimal(band.hourly_rate)) {
+      errors[`${field}.hourly_rate`] = 'Hourly rate must be a non-negative number';
+    }
+
+    return {
+      name: typeof band.name === 'string' ? band.name.trim() : band.name,
+      days: Array.isArray(days) ? [...new Set(days)].sort((a, b) => a - b) : days,
+      start_time: band.start_time,
+      end_time: band.end_time,
+      hourly_rate: band.hourly_rate,
+    };
+  });
+};
+
+/**
+ * Validate an overnight flat rate: { start_time, end_time, rate }
+ * @param {any} value - Raw overnight_flat_rate
+ * @param {Object} errors - Field errors collector
+ * @returns {Object} Normalized overnight flat rate
+ */
+const validateOvernightFlatRate = (value, errors) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.overnight_flat_rate = 'overnight_flat_rate must be an object';
+    return null;
+  }
+
+  ['start_time', 'end_time'].forEach((key) => {
+    if (typeof value[key] !== 'string' || !TIME_OF_DAY_PATTERN.test(value[key])) {
+      errors[`overnight_flat_rate.${key}`] = `${key} must be a time of day in HH:MM format`;
+    }
+  });
+
+  if (value.start_time === value.end_time) {
+    errors['overnight_flat_rate.end_time'] = 'end_time must differ from start_time';
+  }
+
+  if (!isValidPositiveDecimal(value.rate)) {
+    errors['overnight_flat_rate.rate'] = 'Rate must be a non-negative number';
+  }
+
+  return {
+    start_time: value.start_time,
+    end_time: value.end_time,
+    rate: value.rate,
+  };
+};
+
+/**
+ * Validate create rate card version request body
+ * Required fields: vehicle_type, hourly_rate
+ * Optional fields: lot_id (default: null = all lots), daily_max_rate, weekly_max_rate,
+ *                  lost_ticket_fee, charging_rate_per_kwh (default: 0), cap_mode,
+ *                  rounding_strategy, grace_period_minutes, time_bands, overnight_flat_rate,
+ *                  effective_from (default: now), effective_to
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Validated body
+ * @throws {ValidationError} If validation fails
+ */
+const validateCreateRateCardRequest = (body) => {
+  const errors = {};
+
+  if (!body || typeof body !== 'object') {
+    throw new ValidationError(
+      'Request body is required',
+      'EMPTY_BODY'
+    );
+  }
+
+  let lotId = null;
+  if (body.lot_id !== undefined) {
+    const parsed = parseLotId(body.lot_id);
+    if (!parsed.valid) {
+      errors.lot_id = 'lot_id must be a valid ObjectId, null or "default"';
+    }
+    lotId = parsed.lotId;
+  }
+
+  const vehicleType = typeof body.vehicle_type === 'string' ? body.vehicle_type.toUpperCase() : null;
+  if (!body.vehicle_type) {
+    errors.vehicle_type = 'Vehicle type is required';
+  } else if (!isValidVehicleType(vehicleType)) {
+    errors.vehicle_type = `Invalid vehicle type. Must be one of: ${describeValidVehicleTypes()}`;
+  }
+
+  if (body.hourly_rate === undefined) {
+    errors.hourly_rate = 'Hourly rate is required';
+  } else if (!isValidPositiveDecimal(body.hourly_rate)) {
+    errors.hourly_rate = 'Hourly rate must be a non-negative number';
+  }
+
+  if (body.daily_max_rate !== undefined && body.daily_max_rate !== null) {
+    if (!isValidPositiveDecimal(body.daily_max_rate)) {
+      errors.daily_max_rate = 'Daily max rate must be a non-negative number';
+    } else if (!errors.hourly_rate && body.daily_max_rate < body.hourly_rate) {
+      errors.daily_max_rate = 'Daily max rate must be >= hourly rate';
+    }
+  }
+
+  if (body.weekly_max_rate !== undefined && body.weekly_max_rate !== null) {
+    if (!isValidPositiveDecimal(body.weekly_max_rate)) {
+      errors.weekly_max_rate = 'Weekly max rate must be a non-negative number';
+    } else if (!errors.daily_max_rate && typeof body.daily_max_rate === 'number'
+      && body.weekly_max_rate < body.daily_max_rate) {
+      errors.weekly_max_rate = 'Weekly max rate must be >= daily max rate';
+    }
+  }
+
+  if (body.lost_ticket_fee !== undefined && body.lost_ticket_fee !== null
+    && !isValidPositiveDecimal(body.lost_ticket_fee)) {
+    errors.lost_ticket_fee = 'Lost ticket fee must be a non-negative number';
+  }
+
+  if (body.charging_rate_per_kwh !== undefined
+    && !isValidPositiveDecimal(body.charging_rate_per_kwh)) {
+    errors.charging_rate_per_kwh = 'Charging rate per kWh must be a non-negative number';
+  }
+
+  const capMode = typeof body.cap_mode === 'string' ? body.cap_mode.toUpperCase() : body.cap_mode;
+  if (capMode !== undefined && !CAP_MODES.includes(capMode)) {
+    errors.cap_mode = `Cap mode must be one of: ${CAP_MODES.join(', ')}`;
+  }
+
+  const roundingStrategy = typeof body.rounding_strategy === 'string'
+    ? body.rounding_strategy.toUpperCase()
+    : body.rounding_strategy;
+  if (roundingStrategy !== undefined && !isValidRoundingStrategy(roundingStrategy)) {
+    errors.rounding_strategy = 'Rounding strategy must be CEILING, FLOOR, or ROUND';
+  }
+
+  if (body.grace_period_minutes !== undefined
+    && !isValidPositiveInteger(body.grace_period_minutes, 0)) {
+    errors.grace_period_minutes = 'Grace period must be a non-negative integer';
+  }
+
+  const timeBands = body.time_bands === undefined || body.time_bands === null
+    ? []
+    : validateTimeBands(body.time_bands, errors);
+
+  const overnightFlatRate = body.overnight_flat_rate === undefined
+    || body.overnight_flat_rate === null
+    ? null
+    : validateOvernightFlatRate(body.overnight_flat_rate, errors);
+
+  let effectiveFrom = null;
+  if (body.effective_from !== undefined && body.effective_from !== null) {
+    if (!isValidISODate(body.effective_from)) {
+      errors.effective_from = 'effective_from must be an ISO 8601 date';
+    } else {
+      effectiveFrom = new Date(body.effective_from);
+      if (effectiveFrom.getTime() < Date.now() - EFFECTIVE_FROM_TOLERANCE_MS) {
+        errors.effective_from = 'effective_from cannot be in the past (versions in force are immutable)';
+      }
+    }
+  }
+
+  let effectiveTo = null;
+  if (body.effective_to !== undefined && body.effective_to !== null) {
+    if (!isValidISODate(body.effective_to)) {
+      errors.effective_to = 'effective_to must be an ISO 8601 date';
+    } else {
+      effectiveTo = new Date(body.effective_to);
+      if (effectiveTo <= (effectiveFrom || new Date())) {
+        errors.effective_to = 'effective_to must be after effective_from';
+      }
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(
+      'Validation failed for rate card request',
+      'INVALID_RATE_CARD_REQUEST',
+      errors
+    );
+  }
+
+  return {
+    lot_id: lotId,
+    vehicle_type: vehicleType,
+    hourly_rate: body.hourly_rate,
+    daily_max_rate: body.daily_max_rate === undefined ? null : body.daily_max_rate,
+    weekly_max_rate: body.weekly_max_rate === undefined ? null : body.weekly_max_rate,
+    lost_ticket_fee: body.lost_ticket_fee === undefined ? null : body.lost_ticket_fee,
+    charging_rate_per_kwh: body.charging_rate_per_kwh === undefined
+      ? 0
+      : body.charging_rate_per_kwh,
+    cap_mode: capMode || 'ROLLING_24H',
+    rounding_strategy: roundingStrategy || 'CEILING',
+    grace_period_minutes: body.grace_period_minutes === undefined ? 15 : body.grace_period_minutes,
+    time_bands: timeBands,
+    overnight_flat_rate: overnightFlatRate,
+    effective_from: effectiveFrom,
+    effective_to: effectiveTo,
+  };
+};
+
+/**
+ * Validate rate card list query parameters
+ * Optional parameters: lot_id (ObjectId or "default"), vehicle_type
+ *
+ * @param {Object} query - Query parameters
+ * @returns {Object} Validated filters
+ * @throws {ValidationError} If validation fails
+ */
+const validateRateCardQueryParams = (query) => {
+  const errors = {};
+  const validated = {};
+
+  if (query.lot_id !== undefined) {
+    const parsed = parseLotId(query.lot_id);
+    if (!parsed.valid) {
+      errors.lot_id = 'lot_id must be a valid ObjectId or "default"';
+    } else {
+      validated.lot_id = parsed.lotId;
+    }
+  }
+
+  if (query.vehicle_type !== undefined) {
+    const vehicleType = String(query.vehicle_type).toUpperCase();
+    if (!isValidVehicleType(vehicleType)) {
+      errors.vehicle_type = `Invalid vehicle type. Must be one of: ${describeValidVehicleTypes()}`;
+    } else {
+      validated.vehicle_type = vehicleType;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(
+      'Invalid query parameters for rate cards',
+      'INVALID_QUERY_PARAMS',
+      errors
+    );
+  }
+
+  return validated;
+};
+
+/**
+ * Validate rate card ID path parameter
+ * @param {string} rateCardId - Rate card ID from path
+ * @returns {string} Validated rate card ID
+ * @throws {ValidationError} If the ID is not a valid ObjectId
+ */
+const validateRateCardIdParam = (rateCardId) => {
+  if (!mongoose.isValidObjectId(rateCardId)) {
+    throw new ValidationError(
+      `Invalid rate card ID format: ${rateCardId}`,
+      'INVALID_ID',
+      { rate_card_id: 'Rate card ID must be a valid ObjectId' }
+    );
+  }
+
+  return rateCardId;
+};
+
+module.exports = {
+  validateCreateRateCardRequest,
+  validateRateCardQueryParams,
+  validateRateCardIdParam,
+};
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const ValidationError = require('../errors/ValidationError');
+const {
+  isValidISODate,
+  isValidLicensePlate,
+  isValidVehicleType,
+  isValidStringLength,
+  sanitizeString,
+} = require('../utils/validators');
+const { describeValidVehicleTypes } = require('../constants/vehicleTypes');
+
+const RESERVATION_STATUSES = ['BOOKED', 'CHECKED_IN', 'NO_SHOW', 'CANCELLED'];
+
+// Longest window a single reservation may cover
+const MAX_RESERVATION_DAYS = 7;
+
+// Allowed clock skew for a window starting "now"
+const START_TOLERANCE_MS = 60 * 1000;
+
+/**
+ * Validate reservation request body
+ * Required fields: license_plate, vehicle_type, starts_at, ends_at
+ * Optional fields: customer_name
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Validated and sanitized body
+ * @throws {ValidationError} If validation fails
+ */
+const validateReservationRequest = (body) => {
+  const errors = {};
+
+  if (!body || typeof body !== 'object') {
+    throw new ValidationError(
+      'Request body is required',
+      'EMPTY_BODY'
+    );
+  }
+
+  if (!body.license_plate) {
+    errors.license_plate = 'License plate is required';
+  } else if (typeof body.license_plate !== 'string') {
+    errors.license_plate = 'License plate must be a string';
+  } else if (!isValidLicensePlate(body.license_plate)) {
+    errors.license_plate = 'Invalid license plate format (3-20 alphanumeric characters)';
+  }
+
+  if (!body.vehicle_type) {
+    errors.vehicle_type = 'Vehicle type is required';
+  } else if (typeof body.vehicle_type !== 'string') {
+    errors.vehicle_type = 'Vehicle type must be a string';
+  } else if (!isValidVehicleType(body.vehicle_type)) {
+    errors.vehicle_type = `Invalid vehicle type. Must be one of: ${describeValidVehicleTypes()}`;
+  }
+
+  if (!body.starts_at) {
+    errors.starts_at = 'starts_at is required';
+  } else if (!isValidISODate(body.starts_at)) {
+    errors.starts_at = 'starts_at must be an ISO 8601 date';
+  }
+
+  if (!body.ends_at) {
+    errors.ends_at = 'ends_at is required';
+  } else if (!isValidISODate(body.ends_at)) {
+    errors.ends_at = 'ends_at must be an ISO 8601 date';
+  }
+
+  if (body.customer_name !== undefined && body.customer_name !== null) {
+    if (
+      typeof body.customer_name !== 'string' ||
+      !isValidStringLength(body.customer_name.trim(), 1, 100)
+    ) {
+      errors.customer_name = 'Customer name must be a string between 1 and 100 characters';
+    }
+  }
+
+  if (!errors.starts_at && !errors.ends_at) {
+    const startsAt = new Date(body.starts_at);
+    const endsAt = new Date(body.ends_at);
+
+    if (startsAt.getTime() < Date.now() - START_TOLERANCE_MS) {
+      errors.starts_at = 'starts_at must not be in the past';
+    }
+
+    if (endsAt <= startsAt) {
+      errors.ends_at = 'ends_at must be after starts_at';
+    } else if (endsAt - startsAt > MAX_RESERVATION_DAYS * 24 * 60 * 60 * 1000) {
+      errors.ends_at = `A reservation cannot exceed ${MAX_RESERVATION_DAYS} days`;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(
+      'Validation failed for reservation request',
+      'INVALID_RESERVATION_REQUEST',
+      errors
+    );
+  }
+
+  return {
+    license_plate: body.license_plate.trim().toUpperCase(),
+    vehicle_type: body.vehicle_type.toUpperCase(),
+    starts_at: new Date(body.starts_at),
+    ends_at: new Date(body.ends_at),
+    customer_name: body.customer_name ? sanitizeString(body.customer_name) : null,
+  };
+};
+
+/**
+ * Validate reservation list query parameters
+ * Optional parameters: status, license_plate
+ *
+ * @param {Object} query - Query parameters
+ * @returns {Object} Validated filters
+ * @throws {ValidationError} If validation fails
+ */
+const validateReservationQueryParams = (query) => {
+  const errors = {};
+  const validated = {};
+
+  if (query.status !== undefined) {
+    const status = String(query.status).toUpperCase();
+    if (!RESERVATION_STATUSES.includes(status)) {
+      errors.status = `Status must be one of: ${RESERVATION_STATUSES.join(', ')}`;
+    } else {
+      validated.status = status;
+    }
+  }
+
+  if (query.license_plate !== undefined) {
+    if (!isValidLicensePlate(String(query.license_plate))) {
+      errors.license_plate = 'Invalid license plate format (3-20 alphanumeric characters)';
+    } else {
+      validated.license_plate = String(query.license_plate).trim().toUpperCase();
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(
+      'Invalid query parameters for reservations',
+      'INVALID_QUERY_PARAMS',
+      errors
+    );
+  }
+
+  return validated;
+};
+
+/**
+ * Validate reservation ID path parameter
+ * @param {string} reservationId - Reservation ID from path
+ * @returns {string} Validated reservation ID
+ * @throws {ValidationError} If the ID is not a valid ObjectId
+ */
+const validateReservationIdParam = (reservationId) => {
+  if (!mongoose.isValidObjectId(reservationId)) {
+    throw new ValidationError(
+      `Invalid reservation ID format: ${reservationId}`,
+      'INVALID_ID',
+      { reservation_id: 'Reservation ID must be a valid ObjectId' }
+    );
+  }
+
+  return reservationId;
+};
+
+module.exports = {
+  validateReservationRequest,
+  validateReservationQueryParams,
+  validateReservationIdParam,
+};
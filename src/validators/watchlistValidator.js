@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const ValidationError = require('../errors/ValidationError');
+const {
+  isValidISODate,
+  isValidLicensePlate,
+  isValidStringLength,
+  sanitizeString,
+} = require('../utils/validators');
+
+const LIST_TYPES = ['BLACKLIST', 'WATCHLIST'];
+const ENTRY_STATUSES = ['ACTIVE', 'REMOVED'];
+const HIT_ACTIONS = ['REJECTED', 'ALERTED'];
+
+/**
+ * Throw a ValidationError when any field errors were collected
+ * @param {Object} errors - Field errors
+ * @param {string} message - Error message
+ * @param {string} errorCode - Error code
+ * @throws {ValidationError} If errors is not empty
+ */
+const throwIfErrors = (errors, message, errorCode = 'INVALID_WATCHLIST_REQUEST') => {
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(message, errorCode, errors);
+  }
+};
+
+/**
+ * Ensure a request body is present
+ * @param {Object} body - Request body
+ * @throws {ValidationError} If body is missing
+ */
+const requireBody = (body) => {
+  if (!body || typeof body !== 'object') {
+    throw new ValidationError(
+      'Request body is required',
+      'EMPTY_BODY'
+    );
+  }
+};
+
+/**
+ * Validate an enum query parameter or body field
+ * @param {*} value - Raw value
+ * @param {Array<string>} allowed - Allowed values
+ * @returns {string|null} Uppercased value, or null if not allowed
+ */
+const parseEnum = (value, allowed) => {
+  const parsed = String(value).toUpperCase();
+  return allowed.includes(parsed) ? parsed : null;
+};
+
+/**
+ * Validate the watchlist entry fields shared by create and update
+ * @param {Object} body - Request body
+ * @param {Object} errors - Field errors collector
+ * @param {Object} validated - Validated fields collector
+ */
+const validateEntryFields = (body, errors, validated) => {
+  if (body.list_type !== undefined) {
+    const listType = parseEnum(body.list_type, LIST_TYPES);
+    if (!listType) {
+      errors.list_type = `List type must be one of: ${LIST_TYPES.join(', ')}`;
+    } else {
+      validated.list_type = listType;
+    }
+  }
+
+  if (body.reason !== undefined) {
+    if (typeof body.reason !== 'string' || !isValidStringLength(body.reason.trim(), 3, 500)) {
+      errors.reason = 'Reason must be a string between 3 and 500 characters';
+    } else {
+      validated.reason = sanitizeString(body.reason);
+    }
+  }
+
+  if (body.expires_at !== undefined) {
+    if (body.expires_at === null) {
+      validated.expires_at = null;
+    } else if (!isValidISODate(body.expires_at)) {
+      errors.expires_at = 'expires_at must be an ISO 8601 date';
+    } else if (new Date(body.expires_at) <= new Date()) {
+      errors.expires_at = 'expires_at must be in the future';
+    } else {
+      validated.expires_at = new Date(body.expires_at);
+    }
+  }
+};
+
+/**
+ * Validate create watchlist entry request body
+ * Required fields: license_plate, list_type (BLACKLIST or WATCHLIST), reason
+ * Optional fields: expires_at (default: never), added_by
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Validated entry data
+ * @throws {ValidationError} If validation fails
+ */
+const validateCreateWatchlistEntryRequest = (body) => {
+  requireBody(body);
+  const errors = {};
+  const validated = {};
+
+  ['license_plate', 'list_type', 'reason'].forEach((field) => {
+    if (body[field] === undefined || body[field] === null) {
+      errors[field] = `${field} is required`;
+    }
+  });
+
+  if (body.license_plate !== undefined && body.license_plate !== null) {
+    if (typeof body.license_plate !== 'string' || !isValidLicensePlate(body.license_plate)) {
+      errors.license_plate = 'Invalid license plate format (3-20 alphanumeric characters)';
+    } else {
+      validated.license_plate = body.license_plate.trim().toUpperCase();
+    }
+  }
+
+  validateEntryFields(body, errors, validated);
+
+  if (body.added_by !== undefined && body.added_by !== null) {
+    if (typeof body.added_by !== 'string' || !isValidStringLength(body.added_by.trim(), 1, 100)) {
+      errors.added_by = 'added_by must be a string between 1 and 100 characters';
+    } else {
+      validated.added_by = sanitizeString(body.added_by);
+    }
+  }
+
+  throwIfErrors(errors, 'Validation failed for watchlist request');
+
+  return validated;
+};
+
+/**
+ * Validate update watchlist entry request body
+ * Optional fields: list_type, reason, expires_at (null = never; at least one required)
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Validated update data
+ * @throws {ValidationError} If validation fails
+ */
+const validateUpdateWatchlistEntryRequest = (body) => {
+  requireBody(body);
+  const errors = {};
+  const validated = {};
+
+  validateEntryFields(body, errors, validated);
+
+  if (Object.keys(errors).length === 0 && Object.keys(validated).length === 0) {
+    errors.body = 'At least one of list_type, reason, expires_at is required';
+  }
+
+  throwIfErrors(errors, 'Validation failed for watchlist update');
+
+  return validated;
+};
+
+/**
+ * Validate watchlist list query parameters
+ * Optional parameters: list_type, status, license_plate, active (true = in force now)
+ *
+ * @param {Object} query - Query parameters
+ * @returns {Object} Validated filters
+ * @throws {ValidationError} If validation fails
+ */
+const validateWatchlistQueryParams = (query) => {
+  const errors = {};
+  const validated = {};
+
+  if (query.list_type !== undefined) {
+    validated.list_type = parseEnum(query.list_type, LIST_TYPES);
+    if (!validated.list_type) {
+      errors.list_type = `List type must be one of: ${LIST_TYPES.join(', ')}`;
+    }
+  }
+
+  if (query.status !== undefined) {
+    validated.status = parseEnum(query.status, ENTRY_STATUSES);
+    if (!validated.status) {
+      errors.status = `Status must be one of: ${ENTRY_STATUSES.join(', ')}`;
+    }
+  }
+
+  if (query.license_plate !== undefined) {
+    if (!isValidLicensePlate(String(query.license_plate))) {
+      errors.license_plate = 'Invalid license plate format (3-20 alphanumeric characters)';
+    } else {
+      validated.license_plate = String(query.license_plate).trim();
+    }
+  }
+
+  if (query.active !== undefined) {
+    if (query.active !== 'true' && query.active !== 'false') {
+      errors.active = 'active must be true or false';
+    } else if (query.active === 'true') {
+      validated.active_at = new Date();
+    }
+  }
+
+  throwIfErrors(errors, 'Invalid query parameters for watchlist', 'INVALID_QUERY_PARAMS');
+
+  return validated;
+};
+
+/**
+ * Validate watchlist hit query parameters
+ * Optional parameters: list_type, action (REJECTED or ALERTED), entry_id,
+ *                      from, to (ISO 8601)
+ *
+ * @param {Object} query - Query parameters
+ * @returns {Object} Validated filters
+ * @throws {ValidationError} If validation fails
+ */
+const validateWatchlistHitQueryParams = (query) => {
+  const errors = {};
+  const validated = {};
+
+  if (query.list_type !== undefined) {
+    validated.list_type = parseEnum(query.list_type, LIST_TYPES);
+    if (!validated.list_type) {
+      errors.list_type = `List type must be one of: ${LIST_TYPES.join(', ')}`;
+    }
+  }
+
+  if (query.action !== undefined) {
+    validated.action = parseEnum(query.action, HIT_ACTIONS);
+    if (!validated.action) {
+      errors.action = `Action must be one of: ${HIT_ACTIONS.join(', ')}`;
+    }
+  }
+
+  if (query.entry_id !== undefined) {
+    if (!mongoose.isValidObjectId(query.entry_id)) {
+      errors.entry_id = 'Entry ID must be a valid ObjectId';
+    } else {
+      validated.entry_id = query.entry_id;
+    }
+  }
+
+  ['from', 'to'].forEach((field) => {
+    if (query[field] !== undefined) {
+      if (!isValidISODate(query[field])) {
+        errors[field] = `${field} must be an ISO 8601 date`;
+      } else {
+        validated[field] = new Date(query[field]);
+      }
+    }
+  });
+
+  if (validated.from && validated.to && validated.to < validated.from) {
+    errors.to = 'to must not be before from';
+  }
+
+  throwIfErrors(errors, 'Invalid query parameters for watchlist hits', 'INVALID_QUERY_PARAMS');
+
+  return validated;
+};
+
+/**
+ * Validate watchlist entry ID path parameter
+ * @param {string} entryId - Entry ID from path
+ * @returns {string} Validated entry ID
+ * @throws {ValidationError} If the ID is not a valid ObjectId
+ */
+const validateWatchlistEntryIdParam = (entryId) => {
+  if (!mongoose.isValidObjectId(entryId)) {
+    throw new ValidationError(
+      `Invalid watchlist entry ID format: ${entryId}`,
+      'INVALID_ID',
+      { entry_id: 'Watchlist entry ID must be a valid ObjectId' }
+    );
+  }
+
+  return entryId;
+};
+
+module.exports = {
+  validateCreateWatchlistEntryRequest,
+  validateUpdateWatchlistEntryRequest,
+  validateWatchlistQueryParams,
+  validateWatchlistHitQueryParams,
+  validateWatchlistEntryIdParam,
+};
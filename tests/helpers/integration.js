@@ -0,0 +1,131 @@
+/**
+ * Integration Test Helpers
+ * Shared fixtures for tests/integration: the app with rate limiting off and a test JWT
+ * secret, an authenticated request helper, and database setup / teardown.
+ *
+ * The database is MONGODB_TEST_URI: a replica set (transactions) started by
+ * tests/setup/globalSetup.js, or one you provide. Suites are skipped when there is none.
+ * Require this module before anything from src/, so the environment is set first.
+ */
+
+process.env.RATE_LIMIT_ENABLED = 'false';
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../../src/app');
+const { signToken } = require('../../src/utils/jwt');
+const ParkingLot = require('../../src/models/ParkingLot');
+const ParkingSpot = require('../../src/models/ParkingSpot');
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+const describeIfDb = MONGODB_TEST_URI ? describe : describe.skip;
+
+const API_PREFIX = process.env.API_PREFIX || '/api/v1';
+const AUTH_HEADER = `Bearer ${signToken({ sub: 'integration-tests', role: 'ADMIN' })}`;
+
+/**
+ * Send an authenticated JSON request to the API
+ * @param {string} method - supertest method (get, post, put, patch, delete)
+ * @param {string} path - Path below the API prefix
+ * @param {Object} body - JSON body
+ * @param {Object} headers - Extra headers (may override Authorization)
+ * @returns {Test} supertest request
+ */
+const send = (method, path, body, headers = {}) =>
+  request(app)
+    [method](`${API_PREFIX}${path}`)
+    .set('Authorization', AUTH_HEADER)
+    .set('Content-Type', 'application/json')
+    .set(headers)
+    .send(body);
+
+/**
+ * Park a car in the default lot
+ * @param {string} licensePlate - License plate
+ * @param {Object} extra - Further entry fields
+ * @returns {Test} supertest request
+ */
+const enter = (licensePlate, extra = {}) =>
+  send('post', '/parking/entry', { license_plate: licensePlate, vehicle_type: 'CAR', ...extra });
+
+/**
+ * Connect to the test database, empty it and build every model's indexes
+ * (unique indexes guard the concurrency tests). Console output is silenced
+ */
+const connectTestDb = async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'debug').mockImplementation(() => {});
+
+  await mongoose.connect(MONGODB_TEST_URI);
+  await mongoose.connection.dropDatabase();
+  await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()));
+};
+
+/**
+ * Empty the test database, disconnect and restore the console
+ */
+const disconnectTestDb = async () => {
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+  jest.restoreAllMocks();
+};
+
+/**
+ * Create a lot with the given spots, its counters matching them
+ * @param {string} name - Lot name
+ * @param {Array<Object>} spotDefinitions - Spots without lot_id ({ floor_number,
+ *                                          spot_number, spot_type, ... })
+ * @returns {Promise<Object>} { lot, spots }
+ */
+const createLot = async (name, spotDefinitions) => {
+  const counters = {};
+  spotDefinitions
+    .filter((spot) => !spot.status || spot.status === 'AVAILABLE')
+    .forEach((spot) => {
+      const field = `available_${spot.spot_type.toLowerCase()}_spots`;
+      counters[field] = (counters[field] || 0) + 1;
+    });
+
+  const lot = await ParkingLot.create({
+    name,
+    total_floors: Math.max(1, ...spotDefinitions.map((spot) => spot.floor_number)),
+    total_spots: spotDefinitions.length,
+    ...counters,
+  });
+  const spots = await ParkingSpot.insertMany(
+    spotDefinitions.map((spot) => ({ lot_id: lot._id, ...spot }))
+  );
+
+  return { lot, spots };
+};
+
+/**
+ * Spot definitions for createLot: `count` spots of a type on one floor
+ * @param {string} spotType - Spot type
+ * @param {number} count - Number of spots
+ * @param {Object} fields - Further fields for every spot (floor_number default 1)
+ * @returns {Array<Object>} Spot definitions numbered from 1
+ */
+const spotsOf = (spotType, count, fields = {}) =>
+  Array.from({ length: count }, (_, i) => ({
+    floor_number: 1,
+    spot_number: i + 1,
+    spot_type: spotType,
+    ...fields,
+  }));
+
+module.exports = {
+  app,
+  describeIfDb,
+  API_PREFIX,
+  AUTH_HEADER,
+  send,
+  enter,
+  connectTestDb,
+  disconnectTestDb,
+  createLot,
+  spotsOf,
+};
@@ -0,0 +1,185 @@
+/**
+ * Adjustment Integration Tests
+ * Discounts, fee overrides, voids and refunds with operator audit records, and their
+ * effect on revenue statistics
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+const {
+  describeIfDb,
+  send,
+  connectTestDb,
+  disconnectTestDb,
+  createLot,
+  spotsOf,
+} = require('../helpers/integration');
+const ParkingTransaction = require('../../src/models/ParkingTransaction');
+const FeeAdjustment = require('../../src/models/FeeAdjustment');
+const RateCard = require('../../src/models/RateCard');
+
+const HOUR = 60 * 60 * 1000;
+const AUDIT = { reason: 'Customer complaint' };
+
+/**
+ * Park a vehicle for two hours (fee 10) and drive it out
+ */
+const exitAfterTwoHours = async (licensePlate, exitBody = {}) => {
+  const parked = await send('post', '/parking/entry', { license_plate: licensePlate, vehicle_type: 'CAR' });
+  await ParkingTransaction.updateOne(
+    { _id: parked.body.data.transaction_id },
+    { entry_time: new Date(Date.now() - 2 * HOUR) }
+  );
+  const exit = await send('post', '/parking/exit', { license_plate: licensePlate, ...exitBody });
+  return exit.body.data;
+};
+
+describeIfDb('Fee adjustments', () => {
+  beforeAll(async () => {
+    await connectTestDb();
+
+    await createLot('Adjustment Test Lot', spotsOf('CAR', 2));
+    await RateCard.create({ vehicle_type: 'CAR', hourly_rate: 5, grace_period_minutes: 0 });
+  }, 60000);
+
+  afterAll(disconnectTestDb);
+
+  it('requires a reason and rejects acting as another operator', async () => {
+    const exit = await exitAfterTwoHours('ADJ-001');
+    const res = await send('post', `/parking/transactions/${exit.transaction_id}/discounts`, {
+      amount: 2,
+      operator_id: 'sup-001',
+    });
+
+    expect(res.status).toBe(400);
+    expect(Object.keys(res.body.error.validationErrors)).toEqual(
+      expect.arrayContaining(['operator_id', 'reason'])
+    );
+  });
+
+  it('applies a percentage discount and keeps the exit fee', async () => {
+    const exit = await exitAfterTwoHours('ADJ-002');
+    const res = await send('post', `/parking/transactions/${exit.transaction_id}/discounts`, {
+      percent: 20,
+      ...AUDIT,
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      parking_fee: 8,
+      original_fee: 10,
+      balance_due: 8,
+      payment_status: 'PENDING',
+    });
+    expect(res.body.data.adjustment).toMatchObject({
+      type: 'DISCOUNT',
+      previous_fee: 10,
+      new_fee: 8,
+      operator_id: 'integration-tests',
+    });
+  });
+
+  it('marks a transaction paid when an override lowers the fee to the amount paid', async () => {
+    const exit = await exitAfterTwoHours('ADJ-003');
+    await send('post', `/parking/transactions/${exit.transaction_id}/payments`, {
+      method: 'CASH',
+      amount: 6,
+    });
+
+    const res = await send('post', `/parking/transactions/${exit.transaction_id}/fee-override`, {
+      parking_fee: 6,
+      ...AUDIT,
+    });
+
+    expect(res.body.data).toMatchObject({ parking_fee: 6, payment_status: 'PAID' });
+  });
+
+  it('refunds a card overpayment through the gateway after a discount', async () => {
+    const exit = await exitAfterTwoHours('ADJ-004', {
+      payment: { method: 'CARD', payment_token: 'tok_approved' },
+    });
+    expect(exit.payment_status).toBe('PAID');
+
+    const discount = await send('post', `/parking/transactions/${exit.transaction_id}/discounts`, {
+      amount: 4,
+      ...AUDIT,
+    });
+    expect(discount.body.data).toMatchObject({ parking_fee: 6, refund_due: 4, payment_status: 'PAID' });
+
+    const refund = await send('post', `/parking/transactions/${exit.transaction_id}/refunds`, {
+      amount: 4,
+      payment_id: exit.payment.payment._id,
+      ...AUDIT,
+    });
+
+    expect(refund.status).toBe(201);
+    expect(refund.body.data).toMatchObject({
+      parking_fee: 6,
+      amount_refunded: 4,
+      refund_due: 0,
+      payment_status: 'PAID',
+    });
+    expect(refund.body.data.adjustment.gateway_refund_reference).toMatch(/^mock_re_/);
+  });
+
+  it('rejects refunds above the amount collected', async () => {
+    const exit = await exitAfterTwoHours('ADJ-005');
+    const res = await send('post', `/parking/transactions/${exit.transaction_id}/refunds`, {
+      amount: 1,
+      ...AUDIT,
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('REFUND_EXCEEDS_PAID');
+  });
+
+  it('voids a transaction and blocks further adjustments', async () => {
+    const exit = await exitAfterTwoHours('ADJ-006');
+    const res = await send('post', `/parking/transactions/${exit.transaction_id}/void`, AUDIT);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      parking_fee: 0,
+      balance_due: 0,
+      payment_status: 'CANCELLED',
+    });
+
+    const again = await send('post', `/parking/transactions/${exit.transaction_id}/fee-override`, {
+      parking_fee: 5,
+      ...AUDIT,
+    });
+    expect(again.status).toBe(409);
+    expect(again.body.error.code).toBe('TRANSACTION_VOIDED');
+
+    const payment = await send('post', `/parking/transactions/${exit.transaction_id}/payments`, {
+      method: 'CASH',
+      amount: 5,
+    });
+    expect(payment.status).toBe(409);
+  });
+
+  it('lists the adjustment history of a transaction', async () => {
+    const transaction = await ParkingTransaction.findOne({ payment_status: 'CANCELLED' });
+    const res = await send('get', `/parking/transactions/${transaction._id}/adjustments`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.adjustments.map((a) => a.type)).toEqual(['VOID']);
+    expect(await FeeAdjustment.countDocuments()).toBe(5);
+  });
+
+  it('reports net revenue for settled transactions', async () => {
+    const start = new Date(Date.now() - HOUR).toISOString();
+    const end = new Date(Date.now() + HOUR).toISOString();
+    const res = await send('get', `/parking/statistics/revenue?start_date=${start}&end_date=${end}`);
+
+    // Settled: ADJ-003 (10 -> 6), ADJ-004 (10 -> 6, 4 refunded) and the voided ADJ-006 (10 -> 0)
+    expect(res.body.data).toMatchObject({
+      total_transactions: 2,
+      voided_transactions: 1,
+      gross_revenue: 30,
+      total_adjustments: 18,
+      total_refunds: 4,
+      total_revenue: 12,
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Admin API Integration Tests
+ * Lot / floor / spot management and lot counter recomputation
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+const { describeIfDb, send, connectTestDb, disconnectTestDb } = require('../helpers/integration');
+const ParkingSpot = require('../../src/models/ParkingSpot');
+const RateCard = require('../../src/models/RateCard');
+
+describeIfDb('Admin API', () => {
+  let lotId;
+
+  beforeAll(async () => {
+    await connectTestDb();
+    await RateCard.create({ vehicle_type: 'CAR', hourly_rate: 5, daily_max_rate: 40 });
+  }, 60000);
+
+  afterAll(disconnectTestDb);
+
+  it('creates a lot with empty counters', async () => {
+    const res = await send('post', '/lots', { name: 'Admin Test Lot' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.total_spots).toBe(0);
+    lotId = res.body.data._id;
+  });
+
+  it('generates floors and recomputes the lot counters', async () => {
+    const first = await send('post', `/lots/${lotId}/floors`, {
+      spots_per_type: { MOTORCYCLE: 2, CAR: 3 },
+    });
+    expect(first.status).toBe(201);
+    expect(first.body.data.floor_number).toBe(1);
+    expect(first.body.data.spots_created).toBe(5);
+
+    const second = await send('post', `/lots/${lotId}/floors`, {
+      spots_per_type: { CAR: 1, BUS: 1 },
+    });
+    expect(second.body.data.floor_number).toBe(2);
+    expect(second.body.data.lot).toMatchObject({
+      total_floors: 2,
+      total_spots: 7,
+      available_motorcycle_spots: 2,
+      available_car_spots: 4,
+      available_bus_spots: 1,
+    });
+  });
+
+  it('refuses to generate an existing floor', async () => {
+    const res = await send('post', `/lots/${lotId}/floors`, {
+      floor_number: 1,
+      spots_per_type: { CAR: 1 },
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('CONFLICT');
+  });
+
+  it('puts a spot into maintenance and takes it out of availability', async () => {
+    const list = await send('get', `/lots/${lotId}/spots?floor_number=2&spot_type=BUS`);
+    expect(list.body.data.count).toBe(1);
+
+    const spotId = list.body.data.spots[0]._id;
+    const res = await send('put', `/lots/${lotId}/spots/${spotId}`, { status: 'MAINTENANCE' });
+    expect(res.status).toBe(200);
+
+    const lot = await send('get', `/lots/${lotId}`);
+    expect(lot.body.data.available_bus_spots).toBe(0);
+    expect(lot.body.data.total_spots).toBe(7);
+  });
+
+  it('refuses to modify or delete occupied spots, floors and lots', async () => {
+    const entry = await send('post', `/lots/${lotId}/parking/entry`, {
+      license_plate: 'ADM-001',
+      vehicle_type: 'CAR',
+    });
+    expect(entry.status).toBe(200);
+    const spotId = entry.body.data.spot_id;
+
+    const update = await send('put', `/lots/${lotId}/spots/${spotId}`, { spot_type: 'BUS' });
+    expect(update.status).toBe(409);
+    expect(update.body.error.code).toBe('SPOT_IN_USE');
+
+    const remove = await send('delete', `/lots/${lotId}/spots/${spotId}`);
+    expect(remove.body.error.code).toBe('SPOT_IN_USE');
+
+    const floor = await send('delete', `/lots/${lotId}/floors/1`);
+    expect(floor.body.error.code).toBe('SPOT_IN_USE');
+
+    const lot = await send('delete', `/lots/${lotId}`);
+    expect(lot.status).toBe(409);
+    expect(lot.body.error.code).toBe('LOT_IN_USE');
+
+    await send('post', `/lots/${lotId}/parking/exit`, { license_plate: 'ADM-001' });
+  });
+
+  it('deletes a floor and shrinks the lot counters', async () => {
+    const res = await send('delete', `/lots/${lotId}/floors/2`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.deleted_spots).toBe(2);
+    expect(res.body.data.lot.total_spots).toBe(5);
+  });
+
+  it('deletes an empty lot together with its spots', async () => {
+    const res = await send('delete', `/lots/${lotId}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.deleted_spots).toBe(5);
+    expect(await ParkingSpot.countDocuments({ lot_id: lotId })).toBe(0);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Audit Log Integration Tests
+ * Audit entries for entries, exits, payments, spot and rate card changes, request IDs
+ * and the filterable, paginated audit endpoint
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+const { describeIfDb, send, connectTestDb, disconnectTestDb } = require('../helpers/integration');
+const { signToken } = require('../../src/utils/jwt');
+const ParkingSpot = require('../../src/models/ParkingSpot');
+const ParkingTransaction = require('../../src/models/ParkingTransaction');
+
+describeIfDb('Audit Log', () => {
+  let lotId;
+  let transactionId;
+
+  beforeAll(async () => {
+    await connectTestDb();
+
+    const rateCard = await send('post', '/rate-cards', {
+      vehicle_type: 'CAR',
+      hourly_rate: 5,
+      daily_max_rate: 40,
+    });
+    expect(rateCard.status).toBe(201);
+
+    const lot = await send('post', '/lots', { name: 'Audit Test Lot' });
+    lotId = lot.body.data._id;
+    await send('post', `/lots/${lotId}/floors`, { spots_per_type: { CAR: 2 } });
+  }, 60000);
+
+  afterAll(disconnectTestDb);
+
+  it('echoes or generates a request ID', async () => {
+    const echoed = await send('get', '/audit', undefined, { 'X-Request-Id': 'gate-7:42' });
+    expect(echoed.headers['x-request-id']).toBe('gate-7:42');
+
+    const generated = await send('get', '/audit', undefined, { 'X-Request-Id': 'bad id!' });
+    expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('records entries, exits and payments with the actor and request ID', async () => {
+    const entry = await send(
+      'post',
+      `/lots/${lotId}/parking/entry`,
+      { license_plate: 'AUD-001', vehicle_type: 'CAR' },
+      { 'X-Request-Id': 'entry-1' }
+    );
+    expect(entry.status).toBe(200);
+    transactionId = entry.body.data.transaction_id;
+    await ParkingTransaction.updateOne(
+      { _id: transactionId },
+      { entry_time: new Date(Date.now() - 2 * 60 * 60 * 1000) }
+    );
+
+    await send('post', `/lots/${lotId}/parking/exit`, { license_plate: 'AUD-001' });
+    await send('post', `/lots/${lotId}/parking/transactions/${transactionId}/payments`, {
+      method: 'CASH',
+      amount: 20,
+    });
+
+    const res = await send('get', `/audit?entity_id=${transactionId}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.entries.map((e) => e.action)).toEqual(['VEHICLE_EXIT', 'VEHICLE_ENTRY']);
+
+    const [exit, parked] = res.body.data.entries;
+    expect(parked).toMatchObject({
+      actor: { auth_type: 'jwt', id: 'integration-tests', role: 'ADMIN' },
+      entity_type: 'ParkingTransaction',
+      lot_id: lotId,
+      before: null,
+      request_id: 'entry-1',
+    });
+    expect(exit.before.exit_time).toBeNull();
+    expect(exit.after.exit_time).not.toBeNull();
+
+    const payments = await send('get', '/audit?action=payment_recorded');
+    expect(payments.body.data.entries).toHaveLength(1);
+    expect(payments.body.data.entries[0].after.method).toBe('CASH');
+  });
+
+  it('records spot changes with before and after snapshots', async () => {
+    const spots = await send('get', `/lots/${lotId}/spots?status=AVAILABLE`);
+    const spotId = spots.body.data.spots[0]._id;
+
+    await send('put', `/lots/${lotId}/spots/${spotId}`, { status: 'MAINTENANCE' });
+
+    const res = await send('get', `/audit?entity_type=ParkingSpot&entity_id=${spotId}`);
+    expect(res.body.data.entries).toHaveLength(1);
+    expect(res.body.data.entries[0]).toMatchObject({
+      action: 'SPOT_UPDATED',
+      before: { status: 'AVAILABLE' },
+      after: { status: 'MAINTENANCE' },
+    });
+  });
+
+  it('records rate card versions, closing the predecessor', async () => {
+    await send('post', '/rate-cards', { vehicle_type: 'CAR', hourly_rate: 6, daily_max_rate: 45 });
+
+    const res = await send('get', '/audit?entity_type=RateCard');
+    expect(res.body.data.entries.map((e) => e.action)).toEqual([
+      'RATE_CARD_VERSION_CREATED',
+      'RATE_CARD_VERSION_UPDATED',
+      'RATE_CARD_VERSION_CREATED',
+    ]);
+    expect(res.body.data.entries[1].before.effective_to).toBeNull();
+    expect(res.body.data.entries[1].after.effective_to).not.toBeNull();
+  });
+
+  it('paginates newest first', async () => {
+    const first = await send('get', '/audit?limit=2');
+    expect(first.body.data.entries).toHaveLength(2);
+    expect(first.body.data.pagination.limit).toBe(2);
+    expect(first.body.data.pagination.total).toBeGreaterThan(2);
+
+    const second = await send('get', '/audit?limit=2&page=2');
+    expect(second.body.data.entries[0]._id).not.toBe(first.body.data.entries[1]._id);
+    expect(new Date(second.body.data.entries[0].created_at).getTime())
+      .toBeLessThanOrEqual(new Date(first.body.data.entries[1].created_at).getTime());
+  });
+
+  it('validates filters and requires the supervisor role', async () => {
+    const invalid = await send('get', '/audit?entity_type=Vehicle&limit=500&from=yesterday');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.code).toBe('INVALID_QUERY_PARAMS');
+    expect(Object.keys(invalid.body.error.validationErrors).sort()).toEqual([
+      'entity_type',
+      'from',
+      'limit',
+    ]);
+
+    const attendant = `Bearer ${signToken({ sub: 'attendant-1', role: 'ATTENDANT' })}`;
+    const forbidden = await send('get', '/audit', undefined, { Authorization: attendant });
+    expect(forbidden.status).toBe(403);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Authentication Integration Tests
+ * JWT verification, API key create / use / rotate / revoke and role-based access
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+const {
+  app,
+  describeIfDb,
+  API_PREFIX,
+  AUTH_HEADER,
+  connectTestDb,
+  disconnectTestDb,
+} = require('../helpers/integration');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { signToken } = require('../../src/utils/jwt');
+const ApiKey = require('../../src/models/ApiKey');
+
+const send = (method, path, body, authorization = AUTH_HEADER) =>
+  request(app)
+    [method](`${API_PREFIX}${path}`)
+    .set('Authorization', authorization)
+    .set('Content-Type', 'application/json')
+    .send(body);
+
+const withApiKey = (key) =>
+  request(app).get(`${API_PREFIX}/api-keys`).set('X-API-Key', key);
+
+describeIfDb('Authentication', () => {
+  beforeAll(async () => {
+    await connectTestDb();
+  }, 60000);
+
+  afterAll(disconnectTestDb);
+
+  describe('JWT', () => {
+    it('rejects missing, unsigned and expired tokens', async () => {
+      const missing = await request(app).get(`${API_PREFIX}/api-keys`);
+      expect(missing.status).toBe(401);
+      expect(missing.body.error.code).toBe('UNAUTHORIZED');
+
+      const opaque = await send('get', '/api-keys', undefined, 'Bearer test-token');
+      expect(opaque.status).toBe(401);
+
+      const expired = await send(
+        'get',
+        '/api-keys',
+        undefined,
+        `Bearer ${signToken({ sub: 'integration-tests', role: 'ADMIN' }, { expiresIn: -3600 })}`
+      );
+      expect(expired.status).toBe(401);
+      expect(expired.body.error.message).toBe('Token has expired');
+    });
+  });
+
+  describe('API keys', () => {
+    let created;
+
+    it('creates a key, shown once and stored hashed', async () => {
+      const res = await send('post', '/api-keys', { name: 'Ops console', role: 'admin' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.role).toBe('ADMIN');
+      expect(res.body.data.api_key).toMatch(/^pk_[0-9a-f]{48}$/);
+      expect(res.body.data.key_prefix).toBe(res.body.data.api_key.slice(0, 11));
+      expect(res.body.data.created_by).toBe('integration-tests');
+      expect(res.body.data.key_hash).toBeUndefined();
+      created = res.body.data;
+
+      const stored = await ApiKey.findById(created._id);
+      expect(stored.key_hash).not.toContain(created.api_key);
+    });
+
+    it('authenticates with the key in either header', async () => {
+      const viaHeader = await withApiKey(created.api_key);
+      expect(viaHeader.status).toBe(200);
+      expect(viaHeader.body.data.api_keys.map((k) => k._id)).toEqual([created._id]);
+
+      const viaBearer = await send(
+        'get',
+        `/api-keys/${created._id}`,
+        undefined,
+        `Bearer ${created.api_key}`
+      );
+      expect(viaBearer.status).toBe(200);
+      expect(viaBearer.body.data.last_used_at).not.toBeNull();
+
+      expect((await withApiKey(`pk_${'0'.repeat(48)}`)).status).toBe(401);
+    });
+
+    it('rotates a key with a grace period', async () => {
+      const res = await send('post', `/api-keys/${created._id}/rotate`, {
+        grace_period_minutes: 5,
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.rotated.replaced_by).toBe(res.body.data._id);
+      expect(res.body.data.rotated.status).toBe('ACTIVE');
+      expect((await withApiKey(created.api_key)).status).toBe(200);
+      expect((await withApiKey(res.body.data.api_key)).status).toBe(200);
+
+      const again = await send('post', `/api-keys/${created._id}/rotate`, {});
+      expect(again.status).toBe(409);
+
+      created = res.body.data;
+    });
+
+    it('revokes a key', async () => {
+      const res = await send('delete', `/api-keys/${created._id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('REVOKED');
+      expect((await withApiKey(created.api_key)).status).toBe(401);
+
+      const again = await send('delete', `/api-keys/${created._id}`);
+      expect(again.status).toBe(409);
+    });
+
+    it('validates requests', async () => {
+      const res = await send('post', '/api-keys', { name: 'x', expires_at: '2000-01-01' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.validationErrors).toMatchObject({
+        name: expect.any(String),
+        expires_at: 'expires_at must be in the future',
+      });
+
+      expect((await send('get', '/api-keys/not-an-id')).status).toBe(400);
+    });
+  });
+
+  describe('Roles', () => {
+    const as = (role) => `Bearer ${signToken({ sub: `${role || 'no'}-role`, role })}`;
+    const transactionPath = `/parking/transactions/${new mongoose.Types.ObjectId()}`;
+
+    it('refuses callers without a role', async () => {
+      const res = await send('get', '/parking/spots/availability', undefined, as(undefined));
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.code).toBe('FORBIDDEN');
+    });
+
+    it('limits kiosks to entry, exit and availability', async () => {
+      const availability = await send('get', '/parking/spots/availability', undefined, as('KIOSK'));
+      expect(availability.status).not.toBe(403);
+
+      const kioskKey = await send('post', '/api-keys', { name: 'Gate kiosk 1' });
+      expect(kioskKey.body.data.role).toBe('KIOSK');
+      expect((await withApiKey(kioskKey.body.data.api_key)).status).toBe(403);
+
+      const manualExit = await send('post', `${transactionPath}/manual-exit`, {}, as('KIOSK'));
+      expect(manualExit.status).toBe(403);
+      expect(manualExit.body.error.message).toBe(
+        'Insufficient permissions: role KIOSK lacks parking:manual-exit'
+      );
+    });
+
+    it('lets attendants exit manually but not adjust fees', async () => {
+      const manualExit = await send('post', `${transactionPath}/manual-exit`, {}, as('ATTENDANT'));
+      expect(manualExit.status).not.toBe(403);
+
+      const discount = await send('post', `${transactionPath}/discounts`, {}, as('ATTENDANT'));
+      expect(discount.status).toBe(403);
+    });
+
+    it('lets supervisors adjust fees but not manage lots or rate cards', async () => {
+      const discount = await send('post', `${transactionPath}/discounts`, {}, as('SUPERVISOR'));
+      expect(discount.status).not.toBe(403);
+
+      expect((await send('get', '/lots', undefined, as('SUPERVISOR'))).status).toBe(403);
+      expect((await send('get', '/rate-cards', undefined, as('SUPERVISOR'))).status).toBe(403);
+      expect((await send('get', '/lots', undefined, as('admin'))).status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Concurrency Integration Tests
+ * Fires parallel vehicle entries and asserts no parking spot is double-booked
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+const {
+  app,
+  describeIfDb,
+  API_PREFIX,
+  AUTH_HEADER,
+  connectTestDb,
+  disconnectTestDb,
+  createLot,
+} = require('../helpers/integration');
+const request = require('supertest');
+const ParkingLot = require('../../src/models/ParkingLot');
+const ParkingSpot = require('../../src/models/ParkingSpot');
+const ParkingTransaction = require('../../src/models/ParkingTransaction');
+const RateCard = require('../../src/models/RateCard');
+
+const FLOORS = 2;
+const CAR_SPOTS_PER_FLOOR = 20;
+const BUS_SPOTS_PER_FLOOR = 5;
+const TOTAL_SPOTS = FLOORS * (CAR_SPOTS_PER_FLOOR + BUS_SPOTS_PER_FLOOR);
+const PARALLEL_ENTRIES = 300;
+
+/**
+ * Seed a lot with CAR and BUS spots on every floor
+ */
+const seedParkingLot = async () => {
+  const spots = [];
+  for (let floor = 1; floor <= FLOORS; floor++) {
+    let spotNumber = 1;
+    for (let i = 0; i < CAR_SPOTS_PER_FLOOR; i++) {
+      spots.push({ floor_number: floor, spot_number: spotNumber++, spot_type: 'CAR' });
+    }
+    for (let i = 0; i < BUS_SPOTS_PER_FLOOR; i++) {
+      spots.push({ floor_number: floor, spot_number: spotNumber++, spot_type: 'BUS' });
+    }
+  }
+
+  await createLot('Concurrency Test Lot', spots);
+  await RateCard.create({ vehicle_type: 'CAR', hourly_rate: 5, daily_max_rate: 40 });
+};
+
+describeIfDb('Concurrent vehicle entry', () => {
+  let server;
+
+  beforeAll(async () => {
+    await connectTestDb();
+    await seedParkingLot();
+
+    server = app.listen(0);
+  }, 60000);
+
+  afterAll(async () => {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+    }
+    await disconnectTestDb();
+  });
+
+  it(
+    'never assigns the same spot to two vehicles under parallel entries',
+    async () => {
+      const responses = await Promise.all(
+        Array.from({ length: PARALLEL_ENTRIES }, (_, i) =>
+          request(server)
+            .post(`${API_PREFIX}/parking/entry`)
+            .set('Authorization', AUTH_HEADER)
+            .set('Content-Type', 'application/json')
+            .send({
+              license_plate: `CONC-${String(i).padStart(4, '0')}`,
+              vehicle_type: 'CAR',
+            })
+        )
+      );
+
+      const succeeded = responses.filter((res) => res.status === 200);
+      const rejected = responses.filter((res) => res.status !== 200);
+
+      // Every request got a spot while any was free; only a full lot turns one away
+      rejected.forEach((res) => {
+        expect(res.body.error.code).toBe('NO_SPOT_AVAILABLE');
+      });
+
+      // No spot handed out twice in the responses
+      const assignedSpotIds = succeeded.map((res) => res.body.data.spot_id);
+      expect(new Set(assignedSpotIds).size).toBe(assignedSpotIds.length);
+      expect(succeeded.length).toBeLessThanOrEqual(TOTAL_SPOTS);
+
+      // The lot fills up completely: every CAR-eligible spot was claimed
+      expect(succeeded.length).toBe(TOTAL_SPOTS);
+
+      // Database agrees: one OCCUPIED spot and one active transaction per success
+      const occupiedSpots = await ParkingSpot.countDocuments({ status: 'OCCUPIED' });
+      expect(occupiedSpots).toBe(succeeded.length);
+
+      const activeBySpot = await ParkingTransaction.aggregate([
+        { $match: { exit_time: null } },
+        { $group: { _id: '$spot_id', count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } },
+      ]);
+      expect(activeBySpot).toHaveLength(0);
+
+      const activeTransactions = await ParkingTransaction.countDocuments({ exit_time: null });
+      expect(activeTransactions).toBe(succeeded.length);
+
+      // Lot counters stay consistent with the spots collection (CARs overflow into BUS spots)
+      const lot = await ParkingLot.findOne();
+      expect(lot.occupied_car_spots + lot.occupied_bus_spots).toBe(succeeded.length);
+      expect(lot.available_car_spots + lot.available_bus_spots).toBe(0);
+    },
+    120000
+  );
+});
@@ -0,0 +1,176 @@
+/**
+ * EV Charging Integration Tests
+ * Charger-aware allocation, charging sessions and per-kWh charging on the exit bill
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+// Energy billed per session is capped; read when the charging service loads
+process.env.CHARGING_MAX_SESSION_KWH = '50';
+
+const {
+  describeIfDb,
+  send,
+  enter,
+  connectTestDb,
+  disconnectTestDb,
+  createLot,
+  spotsOf,
+} = require('../helpers/integration');
+const RateCard = require('../../src/models/RateCard');
+const ParkingTransaction = require('../../src/models/ParkingTransaction');
+const ChargingSession = require('../../src/models/ChargingSession');
+
+const HOUR = 60 * 60 * 1000;
+
+describeIfDb('EV Charging', () => {
+  let spots;
+  let evEntry;
+
+  beforeAll(async () => {
+    await connectTestDb();
+
+    const carSpots = spotsOf('CAR', 4);
+    carSpots[0].ev_charger_kw = 11;
+    ({ spots } = await createLot('EV Test Lot', carSpots));
+    await RateCard.create({
+      vehicle_type: 'CAR',
+      hourly_rate: 5,
+      grace_period_minutes: 15,
+      charging_rate_per_kwh: 0.4,
+    });
+  }, 60000);
+
+  afterAll(disconnectTestDb);
+
+  it('keeps the scarce charger spot away from vehicles not charging', async () => {
+    const res = await enter('GAS-0001');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.spot_id).toBe(spots[1]._id.toString());
+    expect(res.body.data.charging_session).toBeNull();
+  });
+
+  it('rejects a charging request for a vehicle declared non-electric', async () => {
+    const res = await enter('GAS-0002', { is_ev: false, charging_requested: true });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.validationErrors.charging_requested).toBeDefined();
+  });
+
+  it('parks an EV requesting charging on the charger and starts a session', async () => {
+    const res = await enter('EVC-0001', { charging_requested: true });
+    evEntry = res.body.data;
+
+    expect(res.status).toBe(200);
+    expect(evEntry.spot_id).toBe(spots[0]._id.toString());
+    expect(evEntry.spot_details.ev_charger_kw).toBe(11);
+    expect(evEntry.charging_session).toMatchObject({ charger_kw: 11 });
+  });
+
+  it('refuses a second session while one is running', async () => {
+    const res = await send('post', '/parking/charging-sessions', {
+      transaction_id: evEntry.transaction_id,
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('CONFLICT');
+  });
+
+  it('refuses charging on a spot without a charger', async () => {
+    const parked = await enter('EVC-0002', { is_ev: true });
+    expect(parked.body.data.spot_id).toBe(spots[2]._id.toString());
+
+    const res = await send('post', '/parking/charging-sessions', {
+      transaction_id: parked.body.data.transaction_id,
+    });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('stops a session at the metered energy and prices it', async () => {
+    const sessionId = evEntry.charging_session.session_id;
+    const res = await send('post', `/parking/charging-sessions/${sessionId}/stop`, {
+      energy_kwh: 20,
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      status: 'COMPLETED',
+      energy_kwh: 20,
+      energy_estimated: false,
+      rate_per_kwh: 0.4,
+      fee: 8,
+    });
+
+    const again = await send('post', `/parking/charging-sessions/${sessionId}/stop`, {});
+    expect(again.status).toBe(409);
+  });
+
+  it('lists sessions by transaction', async () => {
+    const res = await send(
+      'get',
+      `/parking/charging-sessions?transaction_id=${evEntry.transaction_id}`
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.count).toBe(1);
+  });
+
+  it('adds charging to the exit bill', async () => {
+    const res = await send('post', '/parking/exit', { license_plate: 'EVC-0001' });
+
+    expect(res.status).toBe(200);
+    // Within the grace period: the bill is the charging alone
+    expect(res.body.data).toMatchObject({
+      parking_fee: 0,
+      charging_fee: 8,
+      total_fee: 8,
+      payment_status: 'PENDING',
+    });
+  });
+
+  it('caps the energy billed and keeps charging out of fee discounts', async () => {
+    const parked = await enter('EVC-0004', { charging_requested: true });
+    const transactionId = parked.body.data.transaction_id;
+    await ParkingTransaction.updateOne(
+      { _id: transactionId },
+      { entry_time: new Date(Date.now() - 2 * HOUR) }
+    );
+
+    const sessionId = parked.body.data.charging_session.session_id;
+    const stopped = await send('post', `/parking/charging-sessions/${sessionId}/stop`, {
+      energy_kwh: 80,
+    });
+    expect(stopped.body.data).toMatchObject({ energy_kwh: 50, energy_capped: true, fee: 20 });
+
+    const exit = await send('post', '/parking/exit', { license_plate: 'EVC-0004' });
+    expect(exit.body.data).toMatchObject({ parking_fee: 10, charging_fee: 20, total_fee: 30 });
+
+    const discounted = await send('post', `/parking/transactions/${transactionId}/discounts`, {
+      percent: 50,
+      reason: 'Loyalty discount',
+    });
+    expect(discounted.status).toBe(201);
+    expect(discounted.body.data).toMatchObject({
+      parking_fee: 5,
+      charging_fee: 20,
+      total_fee: 25,
+      balance_due: 25,
+    });
+  });
+
+  it('stops a running session at exit with estimated energy', async () => {
+    const parked = await enter('EVC-0003', { charging_requested: true });
+    expect(parked.body.data.charging_session).not.toBeNull();
+
+    const res = await send('post', '/parking/exit', { license_plate: 'EVC-0003' });
+    expect(res.status).toBe(200);
+
+    const chargingSession = await ChargingSession.findById(
+      parked.body.data.charging_session.session_id
+    );
+    expect(chargingSession.status).toBe('COMPLETED');
+    expect(chargingSession.energy_estimated).toBe(true);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Idempotency Key Integration Tests
+ * Retried entry, exit and payment POSTs with an Idempotency-Key replay the first response
+ * instead of repeating the operation
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+const { describeIfDb, send, connectTestDb, disconnectTestDb } = require('../helpers/integration');
+const ParkingTransaction = require('../../src/models/ParkingTransaction');
+const Payment = require('../../src/models/Payment');
+const IdempotencyKey = require('../../src/models/IdempotencyKey');
+
+describeIfDb('Idempotency Keys', () => {
+  let lotId;
+
+  beforeAll(async () => {
+    await connectTestDb();
+
+    await send('post', '/rate-cards', { vehicle_type: 'CAR', hourly_rate: 5, daily_max_rate: 40 });
+    const lot = await send('post', '/lots', { name: 'Idempotency Test Lot' });
+    lotId = lot.body.data._id;
+    await send('post', `/lots/${lotId}/floors`, { spots_per_type: { CAR: 2 } });
+  }, 60000);
+
+  afterAll(disconnectTestDb);
+
+  it('replays entry, exit and payment responses for retries', async () => {
+    const entryBody = { license_plate: 'IDM-001', vehicle_type: 'CAR' };
+    const entry = await send('post', `/lots/${lotId}/parking/entry`, entryBody, {
+      'Idempotency-Key': 'entry-1',
+    });
+    const entryRetry = await send('post', `/lots/${lotId}/parking/entry`, entryBody, {
+      'Idempotency-Key': 'entry-1',
+    });
+
+    expect(entry.status).toBe(200);
+    expect(entryRetry.status).toBe(200);
+    expect(entryRetry.body).toEqual(entry.body);
+    expect(entryRetry.headers['idempotent-replayed']).toBe('true');
+    expect(await ParkingTransaction.countDocuments({})).toBe(1);
+
+    const exitBody = { license_plate: 'IDM-001' };
+    const exit = await send('post', `/lots/${lotId}/parking/exit`, exitBody, {
+      'Idempotency-Key': 'exit-1',
+    });
+    const exitRetry = await send('post', `/lots/${lotId}/parking/exit`, exitBody, {
+      'Idempotency-Key': 'exit-1',
+    });
+
+    expect(exit.status).toBe(200);
+    expect(exitRetry.status).toBe(200);
+    expect(exitRetry.body).toEqual(exit.body);
+
+    // Without a key the retry fails as before
+    const unkeyed = await send('post', `/lots/${lotId}/parking/exit`, exitBody);
+    expect(unkeyed.body.error.code).toBe('ALREADY_EXITED');
+
+    const transactionId = entry.body.data.transaction_id;
+    const paymentPath = `/lots/${lotId}/parking/transactions/${transactionId}/payments`;
+    const paymentBody = { method: 'CASH', amount: 1 };
+    const payment = await send('post', paymentPath, paymentBody, { 'Idempotency-Key': 'pay-1' });
+    const paymentRetry = await send('post', paymentPath, paymentBody, {
+      'Idempotency-Key': 'pay-1',
+    });
+
+    expect(paymentRetry.status).toBe(payment.status);
+    expect(paymentRetry.body).toEqual(payment.body);
+    expect(await Payment.countDocuments({})).toBe(1);
+  });
+
+  it('rejects a reused key with a different payload', async () => {
+    await send(
+      'post',
+      `/lots/${lotId}/parking/entry`,
+      { license_plate: 'IDM-002', vehicle_type: 'CAR' },
+      { 'Idempotency-Key': 'entry-2' }
+    );
+
+    const mismatch = await send(
+      'post',
+      `/lots/${lotId}/parking/entry`,
+      { license_plate: 'IDM-003', vehicle_type: 'CAR' },
+      { 'Idempotency-Key': 'entry-2' }
+    );
+
+    expect(mismatch.status).toBe(422);
+    expect(mismatch.body.error.code).toBe('IDEMPOTENCY_KEY_MISMATCH');
+  });
+
+  it('treats the default-lot and lot-scoped paths to the same lot as one request', async () => {
+    const entryBody = { license_plate: 'IDM-004', vehicle_type: 'CAR' };
+    const entry = await send('post', '/parking/entry', entryBody, { 'Idempotency-Key': 'entry-3' });
+    const retry = await send('post', `/lots/${lotId}/parking/entry`, entryBody, {
+      'Idempotency-Key': 'entry-3',
+    });
+
+    expect(entry.status).toBe(200);
+    expect(retry.status).toBe(200);
+    expect(retry.body).toEqual(entry.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('stores keys with an expiry for the TTL index', async () => {
+    const stored = await IdempotencyKey.findOne({ key: 'jwt:integration-tests:entry-1' }).lean();
+
+    expect(stored.state).toBe('COMPLETED');
+    expect(stored.response_status).toBe(200);
+    expect(stored.expires_at.getTime()).toBeGreaterThan(Date.now() + 23 * 3600000);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Maintenance Integration Tests
+ * Immediate and scheduled maintenance windows, allocation skipping and auto-restore
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+const {
+  describeIfDb,
+  send,
+  connectTestDb,
+  disconnectTestDb,
+  createLot,
+  spotsOf,
+} = require('../helpers/integration');
+const maintenanceService = require('../../src/services/maintenanceService');
+const ParkingLot = require('../../src/models/ParkingLot');
+const ParkingSpot = require('../../src/models/ParkingSpot');
+const RateCard = require('../../src/models/RateCard');
+
+const HOUR = 60 * 60 * 1000;
+
+describeIfDb('Spot maintenance', () => {
+  let lot;
+  let spots;
+
+  beforeAll(async () => {
+    await connectTestDb();
+
+    ({ lot, spots } = await createLot('Maintenance Test Lot', [
+      ...spotsOf('CAR', 2),
+      { floor_number: 2, spot_number: 1, spot_type: 'CAR' },
+    ]));
+    await RateCard.create({ vehicle_type: 'CAR', hourly_rate: 5, daily_max_rate: 40 });
+  }, 60000);
+
+  afterAll(disconnectTestDb);
+
+  it('puts a spot into maintenance immediately and skips it on allocation', async () => {
+    const res = await send('post', `/lots/${lot._id}/spots/${spots[0]._id}/maintenance`, {
+      reason: 'Broken barrier sensor',
+      technician: 'J. Smith',
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.status).toBe('ACTIVE');
+
+    const entry = await send('post', `/lots/${lot._id}/parking/entry`, {
+      license_plate: 'MNT-001',
+      vehicle_type: 'CAR',
+    });
+    expect(entry.body.data.spot_id).toBe(spots[1]._id.toString());
+
+    const updatedLot = await ParkingLot.findById(lot._id);
+    expect(updatedLot.available_car_spots).toBe(1);
+  });
+
+  it('keeps a window on an occupied spot pending until the vehicle leaves', async () => {
+    const res = await send('post', `/lots/${lot._id}/floors/1/maintenance`, {
+      reason: 'Line repainting',
+      ends_at: new Date(Date.now() + HOUR).toISOString(),
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.windows_created).toBe(2);
+    expect(res.body.data.windows_scheduled).toBe(1);
+
+    await send('post', `/lots/${lot._id}/parking/exit`, { license_plate: 'MNT-001' });
+
+    // The window starts as the vehicle leaves, without waiting for the sweep
+    const spot = await ParkingSpot.findById(spots[1]._id);
+    expect(spot.status).toBe('MAINTENANCE');
+    const updatedLot = await ParkingLot.findById(lot._id);
+    expect(updatedLot.available_car_spots).toBe(1);
+
+    const entry = await send('post', `/lots/${lot._id}/parking/entry`, {
+      license_plate: 'MNT-002',
+      vehicle_type: 'CAR',
+    });
+    expect(entry.body.data.spot_id).toBe(spots[2]._id.toString());
+
+    const summary = await maintenanceService.processDueWindows();
+    expect(summary).toMatchObject({ activated: 0, pending: 0 });
+  });
+
+  it('restores spots when a window ends', async () => {
+    const summary = await maintenanceService.processDueWindows(new Date(Date.now() + 2 * HOUR));
+    expect(summary.completed).toBe(2);
+
+    // Spot 1 still has its open-ended window from the first test
+    const [first, second] = await Promise.all([
+      ParkingSpot.findById(spots[0]._id),
+      ParkingSpot.findById(spots[1]._id),
+    ]);
+    expect(first.status).toBe('MAINTENANCE');
+    expect(second.status).toBe('AVAILABLE');
+  });
+
+  it('ends a window early and exposes the spot history', async () => {
+    const list = await send('get', `/lots/${lot._id}/maintenance?status=ACTIVE`);
+    expect(list.body.data.count).toBe(1);
+
+    const end = await send('delete', `/lots/${lot._id}/maintenance/${list.body.data.windows[0]._id}`);
+    expect(end.status).toBe(200);
+    expect(end.body.data.status).toBe('COMPLETED');
+
+    const history = await send('get', `/lots/${lot._id}/spots/${spots[0]._id}/maintenance`);
+    expect(history.body.data.current_status).toBe('AVAILABLE');
+    expect(history.body.data.history.map((w) => w.status)).toEqual(['COMPLETED', 'COMPLETED']);
+  });
+
+  it('does not apply future windows before they start', async () => {
+    const res = await send('post', `/lots/${lot._id}/spots/${spots[0]._id}/maintenance`, {
+      reason: 'Scheduled inspection',
+      starts_at: new Date(Date.now() + HOUR).toISOString(),
+      ends_at: new Date(Date.now() + 2 * HOUR).toISOString(),
+    });
+
+    expect(res.body.data.status).toBe('SCHEDULED');
+    const spot = await ParkingSpot.findById(spots[0]._id);
+    expect(spot.status).toBe('AVAILABLE');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Manual Exit Integration Tests
+ * Active transaction search, manual exits and lost-ticket fees
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+const {
+  describeIfDb,
+  send,
+  connectTestDb,
+  disconnectTestDb,
+  createLot,
+  spotsOf,
+} = require('../helpers/integration');
+const mongoose = require('mongoose');
+const ParkingTransaction = require('../../src/models/ParkingTransaction');
+const RateCard = require('../../src/models/RateCard');
+
+const HOUR = 60 * 60 * 1000;
+
+const manualExit = (transactionId, body) =>
+  send('post', `/parking/transactions/${transactionId}/manual-exit`, body);
+
+/**
+ * Park a vehicle that entered some hours ago
+ */
+const parkFor = async (licensePlate, hours) => {
+  const parked = await send('post', '/parking/entry', {
+    license_plate: licensePlate,
+    vehicle_type: 'CAR',
+  });
+  await ParkingTransaction.updateOne(
+    { _id: parked.body.data.transaction_id },
+    { entry_time: new Date(Date.now() - hours * HOUR) }
+  );
+  return parked.body.data;
+};
+
+describeIfDb('Manual Exits', () => {
+  let spots;
+  let shortStay;
+  let longStay;
+
+  beforeAll(async () => {
+    await connectTestDb();
+
+    ({ spots } = await createLot('Manual Exit Test Lot', spotsOf('CAR', 3)));
+    await RateCard.create({
+      vehicle_type: 'CAR',
+      hourly_rate: 5,
+      grace_period_minutes: 0,
+      lost_ticket_fee: 25,
+    });
+
+    shortStay = await parkFor('MAN-1001', 2);
+    longStay = await parkFor('LST-2002', 8);
+  }, 60000);
+
+  afterAll(disconnectTestDb);
+
+  it('searches active transactions by partial plate', async () => {
+    const res = await send('get', '/parking/transactions/active?plate=n-10');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.count).toBe(1);
+    expect(res.body.data.transactions[0]).toMatchObject({
+      transaction_id: shortStay.transaction_id,
+      license_plate: 'MAN-1001',
+      spot_id: spots[0]._id.toString(),
+    });
+  });
+
+  it('searches active transactions by spot and entry window', async () => {
+    const bySpot = await send('get', '/parking/transactions/active?floor_number=1&spot_number=2');
+    expect(bySpot.body.data.transactions.map((t) => t.license_plate)).toEqual(['LST-2002']);
+
+    const after = new Date(Date.now() - 4 * HOUR).toISOString();
+    const byWindow = await send('get', `/parking/transactions/active?entered_after=${after}`);
+    expect(byWindow.body.data.transactions.map((t) => t.license_plate)).toEqual(['MAN-1001']);
+  });
+
+  it('rejects a manual exit on behalf of another operator', async () => {
+    const res = await manualExit(shortStay.transaction_id, {
+      operator_id: 'att-7',
+      reason: 'Plate not read at exit',
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.validationErrors.operator_id).toBeDefined();
+  });
+
+  it('releases a vehicle manually at the normal fee', async () => {
+    const res = await manualExit(shortStay.transaction_id, {
+      reason: 'Plate not read at exit',
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ parking_fee: 10, exit_type: 'MANUAL' });
+
+    const transaction = await ParkingTransaction.findById(shortStay.transaction_id);
+    expect(transaction).toMatchObject({
+      exit_type: 'MANUAL',
+      exit_operator_id: 'integration-tests',
+      exit_reason: 'Plate not read at exit',
+    });
+  });
+
+  it('rejects a second exit of the same transaction', async () => {
+    const res = await manualExit(shortStay.transaction_id, {
+      reason: 'Plate not read at exit',
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('ALREADY_EXITED');
+  });
+
+  it('charges at least the lost-ticket fee for a lost ticket', async () => {
+    const parked = await parkFor('LST-3003', 1);
+    const short = await manualExit(parked.transaction_id, {
+      reason: 'Ticket lost',
+      lost_ticket: true,
+    });
+    expect(short.body.data).toMatchObject({ parking_fee: 25, exit_type: 'LOST_TICKET' });
+
+    const long = await manualExit(longStay.transaction_id, {
+      reason: 'Ticket lost',
+      lost_ticket: true,
+    });
+    expect(long.body.data).toMatchObject({ parking_fee: 40, exit_type: 'LOST_TICKET' });
+  });
+
+  it('returns 404 for an unknown transaction', async () => {
+    const res = await manualExit(new mongoose.Types.ObjectId(), {
+      reason: 'Plate not read at exit',
+    });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('TRANSACTION_NOT_FOUND');
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Parking Flow Integration Tests
+ * Entry → status → exit → status against a real MongoDB replica set
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+const {
+  describeIfDb,
+  send,
+  connectTestDb,
+  disconnectTestDb,
+  createLot,
+  spotsOf,
+} = require('../helpers/integration');
+const mongoose = require('mongoose');
+const ParkingSpot = require('../../src/models/ParkingSpot');
+const RateCard = require('../../src/models/RateCard');
+
+describeIfDb('Parking flow', () => {
+  let secondLot;
+
+  beforeAll(async () => {
+    await connectTestDb();
+
+    await createLot('Flow Test Lot', [
+      { floor_number: 1, spot_number: 1, spot_type: 'MOTORCYCLE' },
+      { floor_number: 1, spot_number: 2, spot_type: 'CAR' },
+      { floor_number: 1, spot_number: 3, spot_type: 'BUS' },
+    ]);
+    ({ lot: secondLot } = await createLot('Second Flow Test Lot', spotsOf('CAR', 1)));
+    await RateCard.create({ vehicle_type: 'CAR', hourly_rate: 5, daily_max_rate: 40 });
+  }, 60000);
+
+  afterAll(disconnectTestDb);
+
+  it('parks a car in the best-fit spot', async () => {
+    const res = await send('post', '/parking/entry', { license_plate: 'flow-001', vehicle_type: 'CAR' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.spot_details).toMatchObject({
+      floor_number: 1,
+      spot_number: 2,
+      spot_type: 'CAR',
+    });
+  });
+
+  it('rejects a second entry for the same plate', async () => {
+    const res = await send('post', '/parking/entry', { license_plate: 'FLOW-001', vehicle_type: 'CAR' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('VEHICLE_ALREADY_PARKED');
+  });
+
+  it('reports the vehicle as parked', async () => {
+    const res = await send('get', '/parking/vehicle/FLOW-001/status');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.is_parked).toBe(true);
+  });
+
+  it('does not let the vehicle exit through another lot', async () => {
+    const res = await send('post', `/lots/${secondLot._id}/parking/exit`, { license_plate: 'FLOW-001' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('VEHICLE_NOT_FOUND');
+  });
+
+  it('allocates within the requested lot only', async () => {
+    const res = await send('post', `/lots/${secondLot._id}/parking/entry`, {
+      license_plate: 'FLOW-002',
+      vehicle_type: 'CAR',
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.lot_id).toBe(secondLot._id.toString());
+
+    const full = await send('post', `/lots/${secondLot._id}/parking/entry`, {
+      license_plate: 'FLOW-003',
+      vehicle_type: 'CAR',
+    });
+    expect(full.status).toBe(409);
+    expect(full.body.error.code).toBe('NO_SPOT_AVAILABLE');
+  });
+
+  it('returns LOT_NOT_FOUND for unknown lots', async () => {
+    const res = await send('get', `/lots/${new mongoose.Types.ObjectId()}/parking/spots/availability`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('LOT_NOT_FOUND');
+  });
+
+  it('exits the vehicle and releases the spot', async () => {
+    const res = await send('post', '/parking/exit', { license_plate: 'FLOW-001' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.parking_fee).toBe(0);
+    expect(res.body.data.payment_status).toBe('PENDING');
+
+    const spot = await ParkingSpot.findOne({ spot_number: 2 });
+    expect(spot.status).toBe('AVAILABLE');
+  });
+
+  it('rejects a second exit for the same plate', async () => {
+    const res = await send('post', '/parking/exit', { license_plate: 'FLOW-001' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('ALREADY_EXITED');
+  });
+});
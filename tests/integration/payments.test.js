@@ -0,0 +1,228 @@
+/**
+ * Payment Integration Tests
+ * Partial payments, cash change, card payments through the mock gateway and
+ * settlement of exited transactions
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+const {
+  app,
+  describeIfDb,
+  API_PREFIX,
+  send,
+  connectTestDb,
+  disconnectTestDb,
+  createLot,
+  spotsOf,
+} = require('../helpers/integration');
+const request = require('supertest');
+const { getPaymentGateway } = require('../../src/gateways');
+const ParkingTransaction = require('../../src/models/ParkingTransaction');
+const RateCard = require('../../src/models/RateCard');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Park a vehicle for two hours (fee 10) and drive it out
+ */
+const exitAfterTwoHours = async (licensePlate, exitBody = {}) => {
+  const parked = await send('post', '/parking/entry', { license_plate: licensePlate, vehicle_type: 'CAR' });
+  await ParkingTransaction.updateOne(
+    { _id: parked.body.data.transaction_id },
+    { entry_time: new Date(Date.now() - 2 * HOUR) }
+  );
+  return send('post', '/parking/exit', { license_plate: licensePlate, ...exitBody });
+};
+
+describeIfDb('Payments', () => {
+  let exitedId;
+  let activeId;
+
+  beforeAll(async () => {
+    await connectTestDb();
+
+    await createLot('Payment Test Lot', spotsOf('CAR', 2));
+    await RateCard.create({ vehicle_type: 'CAR', hourly_rate: 5, grace_period_minutes: 0 });
+
+    const exit = await exitAfterTwoHours('PAY-001');
+    exitedId = exit.body.data.transaction_id;
+
+    const active = await send('post', '/parking/entry', { license_plate: 'PAY-002', vehicle_type: 'CAR' });
+    activeId = active.body.data.transaction_id;
+  }, 60000);
+
+  afterAll(disconnectTestDb);
+
+  it('rejects payments for vehicles that have not exited', async () => {
+    const res = await send('post', `/parking/transactions/${activeId}/payments`, {
+      method: 'CASH',
+      amount: 5,
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('TRANSACTION_NOT_EXITED');
+  });
+
+  it('rejects card payments above the balance due', async () => {
+    const res = await send('post', `/parking/transactions/${exitedId}/payments`, {
+      method: 'CARD',
+      amount: 15,
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('PAYMENT_EXCEEDS_BALANCE');
+  });
+
+  it('keeps the transaction pending after a partial payment', async () => {
+    const res = await send('post', `/parking/transactions/${exitedId}/payments`, {
+      method: 'card',
+      amount: 4,
+      reference: 'VISA-1234',
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      parking_fee: 10,
+      amount_paid: 4,
+      balance_due: 6,
+      payment_status: 'PENDING',
+    });
+  });
+
+  it('settles the balance in cash and returns change', async () => {
+    const res = await send('post', `/parking/transactions/${exitedId}/payments`, {
+      method: 'CASH',
+      amount: 10,
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      change_due: 4,
+      amount_paid: 10,
+      balance_due: 0,
+      payment_status: 'PAID',
+      payment_method: 'MIXED',
+    });
+    expect(res.body.data.payment).toMatchObject({ amount: 6, amount_tendered: 10 });
+
+    const again = await send('post', `/parking/transactions/${exitedId}/payments`, {
+      method: 'CASH',
+      amount: 1,
+    });
+    expect(again.status).toBe(409);
+    expect(again.body.error.code).toBe('ALREADY_PAID');
+  });
+
+  it('lists the payments of a transaction', async () => {
+    const res = await send('get', `/parking/transactions/${exitedId}/payments`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.payments.map((p) => p.method)).toEqual(['CARD', 'CASH']);
+    expect(res.body.data.balance_due).toBe(0);
+  });
+
+  it('captures approved card payments through the gateway', async () => {
+    const exit = await exitAfterTwoHours('PAY-003');
+    const res = await send('post', `/parking/transactions/${exit.body.data.transaction_id}/payments`, {
+      method: 'CARD',
+      amount: 10,
+      payment_token: 'tok_approved',
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.payment).toMatchObject({ status: 'COMPLETED', gateway: 'mock' });
+    expect(res.body.data.payment_status).toBe('PAID');
+  });
+
+  it('fails declined card payments and settles delayed ones by webhook', async () => {
+    const exit = await exitAfterTwoHours('PAY-004');
+    const path = `/parking/transactions/${exit.body.data.transaction_id}/payments`;
+
+    const declined = await send('post', path, {
+      method: 'CARD',
+      amount: 10,
+      payment_token: 'tok_declined',
+    });
+    expect(declined.status).toBe(402);
+    expect(declined.body.error.code).toBe('PAYMENT_DECLINED');
+
+    const delayed = await send('post', path, {
+      method: 'CARD',
+      amount: 10,
+      payment_token: 'tok_delayed_approved',
+    });
+    expect(delayed.status).toBe(202);
+    expect(delayed.body.data.payment_status).toBe('PENDING');
+
+    await getPaymentGateway('mock').flushWebhooks();
+
+    const res = await send('get', path);
+    expect(res.body.data.payment_status).toBe('PAID');
+    expect(res.body.data.payments.map((p) => p.status)).toEqual(['FAILED', 'COMPLETED']);
+  });
+
+  it('keeps card payments awaiting the gateway out of reach of other methods', async () => {
+    const exit = await exitAfterTwoHours('PAY-006');
+    const path = `/parking/transactions/${exit.body.data.transaction_id}/payments`;
+
+    const delayed = await send('post', path, {
+      method: 'CARD',
+      amount: 6,
+      payment_token: 'tok_delayed_approved',
+    });
+    expect(delayed.status).toBe(202);
+
+    const wallet = await send('post', path, { method: 'WALLET', amount: 5 });
+    expect(wallet.status).toBe(400);
+    expect(wallet.body.error.code).toBe('PAYMENT_EXCEEDS_BALANCE');
+
+    const cash = await send('post', path, { method: 'CASH', amount: 5 });
+    expect(cash.status).toBe(201);
+    expect(cash.body.data).toMatchObject({ change_due: 1, amount_paid: 4 });
+
+    const moreCash = await send('post', path, { method: 'CASH', amount: 1 });
+    expect(moreCash.status).toBe(400);
+    expect(moreCash.body.error.code).toBe('PAYMENT_EXCEEDS_BALANCE');
+
+    await getPaymentGateway('mock').flushWebhooks();
+
+    const res = await send('get', path);
+    expect(res.body.data).toMatchObject({ amount_paid: 10, refund_due: 0, payment_status: 'PAID' });
+  });
+
+  it('takes the full fee as payment at exit', async () => {
+    const exit = await exitAfterTwoHours('PAY-005', { payment: { method: 'CARD' } });
+
+    expect(exit.status).toBe(200);
+    expect(exit.body.data.payment_status).toBe('PAID');
+    expect(exit.body.data.payment.amount_paid).toBe(10);
+  });
+
+  it('rejects gateway webhooks with an invalid signature', async () => {
+    const res = await request(app)
+      .post(`${API_PREFIX}/payments/webhooks/mock`)
+      .set('Content-Type', 'application/json')
+      .set('X-Gateway-Signature', 'forged')
+      .send({ id: 'evt_forged', type: 'payment.captured', data: { reference: exitedId } });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('INVALID_SIGNATURE');
+  });
+
+  it('acknowledges and ignores webhooks for a reference that is not a payment', async () => {
+    const payload = JSON.stringify({
+      id: 'evt_unknown',
+      type: 'payment.captured',
+      data: { reference: 'ch_not-a-payment-id' },
+    });
+    const res = await request(app)
+      .post(`${API_PREFIX}/payments/webhooks/mock`)
+      .set('Content-Type', 'application/json')
+      .set('X-Gateway-Signature', getPaymentGateway('mock').sign(payload))
+      .send(payload);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ received: true, event_id: 'evt_unknown', handled: false });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Permit Integration Tests
+ * Permit CRUD, reserved spots, and exit charging at the permit rate
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+const {
+  describeIfDb,
+  send,
+  enter,
+  connectTestDb,
+  disconnectTestDb,
+  createLot,
+  spotsOf,
+} = require('../helpers/integration');
+const ParkingTransaction = require('../../src/models/ParkingTransaction');
+const RateCard = require('../../src/models/RateCard');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Park a vehicle for two hours (rate card fee 10) and drive it out
+ */
+const parkTwoHours = async (licensePlate) => {
+  const parked = await enter(licensePlate);
+  await ParkingTransaction.updateOne(
+    { _id: parked.body.data.transaction_id },
+    { entry_time: new Date(Date.now() - 2 * HOUR) }
+  );
+  const exit = await send('post', '/parking/exit', { license_plate: licensePlate });
+  return { entry: parked.body.data, exit: exit.body.data };
+};
+
+describeIfDb('Permits', () => {
+  let spots;
+  let permitId;
+
+  beforeAll(async () => {
+    await connectTestDb();
+
+    ({ spots } = await createLot('Permit Test Lot', [
+      ...spotsOf('CAR', 2),
+      { floor_number: 2, spot_number: 1, spot_type: 'CAR' },
+    ]));
+    await RateCard.create({ vehicle_type: 'CAR', hourly_rate: 5, grace_period_minutes: 0 });
+  }, 60000);
+
+  afterAll(disconnectTestDb);
+
+  it('rejects a permit reserving both a spot and a floor', async () => {
+    const res = await send('post', '/parking/permits', {
+      license_plates: ['PRM-000'],
+      vehicle_type: 'CAR',
+      valid_until: new Date(Date.now() + 30 * DAY).toISOString(),
+      reserved_spot_id: spots[2]._id.toString(),
+      reserved_floor: 2,
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.validationErrors.reserved_floor).toBeDefined();
+  });
+
+  it('issues a permit with a reserved spot kept from other vehicles', async () => {
+    const res = await send('post', '/parking/permits', {
+      license_plates: ['PRM-001', 'prm-002'],
+      vehicle_type: 'CAR',
+      holder_name: 'Jane Doe',
+      valid_until: new Date(Date.now() + 30 * DAY).toISOString(),
+      reserved_spot_id: spots[2]._id.toString(),
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      license_plates: ['PRM-001', 'PRM-002'],
+      hourly_rate: 0,
+      status: 'ACTIVE',
+    });
+    permitId = res.body.data._id;
+
+    expect((await enter('DRV-001')).body.data.spot_id).toBe(spots[0]._id.toString());
+    expect((await enter('DRV-002')).body.data.spot_id).toBe(spots[1]._id.toString());
+
+    const full = await enter('DRV-003');
+    expect(full.status).toBe(409);
+    expect(full.body.error.code).toBe('NO_SPOT_AVAILABLE');
+  });
+
+  it('parks the holder in the reserved spot and charges nothing at exit', async () => {
+    const { entry, exit } = await parkTwoHours('PRM-001');
+
+    expect(entry).toMatchObject({ spot_id: spots[2]._id.toString(), permit_id: permitId });
+    expect(exit).toMatchObject({ parking_fee: 0, payment_status: 'PAID', permit_id: permitId });
+
+    // The stay is still recorded for occupancy statistics
+    const transaction = await ParkingTransaction.findById(exit.transaction_id);
+    expect(transaction.duration_minutes).toBeGreaterThanOrEqual(120);
+  });
+
+  it('matches plates to permits whatever their formatting', async () => {
+    const { entry } = await parkTwoHours('prm002');
+    expect(entry).toMatchObject({ spot_id: spots[2]._id.toString(), permit_id: permitId });
+
+    const listed = await send('get', '/parking/permits?license_plate=PRM002');
+    expect(listed.body.data.permits.map((permit) => permit._id)).toEqual([permitId]);
+  });
+
+  it('rejects a second permit for a covered plate', async () => {
+    const res = await send('post', '/parking/permits', {
+      license_plates: ['PRM002'],
+      vehicle_type: 'CAR',
+      valid_until: new Date(Date.now() + 10 * DAY).toISOString(),
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('CONFLICT');
+  });
+
+  it('charges the permit-specific rate', async () => {
+    await send('post', '/parking/exit', { license_plate: 'DRV-001' });
+
+    const permit = await send('post', '/parking/permits', {
+      license_plates: ['PRM-003'],
+      vehicle_type: 'CAR',
+      valid_until: new Date(Date.now() + 30 * DAY).toISOString(),
+      reserved_floor: 1,
+      hourly_rate: 2,
+    });
+    expect(permit.status).toBe(201);
+
+    const { entry, exit } = await parkTwoHours('PRM-003');
+    expect(entry.spot_id).toBe(spots[0]._id.toString());
+    expect(exit).toMatchObject({ parking_fee: 4, payment_status: 'PENDING' });
+  });
+
+  it('updates and revokes a permit, after which the rate card applies', async () => {
+    const updated = await send('put', `/parking/permits/${permitId}`, { holder_name: 'J. Doe' });
+    expect(updated.body.data.holder_name).toBe('J. Doe');
+
+    const revoked = await send('delete', `/parking/permits/${permitId}`);
+    expect(revoked.status).toBe(200);
+    expect(revoked.body.data.status).toBe('REVOKED');
+
+    const again = await send('delete', `/parking/permits/${permitId}`);
+    expect(again.status).toBe(409);
+
+    const { exit } = await parkTwoHours('PRM-001');
+    expect(exit).toMatchObject({ parking_fee: 10, permit_id: null });
+  });
+
+  it('lists active permits', async () => {
+    const res = await send('get', '/parking/permits?active=true');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.count).toBe(1);
+    expect(res.body.data.permits[0].license_plates).toEqual(['PRM-003']);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Plate Matching Integration Tests
+ * Separator-insensitive plate lookups, fuzzy plate search and plate region rules
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+const {
+  describeIfDb,
+  send,
+  connectTestDb,
+  disconnectTestDb,
+  createLot,
+  spotsOf,
+} = require('../helpers/integration');
+const RateCard = require('../../src/models/RateCard');
+const Vehicle = require('../../src/models/Vehicle');
+const vehicleRepository = require('../../src/repositories/vehicleRepository');
+const { backfillNormalizedPlates } = require('../../src/database/migrations');
+
+describeIfDb('Plate Matching', () => {
+  let lot;
+
+  beforeAll(async () => {
+    await connectTestDb();
+
+    ({ lot } = await createLot('Plate Matching Test Lot', spotsOf('CAR', 3)));
+    await RateCard.create({ vehicle_type: 'CAR', hourly_rate: 5 });
+
+    await send('post', '/parking/entry', { license_plate: 'ABC-1234', vehicle_type: 'CAR' });
+    await send('post', '/parking/entry', { license_plate: 'ABD-1234', vehicle_type: 'CAR' });
+    await send('post', '/parking/entry', { license_plate: 'XYZ-9876', vehicle_type: 'CAR' });
+  }, 60000);
+
+  afterAll(disconnectTestDb);
+
+  it('finds a vehicle regardless of separators and case', async () => {
+    const status = await send('get', '/parking/vehicle/abc1234/status');
+    expect(status.status).toBe(200);
+    expect(status.body.data.is_parked).toBe(true);
+
+    const again = await send('post', '/parking/entry', {
+      license_plate: 'ABC1234',
+      vehicle_type: 'CAR',
+    });
+    expect(again.status).toBe(409);
+    expect(again.body.error.code).toBe('VEHICLE_ALREADY_PARKED');
+  });
+
+  it('ranks parked vehicles for a misread plate', async () => {
+    const res = await send('get', '/parking/vehicles/search?plate=A8C-I234');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.candidates.map((c) => c.license_plate)).toEqual([
+      'ABC-1234',
+      'ABD-1234',
+    ]);
+    expect(res.body.data.candidates[0].score).toBeGreaterThan(res.body.data.candidates[1].score);
+  });
+
+  it('requires a plate', async () => {
+    const res = await send('get', '/parking/vehicles/search');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.validationErrors.plate).toBeDefined();
+  });
+
+  it('exits a vehicle entered with different formatting', async () => {
+    const exit = await send('post', '/parking/exit', { license_plate: 'xyz9876' });
+
+    expect(exit.status).toBe(200);
+    expect(exit.body.data.transaction_id).toBeDefined();
+  });
+
+  it('keeps one vehicle when differently formatted plates enter at the same time', async () => {
+    const entries = await Promise.all([
+      send('post', '/parking/entry', { license_plate: 'JKL-4321', vehicle_type: 'CAR' }),
+      send('post', '/parking/entry', { license_plate: 'jkl4321', vehicle_type: 'CAR' }),
+    ]);
+
+    expect(entries.map((res) => res.status).sort()).toEqual([200, 409]);
+    expect(await Vehicle.countDocuments({ normalized_plate: 'JKL4321' })).toBe(1);
+
+    await send('post', '/parking/exit', { license_plate: 'JKL-4321' });
+  });
+
+  it('backfills the normalized plate of vehicles stored before normalization', async () => {
+    await Vehicle.collection.insertOne({
+      license_plate: 'LEG-0001',
+      vehicle_type: 'CAR',
+      normalized_plate: null,
+      is_currently_parked: false,
+    });
+
+    expect(await backfillNormalizedPlates()).toBe(1);
+    const vehicle = await vehicleRepository.findByLicensePlate('leg0001');
+    expect(vehicle.license_plate).toBe('LEG-0001');
+
+    // Two spellings of one plate stored as two vehicles must be merged by hand
+    await Vehicle.collection.insertOne({
+      license_plate: 'LEG0001',
+      vehicle_type: 'CAR',
+      normalized_plate: null,
+    });
+    await expect(backfillNormalizedPlates()).rejects.toThrow('LEG-0001 / LEG0001');
+    await Vehicle.collection.deleteMany({ license_plate: /^LEG/ });
+  });
+
+  it('flags plates that match none of the lot regions', async () => {
+    const updated = await send('put', `/lots/${lot._id}`, { plate_regions: ['gb', 'FR'] });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.plate_regions).toEqual(['GB', 'FR']);
+
+    const matched = await send('post', '/parking/entry', {
+      license_plate: 'AB-123-CD',
+      vehicle_type: 'CAR',
+    });
+    expect(matched.body.data.plate_check).toEqual({
+      regions_applied: ['GB', 'FR'],
+      matched_region: 'FR',
+      flagged: false,
+    });
+
+    await send('post', '/parking/exit', { license_plate: 'ABC-1234' });
+    const flagged = await send('post', '/parking/entry', {
+      license_plate: 'QQQ-9999',
+      vehicle_type: 'CAR',
+    });
+    expect(flagged.status).toBe(200);
+    expect(flagged.body.data.plate_check.flagged).toBe(true);
+  });
+
+  it('rejects such plates in REJECT mode', async () => {
+    await send('put', `/lots/${lot._id}`, { plate_region_mode: 'REJECT' });
+
+    const res = await send('post', '/parking/entry', {
+      license_plate: 'ZZZ-0000',
+      vehicle_type: 'CAR',
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_ENTRY_REQUEST');
+    expect(res.body.error.validationErrors.license_plate).toBe(
+      'License plate does not match the formats of: GB, FR'
+    );
+  });
+});
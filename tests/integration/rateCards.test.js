@@ -0,0 +1,106 @@
+/**
+ * Rate Card Versioning Integration Tests
+ * Version timelines, immutability and pricing with the version in force at entry
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+const {
+  describeIfDb,
+  send,
+  connectTestDb,
+  disconnectTestDb,
+  createLot,
+  spotsOf,
+} = require('../helpers/integration');
+const ParkingTransaction = require('../../src/models/ParkingTransaction');
+const RateCard = require('../../src/models/RateCard');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describeIfDb('Rate card versioning', () => {
+  beforeAll(async () => {
+    await connectTestDb();
+
+    await createLot('Rate Card Test Lot', spotsOf('CAR', 2));
+  }, 60000);
+
+  afterAll(disconnectTestDb);
+
+  it('creates the first version of a timeline', async () => {
+    const res = await send('post', '/rate-cards', {
+      vehicle_type: 'CAR',
+      hourly_rate: 5,
+      daily_max_rate: 40,
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ version: 1, lot_id: null, effective_to: null });
+  });
+
+  it('prices an exit with the version in force at entry', async () => {
+    const entry = await send('post', '/parking/entry', { license_plate: 'RC-001', vehicle_type: 'CAR' });
+    expect(entry.body.data.rate_card_version).toBe(1);
+
+    const v2 = await send('post', '/rate-cards', {
+      vehicle_type: 'CAR',
+      hourly_rate: 8,
+      daily_max_rate: 60,
+    });
+    expect(v2.body.data.version).toBe(2);
+
+    const laterEntry = await send('post', '/parking/entry', {
+      license_plate: 'RC-002',
+      vehicle_type: 'CAR',
+    });
+    expect(laterEntry.body.data.rate_card_version).toBe(2);
+
+    const exit = await send('post', '/parking/exit', { license_plate: 'RC-001' });
+    expect(exit.body.data.rate_card_version).toBe(1);
+
+    const transaction = await ParkingTransaction.findById(exit.body.data.transaction_id);
+    expect(transaction.rate_card_version).toBe(1);
+  });
+
+  it('closes the predecessor when a new version starts', async () => {
+    const res = await send('get', '/rate-cards?lot_id=default&vehicle_type=CAR');
+
+    const [v2, v1] = res.body.data.rate_cards;
+    expect(v2.version).toBe(2);
+    expect(v2.effective_to).toBeNull();
+    expect(v1.effective_to).toBe(v2.effective_from);
+  });
+
+  it('withdraws a scheduled version and reopens its predecessor', async () => {
+    const v3 = await send('post', '/rate-cards', {
+      vehicle_type: 'CAR',
+      hourly_rate: 10,
+      effective_from: new Date(Date.now() + DAY).toISOString(),
+    });
+    expect(v3.status).toBe(201);
+
+    const current = await send('get', '/parking/fees/rates');
+    expect(current.body.data.rate_cards.find((c) => c.vehicle_type === 'CAR').hourly_rate).toBe(8);
+
+    const res = await send('delete', `/rate-cards/${v3.body.data._id}`);
+    expect(res.status).toBe(200);
+
+    const v2 = await RateCard.findOne({ vehicle_type: 'CAR', version: 2 });
+    expect(v2.effective_to).toBeNull();
+  });
+
+  it('keeps versions in force immutable', async () => {
+    const v2 = await RateCard.findOne({ vehicle_type: 'CAR', version: 2 });
+    const res = await send('delete', `/rate-cards/${v2._id}`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('RATE_CARD_IMMUTABLE');
+
+    const past = await send('post', '/rate-cards', {
+      vehicle_type: 'CAR',
+      hourly_rate: 1,
+      effective_from: new Date(Date.now() - DAY).toISOString(),
+    });
+    expect(past.status).toBe(400);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Rate Limiting Integration Tests
+ * The MongoDB rate limit store shared by several limiter instances (as by several server
+ * processes), for both algorithms and under concurrent requests
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+const { describeIfDb, connectTestDb, disconnectTestDb } = require('../helpers/integration');
+const { RateLimiter } = require('../../src/middleware/rateLimiter');
+const { MongoRateLimitStore } = require('../../src/rateLimitStores');
+const RateLimitCounter = require('../../src/models/RateLimitCounter');
+const { parseRateLimitConfig } = require('../../src/utils/rateLimitConfig');
+
+const createResponse = () => {
+  const res = { headers: {} };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+/**
+ * Send requests through the limiter instances in turn
+ * @returns {Promise<Array<number>>} Status of each request (200 when let through)
+ */
+const sendThrough = async (limiters, count, user) => {
+  const statuses = [];
+  for (let i = 0; i < count; i++) {
+    const middleware = limiters[i % limiters.length];
+    const res = createResponse();
+    let passed = false;
+    await middleware({ method: 'POST', path: '/parking/entry', user }, res, () => {
+      passed = true;
+    });
+    statuses.push(passed ? 200 : res.status.mock.calls[0][0]);
+  }
+  return statuses;
+};
+
+describeIfDb('Rate Limiting', () => {
+  beforeAll(async () => {
+    await connectTestDb();
+  }, 60000);
+
+  afterAll(disconnectTestDb);
+
+  ['sliding-window', 'token-bucket'].forEach((algorithm) => {
+    it(`shares ${algorithm} limits between instances`, async () => {
+      const config = parseRateLimitConfig({
+        store: 'mongo',
+        algorithm,
+        default: { limit: 4, window_seconds: 60 },
+      });
+      const limiters = [1, 2].map(() =>
+        new RateLimiter(config, new MongoRateLimitStore()).middleware()
+      );
+      const user = { auth_type: 'api_key', id: `kiosk-${algorithm}`, role: 'KIOSK' };
+
+      const statuses = await sendThrough(limiters, 6, user);
+
+      expect(statuses).toEqual([200, 200, 200, 200, 429, 429]);
+    });
+  });
+
+  it('does not overspend a token bucket under concurrent requests', async () => {
+    const store = new MongoRateLimitStore();
+    const now = Date.now();
+
+    const results = await Promise.all(
+      Array.from({ length: 10 }, () => store.takeToken('concurrent', 5, 5 / 60000, now))
+    );
+
+    expect(results.filter((result) => result.allowed)).toHaveLength(5);
+    const bucket = await RateLimitCounter.findOne({ key: 'concurrent' }).lean();
+    expect(bucket.tokens).toBe(0);
+    expect(bucket.expires_at.getTime()).toBeGreaterThan(now + 60000);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Reservation Integration Tests
+ * Booking a spot for a future window, holding it from drive-ups, checking the reservation
+ * in on arrival, cancellation and no-show release
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+// Fee charged by the no-show sweep; read when the reservation service loads
+process.env.RESERVATION_NO_SHOW_FEE = '15';
+
+const {
+  describeIfDb,
+  send,
+  connectTestDb,
+  disconnectTestDb,
+  createLot,
+  spotsOf,
+} = require('../helpers/integration');
+const reservationService = require('../../src/services/reservationService');
+const Reservation = require('../../src/models/Reservation');
+const ParkingTransaction = require('../../src/models/ParkingTransaction');
+const RateCard = require('../../src/models/RateCard');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const book = (licensePlate, startsIn, duration = 2 * HOUR) =>
+  send('post', '/parking/reservations', {
+    license_plate: licensePlate,
+    vehicle_type: 'CAR',
+    starts_at: new Date(Date.now() + startsIn).toISOString(),
+    ends_at: new Date(Date.now() + startsIn + duration).toISOString(),
+    customer_name: 'Jane Doe',
+  });
+
+describeIfDb('Reservations', () => {
+  let spots;
+
+  beforeAll(async () => {
+    await connectTestDb();
+
+    ({ spots } = await createLot('Reservation Test Lot', spotsOf('CAR', 2)));
+    await RateCard.create({ vehicle_type: 'CAR', hourly_rate: 5 });
+  }, 60000);
+
+  afterAll(disconnectTestDb);
+
+  it('validates the reservation window', async () => {
+    const res = await send('post', '/parking/reservations', {
+      license_plate: 'RSV-000',
+      vehicle_type: 'CAR',
+      starts_at: new Date(Date.now() + 2 * HOUR).toISOString(),
+      ends_at: new Date(Date.now() + HOUR).toISOString(),
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.validationErrors.ends_at).toBeDefined();
+  });
+
+  it('books a spot and holds it from drive-up allocation', async () => {
+    const res = await book('RSV-001', 10 * MINUTE);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.reservation).toMatchObject({
+      license_plate: 'RSV-001',
+      spot_id: spots[0]._id.toString(),
+      status: 'BOOKED',
+    });
+
+    const driveUp = await send('post', '/parking/entry', {
+      license_plate: 'DRV-001',
+      vehicle_type: 'CAR',
+    });
+    expect(driveUp.body.data.spot_id).toBe(spots[1]._id.toString());
+
+    const full = await send('post', '/parking/entry', {
+      license_plate: 'DRV-002',
+      vehicle_type: 'CAR',
+    });
+    expect(full.status).toBe(409);
+    expect(full.body.error.code).toBe('NO_SPOT_AVAILABLE');
+  });
+
+  it('parks an arriving reservation in its held spot and checks it in', async () => {
+    // Booked as RSV-001: plates match whatever their formatting
+    const res = await send('post', '/parking/entry', {
+      license_plate: 'rsv001',
+      vehicle_type: 'CAR',
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.spot_id).toBe(spots[0]._id.toString());
+    expect(res.body.data.reservation_id).toBeDefined();
+
+    const reservation = await Reservation.findById(res.body.data.reservation_id);
+    expect(reservation.status).toBe('CHECKED_IN');
+    expect(reservation.transaction_id.toString()).toBe(res.body.data.transaction_id);
+  });
+
+  it('rejects overlapping reservations for the same plate', async () => {
+    const first = await book('RSV-002', 3 * HOUR);
+    expect(first.status).toBe(201);
+
+    const second = await book('RSV-002', 4 * HOUR);
+    expect(second.status).toBe(409);
+    expect(second.body.error.code).toBe('CONFLICT');
+
+    const reformatted = await book('RSV002', 4 * HOUR);
+    expect(reformatted.status).toBe(409);
+  });
+
+  it('cancels a booked reservation once', async () => {
+    const { reservations } = (await send('get', '/parking/reservations?license_plate=rsv002'))
+      .body.data;
+    expect(reservations).toHaveLength(1);
+    const [reservation] = reservations;
+
+    const res = await send('delete', `/parking/reservations/${reservation._id}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('CANCELLED');
+
+    const again = await send('delete', `/parking/reservations/${reservation._id}`);
+    expect(again.status).toBe(409);
+  });
+
+  it('releases reservations as no-shows after the grace period', async () => {
+    const booked = await book('RSV-003', 2 * HOUR);
+    const reservationId = booked.body.data.reservation._id;
+
+    const summary = await reservationService.processNoShows(new Date(Date.now() + 3 * HOUR));
+    expect(summary.released).toBe(1);
+
+    const res = await send('get', `/parking/reservations/${reservationId}`);
+    expect(res.body.data).toMatchObject({ status: 'NO_SHOW', no_show_fee: 15 });
+    expect(res.body.data.released_at).not.toBeNull();
+  });
+
+  it('charges the no-show fee as an amount owed by the plate', async () => {
+    const booked = await book('RSV-004', 2 * HOUR);
+    const reservationId = booked.body.data.reservation._id;
+
+    await reservationService.processNoShows(new Date(Date.now() + 3 * HOUR));
+
+    const reservation = await send('get', `/parking/reservations/${reservationId}`);
+    const paymentsPath = `/parking/transactions/${reservation.body.data.transaction_id}/payments`;
+    const owed = await send('get', paymentsPath);
+    expect(owed.status).toBe(200);
+    expect(owed.body.data).toMatchObject({
+      parking_fee: 15,
+      balance_due: 15,
+      payment_status: 'PENDING',
+    });
+
+    // No vehicle entered: the charge is not a stay and the plate is not parked
+    const charge = await ParkingTransaction.findById(reservation.body.data.transaction_id)
+      .populate('vehicle_id');
+    expect(charge).toMatchObject({ charge_type: 'NO_SHOW', duration_minutes: 0 });
+    expect(charge.vehicle_id).toMatchObject({
+      license_plate: 'RSV-004',
+      is_currently_parked: false,
+    });
+
+    const paid = await send('post', paymentsPath, { method: 'CASH', amount: 15 });
+    expect(paid.status).toBe(201);
+    expect(paid.body.data).toMatchObject({ balance_due: 0, payment_status: 'PAID' });
+  });
+});
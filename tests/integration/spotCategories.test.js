@@ -0,0 +1,94 @@
+/**
+ * Spot Category Integration Tests
+ * Accessible and family spots at entry, spot attributes and per-category availability
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+const {
+  describeIfDb,
+  send,
+  enter,
+  connectTestDb,
+  disconnectTestDb,
+  createLot,
+  spotsOf,
+} = require('../helpers/integration');
+const RateCard = require('../../src/models/RateCard');
+
+describeIfDb('Spot Categories', () => {
+  let lot;
+  let spots;
+
+  beforeAll(async () => {
+    await connectTestDb();
+
+    const carSpots = spotsOf('CAR', 3, { attributes: [] });
+    carSpots[0].attributes = ['ACCESSIBLE'];
+    carSpots[1].attributes = ['FAMILY'];
+    ({ lot, spots } = await createLot('Category Test Lot', carSpots));
+    await RateCard.create({ vehicle_type: 'CAR', hourly_rate: 5 });
+  }, 60000);
+
+  afterAll(disconnectTestDb);
+
+  it('rejects needing accessible spots without an accessible permit', async () => {
+    const res = await enter('ACC-0000', { needs: ['accessible'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.validationErrors.needs).toBeDefined();
+  });
+
+  it('parks a family on the family spot', async () => {
+    const res = await enter('FAM-0001', { needs: ['FAMILY'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.spot_id).toBe(spots[1]._id.toString());
+    expect(res.body.data.spot_details.attributes).toEqual(['FAMILY']);
+  });
+
+  it('parks an accessible permit holder on the accessible spot', async () => {
+    const res = await enter('ACC-0001', { needs: ['ACCESSIBLE'], accessible_permit: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.spot_id).toBe(spots[0]._id.toString());
+  });
+
+  it('reports availability per category', async () => {
+    const res = await send('get', '/parking/spots/availability');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.availability_by_category).toMatchObject({
+      ACCESSIBLE: { available: 0, occupied: 1, total: 1 },
+      FAMILY: { available: 0, occupied: 1, total: 1 },
+      COMPACT: { available: 0, occupied: 0, total: 0 },
+    });
+  });
+
+  it('never gives the accessible spot to other vehicles', async () => {
+    await send('post', '/parking/exit', { license_plate: 'ACC-0001' });
+
+    expect((await enter('CAR-0001')).body.data.spot_id).toBe(spots[2]._id.toString());
+
+    const res = await enter('CAR-0002');
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('NO_SPOT_AVAILABLE');
+  });
+
+  it('updates and filters spots by attribute', async () => {
+    const updated = await send('put', `/lots/${lot._id}/spots/${spots[0]._id}`, {
+      attributes: ['accessible', 'oversized'],
+    });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.attributes).toEqual(['ACCESSIBLE', 'OVERSIZED']);
+
+    const listed = await send('get', `/lots/${lot._id}/spots?attribute=OVERSIZED`);
+    expect(listed.status).toBe(200);
+    expect(listed.body.data.spots.map((s) => s._id)).toEqual([spots[0]._id.toString()]);
+
+    const invalid = await send('put', `/lots/${lot._id}/spots/${spots[2]._id}`, {
+      attributes: ['VIP'],
+    });
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Watchlist Integration Tests
+ * Blacklist / watchlist CRUD, entry screening and hit recording
+ *
+ * Requires a MongoDB replica set (see tests/helpers/integration.js); skipped otherwise.
+ */
+
+const {
+  describeIfDb,
+  send,
+  enter,
+  connectTestDb,
+  disconnectTestDb,
+  createLot,
+  spotsOf,
+} = require('../helpers/integration');
+const ParkingTransaction = require('../../src/models/ParkingTransaction');
+const RateCard = require('../../src/models/RateCard');
+const { ALERT_EVENTS, alertBus } = require('../../src/utils/alertBus');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describeIfDb('Watchlist', () => {
+  let blacklistId;
+  const alerts = [];
+
+  beforeAll(async () => {
+    await connectTestDb();
+
+    await createLot('Watchlist Test Lot', spotsOf('CAR', 2));
+    await RateCard.create({ vehicle_type: 'CAR', hourly_rate: 5 });
+
+    alertBus.on(ALERT_EVENTS.WATCHLIST_HIT, (alert) => alerts.push(alert));
+  }, 60000);
+
+  afterAll(async () => {
+    alertBus.removeAllListeners();
+    await disconnectTestDb();
+  });
+
+  it('blacklists a plate and refuses its entry', async () => {
+    const created = await send('post', '/parking/watchlist', {
+      license_plate: 'BAN-0001',
+      list_type: 'blacklist',
+      reason: 'Damaged the barrier',
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ list_type: 'BLACKLIST', status: 'ACTIVE' });
+    blacklistId = created.body.data._id;
+
+    const res = await enter('ban0001');
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('VEHICLE_BLACKLISTED');
+    expect(await ParkingTransaction.countDocuments()).toBe(0);
+  });
+
+  it('rejects a second entry in force for the same plate', async () => {
+    const res = await send('post', '/parking/watchlist', {
+      license_plate: 'BAN 0001',
+      list_type: 'WATCHLIST',
+      reason: 'Duplicate',
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('CONFLICT');
+  });
+
+  it('admits a watchlisted plate and raises an alert', async () => {
+    await send('post', '/parking/watchlist', {
+      license_plate: 'WCH-0001',
+      list_type: 'WATCHLIST',
+      reason: 'Reported stolen',
+      expires_at: new Date(Date.now() + 7 * DAY).toISOString(),
+    });
+
+    const res = await enter('WCH-0001');
+    expect(res.status).toBe(200);
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      license_plate: 'WCH-0001',
+      reason: 'Reported stolen',
+      transaction_id: res.body.data.transaction_id,
+    });
+  });
+
+  it('records hits for review', async () => {
+    const res = await send('get', '/parking/watchlist/hits');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.hits.map((hit) => hit.action)).toEqual(['ALERTED', 'REJECTED']);
+
+    const rejected = await send('get', '/parking/watchlist/hits?action=REJECTED');
+    expect(rejected.body.data.hits[0]).toMatchObject({
+      entry_id: blacklistId,
+      license_plate: 'BAN0001',
+      transaction_id: null,
+    });
+  });
+
+  it('lets a plate in once its entry is removed', async () => {
+    const removed = await send('delete', `/parking/watchlist/${blacklistId}`);
+    expect(removed.body.data.status).toBe('REMOVED');
+
+    const active = await send('get', '/parking/watchlist?active=true');
+    expect(active.body.data.entries.map((entry) => entry.license_plate)).toEqual(['WCH-0001']);
+
+    const res = await enter('BAN-0001');
+    expect(res.status).toBe(200);
+  });
+});
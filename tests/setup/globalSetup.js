@@ -0,0 +1,31 @@
+/**
+ * Jest global setup
+ * Integration tests need a MongoDB replica set (entry, exit and payments run in
+ * transactions). Unless MONGODB_TEST_URI names one, a single-node replica set is started
+ * with mongodb-memory-server and its URI exported for the test files.
+ *
+ * mongodb-memory-server downloads a mongod binary on first use; where that is not
+ * possible, point MONGOMS_SYSTEM_BINARY at an installed mongod. If no server can be
+ * started the integration suites are skipped, with a warning.
+ */
+
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+module.exports = async () => {
+  if (process.env.MONGODB_TEST_URI) {
+    return;
+  }
+
+  try {
+    const replSet = await MongoMemoryReplSet.create({
+      replSet: { count: 1, storageEngine: 'wiredTiger' },
+    });
+    globalThis.__MONGO_REPLSET__ = replSet;
+    process.env.MONGODB_TEST_URI = replSet.getUri('parking_test');
+  } catch (error) {
+    console.warn(
+      `\nIntegration tests skipped: no MongoDB replica set could be started (${error.message}).` +
+        '\nSet MONGODB_TEST_URI or MONGOMS_SYSTEM_BINARY to run them.\n'
+    );
+  }
+};
@@ -0,0 +1,10 @@
+/**
+ * Jest global teardown
+ * Stops the replica set started by globalSetup, if any
+ */
+
+module.exports = async () => {
+  if (globalThis.__MONGO_REPLSET__) {
+    await globalThis.__MONGO_REPLSET__.stop();
+  }
+};
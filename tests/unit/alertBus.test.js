@@ -0,0 +1,36 @@
+const { ALERT_EVENTS, alertBus, emitAlert } = require('../../src/utils/alertBus');
+
+describe('alertBus', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    alertBus.removeAllListeners();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('delivers alerts to subscribers', () => {
+    const listener = jest.fn();
+    alertBus.on(ALERT_EVENTS.WATCHLIST_HIT, listener);
+
+    emitAlert(ALERT_EVENTS.WATCHLIST_HIT, { license_plate: 'ABC-1234' });
+
+    expect(listener).toHaveBeenCalledWith({ license_plate: 'ABC-1234' });
+  });
+
+  it('keeps failing listeners from reaching the caller or other listeners', () => {
+    const listener = jest.fn();
+    alertBus.on(ALERT_EVENTS.WATCHLIST_HIT, () => {
+      throw new Error('notifier down');
+    });
+    alertBus.on(ALERT_EVENTS.WATCHLIST_HIT, listener);
+
+    expect(() => emitAlert(ALERT_EVENTS.WATCHLIST_HIT, {})).not.toThrow();
+    expect(listener).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,145 @@
+jest.mock('../../src/repositories/auditLogRepository', () => ({
+  create: jest.fn(async (entryData) => entryData),
+}));
+
+const auditLogRepository = require('../../src/repositories/auditLogRepository');
+const auditService = require('../../src/services/auditService');
+const requestId = require('../../src/middleware/requestId');
+const { getRequestContext, setActor } = require('../../src/utils/requestContext');
+const { validateAuditQueryParams } = require('../../src/validators/auditValidator');
+const { createLogger } = require('../../src/utils/logger');
+
+const ENTITY_ID = '65f0a1b2c3d4e5f6a7b8c9d0';
+
+/**
+ * Run a function inside the request context the requestId middleware opens
+ */
+const withRequest = (headerValue, fn) => {
+  const req = { get: () => headerValue };
+  const res = { set: jest.fn() };
+  let result;
+  requestId(req, res, () => {
+    result = fn(req, res);
+  });
+  return result;
+};
+
+describe('requestId middleware', () => {
+  it('keeps a well-formed X-Request-Id and echoes it', () => {
+    withRequest('gate-7:42', (req, res) => {
+      expect(req.id).toBe('gate-7:42');
+      expect(res.set).toHaveBeenCalledWith('X-Request-Id', 'gate-7:42');
+      expect(getRequestContext()).toEqual({ request_id: 'gate-7:42', actor: null });
+    });
+  });
+
+  it('generates an ID when none or a malformed one is sent', () => {
+    withRequest(undefined, (req) => expect(req.id).toMatch(/^[0-9a-f-]{36}$/));
+    withRequest('x'.repeat(129), (req) => expect(req.id).toHaveLength(36));
+    withRequest('a b', (req) => expect(req.id).not.toBe('a b'));
+  });
+
+  it('adds the request ID to log lines', () => {
+    const logger = createLogger('Test');
+
+    expect(logger.formatLog('INFO', 'outside').requestId).toBeUndefined();
+    withRequest('req-1', () => expect(logger.formatLog('INFO', 'inside').requestId).toBe('req-1'));
+  });
+});
+
+describe('auditService.record', () => {
+  beforeEach(() => auditLogRepository.create.mockClear());
+
+  it('records the actor and request ID of the request', async () => {
+    const entry = await withRequest('req-2', () => {
+      setActor({ auth_type: 'api_key', id: 'key-1', name: 'Gate kiosk', role: 'KIOSK' });
+      return auditService.record({
+        action: 'VEHICLE_ENTRY',
+        entity_type: 'ParkingTransaction',
+        entity_id: ENTITY_ID,
+        after: { toObject: () => ({ license_plate: 'ABC-123' }) },
+      });
+    });
+
+    expect(entry).toMatchObject({
+      actor: { auth_type: 'api_key', id: 'key-1', name: 'Gate kiosk', role: 'KIOSK' },
+      request_id: 'req-2',
+      lot_id: null,
+      before: null,
+      after: { license_plate: 'ABC-123' },
+    });
+  });
+
+  it('records changes outside a request as the system', async () => {
+    const entry = await auditService.record({
+      action: 'MAINTENANCE_ENDED',
+      entity_type: 'ParkingSpot',
+      entity_id: ENTITY_ID,
+    });
+
+    expect(entry.actor).toMatchObject({ auth_type: 'system', id: 'system' });
+    expect(entry.request_id).toBeNull();
+  });
+
+  it('records third-party changes as their actor under the same request', async () => {
+    const gateway = { auth_type: 'gateway', id: 'mock', name: 'mock', role: null };
+    const entry = await withRequest('req-3', () =>
+      auditService.runAs(gateway, () =>
+        auditService.record({
+          action: 'PAYMENT_SETTLED',
+          entity_type: 'Payment',
+          entity_id: ENTITY_ID,
+        })
+      )
+    );
+
+    expect(entry.actor).toEqual(gateway);
+    expect(entry.request_id).toBe('req-3');
+  });
+
+  it('never fails an operation without a session, but does inside a transaction', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    auditLogRepository.create.mockRejectedValue(new Error('write failed'));
+    const change = { action: 'SPOT_UPDATED', entity_type: 'ParkingSpot', entity_id: ENTITY_ID };
+
+    await expect(auditService.record(change)).resolves.toBeNull();
+    await expect(auditService.record(change, {})).rejects.toThrow('write failed');
+
+    auditLogRepository.create.mockImplementation(async (entryData) => entryData);
+    console.error.mockRestore();
+  });
+});
+
+describe('validateAuditQueryParams', () => {
+  it('defaults pagination and normalizes filters', () => {
+    expect(validateAuditQueryParams({ action: 'vehicle_exit', lot_id: ENTITY_ID })).toEqual({
+      filters: { action: 'VEHICLE_EXIT', lot_id: ENTITY_ID },
+      pagination: { page: 1, limit: 50 },
+    });
+  });
+
+  it('collects every invalid parameter', () => {
+    let error;
+    try {
+      validateAuditQueryParams({
+        entity_type: 'Vehicle',
+        entity_id: 'nope',
+        from: '2026-02-01T00:00:00Z',
+        to: '2026-01-01T00:00:00Z',
+        page: '0',
+        limit: '201',
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.errorCode).toBe('INVALID_QUERY_PARAMS');
+    expect(Object.keys(error.validationErrors).sort()).toEqual([
+      'entity_id',
+      'entity_type',
+      'limit',
+      'page',
+      'to',
+    ]);
+  });
+});
@@ -0,0 +1,42 @@
+const authorize = require('../../src/middleware/authorize');
+const { PERMISSIONS, hasPermission } = require('../../src/constants/roles');
+
+const run = (permission, user) => {
+  const next = jest.fn();
+  authorize(permission)({ user }, {}, next);
+  return next.mock.calls[0][0];
+};
+
+describe('authorize', () => {
+  it('lets roles granting the permission through', () => {
+    expect(run(PERMISSIONS.PARKING_ENTRY_EXIT, { role: 'KIOSK' })).toBeUndefined();
+    expect(run(PERMISSIONS.FEES_ADJUST, { role: 'SUPERVISOR' })).toBeUndefined();
+  });
+
+  it('fails with 403 FORBIDDEN otherwise', () => {
+    const error = run(PERMISSIONS.MANUAL_EXIT, { role: 'KIOSK' });
+
+    expect(error.statusCode).toBe(403);
+    expect(error.errorCode).toBe('FORBIDDEN');
+    expect(error.message).toBe('Insufficient permissions: role KIOSK lacks parking:manual-exit');
+    expect(run(PERMISSIONS.AVAILABILITY_READ, { role: null }).errorCode).toBe('FORBIDDEN');
+    expect(run(PERMISSIONS.AVAILABILITY_READ, undefined).errorCode).toBe('FORBIDDEN');
+  });
+
+  it('refuses unknown permissions when routes are wired', () => {
+    expect(() => authorize('parking:teleport')).toThrow('Unknown permission: parking:teleport');
+  });
+});
+
+describe('roles', () => {
+  it('grants each role the permissions of the roles before it', () => {
+    ['KIOSK', 'ATTENDANT', 'SUPERVISOR', 'ADMIN'].forEach((role) =>
+      expect(hasPermission(role, PERMISSIONS.PARKING_ENTRY_EXIT)).toBe(true)
+    );
+    expect(hasPermission('ATTENDANT', PERMISSIONS.MANUAL_EXIT)).toBe(true);
+    expect(hasPermission('ATTENDANT', PERMISSIONS.FEES_ADJUST)).toBe(false);
+    expect(hasPermission('SUPERVISOR', PERMISSIONS.LOTS_MANAGE)).toBe(false);
+    expect(hasPermission('ADMIN', PERMISSIONS.RATE_CARDS_MANAGE)).toBe(true);
+    expect(hasPermission('GUEST', PERMISSIONS.AVAILABILITY_READ)).toBe(false);
+  });
+});
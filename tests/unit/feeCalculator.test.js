@@ -0,0 +1,389 @@
+const {
+  calculateParkingFee,
+  applyPermitRate,
+  applyLostTicketFee,
+  estimateChargingEnergy,
+  calculateChargingFee,
+  applyChargingFees,
+  formatDuration,
+} = require('../../src/utils/feeCalculator');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+const carRateCard = {
+  hourly_rate: 5,
+  daily_max_rate: 40,
+  grace_period_minutes: 15,
+  rounding_strategy: 'CEILING',
+};
+
+const entry = new Date('2026-01-22T08:00:00Z');
+const after = (ms) => new Date(entry.getTime() + ms);
+
+describe('feeCalculator', () => {
+  describe('calculateParkingFee', () => {
+    it('charges nothing within the grace period', () => {
+      const result = calculateParkingFee('CAR', entry, after(15 * MINUTE), carRateCard);
+
+      expect(result.parking_fee).toBe(0);
+      expect(result.calculation_details.grace_period_applied).toBe(15);
+    });
+
+    it('rounds partial hours up with CEILING after the grace period', () => {
+      const result = calculateParkingFee('CAR', entry, after(2 * HOUR + 30 * MINUTE), carRateCard);
+
+      // 150 minutes - 15 grace = 135 minutes -> 3 hourly units
+      expect(result.calculation_details.hourly_units).toBe(3);
+      expect(result.parking_fee).toBe(15);
+      expect(result.duration_formatted).toBe('2 hours 30 minutes');
+    });
+
+    it('honours FLOOR and ROUND rounding strategies', () => {
+      const exit = after(2 * HOUR + 30 * MINUTE);
+
+      const floor = calculateParkingFee('CAR', entry, exit, {
+        ...carRateCard,
+        rounding_strategy: 'FLOOR',
+      });
+      const round = calculateParkingFee('CAR', entry, exit, {
+        ...carRateCard,
+        rounding_strategy: 'ROUND',
+      });
+
+      expect(floor.calculation_details.hourly_units).toBe(2);
+      expect(round.calculation_details.hourly_units).toBe(2);
+    });
+
+    it('caps the fee at the daily maximum', () => {
+      const result = calculateParkingFee('CAR', entry, after(10 * HOUR), carRateCard);
+
+      expect(result.calculation_details.base_fee).toBe(50);
+      expect(result.calculation_details.daily_cap_applied).toBe(true);
+      expect(result.parking_fee).toBe(40);
+    });
+
+    it('rejects invalid input', () => {
+      expect(() => calculateParkingFee('CAR', entry, entry, carRateCard)).toThrow(
+        'Exit time must be after entry time'
+      );
+      expect(() => calculateParkingFee('CAR', entry, after(HOUR), null)).toThrow(
+        'Missing required parameters'
+      );
+      expect(() => calculateParkingFee('CAR', '2026-01-22', after(HOUR), carRateCard)).toThrow(
+        'must be Date objects'
+      );
+    });
+  });
+
+  describe('time bands', () => {
+    // 2026-01-22 is a Thursday
+    const bandedCard = {
+      hourly_rate: 5,
+      daily_max_rate: null,
+      grace_period_minutes: 0,
+      rounding_strategy: 'CEILING',
+      time_bands: [
+        { name: 'WEEKEND', days: [0, 6], start_time: '00:00', end_time: '00:00', hourly_rate: 3 },
+        { name: 'PEAK', days: [1, 2, 3, 4, 5], start_time: '07:00', end_time: '10:00', hourly_rate: 8 },
+        { name: 'NIGHT', days: [], start_time: '22:00', end_time: '06:00', hourly_rate: 2 },
+      ],
+    };
+
+    it('splits a stay across bands and reports the breakdown', () => {
+      const result = calculateParkingFee('CAR', entry, after(4 * HOUR), bandedCard);
+
+      expect(result.calculation_details.band_breakdown).toEqual([
+        { band: 'PEAK', hourly_rate: 8, units: 2, fee: 16 },
+        { band: 'STANDARD', hourly_rate: 5, units: 2, fee: 10 },
+      ]);
+      expect(result.parking_fee).toBe(26);
+    });
+
+    it('wraps overnight bands and matches bands in priority order', () => {
+      const fridayEvening = new Date('2026-01-23T20:00:00Z');
+      const result = calculateParkingFee(
+        'CAR',
+        fridayEvening,
+        new Date(fridayEvening.getTime() + 6 * HOUR),
+        bandedCard
+      );
+
+      // 20-22 standard, 22-24 night (Friday), 00-02 Saturday: weekend wins over night
+      expect(result.calculation_details.band_breakdown).toEqual([
+        { band: 'STANDARD', hourly_rate: 5, units: 2, fee: 10 },
+        { band: 'NIGHT', hourly_rate: 2, units: 2, fee: 4 },
+        { band: 'WEEKEND', hourly_rate: 3, units: 2, fee: 6 },
+      ]);
+      expect(result.parking_fee).toBe(20);
+    });
+
+    it('evaluates bands in the lot time zone', () => {
+      // 12:00 UTC = 07:00 in New York (EST)
+      const start = new Date('2026-01-22T12:00:00Z');
+      const exit = new Date(start.getTime() + 2 * HOUR);
+
+      const utc = calculateParkingFee('CAR', start, exit, bandedCard);
+      const local = calculateParkingFee('CAR', start, exit, bandedCard, {
+        timeZone: 'America/New_York',
+      });
+
+      expect(utc.parking_fee).toBe(10);
+      expect(local.parking_fee).toBe(16);
+    });
+
+    it('starts billing after the grace period', () => {
+      // Grace covers 06:45-07:00, so both units fall in the peak band
+      const start = new Date('2026-01-22T06:45:00Z');
+      const result = calculateParkingFee(
+        'CAR',
+        start,
+        new Date(start.getTime() + 2 * HOUR),
+        { ...bandedCard, grace_period_minutes: 15 }
+      );
+
+      expect(result.calculation_details.band_breakdown).toEqual([
+        { band: 'PEAK', hourly_rate: 8, units: 2, fee: 16 },
+      ]);
+    });
+
+    it('reports a single standard band for flat rate cards', () => {
+      const result = calculateParkingFee('CAR', entry, after(2 * HOUR), carRateCard);
+
+      expect(result.calculation_details.band_breakdown).toEqual([
+        { band: 'STANDARD', hourly_rate: 5, units: 2, fee: 10 },
+      ]);
+    });
+  });
+
+  describe('daily and weekly caps', () => {
+    const cappedCard = {
+      hourly_rate: 5,
+      daily_max_rate: 40,
+      grace_period_minutes: 0,
+      rounding_strategy: 'CEILING',
+    };
+    const calendarCard = { ...cappedCard, cap_mode: 'CALENDAR_DAY' };
+
+    it('caps each rolling 24 hours separately', () => {
+      const result = calculateParkingFee('CAR', entry, after(30 * HOUR), cappedCard);
+
+      // 24 units capped at 40 + 6 units at 5
+      expect(result.calculation_details.cap_periods).toMatchObject([
+        { period: 1, base_fee: 120, fee: 40, daily_cap_applied: true },
+        { period: 2, base_fee: 30, fee: 30, daily_cap_applied: false },
+      ]);
+      expect(result.parking_fee).toBe(70);
+    });
+
+    it('caps each calendar day in the lot time zone', () => {
+      const result = calculateParkingFee('CAR', entry, after(30 * HOUR), calendarCard);
+
+      // Jan 22 08:00-24:00 (16 units) and Jan 23 00:00-14:00 (14 units), both capped
+      expect(result.calculation_details.cap_periods).toMatchObject([
+        { base_fee: 80, fee: 40, starts_at: entry },
+        { base_fee: 70, fee: 40, starts_at: new Date('2026-01-23T00:00:00Z') },
+      ]);
+      expect(result.parking_fee).toBe(80);
+    });
+
+    it('handles the spring-forward DST transition', () => {
+      // Sat 2026-03-07 22:00 EST -> Mon 2026-03-09 02:00 EDT: 27 real hours
+      const start = new Date('2026-03-08T03:00:00Z');
+      const exit = new Date('2026-03-09T06:00:00Z');
+      const options = { timeZone: 'America/New_York' };
+
+      const calendar = calculateParkingFee('CAR', start, exit, calendarCard, options);
+      const rolling = calculateParkingFee('CAR', start, exit, cappedCard, options);
+
+      expect(calendar.calculation_details.hourly_units).toBe(27);
+      // Mar 8 has 23 hours and starts at local midnight (05:00 UTC)
+      expect(calendar.calculation_details.cap_periods).toMatchObject([
+        { base_fee: 10, fee: 10 },
+        { base_fee: 115, fee: 40, starts_at: new Date('2026-03-08T05:00:00Z') },
+        { base_fee: 10, fee: 10, starts_at: new Date('2026-03-09T04:00:00Z') },
+      ]);
+      expect(calendar.parking_fee).toBe(60);
+      expect(rolling.parking_fee).toBe(55);
+    });
+
+    it('handles the fall-back DST transition', () => {
+      // Sun 2026-11-01 is 25 hours long in New York
+      const start = new Date('2026-11-01T04:00:00Z');
+      const exit = new Date('2026-11-02T05:00:00Z');
+      const options = { timeZone: 'America/New_York' };
+
+      const calendar = calculateParkingFee('CAR', start, exit, calendarCard, options);
+      const rolling = calculateParkingFee('CAR', start, exit, cappedCard, options);
+
+      expect(calendar.calculation_details.hourly_units).toBe(25);
+      expect(calendar.calculation_details.cap_periods).toHaveLength(1);
+      expect(calendar.parking_fee).toBe(40);
+      expect(rolling.parking_fee).toBe(45);
+    });
+
+    it('applies the weekly cap to a week-long stay', () => {
+      const weeklyCard = { ...cappedCard, weekly_max_rate: 200 };
+
+      const week = calculateParkingFee('CAR', entry, after(7 * 24 * HOUR), weeklyCard);
+      expect(week.calculation_details.cap_periods).toHaveLength(7);
+      expect(week.calculation_details.weekly_cap_applied).toBe(true);
+      expect(week.parking_fee).toBe(200);
+
+      // The eighth day starts a new week
+      const eightDays = calculateParkingFee('CAR', entry, after(8 * 24 * HOUR), weeklyCard);
+      expect(eightDays.parking_fee).toBe(240);
+    });
+
+    it('charges the weekly cap per calendar week of days', () => {
+      const weeklyCard = { ...calendarCard, weekly_max_rate: 150 };
+
+      // Thu 08:00 -> Thu 08:00 a week later touches 8 calendar days
+      const result = calculateParkingFee('CAR', entry, after(7 * 24 * HOUR), weeklyCard);
+
+      expect(result.calculation_details.cap_periods).toHaveLength(8);
+      expect(result.parking_fee).toBe(190);
+    });
+  });
+
+  describe('overnight flat rate', () => {
+    const overnightCard = {
+      hourly_rate: 5,
+      daily_max_rate: null,
+      grace_period_minutes: 0,
+      rounding_strategy: 'CEILING',
+      overnight_flat_rate: { start_time: '20:00', end_time: '08:00', rate: 10 },
+    };
+
+    it('charges the hours of a night at the flat rate', () => {
+      const start = new Date('2026-01-22T18:00:00Z');
+      const result = calculateParkingFee(
+        'CAR',
+        start,
+        new Date('2026-01-23T09:00:00Z'),
+        overnightCard
+      );
+
+      expect(result.calculation_details.band_breakdown).toEqual([
+        { band: 'STANDARD', hourly_rate: 5, units: 3, fee: 15 },
+        { band: 'OVERNIGHT', flat_rate: 10, units: 12, fee: 10 },
+      ]);
+      expect(result.parking_fee).toBe(25);
+    });
+
+    it('charges each night once', () => {
+      const start = new Date('2026-01-22T20:00:00Z');
+      const result = calculateParkingFee(
+        'CAR',
+        start,
+        new Date('2026-01-24T08:00:00Z'),
+        overnightCard
+      );
+
+      // Two nights at 10 + the 12 daytime hours in between
+      expect(result.parking_fee).toBe(80);
+    });
+
+    it('keeps hourly pricing when it is cheaper than the flat rate', () => {
+      const start = new Date('2026-01-22T20:00:00Z');
+      const result = calculateParkingFee(
+        'CAR',
+        start,
+        new Date(start.getTime() + HOUR),
+        overnightCard
+      );
+
+      expect(result.parking_fee).toBe(5);
+      expect(result.calculation_details.band_breakdown[0].band).toBe('STANDARD');
+    });
+  });
+
+  describe('applyPermitRate', () => {
+    it('charges nothing on a free permit', () => {
+      const feeDetails = calculateParkingFee('CAR', entry, after(3 * HOUR), carRateCard);
+      const result = applyPermitRate(feeDetails, { _id: 'permit-1', hourly_rate: 0 });
+
+      expect(result.parking_fee).toBe(0);
+      expect(result.calculation_details.permit).toEqual({
+        permit_id: 'permit-1',
+        hourly_rate: 0,
+        rate_card_fee: 15,
+      });
+    });
+
+    it('prices the billable hours at the permit rate, ignoring caps', () => {
+      const feeDetails = calculateParkingFee('CAR', entry, after(10 * HOUR), carRateCard);
+      const result = applyPermitRate(feeDetails, { _id: 'permit-1', hourly_rate: 4.5 });
+
+      // 600 minutes - 15 grace = 585 minutes -> 10 hourly units (rate card fee capped at 40)
+      expect(feeDetails.parking_fee).toBe(40);
+      expect(result.parking_fee).toBe(45);
+      expect(result.calculation_details.final_fee).toBe(45);
+    });
+  });
+
+  describe('applyLostTicketFee', () => {
+    it('charges at least the lost-ticket fee', () => {
+      const feeDetails = calculateParkingFee('CAR', entry, after(2 * HOUR), carRateCard);
+      const result = applyLostTicketFee(feeDetails, { ...carRateCard, lost_ticket_fee: 25 });
+
+      expect(result.parking_fee).toBe(25);
+      expect(result.calculation_details.lost_ticket).toEqual({
+        lost_ticket_fee: 25,
+        stay_fee: 10,
+      });
+    });
+
+    it('keeps a higher stay fee and falls back to the daily max rate', () => {
+      const feeDetails = calculateParkingFee('CAR', entry, after(30 * HOUR), carRateCard);
+      const result = applyLostTicketFee(feeDetails, carRateCard);
+
+      // 40 for the first day + 6 hours at 5 (cap period 2)
+      expect(result.calculation_details.lost_ticket.lost_ticket_fee).toBe(40);
+      expect(result.parking_fee).toBe(feeDetails.parking_fee);
+      expect(result.parking_fee).toBeGreaterThan(40);
+    });
+  });
+
+  describe('EV charging', () => {
+    it('estimates energy from the charger rating and session length', () => {
+      expect(estimateChargingEnergy(7.4, entry, after(90 * MINUTE))).toBe(11.1);
+      expect(estimateChargingEnergy(22, entry, entry)).toBe(0);
+    });
+
+    it('prices energy per kWh', () => {
+      expect(calculateChargingFee(12.5, 0.35)).toBe(4.38);
+      expect(calculateChargingFee(20, 0)).toBe(0);
+    });
+
+    it('bills the sessions as a line of their own, beside the stay fee', () => {
+      const feeDetails = calculateParkingFee('CAR', entry, after(2 * HOUR), carRateCard);
+      const result = applyChargingFees(feeDetails, [
+        { energy_kwh: 10, fee: 3.5 },
+        { energy_kwh: 2.5, fee: 0.88 },
+      ]);
+
+      expect(result.parking_fee).toBe(10);
+      expect(result.charging_fee).toBe(4.38);
+      expect(result.calculation_details.charging).toEqual({
+        sessions: 2,
+        energy_kwh: 12.5,
+        charging_fee: 4.38,
+      });
+    });
+
+    it('leaves stays without charging unchanged', () => {
+      const feeDetails = calculateParkingFee('CAR', entry, after(2 * HOUR), carRateCard);
+
+      expect(applyChargingFees(feeDetails, [])).toBe(feeDetails);
+    });
+  });
+
+  describe('formatDuration', () => {
+    it('formats minutes and hours', () => {
+      expect(formatDuration(1)).toBe('1 minute');
+      expect(formatDuration(60)).toBe('1 hour');
+      expect(formatDuration(125)).toBe('2 hours 5 minutes');
+    });
+  });
+});
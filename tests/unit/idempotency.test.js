@@ -0,0 +1,197 @@
+// Short locks, so the renewal of a running request's lock can be seen
+process.env.IDEMPOTENCY_LOCK_SECONDS = '1';
+
+jest.mock('../../src/repositories/idempotencyKeyRepository', () => {
+  const records = new Map();
+  return {
+    records,
+    claim: jest.fn(async (keyData) => {
+      if (records.has(keyData.key)) {
+        return { claimed: false, record: records.get(keyData.key) };
+      }
+      const record = { ...keyData, state: 'IN_PROGRESS' };
+      records.set(keyData.key, record);
+      return { claimed: true, record };
+    }),
+    complete: jest.fn(async (key, status, body) => {
+      Object.assign(records.get(key), {
+        state: 'COMPLETED',
+        response_status: status,
+        response_body: body,
+      });
+    }),
+    release: jest.fn(async (key) => records.delete(key)),
+    renew: jest.fn(async () => {}),
+  };
+});
+
+const express = require('express');
+const request = require('supertest');
+const idempotencyKeyRepository = require('../../src/repositories/idempotencyKeyRepository');
+const idempotencyService = require('../../src/services/idempotencyService');
+const idempotency = require('../../src/middleware/idempotency');
+const errorHandler = require('../../src/middleware/errorHandler');
+const AppError = require('../../src/errors/AppError');
+
+const DEFAULT_LOT_ID = '65a000000000000000000001';
+
+/**
+ * App with one idempotent route, mounted for the default lot and under /lots/:lotId as
+ * in app.js; the handler's result is set per test
+ */
+const createApp = (handler) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { auth_type: 'api_key', id: req.get('X-Caller') || 'kiosk-1' };
+    next();
+  });
+  const router = express.Router({ mergeParams: true });
+  const lotResolver = (req, res, next) => {
+    req.lot = { _id: req.params.lotId || DEFAULT_LOT_ID };
+    next();
+  };
+  router.post('/parking/exit', lotResolver, idempotency, handler);
+  app.use('/', router);
+  app.use('/lots/:lotId', router);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('idempotency middleware', () => {
+  let handler;
+  let app;
+
+  beforeEach(() => {
+    idempotencyKeyRepository.records.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    handler = jest.fn((req, res) =>
+      res.status(200).json({ success: true, data: { receipt: handler.mock.calls.length } })
+    );
+    app = createApp((req, res, next) => handler(req, res, next));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const exit = (body, key, caller, path = '/parking/exit') => {
+    const call = request(app).post(path).send(body);
+    if (key !== undefined) call.set('Idempotency-Key', key);
+    if (caller) call.set('X-Caller', caller);
+    return call;
+  };
+
+  it('replays the first response for retries with the same key', async () => {
+    const first = await exit({ license_plate: 'ABC-123', lot: 1 }, 'exit-1');
+    const retry = await exit({ lot: 1, license_plate: 'ABC-123' }, 'exit-1');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(retry.status).toBe(200);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  it('replays client errors too', async () => {
+    handler = jest.fn(() => {
+      throw new AppError('Vehicle has already exited', 409, 'ALREADY_EXITED');
+    });
+
+    await exit({ license_plate: 'ABC-123' }, 'exit-2');
+    const retry = await exit({ license_plate: 'ABC-123' }, 'exit-2');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(retry.status).toBe(409);
+    expect(retry.body.error.code).toBe('ALREADY_EXITED');
+  });
+
+  it('releases the key after a server error so the request can be retried', async () => {
+    handler = jest.fn(() => {
+      throw new AppError('Lock timeout', 503, 'LOCK_TIMEOUT');
+    });
+    await exit({ license_plate: 'ABC-123' }, 'exit-3');
+
+    expect(idempotencyKeyRepository.records.size).toBe(0);
+    await exit({ license_plate: 'ABC-123' }, 'exit-3');
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects a reused key with a different request', async () => {
+    await exit({ license_plate: 'ABC-123' }, 'exit-4');
+    const mismatch = await exit({ license_plate: 'XYZ-999' }, 'exit-4');
+
+    expect(mismatch.status).toBe(422);
+    expect(mismatch.body.error.code).toBe('IDEMPOTENCY_KEY_MISMATCH');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('identifies requests by lot rather than by the path they were sent to', async () => {
+    const body = { license_plate: 'ABC-123' };
+    const first = await exit(body, 'exit-8');
+    const retry = await exit(body, 'exit-8', undefined, `/lots/${DEFAULT_LOT_ID}/parking/exit`);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(retry.status).toBe(200);
+    expect(retry.body).toEqual(first.body);
+
+    const otherLotPath = '/lots/65a000000000000000000002/parking/exit';
+    const otherLot = await exit(body, 'exit-8', undefined, otherLotPath);
+    expect(otherLot.status).toBe(422);
+    expect(otherLot.body.error.code).toBe('IDEMPOTENCY_KEY_MISMATCH');
+  });
+
+  it('renews the lock on a key while its request runs', async () => {
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    handler = jest.fn(async (req, res) => {
+      await wait(800);
+      res.status(200).json({ success: true });
+    });
+
+    await exit({ license_plate: 'ABC-123' }, 'exit-7');
+
+    expect(idempotencyKeyRepository.renew).toHaveBeenCalledWith(
+      'api_key:kiosk-1:exit-7',
+      expect.any(Date)
+    );
+    const renewals = idempotencyKeyRepository.renew.mock.calls.length;
+    await wait(500);
+    expect(idempotencyKeyRepository.renew).toHaveBeenCalledTimes(renewals);
+  });
+
+  it('refuses duplicates while the first request is in progress', async () => {
+    const key = 'api_key:kiosk-1:exit-5';
+    idempotencyKeyRepository.records.set(key, {
+      key,
+      request_hash: idempotencyService.hashRequest({
+        method: 'POST',
+        lot_id: DEFAULT_LOT_ID,
+        route: '/parking/exit',
+        params: {},
+        body: { license_plate: 'ABC-123' },
+      }),
+      state: 'IN_PROGRESS',
+    });
+
+    const duplicate = await exit({ license_plate: 'ABC-123' }, 'exit-5');
+
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error.code).toBe('IDEMPOTENCY_KEY_IN_USE');
+  });
+
+  it('scopes keys to the caller and ignores requests without a key', async () => {
+    await exit({ license_plate: 'ABC-123' }, 'exit-6', 'kiosk-1');
+    await exit({ license_plate: 'ABC-123' }, 'exit-6', 'kiosk-2');
+    await exit({ license_plate: 'ABC-123' });
+    await exit({ license_plate: 'ABC-123' });
+
+    expect(handler).toHaveBeenCalledTimes(4);
+  });
+
+  it('refuses malformed keys', async () => {
+    const invalid = await exit({ license_plate: 'ABC-123' }, 'has space');
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.code).toBe('INVALID_IDEMPOTENCY_KEY');
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+process.env.JWT_SECRET = 'unit-test-secret';
+
+const { signToken, verifyToken } = require('../../src/utils/jwt');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('jwt', () => {
+  describe('HS256', () => {
+    it('verifies tokens it signed', () => {
+      const claims = verifyToken(signToken({ sub: 'attendant-1', name: 'Gate 1' }));
+
+      expect(claims.sub).toBe('attendant-1');
+      expect(claims.name).toBe('Gate 1');
+      expect(claims.exp - claims.iat).toBe(3600);
+    });
+
+    it('rejects tampered tokens', () => {
+      const [header, , signature] = signToken({ sub: 'attendant-1' }).split('.');
+      const forged = encode({ sub: 'admin', exp: Math.floor(Date.now() / 1000) + 60 });
+
+      expect(() => verifyToken(`${header}.${forged}.${signature}`)).toThrow(
+        'Invalid token signature'
+      );
+    });
+
+    it('rejects expired tokens and tokens without expiry or subject', () => {
+      expect(() => verifyToken(signToken({ sub: 'a' }, { expiresIn: -3600 }))).toThrow(
+        'Token has expired'
+      );
+      expect(() => verifyToken(signToken({ sub: 'a', exp: undefined }))).toThrow(
+        'Token has no expiry'
+      );
+      expect(() => verifyToken(signToken({}))).toThrow('Token has no subject');
+    });
+
+    it('refuses unsigned and differently signed tokens', () => {
+      const payload = encode({ sub: 'admin', exp: Math.floor(Date.now() / 1000) + 60 });
+
+      expect(() => verifyToken(`${encode({ alg: 'none' })}.${payload}.`)).toThrow(
+        'Token must be signed with HS256'
+      );
+      expect(() => verifyToken('not-a-token')).toThrow('Malformed token');
+    });
+  });
+
+  describe('RS256', () => {
+    it('verifies tokens with the public key', () => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const pem = (key, type) => key.export({ type, format: 'pem' });
+
+      jest.isolateModules(() => {
+        process.env.JWT_ALGORITHM = 'RS256';
+        process.env.JWT_PUBLIC_KEY = pem(publicKey, 'spki');
+        process.env.JWT_PRIVATE_KEY = pem(privateKey, 'pkcs8');
+
+        try {
+          const rs256 = require('../../src/utils/jwt');
+          const token = rs256.signToken({ sub: 'kiosk-7' });
+
+          expect(rs256.verifyToken(token).sub).toBe('kiosk-7');
+          expect(() => verifyToken(token)).toThrow('Token must be signed with HS256');
+        } finally {
+          delete process.env.JWT_ALGORITHM;
+          delete process.env.JWT_PUBLIC_KEY;
+          delete process.env.JWT_PRIVATE_KEY;
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const MockPaymentGateway = require('../../src/gateways/MockPaymentGateway');
+
+describe('MockPaymentGateway', () => {
+  let gateway;
+
+  beforeEach(() => {
+    gateway = new MockPaymentGateway();
+  });
+
+  it('authorizes, captures and refunds an approved charge', async () => {
+    const authorization = await gateway.authorize({ amount: 12.5, reference: 'pay-1' });
+    expect(authorization.status).toBe('AUTHORIZED');
+
+    await expect(gateway.capture(authorization.gateway_reference, 12.5)).resolves.toEqual({
+      status: 'CAPTURED',
+    });
+
+    const refund = await gateway.refund(authorization.gateway_reference, 5);
+    expect(refund.status).toBe('REFUNDED');
+
+    await expect(gateway.refund(authorization.gateway_reference, 10)).rejects.toMatchObject({
+      errorCode: 'PAYMENT_GATEWAY_ERROR',
+    });
+  });
+
+  it('declines test tokens and unknown tokens', async () => {
+    const declined = await gateway.authorize({ amount: 5, token: 'tok_insufficient_funds' });
+    const unknown = await gateway.authorize({ amount: 5, token: 'tok_nope' });
+
+    expect(declined).toMatchObject({ status: 'DECLINED', decline_reason: 'insufficient_funds' });
+    expect(unknown).toMatchObject({ status: 'DECLINED', decline_reason: 'invalid_token' });
+    await expect(gateway.capture(declined.gateway_reference, 5)).rejects.toMatchObject({
+      errorCode: 'PAYMENT_GATEWAY_ERROR',
+    });
+  });
+
+  it('delivers signed webhooks for delayed outcomes', async () => {
+    const received = [];
+    gateway.setWebhookListener(async (rawBody, signature) => {
+      received.push(gateway.verifyWebhook(rawBody, signature));
+    });
+
+    const approved = await gateway.authorize({
+      amount: 8,
+      token: 'tok_delayed_approved',
+      reference: 'pay-2',
+    });
+    await gateway.authorize({ amount: 8, token: 'tok_delayed_declined', reference: 'pay-3' });
+    expect(approved.status).toBe('PENDING');
+
+    await gateway.flushWebhooks();
+
+    expect(received.map((event) => [event.type, event.data.reference])).toEqual([
+      ['payment.captured', 'pay-2'],
+      ['payment.failed', 'pay-3'],
+    ]);
+    await expect(gateway.refund(approved.gateway_reference, 8)).resolves.toMatchObject({
+      status: 'REFUNDED',
+    });
+  });
+
+  it('rejects webhooks with an invalid signature', () => {
+    const payload = JSON.stringify({ id: 'evt_1', type: 'payment.captured' });
+
+    expect(gateway.verifyWebhook(payload, gateway.sign(payload))).toMatchObject({ id: 'evt_1' });
+    expect(() => gateway.verifyWebhook(payload, 'forged')).toThrow('Invalid webhook signature');
+    expect(() => gateway.verifyWebhook(`${payload} `, gateway.sign(payload))).toThrow(
+      'Invalid webhook signature'
+    );
+  });
+});
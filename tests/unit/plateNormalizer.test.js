@@ -0,0 +1,81 @@
+const {
+  normalizePlate,
+  foldConfusables,
+  editDistance,
+  plateSimilarity,
+  rankPlateCandidates,
+} = require('../../src/utils/plateNormalizer');
+
+describe('plateNormalizer', () => {
+  describe('normalizePlate', () => {
+    it('uppercases and removes separators', () => {
+      expect(normalizePlate('abc-1234')).toBe('ABC1234');
+      expect(normalizePlate(' ABC 1234 ')).toBe('ABC1234');
+      expect(normalizePlate('AB.C-12 34')).toBe('ABC1234');
+    });
+
+    it('returns an empty key for non-strings', () => {
+      expect(normalizePlate(null)).toBe('');
+      expect(normalizePlate(undefined)).toBe('');
+    });
+  });
+
+  describe('foldConfusables', () => {
+    it('folds letters that are read as digits', () => {
+      expect(foldConfusables('BOS-1ZIL')).toBe('8051211');
+    });
+  });
+
+  describe('editDistance', () => {
+    it('counts insertions, deletions and substitutions', () => {
+      expect(editDistance('ABC1234', 'ABC1234')).toBe(0);
+      expect(editDistance('ABC1234', 'ABC124')).toBe(1);
+      expect(editDistance('ABC1234', 'ABD1235')).toBe(2);
+      expect(editDistance('', 'ABC')).toBe(3);
+    });
+  });
+
+  describe('plateSimilarity', () => {
+    it('scores plates differing only in formatting as identical', () => {
+      expect(plateSimilarity('abc 1234', 'ABC-1234')).toBe(1);
+    });
+
+    it('scores confused characters higher than typos', () => {
+      const confused = plateSimilarity('ABC-I234', 'ABC-1234');
+      const typo = plateSimilarity('ABC-1235', 'ABC-1234');
+
+      expect(confused).toBe(0.96);
+      expect(typo).toBe(0.86);
+    });
+
+    it('scores unrelated plates low', () => {
+      expect(plateSimilarity('XYZ-999', 'ABC-1234')).toBeLessThan(0.6);
+      expect(plateSimilarity('', 'ABC-1234')).toBe(0);
+    });
+  });
+
+  describe('rankPlateCandidates', () => {
+    const plates = ['ABD-1234', 'XYZ-9876', 'ABC-1234', 'A8C-1234'];
+
+    it('returns candidates above the minimum score, best first', () => {
+      const ranked = rankPlateCandidates('ABC1234', plates);
+
+      expect(ranked.map((candidate) => candidate.item)).toEqual([
+        'ABC-1234',
+        'A8C-1234',
+        'ABD-1234',
+      ]);
+      expect(ranked[0].score).toBe(1);
+    });
+
+    it('applies getPlate and limit', () => {
+      const vehicles = plates.map((license_plate) => ({ license_plate }));
+      const ranked = rankPlateCandidates('ABC1234', vehicles, {
+        getPlate: (vehicle) => vehicle.license_plate,
+        limit: 1,
+      });
+
+      expect(ranked).toEqual([{ item: { license_plate: 'ABC-1234' }, score: 1 }]);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const {
+  registerPlateRegion,
+  isValidPlateRegion,
+  getPlateRegionCodes,
+  matchPlateRegion,
+} = require('../../src/utils/plateRegions');
+
+describe('plateRegions', () => {
+  describe('matchPlateRegion', () => {
+    it('matches region formats ignoring separators and case', () => {
+      expect(matchPlateRegion('ab12 cde', ['GB'])).toEqual({
+        regions_applied: ['GB'],
+        matched_region: 'GB',
+      });
+      expect(matchPlateRegion('AB-123-CD', ['GB', 'FR']).matched_region).toBe('FR');
+      expect(matchPlateRegion('MH 12 AB 1234', ['IN']).matched_region).toBe('IN');
+    });
+
+    it('reports no match when the plate fits none of the regions', () => {
+      expect(matchPlateRegion('ABC-1234', ['GB', 'FR'])).toEqual({
+        regions_applied: ['GB', 'FR'],
+        matched_region: null,
+      });
+    });
+
+    it('applies nothing without regions and ignores unknown codes', () => {
+      expect(matchPlateRegion('ABC-1234')).toEqual({ regions_applied: [], matched_region: null });
+      expect(matchPlateRegion('ABC-1234', ['XX']).regions_applied).toEqual([]);
+    });
+  });
+
+  describe('registerPlateRegion', () => {
+    it('plugs in a new region', () => {
+      registerPlateRegion('nl', { name: 'Netherlands', formats: [/^[A-Z]{2}[0-9]{3}[A-Z]$/] });
+
+      expect(isValidPlateRegion('NL')).toBe(true);
+      expect(getPlateRegionCodes()).toContain('NL');
+      expect(matchPlateRegion('XX-123-B', ['NL']).matched_region).toBe('NL');
+    });
+
+    it('requires at least one format', () => {
+      expect(() => registerPlateRegion('YY', { formats: [] })).toThrow(
+        'Plate region YY must define at least one format'
+      );
+    });
+  });
+});
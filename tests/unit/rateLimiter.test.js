@@ -0,0 +1,240 @@
+const EventEmitter = require('events');
+const { RateLimiter } = require('../../src/middleware/rateLimiter');
+const { MemoryRateLimitStore, RateLimitStore } = require('../../src/rateLimitStores');
+const { slidingWindow, tokenBucket } = require('../../src/utils/rateLimitAlgorithms');
+const {
+  parseRateLimitConfig,
+  resolveRateLimitRule,
+} = require('../../src/utils/rateLimitConfig');
+
+const RULE = { limit: 3, window_ms: 60000 };
+// Start of a fixed window
+const T0 = 6000000;
+
+const takeMany = async (algorithm, store, count, now) => {
+  const decisions = [];
+  for (let i = 0; i < count; i++) {
+    decisions.push(await algorithm(store, 'client', RULE, now));
+  }
+  return decisions;
+};
+
+describe('slidingWindow', () => {
+  it('allows the limit within a window and then reports when to retry', async () => {
+    const store = new MemoryRateLimitStore();
+    const decisions = await takeMany(slidingWindow, store, 4, T0 + 1000);
+
+    expect(decisions.map((d) => d.allowed)).toEqual([true, true, true, false]);
+    expect(decisions.map((d) => d.remaining)).toEqual([2, 1, 0, 0]);
+    expect(decisions[3].reset_at).toBe(T0 + 60000);
+    expect(decisions[3].retry_after_ms).toBeGreaterThan(59000);
+  });
+
+  it('weights the previous window by its overlap with the sliding window', async () => {
+    const store = new MemoryRateLimitStore();
+    await takeMany(slidingWindow, store, 3, T0 + 59000);
+
+    // A quarter into the next window, 3 * 0.75 = 2.25 previous requests still count
+    const [blocked] = await takeMany(slidingWindow, store, 1, T0 + 75000);
+    expect(blocked.allowed).toBe(false);
+    // Once a third into the window, 2 previous requests + 1 = 3
+    expect(blocked.retry_after_ms).toBeGreaterThanOrEqual(5000);
+    expect(blocked.retry_after_ms).toBeLessThan(5002);
+
+    // At the end of the window the previous one has all but slid out
+    const [late] = await takeMany(slidingWindow, store, 1, T0 + 120000 - 1);
+    expect(late.allowed).toBe(true);
+  });
+});
+
+describe('tokenBucket', () => {
+  it('allows a burst of the limit and refills over the window', async () => {
+    const store = new MemoryRateLimitStore();
+    const decisions = await takeMany(tokenBucket, store, 4, T0);
+
+    expect(decisions.map((d) => d.allowed)).toEqual([true, true, true, false]);
+    // One token every 20 seconds
+    expect(decisions[3].retry_after_ms).toBe(20000);
+    expect(decisions[3].reset_at).toBe(T0 + 60000);
+
+    const [refilled] = await takeMany(tokenBucket, store, 1, T0 + 20000);
+    expect(refilled.allowed).toBe(true);
+    expect(refilled.remaining).toBe(0);
+  });
+});
+
+describe('rate limit configuration', () => {
+  const config = parseRateLimitConfig({
+    algorithm: 'token-bucket',
+    default: { limit: 100, window_seconds: 60 },
+    roles: { kiosk: { limit: 50, window_seconds: 60 } },
+    routes: [
+      {
+        method: 'POST',
+        path: '/parking/entry',
+        limit: 10,
+        window_seconds: 1,
+        roles: { ADMIN: { limit: 20, window_seconds: 1 } },
+      },
+      { path: '/rate-cards/*', limit: 5, window_seconds: 60 },
+    ],
+  });
+
+  it('uses the first matching route rule, including its lot-scoped form', () => {
+    expect(resolveRateLimitRule(config, 'POST', '/parking/entry', 'KIOSK')).toEqual({
+      scope: 'route:0',
+      limit: 10,
+      window_ms: 1000,
+    });
+    expect(resolveRateLimitRule(config, 'POST', '/lots/abc/parking/entry', null).scope).toBe(
+      'route:0'
+    );
+    expect(resolveRateLimitRule(config, 'DELETE', '/rate-cards/123', null).scope).toBe(
+      'route:1'
+    );
+  });
+
+  it('applies role rules of the matching rule, else the default', () => {
+    expect(resolveRateLimitRule(config, 'POST', '/parking/entry', 'ADMIN').limit).toBe(20);
+    expect(resolveRateLimitRule(config, 'GET', '/parking/entry', 'KIOSK')).toEqual({
+      scope: 'default',
+      limit: 50,
+      window_ms: 60000,
+    });
+    expect(resolveRateLimitRule(config, 'GET', '/audit', 'ADMIN').limit).toBe(100);
+  });
+
+  it('refuses invalid configurations', () => {
+    expect(() => parseRateLimitConfig({ algorithm: 'leaky' })).toThrow(
+      'Rate limit algorithm leaky must be one of'
+    );
+    expect(() => parseRateLimitConfig({ default: { limit: 0, window_seconds: 1 } })).toThrow(
+      'Rate limit default must have a positive integer limit'
+    );
+    expect(() => parseRateLimitConfig({ routes: [{ path: 'parking', limit: 1 }] })).toThrow(
+      'Rate limit route 0 must have a path starting with /'
+    );
+  });
+});
+
+describe('RateLimiter middleware', () => {
+  const config = parseRateLimitConfig({
+    algorithm: 'sliding-window',
+    default: { limit: 2, window_seconds: 60 },
+  });
+
+  const createResponse = () => {
+    const res = new EventEmitter();
+    res.headers = {};
+    res.set = (name, value) => {
+      res.headers[name] = value;
+    };
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const request = { method: 'GET', path: '/audit', ip: '10.0.0.1' };
+
+  it('sets rate limit headers and refuses requests over the limit with Retry-After', async () => {
+    const middleware = new RateLimiter(config, new MemoryRateLimitStore()).middleware();
+    const next = jest.fn();
+
+    await middleware(request, createResponse(), next);
+    await middleware(request, createResponse(), next);
+    const res = createResponse();
+    await middleware(request, res, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(res.headers['X-RateLimit-Limit']).toBe(2);
+    expect(res.headers['X-RateLimit-Remaining']).toBe(0);
+    expect(res.headers['Retry-After']).toBeGreaterThan(0);
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json.mock.calls[0][0].error.code).toBe('RATE_LIMIT_EXCEEDED');
+  });
+
+  it('counts each authenticated principal separately', async () => {
+    const middleware = new RateLimiter(config, new MemoryRateLimitStore()).middleware();
+    const next = jest.fn();
+    const asUser = (id) => ({ ...request, user: { auth_type: 'jwt', id, role: 'KIOSK' } });
+
+    await middleware(asUser('a'), createResponse(), next);
+    await middleware(asUser('a'), createResponse(), next);
+    await middleware(asUser('b'), createResponse(), next);
+
+    expect(next).toHaveBeenCalledTimes(3);
+  });
+
+  it('keeps limiting in process memory when the store fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const middleware = new RateLimiter(config, new RateLimitStore('broken')).middleware();
+    const next = jest.fn();
+
+    await middleware(request, createResponse(), next);
+    await middleware(request, createResponse(), next);
+    const res = createResponse();
+    await middleware(request, res, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(next).not.toHaveBeenCalledWith(expect.anything());
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(console.error).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  it('refuses to initialize with a store that is not available', () => {
+    const limiter = new RateLimiter(parseRateLimitConfig({ store: 'memcached' }));
+
+    expect(() => limiter.initialize()).toThrow('Rate limit store memcached is not configured');
+  });
+
+  describe('per IP, before authentication', () => {
+    const ipConfig = parseRateLimitConfig({
+      algorithm: 'token-bucket',
+      ip: { limit: 3, window_seconds: 60 },
+      auth_failures: { limit: 2, window_seconds: 60 },
+    });
+
+    // Run the middleware, then answer with `status` as the rest of the app would
+    const send = async (middleware, status, ip = '10.0.0.1') => {
+      const res = createResponse();
+      const next = jest.fn(() => {
+        res.statusCode = status;
+        res.emit('finish');
+      });
+      await middleware({ method: 'POST', path: '/api/v1/parking/entry', ip }, res, next);
+      // Failures are counted after the response
+      await new Promise((resolve) => setImmediate(resolve));
+      return { res, next };
+    };
+
+    it('limits every request from an address', async () => {
+      const middleware = new RateLimiter(ipConfig, new MemoryRateLimitStore()).ipMiddleware();
+
+      const results = [];
+      for (let i = 0; i < 4; i++) {
+        results.push(await send(middleware, 200));
+      }
+
+      expect(results.map(({ next }) => next.mock.calls.length)).toEqual([1, 1, 1, 0]);
+      expect(results[3].res.status).toHaveBeenCalledWith(429);
+      expect(results[3].res.headers['Retry-After']).toBeGreaterThan(0);
+    });
+
+    it('refuses an address that keeps failing authentication before authenticating', async () => {
+      const middleware = new RateLimiter(ipConfig, new MemoryRateLimitStore()).ipMiddleware();
+
+      const first = await send(middleware, 401);
+      const second = await send(middleware, 401);
+      const third = await send(middleware, 200);
+      const otherAddress = await send(middleware, 200, '10.0.0.2');
+
+      expect(first.next).toHaveBeenCalled();
+      expect(second.next).toHaveBeenCalled();
+      expect(third.next).not.toHaveBeenCalled();
+      expect(third.res.status).toHaveBeenCalledWith(429);
+      expect(third.res.json.mock.calls[0][0].error.code).toBe('RATE_LIMIT_EXCEEDED');
+      expect(otherAddress.next).toHaveBeenCalled();
+    });
+  });
+});
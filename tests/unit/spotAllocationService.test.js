@@ -0,0 +1,78 @@
+jest.mock('../../src/repositories/parkingSpotRepository', () => ({
+  findAvailableByTypes: jest.fn(),
+  claimSpot: jest.fn(),
+}));
+jest.mock('../../src/repositories/maintenanceWindowRepository', () => ({
+  findSpotIdsInForce: jest.fn(async () => []),
+}));
+jest.mock('../../src/repositories/reservationRepository', () => ({
+  findHeldSpotIds: jest.fn(async () => []),
+}));
+jest.mock('../../src/repositories/permitRepository', () => ({
+  findReservedSpotIds: jest.fn(async () => []),
+}));
+
+const parkingSpotRepository = require('../../src/repositories/parkingSpotRepository');
+const spotAllocationService = require('../../src/services/spotAllocationService');
+
+const spot = (floor_number, spot_number, attributes = []) => ({
+  _id: `${floor_number}-${spot_number}`,
+  floor_number,
+  spot_number,
+  spot_type: 'CAR',
+  status: 'AVAILABLE',
+  attributes,
+});
+
+/**
+ * Error as thrown by the driver when a claim write-conflicts inside a transaction
+ */
+const writeConflict = () => {
+  const error = new Error('WriteConflict');
+  error.hasErrorLabel = (label) => label === 'TransientTransactionError';
+  return error;
+};
+
+describe('spotAllocationService.allocateSpot', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    parkingSpotRepository.findAvailableByTypes.mockResolvedValue([spot(1, 1), spot(1, 2)]);
+    parkingSpotRepository.claimSpot.mockImplementation(async (spotId) => ({ _id: spotId }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('tries a permit reserved for the ground floor on floor 0 first', async () => {
+    parkingSpotRepository.findAvailableByTypes.mockResolvedValue([
+      spot(0, 1),
+      spot(1, 1, ['FAMILY']),
+    ]);
+
+    const claimed = await spotAllocationService.allocateSpot('lot-1', 'CAR', 'vehicle-1', {
+      floor: 0,
+      needs: ['FAMILY'],
+    });
+
+    expect(claimed._id).toBe('0-1');
+  });
+
+  it('marks a spot whose claim write-conflicts as contended', async () => {
+    parkingSpotRepository.claimSpot.mockRejectedValueOnce(writeConflict());
+    const contendedSpotIds = new Set();
+
+    await expect(
+      spotAllocationService.allocateSpot('lot-1', 'CAR', 'vehicle-1', { contendedSpotIds })
+    ).rejects.toThrow('WriteConflict');
+
+    expect([...contendedSpotIds]).toEqual(['1-1']);
+  });
+
+  it('tries contended spots last on the retried transaction', async () => {
+    const claimed = await spotAllocationService.allocateSpot('lot-1', 'CAR', 'vehicle-1', {
+      contendedSpotIds: new Set(['1-1']),
+    });
+
+    expect(claimed._id).toBe('1-2');
+  });
+});
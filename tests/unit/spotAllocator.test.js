@@ -0,0 +1,152 @@
+const {
+  selectOptimalSpot,
+  rankCandidateSpots,
+  isSpotAllowed,
+  orderForCharging,
+  getEligibleSpotTypes,
+  sortSpotsByPriority,
+} = require('../../src/utils/spotAllocator');
+
+const spot = (floor_number, spot_number, spot_type, status = 'AVAILABLE') => ({
+  _id: `${floor_number}-${spot_number}`,
+  floor_number,
+  spot_number,
+  spot_type,
+  status,
+});
+
+describe('spotAllocator', () => {
+  describe('getEligibleSpotTypes', () => {
+    it('follows the MOTORCYCLE < CAR < BUS size hierarchy', () => {
+      expect(getEligibleSpotTypes('MOTORCYCLE')).toEqual(['MOTORCYCLE', 'CAR', 'BUS']);
+      expect(getEligibleSpotTypes('CAR')).toEqual(['CAR', 'BUS']);
+      expect(getEligibleSpotTypes('BUS')).toEqual(['BUS']);
+    });
+
+    it('throws for unknown vehicle types', () => {
+      expect(() => getEligibleSpotTypes('TRAIN')).toThrow('Invalid vehicle type: TRAIN');
+    });
+  });
+
+  describe('sortSpotsByPriority', () => {
+    it('orders by floor, then best-fit spot type, then spot number', () => {
+      const sorted = sortSpotsByPriority([
+        spot(2, 1, 'CAR'),
+        spot(1, 3, 'BUS'),
+        spot(1, 2, 'CAR'),
+        spot(1, 1, 'CAR'),
+      ]);
+
+      expect(sorted.map((s) => s._id)).toEqual(['1-1', '1-2', '1-3', '2-1']);
+    });
+  });
+
+  describe('rankCandidateSpots', () => {
+    it('returns only eligible AVAILABLE spots in allocation order', () => {
+      const ranked = rankCandidateSpots('CAR', [
+        spot(1, 1, 'MOTORCYCLE'),
+        spot(1, 2, 'BUS'),
+        spot(1, 3, 'CAR', 'OCCUPIED'),
+        spot(1, 4, 'CAR'),
+        spot(2, 1, 'CAR'),
+      ]);
+
+      expect(ranked.map((s) => s._id)).toEqual(['1-4', '1-2', '2-1']);
+    });
+
+    it('returns an empty list when nothing fits', () => {
+      expect(rankCandidateSpots('BUS', [spot(1, 1, 'CAR')])).toEqual([]);
+      expect(rankCandidateSpots('CAR', [])).toEqual([]);
+    });
+
+    it('rejects invalid parameters', () => {
+      expect(() => rankCandidateSpots('CAR', null)).toThrow('Invalid parameters');
+    });
+  });
+
+  describe('spot attributes', () => {
+    const categorized = (floor, number, attributes) => ({
+      ...spot(floor, number, 'CAR'),
+      attributes,
+    });
+    const ids = (spots) => spots.map((s) => s._id);
+
+    it('keeps accessible spots for accessible permit holders', () => {
+      const accessible = categorized(1, 1, ['ACCESSIBLE']);
+
+      expect(isSpotAllowed(accessible)).toBe(false);
+      expect(isSpotAllowed(accessible, { accessiblePermit: true })).toBe(true);
+      expect(isSpotAllowed(spot(1, 2, 'CAR'))).toBe(true);
+      expect(selectOptimalSpot('CAR', [accessible])).toBeNull();
+    });
+
+    it('prefers accessible spots when requested', () => {
+      const selected = selectOptimalSpot(
+        'CAR',
+        [spot(1, 1, 'CAR'), categorized(2, 1, ['ACCESSIBLE'])],
+        { needs: ['ACCESSIBLE'], accessiblePermit: true }
+      );
+
+      expect(selected._id).toBe('2-1');
+    });
+
+    it('puts spots matching more needs first', () => {
+      const ranked = rankCandidateSpots('CAR', [
+        categorized(1, 1, ['COMPACT']),
+        categorized(1, 2, ['FAMILY']),
+        categorized(1, 3, ['FAMILY', 'OVERSIZED']),
+      ], { needs: ['FAMILY', 'OVERSIZED'] });
+
+      expect(ids(ranked)).toEqual(['1-3', '1-2', '1-1']);
+    });
+
+    it('offers family and oversized spots to others last', () => {
+      const ranked = rankCandidateSpots('CAR', [
+        categorized(1, 1, ['FAMILY']),
+        categorized(1, 2, ['COMPACT']),
+        categorized(1, 3, ['OVERSIZED']),
+        spot(2, 1, 'CAR'),
+      ]);
+
+      expect(ids(ranked)).toEqual(['1-2', '2-1', '1-1', '1-3']);
+    });
+  });
+
+  describe('orderForCharging', () => {
+    const charger = (floor, number) => ({ ...spot(floor, number, 'CAR'), ev_charger_kw: 11 });
+    const ids = (spots) => spots.map((s) => s._id);
+
+    it('puts charger spots first for vehicles requesting charging', () => {
+      const ranked = [spot(1, 1, 'CAR'), charger(1, 2), spot(1, 3, 'CAR'), charger(2, 1)];
+
+      expect(ids(orderForCharging(ranked, true, 2))).toEqual(['1-2', '2-1', '1-1', '1-3']);
+    });
+
+    it('keeps scarce charger spots for EVs', () => {
+      const ranked = [charger(1, 1), spot(1, 2, 'CAR'), spot(2, 1, 'CAR')];
+
+      expect(ids(orderForCharging(ranked, false, 2))).toEqual(['1-2', '2-1', '1-1']);
+    });
+
+    it('keeps the ranking when chargers are plentiful', () => {
+      const ranked = [charger(1, 1), spot(1, 2, 'CAR'), charger(1, 3), charger(1, 4)];
+
+      expect(ids(orderForCharging(ranked, false, 2))).toEqual(['1-1', '1-2', '1-3', '1-4']);
+    });
+  });
+
+  describe('selectOptimalSpot', () => {
+    it('picks the highest ranked candidate', () => {
+      const selected = selectOptimalSpot('MOTORCYCLE', [
+        spot(1, 2, 'CAR'),
+        spot(1, 1, 'MOTORCYCLE'),
+      ]);
+
+      expect(selected._id).toBe('1-1');
+    });
+
+    it('returns null when no spot is eligible', () => {
+      expect(selectOptimalSpot('BUS', [spot(1, 1, 'CAR')])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  registerVehicleType,
+  loadVehicleTypes,
+  getValidVehicleTypes,
+  isValidVehicleType,
+  getVehicleSpotSize,
+  getEligibleSpotTypes,
+  describeValidVehicleTypes,
+} = require('../../src/constants/vehicleTypes');
+const { getAllocationStats, selectOptimalSpot } = require('../../src/utils/spotAllocator');
+const { isValidVehicleType: isValidVehicleTypeInput } = require('../../src/utils/validators');
+
+describe('vehicleTypes', () => {
+  it('builds in MOTORCYCLE, CAR and BUS, smallest first', () => {
+    expect(getValidVehicleTypes()).toEqual(['MOTORCYCLE', 'CAR', 'BUS']);
+    expect(getVehicleSpotSize('BUS')).toBe(2);
+    expect(isValidVehicleType('TRAIN')).toBe(false);
+  });
+
+  describe('registerVehicleType', () => {
+    it('slots a new type into the size hierarchy', () => {
+      registerVehicleType('van', { description: 'Van', size_rank: 2.5 });
+
+      expect(getValidVehicleTypes()).toEqual(['MOTORCYCLE', 'CAR', 'VAN', 'BUS']);
+      expect(isValidVehicleTypeInput('VAN')).toBe(true);
+      expect(describeValidVehicleTypes()).toBe('MOTORCYCLE, CAR, VAN, BUS');
+      expect(getEligibleSpotTypes('VAN')).toEqual(['VAN', 'BUS']);
+      expect(getEligibleSpotTypes('CAR')).toEqual(['CAR', 'VAN', 'BUS']);
+    });
+
+    it('honours explicit eligible spot types', () => {
+      registerVehicleType('BICYCLE', { size_rank: 0.5, eligible_spot_types: ['bicycle'] });
+
+      expect(getEligibleSpotTypes('BICYCLE')).toEqual(['BICYCLE']);
+      const spot = (spot_number, spot_type) =>
+        ({ _id: spot_type, floor_number: 1, spot_number, spot_type, status: 'AVAILABLE' });
+      expect(
+        selectOptimalSpot('BICYCLE', [spot(1, 'MOTORCYCLE'), spot(2, 'BICYCLE')])._id
+      ).toBe('BICYCLE');
+    });
+
+    it('reports allocation stats for registered types', () => {
+      expect(Object.keys(getAllocationStats())).toEqual(getValidVehicleTypes());
+    });
+
+    it('requires a size rank', () => {
+      expect(() => registerVehicleType('TRUCK', {})).toThrow(
+        'Vehicle type TRUCK must define a numeric size_rank'
+      );
+    });
+  });
+
+  describe('loadVehicleTypes', () => {
+    it('registers the types listed in a JSON file', () => {
+      const file = path.join(os.tmpdir(), `vehicle-types-${process.pid}.json`);
+      fs.writeFileSync(file, JSON.stringify([{ code: 'TRUCK', size_rank: 4, spot_size: 3 }]));
+
+      try {
+        loadVehicleTypes(file);
+      } finally {
+        fs.unlinkSync(file);
+      }
+
+      expect(getValidVehicleTypes().slice(-1)).toEqual(['TRUCK']);
+      expect(getVehicleSpotSize('TRUCK')).toBe(3);
+    });
+  });
+});